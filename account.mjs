@@ -0,0 +1,74 @@
+/**
+ * Member accounts, from the browser's side.
+ *
+ * Signing in is optional: anonymous uploads keep working with owner tokens
+ * (see ./myRoutes.mjs). A signed-in member's uploads are filed under their
+ * account, so their history follows them to other devices.
+ *
+ * The session itself is an HttpOnly cookie the page never sees. What the page
+ * does hold is the session's CSRF token, which every state-changing request
+ * made on the session's authority must carry in X-CSRF-Token.
+ */
+
+/**
+ * @typedef {{user: {username: string, role: string}|null, csrfToken: string|null, registration: boolean}} Account
+ */
+
+export const SIGNED_OUT = Object.freeze({ user: null, csrfToken: null, registration: true });
+
+/** Headers for a state-changing request; empty when signed out. */
+export function csrfHeaders(account) {
+  return account && account.csrfToken ? { 'X-CSRF-Token': account.csrfToken } : {};
+}
+
+async function accountRequest(url, { method = 'GET', body, headers = {} } = {}, fetchImpl) {
+  const resp = await fetchImpl(url, {
+    method,
+    headers: {
+      'Accept': 'application/json',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(data.error || `HTTP ${resp.status}`);
+  return data;
+}
+
+function toAccount(data, registration = true) {
+  return { user: data.user || null, csrfToken: data.csrfToken || null, registration: data.registration ?? registration };
+}
+
+/**
+ * Who is signed in, if anyone.
+ * @returns {Promise<Account>}
+ */
+export async function fetchSession(fetchImpl = fetch) {
+  return toAccount(await accountRequest('/api/auth/session', {}, fetchImpl));
+}
+
+/** @returns {Promise<Account>} rejects with the server's message on bad credentials */
+export async function signIn({ username, password }, fetchImpl = fetch) {
+  return toAccount(await accountRequest('/api/auth/login', { method: 'POST', body: { username, password } }, fetchImpl));
+}
+
+/** @returns {Promise<Account>} signed in as the new member */
+export async function register({ username, password }, fetchImpl = fetch) {
+  return toAccount(await accountRequest('/api/auth/register', { method: 'POST', body: { username, password } }, fetchImpl));
+}
+
+/** @returns {Promise<Account>} */
+export async function signOut(account, fetchImpl = fetch) {
+  await accountRequest('/api/auth/logout', { method: 'POST', headers: csrfHeaders(account) }, fetchImpl);
+  return { ...SIGNED_OUT, registration: account.registration };
+}
+
+/**
+ * The member's saved routes, newest first, in the same shape as fetchMyRoute.
+ * @returns {Promise<Array<{id: number, filename: string, routeKm: number|null, uploadedAt: string, shareUrl: string|null}>>}
+ */
+export async function fetchAccountRoutes(fetchImpl = fetch) {
+  const data = await accountRequest('/api/account/routes', {}, fetchImpl);
+  return data.routes || [];
+}
@@ -0,0 +1,127 @@
+/**
+ * The admin map of every saved route: reading the streamed geometry from
+ * GET /api/admin/route-map, colouring routes by age and counting how many
+ * routes cross each cell of a grid for the heatmap.
+ *
+ * Leaflet wiring lives in the admin page itself; this is the part that does
+ * not need a map to test.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Newest first; the last bucket takes everything older.
+export const ROUTE_AGE_BUCKETS = Object.freeze([
+  { maxDays: 7, label: 'Past week', color: '#f472b6' },
+  { maxDays: 30, label: 'Past month', color: '#fb923c' },
+  { maxDays: 365, label: 'Past year', color: '#38bdf8' },
+  { maxDays: Infinity, label: 'Older', color: '#64748b' }
+]);
+
+/**
+ * The age bucket of an upload. uploadedAt is SQLite's CURRENT_TIMESTAMP text,
+ * which is UTC without saying so.
+ * @param {string} uploadedAt `YYYY-MM-DD HH:MM:SS`
+ * @param {number} [now] epoch ms
+ */
+export function routeAgeBucket(uploadedAt, now = Date.now()) {
+  const uploaded = Date.parse(String(uploadedAt).replace(' ', 'T') + 'Z');
+  const days = Number.isFinite(uploaded) ? (now - uploaded) / DAY_MS : Infinity;
+  return ROUTE_AGE_BUCKETS.find((bucket) => days <= bucket.maxDays);
+}
+
+/**
+ * Call onItem with each line of a newline-delimited JSON response as it
+ * arrives, so the map fills in while the rest is still streaming.
+ * @param {Response} response
+ * @param {(item: object) => void} onItem
+ * @returns {Promise<number>} how many items were read
+ */
+export async function readNdjson(response, onItem) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let count = 0;
+  const flush = (text) => {
+    if (!text.trim()) return;
+    onItem(JSON.parse(text));
+    count++;
+  };
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffered += decoder.decode(value, { stream: !done });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(flush);
+    if (done) break;
+  }
+  flush(buffered);
+  return count;
+}
+
+/**
+ * Grid cell size in degrees for a zoom level: about 16 pixels on screen.
+ * @param {number} zoom
+ */
+export function cellDegreesForZoom(zoom) {
+  return 22.5 / 2 ** zoom;
+}
+
+/**
+ * How many routes pass through each grid cell. A route counts once per cell
+ * however often it loops through, so the heat is where many people ride
+ * rather than where one person rode in circles. Segments are sampled at half
+ * a cell, so simplified lines with long gaps between vertices still mark
+ * every cell they cross.
+ *
+ * @param {Array<{lines: Array<Array<[number, number]>>}>} routes
+ * @param {number} cellDeg
+ * @param {{west: number, south: number, east: number, north: number}} [bounds] only count cells in here
+ * @returns {Map<string, {west: number, south: number, count: number}>} keyed by cell
+ */
+export function densityCells(routes, cellDeg, bounds = null) {
+  const cells = new Map();
+  const step = cellDeg / 2;
+  const outside = (a, b) => bounds && (
+    Math.max(a[0], b[0]) < bounds.west || Math.min(a[0], b[0]) > bounds.east ||
+    Math.max(a[1], b[1]) < bounds.south || Math.min(a[1], b[1]) > bounds.north
+  );
+  for (const route of routes) {
+    const crossed = new Set();
+    const mark = (lon, lat) => {
+      if (bounds && (lon < bounds.west || lon > bounds.east || lat < bounds.south || lat > bounds.north)) return;
+      crossed.add(`${Math.floor(lon / cellDeg)},${Math.floor(lat / cellDeg)}`);
+    };
+    for (const line of route.lines) {
+      if (line.length === 1) mark(line[0][0], line[0][1]);
+      for (let i = 1; i < line.length; i++) {
+        const a = line[i - 1];
+        const b = line[i];
+        if (outside(a, b)) continue;
+        const samples = Math.max(1, Math.ceil(Math.max(Math.abs(b[0] - a[0]), Math.abs(b[1] - a[1])) / step));
+        for (let s = 0; s <= samples; s++) {
+          mark(a[0] + (b[0] - a[0]) * s / samples, a[1] + (b[1] - a[1]) * s / samples);
+        }
+      }
+    }
+    for (const key of crossed) {
+      const cell = cells.get(key);
+      if (cell) {
+        cell.count++;
+      } else {
+        const [x, y] = key.split(',').map(Number);
+        cells.set(key, { west: x * cellDeg, south: y * cellDeg, count: 1 });
+      }
+    }
+  }
+  return cells;
+}
+
+/**
+ * Heat colour for a cell, on a log scale so a handful of popular roads do not
+ * wash out everything else. Blue for the quietest, red for the busiest.
+ * @returns {{color: string, opacity: number}}
+ */
+export function densityColor(count, maxCount) {
+  const t = maxCount > 1 ? Math.log1p(count - 1) / Math.log1p(maxCount - 1) : 1;
+  return { color: `hsl(${Math.round(220 * (1 - t))}, 90%, 55%)`, opacity: 0.25 + 0.5 * t };
+}
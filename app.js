@@ -12,6 +12,11 @@
  *   - fetchOSMWaterPointsAdaptive from ./osmApi.mjs
  *   - parseFitToGeoJSON from ./fitToGeoJSON.mjs
  *   - geometry helpers from ./geo.mjs
+ *   - enriched-GPX waypoint naming from ./enrichedGpx.mjs
+ *   - opening_hours evaluation at the planned arrival from ./openingHours.mjs
+ *   - owner-token bookkeeping for "My routes" from ./myRoutes.mjs
+ *   - optional member sign-in from ./account.mjs
+ *   - start/finish trimming and privacy zones for saved routes from ./privacySettings.mjs
  *
  * Each loaded file is persisted at most once (see saveRoute); rendering is a
  * pure view concern and must stay free of side effects.
@@ -19,25 +24,59 @@
  * UX features:
  *   - Drag & drop or file picker for GPX / FIT
  *   - Base layer switcher and animated water markers
+ *   - Optional toilets / bike shop / repair station / resupply layers, toggled in the sidebar
  *   - Keyboard: '?' help, 'N' new, 'L' load, 'D' download
  */
 
 import {
   fetchOSMWaterPointsAdaptive,
   fetchOSMCoffeePointsAdaptive,
+  fetchOSMKindPointsAdaptive,
+  POI_KINDS,
   waterSubtypeLabel,
   rankCoffeePoints,
 } from './osmApi.mjs';
 import { parseFitToGeoJSON } from './fitToGeoJSON.mjs';
+import { fillMissingElevation } from './demElevation.mjs';
 import {
   computeBBoxFromGeoJSON,
   computeRouteLengthKm,
   filterPointsNearRoute,
   buildRouteIndex,
   sortPointsAlongRoute,
-  longestDryStretch,
+  longestStretchWithoutResupply,
   elevationProfile,
+  ACTIVITY_SPEEDS_KMH,
+  buildTimeProfile,
+  longestDryStretchByTime,
+  minutesAtKm,
+  dryStretches,
+  routeCoordsBetween,
+  simplifyLine,
+  waterNeededLitres,
+  detectClimbs,
+  markClimbFootPoints,
+  elevationStats,
 } from './geo.mjs';
+import {
+  formatKm,
+  formatDuration,
+  poiLabel,
+  waypointFeature,
+  DRY_STRETCH_TYPE,
+  insertDryStretchRoutes,
+} from './enrichedGpx.mjs';
+import { arrivalTime, openStateAtArrival } from './openingHours.mjs';
+import { loadMyRoutes, rememberRoute, forgetRoute, fetchMyRoute, updateMyRoute, deleteMyRoute } from './myRoutes.mjs';
+import { SIGNED_OUT, csrfHeaders, fetchSession, signIn, register, signOut, fetchAccountRoutes } from './account.mjs';
+import {
+  loadPrivacySettings,
+  savePrivacySettings,
+  addPrivacyZone,
+  removePrivacyZone,
+  privacyPayload,
+  MAX_ZONES,
+} from './privacySettings.mjs';
 
 // Basic UI elements
 const fileInput = document.getElementById('gpxFile');
@@ -48,17 +87,115 @@ let loadingEl = document.getElementById('loading');
 const downloadBtn = document.getElementById('downloadBtn');
 const radiusSelect = document.getElementById('radiusSelect');
 const saveRouteToggle = document.getElementById('saveRouteToggle');
+const shareRouteToggle = document.getElementById('shareRouteToggle');
+const shareLinkRow = document.getElementById('shareLinkRow');
+const shareLinkInput = document.getElementById('shareLinkInput');
+const shareCopyBtn = document.getElementById('shareCopyBtn');
+const privacyTrimSelect = document.getElementById('privacyTrimSelect');
+const privacyZoneAddBtn = document.getElementById('privacyZoneAddBtn');
+const privacyZoneRadius = document.getElementById('privacyZoneRadius');
+const privacyZoneList = document.getElementById('privacyZoneList');
+const myRoutesPanel = document.getElementById('myRoutesPanel');
+const myRoutesList = document.getElementById('myRoutesList');
+const myRoutesNote = document.getElementById('myRoutesNote');
+const accountPanel = document.getElementById('accountPanel');
+const accountForm = document.getElementById('accountForm');
+const accountUsername = document.getElementById('accountUsername');
+const accountPassword = document.getElementById('accountPassword');
+const registerBtn = document.getElementById('registerBtn');
+const accountSignedIn = document.getElementById('accountSignedIn');
+const accountName = document.getElementById('accountName');
+const adminLink = document.getElementById('adminLink');
+const signOutBtn = document.getElementById('signOutBtn');
 const summaryEl = document.getElementById('summary');
 const summaryDistanceEl = document.getElementById('summaryDistance');
 const summaryCountEl = document.getElementById('summaryCount');
+const summaryClimbingEl = document.getElementById('summaryClimbing');
+const summaryElevationEl = document.getElementById('summaryElevation');
+const summaryMovingTimeEl = document.getElementById('summaryMovingTime');
 const dryStretchEl = document.getElementById('dryStretch');
 const dryStretchValueEl = document.getElementById('dryStretchValue');
+const dryStretchDetailEl = document.getElementById('dryStretchDetail');
+const dryThresholdSelect = document.getElementById('dryThresholdSelect');
+const dryStretchListEl = document.getElementById('dryStretchList');
+const climbsEl = document.getElementById('climbs');
+const climbListEl = document.getElementById('climbList');
+const resupplyStretchEl = document.getElementById('resupplyStretch');
+const resupplyStretchValueEl = document.getElementById('resupplyStretchValue');
 const waterListEl = document.getElementById('waterList');
 const profilePanel = document.getElementById('profilePanel');
 const profileSvg = document.getElementById('profile');
 const profileHint = document.getElementById('profileHint');
+const planStartInput = document.getElementById('planStart');
+const planSpeedInput = document.getElementById('planSpeed');
+const planActivityInput = document.getElementById('planActivity');
+const planLitresInput = document.getElementById('planLitres');
+const planTempInput = document.getElementById('planTemp');
+const hideClosedToggle = document.getElementById('hideClosedToggle');
 let selectedRadiusMeters = Number(radiusSelect?.value) || 150;
 
+// Ride plan: with a start time and average speed, every near-route point gets
+// an ETA from its _alongKm and is marked open/closed/unknown at that moment.
+// Without a start time nothing is marked and nothing is hidden.
+// Activity, speed, drinking rate and temperature size the dry stretch in time
+// and water (see renderSummary).
+const ridePlan = { start: null, speedKmh: 20, hideClosed: false, activity: 'bike', litresPerHour: 0.75, temperatureC: 25 };
+function readRidePlan() {
+  const start = planStartInput?.value ? new Date(planStartInput.value) : null;
+  ridePlan.start = start && !Number.isNaN(start.getTime()) ? start : null;
+  const activity = planActivityInput?.value === 'foot' ? 'foot' : 'bike';
+  // Switching activity with the speed still at the old default moves it to
+  // the new one: nobody walks at 20 km/h.
+  if (activity !== ridePlan.activity && planSpeedInput && Number(planSpeedInput.value) === ACTIVITY_SPEEDS_KMH[ridePlan.activity]) {
+    planSpeedInput.value = String(ACTIVITY_SPEEDS_KMH[activity]);
+  }
+  ridePlan.activity = activity;
+  const speed = Number(planSpeedInput?.value);
+  ridePlan.speedKmh = Number.isFinite(speed) && speed > 0 ? speed : ACTIVITY_SPEEDS_KMH[activity];
+  ridePlan.hideClosed = !!hideClosedToggle?.checked;
+  const litres = Number(planLitresInput?.value);
+  ridePlan.litresPerHour = Number.isFinite(litres) && litres > 0 ? litres : 0.75;
+  const temperature = Number(planTempInput?.value);
+  ridePlan.temperatureC = planTempInput?.value !== '' && Number.isFinite(temperature) ? temperature : 25;
+  const threshold = Number(dryThresholdSelect?.value);
+  ridePlan.dryThresholdKm = Number.isFinite(threshold) && threshold > 0 ? threshold : 25;
+}
+
+/**
+ * Annotate points with _eta and _openState for the current plan, dropping the
+ * closed ones when the rider asked for that. Returns copies; the fetched
+ * points stay untouched so changing the plan never needs a refetch.
+ */
+function planPoints(points) {
+  if (!ridePlan.start) return points;
+  const planned = points.map((p) => ({
+    ...p,
+    _eta: arrivalTime(ridePlan.start, p._alongKm, ridePlan.speedKmh),
+    _openState: openStateAtArrival(p, ridePlan.start, ridePlan.speedKmh),
+  }));
+  return ridePlan.hideClosed ? planned.filter((p) => p._openState !== 'closed') : planned;
+}
+
+const OPEN_STATE_TEXT = { open: 'Open when you arrive', closed: 'Closed when you arrive', unknown: 'Hours unknown at arrival' };
+function formatEta(date) {
+  return date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/** Popup line with the ETA and open state, or null without a ride plan. */
+function arrivalLine(p) {
+  if (!p._openState) return null;
+  const line = document.createElement('div');
+  line.className = `open-state open-state-${p._openState}`;
+  line.textContent = p._eta ? `${OPEN_STATE_TEXT[p._openState]} (ETA ${formatEta(p._eta)})` : OPEN_STATE_TEXT[p._openState];
+  return line;
+}
+
+/** Marker icon, dimmed when the place will be closed on arrival. */
+function poiIcon(html, p) {
+  const className = p._openState === 'closed' ? 'water-marker poi-closed' : 'water-marker';
+  return L.divIcon({ className, html, iconSize: [24, 24], iconAnchor: [12, 12] });
+}
+
 // Whether the user lets us keep their route server-side. Remembered per device;
 // the checkbox in the HTML carries the default for a first-time visitor.
 const SAVE_ROUTE_PREF_KEY = 'wor.saveRoute';
@@ -103,36 +240,23 @@ const baseTileOptions = {
   crossOrigin: true
 };
 
-// Define popular base layers
-const osmStandard = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-  ...baseTileOptions,
-  attribution: '© OpenStreetMap contributors'
-});
-const openTopo = L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
-  ...baseTileOptions,
-  maxNativeZoom: 17,
-  attribution: 'Map data: © OpenStreetMap contributors, SRTM | Map style: © OpenTopoMap (CC-BY-SA)'
-});
-const esriWorldImagery = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
-  ...baseTileOptions,
-  maxNativeZoom: 19,
-  attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community'
-});
-const localTiles = (window.WOR_CONFIG && window.WOR_CONFIG.tileUrl)
-  ? L.tileLayer(window.WOR_CONFIG.tileUrl, {
-      ...baseTileOptions,
-      attribution: 'Local tiles | © OpenStreetMap contributors'
-    })
-  : null;
-
-const baseLayers = {
-  'OSM Standard': osmStandard,
-  'OpenTopoMap (Terrain)': openTopo,
-  'Esri WorldImagery (Satellite)': esriWorldImagery,
-  ...(localTiles ? { 'Local Tiles': localTiles } : {})
-};
+// Base layers come from the server's tile providers (see server/tileProviders.js),
+// all fetched through its caching proxy. Served without the proxy, fall back
+// to OSM directly.
+const tileProviders = (window.WOR_CONFIG && Array.isArray(window.WOR_CONFIG.tileProviders) && window.WOR_CONFIG.tileProviders.length)
+  ? window.WOR_CONFIG.tileProviders
+  : [{ id: 'osm', name: 'OSM Standard', url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png', maxZoom: 19, attribution: '© OpenStreetMap contributors' }];
+
+const baseLayers = {};
+for (const provider of tileProviders) {
+  baseLayers[provider.name] = L.tileLayer(provider.url, {
+    ...baseTileOptions,
+    maxNativeZoom: provider.maxZoom,
+    attribution: provider.attribution
+  });
+}
 
-let tileLayer = localTiles || osmStandard;
+let tileLayer = Object.values(baseLayers)[0];
 tileLayer.addTo(map);
 
 // Helper to attach robust retry handlers to any base layer
@@ -165,10 +289,7 @@ function attachTileRetryHandlers(layer) {
 }
 
 // Attach retry handlers to all defined base layers
-attachTileRetryHandlers(osmStandard);
-attachTileRetryHandlers(openTopo);
-attachTileRetryHandlers(esriWorldImagery);
-attachTileRetryHandlers(localTiles);
+Object.values(baseLayers).forEach(attachTileRetryHandlers);
 
 // Keep reference to current base layer when user switches
 map.on('baselayerchange', (e) => { tileLayer = e.layer; });
@@ -184,12 +305,14 @@ function centerMapOnUser() {
     if ('geolocation' in navigator) {
       navigator.geolocation.getCurrentPosition(
         (pos) => {
+          // A route (e.g. from a share link) may have been drawn meanwhile.
+          if (routeLayer) return;
           const { latitude, longitude } = pos.coords;
           map.setView([latitude, longitude], 13);
         },
         () => {
           // fallback view
-          map.setView([20, 0], 2);
+          if (!routeLayer) map.setView([20, 0], 2);
         },
         { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
       );
@@ -205,9 +328,36 @@ centerMapOnUser();
 let routeLayer = null;
 let currentRouteGeoJSON = null;
 let waterLayer = L.layerGroup().addTo(map);
-const baseWaterIcon = () => L.divIcon({ className: 'water-marker', html: '💧', iconSize: [24, 24], iconAnchor: [12, 12] });
+const baseWaterIcon = (p = {}) => poiIcon('💧', p);
 let coffeeLayer = L.layerGroup().addTo(map);
-const baseCoffeeIcon = () => L.divIcon({ className: 'water-marker', html: '☕', iconSize: [24, 24], iconAnchor: [12, 12] });
+const baseCoffeeIcon = (p = {}) => poiIcon('☕', p);
+
+// Stops planned around as much as water: each has its own layer, sidebar
+// toggle and waypoints in the enriched GPX. Fetched only while toggled on, so
+// riders who do not care about them do not pay the Overpass round trips.
+const OPTIONAL_KINDS = [
+  { kind: 'toilets', label: 'Toilets', icon: '🚻' },
+  { kind: 'bike_shop', label: 'Bike shops', icon: '🚲' },
+  { kind: 'repair_station', label: 'Repair stations', icon: '🔧' },
+  { kind: 'resupply', label: 'Resupply', icon: '🛒' },
+];
+const OPTIONAL_KINDS_PREF_KEY = 'wor.kinds';
+function readOptionalKindsPreference() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(OPTIONAL_KINDS_PREF_KEY) || '[]');
+    if (Array.isArray(stored)) return new Set(stored.filter((k) => POI_KINDS[k]));
+  } catch (_) { /* private mode or bad JSON: start with none */ }
+  return new Set();
+}
+const enabledKinds = readOptionalKindsPreference();
+// Per kind: its layer, every candidate from the last fetch, and the near-route
+// subset at the current radius.
+const optionalKindState = Object.fromEntries(OPTIONAL_KINDS.map(({ kind, icon }) => [kind, {
+  layer: L.layerGroup(),
+  icon: (p = {}) => poiIcon(icon, p),
+  found: null,
+  near: [],
+}]));
 let originalGpxText = '';
 let foundWaterPoints = [];
 let foundCoffeePoints = [];
@@ -221,7 +371,12 @@ let currentRouteIndex = null;
 let currentRouteKm = 0;
 
 // Layers control: allow switching base maps and toggling overlays
-layersControl = L.control.layers(baseLayers, { 'Water Points': waterLayer, 'Coffee': coffeeLayer }, { collapsed: true }).addTo(map);
+const overlayLayers = { 'Water Points': waterLayer, 'Coffee': coffeeLayer };
+for (const { kind, label } of OPTIONAL_KINDS) {
+  overlayLayers[label] = optionalKindState[kind].layer;
+  if (enabledKinds.has(kind)) optionalKindState[kind].layer.addTo(map);
+}
+layersControl = L.control.layers(baseLayers, overlayLayers, { collapsed: true }).addTo(map);
 
 // Helpers
 function setStatus(msg) { statusEl.textContent = msg || ''; }
@@ -337,23 +492,171 @@ function currentRouteAsFeatureCollection() {
     : { type: 'FeatureCollection', features: [routeGeo] };
 }
 
-/** One decimal below 100 km, whole numbers above; nobody plans to 10 metres. */
-function formatKm(km) {
-  if (!Number.isFinite(km)) return '—';
-  return km >= 100 ? String(Math.round(km)) : km.toFixed(1);
+const BOTTLE_LITRES = 0.75;
+
+/**
+ * Colour the dry-stretch callout by how much trouble it represents, in the
+ * water it takes: more than a bottle means topping up before it, more than
+ * two means carrying extra.
+ */
+function dryStretchSeverity(litres) {
+  if (litres > BOTTLE_LITRES * 2) return { tone: 'border-red-500/50 bg-red-500/10 text-red-200', note: 'carry extra', band: 'rgba(248,113,113,0.16)' };
+  if (litres > BOTTLE_LITRES) return { tone: 'border-amber-500/50 bg-amber-500/10 text-amber-200', note: 'top up before it', band: 'rgba(251,191,36,0.14)' };
+  return { tone: 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200', note: 'comfortable', band: 'rgba(148,163,184,0.10)' };
+}
+
+// Moving-time profile of the current route at the planned activity and
+// speed, rebuilt only when one of those changes.
+let timeProfileCache = null;
+function currentTimeProfile() {
+  const { activity, speedKmh } = ridePlan;
+  const cached = timeProfileCache;
+  if (cached && cached.index === currentRouteIndex && cached.activity === activity && cached.speedKmh === speedKmh) {
+    return cached.profile;
+  }
+  const profile = buildTimeProfile(currentRouteIndex, { activity, flatKmh: speedKmh });
+  timeProfileCache = { index: currentRouteIndex, activity, speedKmh, profile };
+  return profile;
+}
+
+/**
+ * Ascent, descent and range of the current route, with the moving time under
+ * the ride plan: what the summary shows and a saved route keeps.
+ * @returns {{ascentM: number, descentM: number, minEleM: number, maxEleM: number, movingMinutes: number}|null}
+ *   elevation fields are null when the file has none
+ */
+function currentRouteStats() {
+  if (!currentRouteIndex || currentRouteIndex.isEmpty) return null;
+  const elevation = elevationStats(currentRouteIndex);
+  const round = (x) => (x == null ? null : Math.round(x));
+  return {
+    ascentM: round(elevation?.ascentM),
+    descentM: round(elevation?.descentM),
+    minEleM: round(elevation?.minEleM),
+    maxEleM: round(elevation?.maxEleM),
+    movingMinutes: Math.round(currentTimeProfile().totalMinutes)
+  };
+}
+
+// Climbs depend only on the route, so they are found once per route.
+let climbsCache = null;
+function currentClimbs() {
+  if (climbsCache && climbsCache.index === currentRouteIndex) return climbsCache.climbs;
+  const climbs = currentRouteIndex ? detectClimbs(currentRouteIndex) : [];
+  climbsCache = { index: currentRouteIndex, climbs };
+  return climbs;
+}
+
+// Red for the hardest through to green for a category 4.
+const CLIMB_COLORS = { HC: '#dc2626', 1: '#f97316', 2: '#f59e0b', 3: '#eab308', 4: '#a3e635' };
+
+function climbLabel(climb) {
+  return climb.category === 'HC' ? 'HC' : `Cat ${climb.category}`;
+}
+
+function formatGrade(grade) {
+  return `${(grade * 100).toFixed(1)}%`;
+}
+
+/** "Cat 2 ahead: 10.2 km at 5.9%" for a water point at the foot of a climb. */
+function climbAheadNote(climb) {
+  return `${climbLabel(climb)} ahead: ${formatKm(climb.lengthKm)} km at ${formatGrade(climb.avgGrade)}`;
+}
+
+function renderClimbList() {
+  if (!climbsEl || !climbListEl) return;
+  const climbs = currentClimbs();
+  climbsEl.hidden = !climbs.length;
+  climbListEl.replaceChildren();
+  for (const climb of climbs) {
+    const li = document.createElement('li');
+    li.className = 'flex items-baseline gap-2 text-slate-300';
+    const badge = document.createElement('span');
+    badge.className = 'shrink-0 w-12 rounded px-1 text-center text-xs font-semibold text-slate-950';
+    badge.style.backgroundColor = CLIMB_COLORS[climb.category];
+    badge.textContent = climbLabel(climb);
+    const where = document.createElement('span');
+    where.className = 'tabular-nums text-slate-400 shrink-0';
+    where.textContent = `km ${formatKm(climb.startKm)}`;
+    const detail = document.createElement('span');
+    detail.className = 'ml-auto text-xs tabular-nums';
+    detail.textContent = `${formatKm(climb.lengthKm)} km · ${formatGrade(climb.avgGrade)} (max ${formatGrade(climb.maxGrade)}) · +${Math.round(climb.gainM)} m`;
+    li.append(badge, where, detail);
+    climbListEl.appendChild(li);
+  }
+}
+
+/** The slowest stretch without water under the ride plan, and what it takes to cross it. */
+function worstDryStretch(points) {
+  const profile = currentTimeProfile();
+  const dry = longestDryStretchByTime(profile, currentRouteKm, points);
+  const litres = waterNeededLitres(dry.gapMinutes, ridePlan);
+  return { ...dry, litres, hasElevation: profile.hasElevation, severity: dryStretchSeverity(litres) };
 }
 
 /**
- * Colour the dry-stretch callout by how much trouble it represents.
- * Thresholds are deliberately conservative: 25 km is roughly an hour of
- * riding, which is about as long as one bottle lasts in the heat.
+ * Every stretch without water at least the chosen threshold long, in ride
+ * order, with the time and water each takes under the ride plan.
  */
-function dryStretchSeverity(gapKm) {
-  if (gapKm >= 40) return { tone: 'border-red-500/50 bg-red-500/10 text-red-200', note: 'carry extra' };
-  if (gapKm >= 25) return { tone: 'border-amber-500/50 bg-amber-500/10 text-amber-200', note: 'top up before it' };
+function plannedDryStretches(points) {
+  const profile = currentTimeProfile();
+  return dryStretches(currentRouteKm, points, ridePlan.dryThresholdKm).map((stretch) => {
+    const gapMinutes = minutesAtKm(profile, stretch.endKm) - minutesAtKm(profile, stretch.startKm);
+    const litres = waterNeededLitres(gapMinutes, ridePlan);
+    return { ...stretch, gapMinutes, litres, severity: dryStretchSeverity(litres) };
+  });
+}
+
+function renderDryStretchList(stretches) {
+  if (!dryStretchListEl) return;
+  dryStretchListEl.replaceChildren();
+  if (!stretches.length) {
+    const li = document.createElement('li');
+    li.className = 'text-slate-500';
+    li.textContent = `None of ${ridePlan.dryThresholdKm} km or more.`;
+    dryStretchListEl.appendChild(li);
+    return;
+  }
+  for (const stretch of stretches) {
+    const li = document.createElement('li');
+    li.className = `flex items-baseline gap-2 rounded border px-2 py-1 ${stretch.severity.tone}`;
+    const km = document.createElement('span');
+    km.className = 'tabular-nums shrink-0';
+    km.textContent = `km ${formatKm(stretch.startKm)}–${formatKm(stretch.endKm)}`;
+    const detail = document.createElement('span');
+    detail.className = 'ml-auto text-xs tabular-nums opacity-80';
+    detail.textContent = `${formatKm(stretch.gapKm)} km · ${formatDuration(stretch.gapMinutes)} · ${stretch.litres.toFixed(1)} L`;
+    li.append(km, detail);
+    dryStretchListEl.appendChild(li);
+  }
+}
+
+/**
+ * Food is more forgiving than water, so the thresholds are wider: 80 km is
+ * about what the food in a bar bag covers, 150 km is a day's worth to carry.
+ */
+function resupplyStretchSeverity(gapKm) {
+  if (gapKm >= 150) return { tone: 'border-red-500/50 bg-red-500/10 text-red-200', note: 'carry a day of food' };
+  if (gapKm >= 80) return { tone: 'border-amber-500/50 bg-amber-500/10 text-amber-200', note: 'stock up before it' };
   return { tone: 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200', note: 'comfortable' };
 }
 
+/** Longest stretch without resupply, shown only once resupply has been fetched. */
+function renderResupplyStretch(points) {
+  if (!resupplyStretchEl) return;
+  if (!points || !currentRouteIndex || currentRouteIndex.isEmpty) {
+    resupplyStretchEl.hidden = true;
+    return;
+  }
+  const gap = longestStretchWithoutResupply(currentRouteKm, points);
+  const severity = resupplyStretchSeverity(gap.gapKm);
+  resupplyStretchEl.hidden = false;
+  resupplyStretchEl.className = `rounded-md border px-3 py-2 text-sm ${severity.tone}`;
+  resupplyStretchValueEl.textContent = points.length
+    ? `${formatKm(gap.gapKm)} km — km ${formatKm(gap.startKm)} to ${formatKm(gap.endKm)} (${severity.note})`
+    : `${formatKm(gap.gapKm)} km — no resupply found on this route`;
+}
+
 /** Sidebar summary: distance, count, worst gap, and the stops in ride order. */
 function renderSummary(points) {
   if (!summaryEl) return;
@@ -364,13 +667,27 @@ function renderSummary(points) {
   summaryEl.hidden = false;
   summaryDistanceEl.textContent = `${formatKm(currentRouteKm)} km`;
   summaryCountEl.textContent = String(points.length);
+  const stats = currentRouteStats();
+  const hasElevation = stats?.ascentM != null;
+  if (summaryClimbingEl) summaryClimbingEl.textContent = hasElevation ? `+${stats.ascentM} m / −${stats.descentM} m` : '—';
+  if (summaryElevationEl) summaryElevationEl.textContent = hasElevation ? `${stats.minEleM}–${stats.maxEleM} m` : '—';
+  if (summaryMovingTimeEl) {
+    summaryMovingTimeEl.textContent = `${formatDuration(stats.movingMinutes)} ${ridePlan.activity === 'foot' ? 'on foot' : 'riding'} at ${ridePlan.speedKmh} km/h`
+      + (hasElevation ? ', slower on the climbs' : '');
+  }
 
-  const dry = longestDryStretch(currentRouteKm, points);
-  const severity = dryStretchSeverity(dry.gapKm);
+  const dry = worstDryStretch(points);
+  const { severity } = dry;
   dryStretchEl.className = `rounded-md border px-3 py-2 text-sm ${severity.tone}`;
   dryStretchValueEl.textContent = points.length
-    ? `${formatKm(dry.gapKm)} km — km ${formatKm(dry.startKm)} to ${formatKm(dry.endKm)} (${severity.note})`
-    : `${formatKm(dry.gapKm)} km — no water found on this route`;
+    ? `${formatDuration(dry.gapMinutes)} — km ${formatKm(dry.startKm)} to ${formatKm(dry.endKm)} (${severity.note})`
+    : `${formatDuration(dry.gapMinutes)} — no water found on this route`;
+  if (dryStretchDetailEl) {
+    dryStretchDetailEl.textContent = `${formatKm(dry.gapKm)} km · ${dry.litres.toFixed(1)} L to carry at ${ridePlan.litresPerHour} L/h and ${ridePlan.temperatureC} °C`
+      + (dry.hasElevation ? '' : ' · no elevation in this file, timed as flat');
+  }
+  renderDryStretchList(plannedDryStretches(points));
+  renderClimbList();
 
   waterListEl.replaceChildren();
   for (const p of points) {
@@ -383,6 +700,20 @@ function renderSummary(points) {
     label.className = 'truncate';
     label.textContent = (p.tags && (p.tags.name || p.tags.description)) || waterSubtypeLabel(p.tags);
     li.append(km, label);
+    if (p._climbAhead) {
+      const fill = document.createElement('span');
+      fill.className = 'ml-auto shrink-0 rounded px-1 text-xs font-semibold text-slate-950';
+      fill.style.backgroundColor = CLIMB_COLORS[p._climbAhead.category];
+      fill.textContent = 'fill up';
+      fill.title = climbAheadNote(p._climbAhead);
+      li.appendChild(fill);
+    }
+    if (p._openState && p._openState !== 'unknown') {
+      const state = document.createElement('span');
+      state.className = `open-state open-state-${p._openState} ${p._climbAhead ? '' : 'ml-auto '}shrink-0 text-xs`;
+      state.textContent = p._openState;
+      li.appendChild(state);
+    }
     waterListEl.appendChild(li);
   }
 }
@@ -429,18 +760,45 @@ function renderProfile(points) {
   stroke.setAttribute('vector-effect', 'non-scaling-stroke');
   parts.push(stroke);
 
-  // Shade the worst gap so it reads at a glance.
-  const dry = longestDryStretch(totalKm, points);
-  if (dry.gapKm > 0 && points.length) {
+  // Shade every dry stretch over the threshold, and the slowest one even when
+  // it is shorter, so the gaps read at a glance.
+  const stretches = points.length ? plannedDryStretches(points) : [];
+  const dry = worstDryStretch(points);
+  if (dry.gapKm > 0 && points.length && !stretches.some(s => s.startKm === dry.startKm && s.endKm === dry.endKm)) {
+    stretches.push(dry);
+  }
+  for (const stretch of stretches) {
     const band = document.createElementNS(ns, 'rect');
-    band.setAttribute('x', String(xAt(dry.startKm)));
+    band.setAttribute('x', String(xAt(stretch.startKm)));
     band.setAttribute('y', '0');
-    band.setAttribute('width', String(Math.max(1, xAt(dry.endKm) - xAt(dry.startKm))));
+    band.setAttribute('width', String(Math.max(1, xAt(stretch.endKm) - xAt(stretch.startKm))));
     band.setAttribute('height', String(H));
-    band.setAttribute('fill', dry.gapKm >= 25 ? 'rgba(248,113,113,0.16)' : 'rgba(148,163,184,0.10)');
+    band.setAttribute('fill', stretch.severity.band);
+    const title = document.createElementNS(ns, 'title');
+    title.textContent = `No water km ${formatKm(stretch.startKm)}–${formatKm(stretch.endKm)} · ${formatDuration(stretch.gapMinutes)} · ${stretch.litres.toFixed(1)} L`;
+    band.appendChild(title);
     parts.unshift(band);
   }
 
+  // Each climb redrawn over the line in its category colour.
+  for (const climb of currentClimbs()) {
+    const onClimb = [
+      { km: climb.startKm, ele: climb.startEle },
+      ...samples.filter(s => s.km > climb.startKm && s.km < climb.endKm),
+      { km: climb.endKm, ele: climb.topEle }
+    ];
+    const path = document.createElementNS(ns, 'path');
+    path.setAttribute('d', onClimb.map((s, i) => `${i ? 'L' : 'M'}${xAt(s.km).toFixed(1)},${yAt(s.ele).toFixed(1)}`).join(''));
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke', CLIMB_COLORS[climb.category]);
+    path.setAttribute('stroke-width', '3');
+    path.setAttribute('vector-effect', 'non-scaling-stroke');
+    const title = document.createElementNS(ns, 'title');
+    title.textContent = `${climbLabel(climb)} · km ${formatKm(climb.startKm)}–${formatKm(climb.endKm)} · ${formatGrade(climb.avgGrade)} · +${Math.round(climb.gainM)} m`;
+    path.appendChild(title);
+    parts.push(path);
+  }
+
   for (const p of points) {
     if (!Number.isFinite(p._alongKm)) continue;
     const x = xAt(p._alongKm);
@@ -449,12 +807,13 @@ function renderProfile(points) {
     tick.setAttribute('x2', String(x));
     tick.setAttribute('y1', '0');
     tick.setAttribute('y2', String(H));
-    tick.setAttribute('stroke', '#22d3ee');
-    tick.setAttribute('stroke-width', '1');
+    tick.setAttribute('stroke', p._climbAhead ? CLIMB_COLORS[p._climbAhead.category] : '#22d3ee');
+    tick.setAttribute('stroke-width', p._climbAhead ? '2' : '1');
     tick.setAttribute('vector-effect', 'non-scaling-stroke');
     tick.setAttribute('opacity', '0.85');
     const title = document.createElementNS(ns, 'title');
-    title.textContent = `km ${formatKm(p._alongKm)} — ${(p.tags && p.tags.name) || waterSubtypeLabel(p.tags)}`;
+    title.textContent = `km ${formatKm(p._alongKm)} — ${(p.tags && p.tags.name) || waterSubtypeLabel(p.tags)}`
+      + (p._climbAhead ? ` · fill up, ${climbAheadNote(p._climbAhead)}` : '');
     tick.appendChild(title);
     parts.push(tick);
   }
@@ -485,13 +844,20 @@ function renderWaterMarkers(points, animate = false) {
       Number.isFinite(p._distanceM) ? `${Math.round(p._distanceM)} m off route` : null
     ].filter(Boolean).join(' · ');
     if (positionLine.textContent) popup.appendChild(positionLine);
+    const arrival = arrivalLine(p);
+    if (arrival) popup.appendChild(arrival);
+    if (p._climbAhead) {
+      const climbLine = document.createElement('div');
+      climbLine.textContent = `Fill up: ${climbAheadNote(p._climbAhead)}`;
+      popup.appendChild(climbLine);
+    }
     const mapsLink = document.createElement('a');
     mapsLink.href = `https://www.google.com/maps/search/?api=1&query=${lat.toFixed(5)},${lon.toFixed(5)}`;
     mapsLink.target = '_blank';
     mapsLink.rel = 'noopener';
     mapsLink.textContent = `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
     popup.appendChild(mapsLink);
-    const marker = L.marker([lat, lon], { title: name, icon: baseWaterIcon() })
+    const marker = L.marker([lat, lon], { title: name, icon: baseWaterIcon(p) })
       .bindPopup(popup)
       .addTo(waterLayer);
     if (animate) {
@@ -527,6 +893,7 @@ async function saveRoute(points) {
   savedRouteForFile = true;
   try {
     const routeFC = currentRouteAsFeatureCollection();
+    const share = !!shareRouteToggle?.checked;
     const payload = {
       filename: currentRouteFilename,
       gpxText: originalGpxText,
@@ -534,14 +901,24 @@ async function saveRoute(points) {
       routeKm: Number(computeRouteLengthKm(currentRouteGeoJSON).toFixed(2)),
       waypointsCount: points.length,
       waterPoints: points,
-      enrichedGpxText: combineToEnrichedGpx(routeFC, points, selectedRadiusMeters)
+      enrichedGpxText: combineToEnrichedGpx(routeFC, points, selectedRadiusMeters),
+      routeStats: currentRouteStats(),
+      radiusM: selectedRadiusMeters,
+      share,
+      ...(privacyPayload(privacySettings) ? { privacy: privacyPayload(privacySettings) } : {})
     };
     const resp = await fetch('/api/routes', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...csrfHeaders(account) },
       body: JSON.stringify(payload)
     });
     if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const saved = await resp.json();
+    if (saved.shareUrl) showShareLink(new URL(saved.shareUrl, window.location.origin).href);
+    if (saved.ownerToken) {
+      rememberRoute({ id: saved.id, token: saved.ownerToken, filename: currentRouteFilename });
+      renderMyRoutes();
+    }
   } catch (err) {
     // Saving is best-effort telemetry; never block the user's map on it.
     savedRouteForFile = false;
@@ -549,6 +926,267 @@ async function saveRoute(points) {
   }
 }
 
+function showShareLink(url) {
+  if (!shareLinkRow || !shareLinkInput) return;
+  shareLinkInput.value = url || '';
+  shareLinkRow.hidden = !url;
+}
+
+if (shareCopyBtn) {
+  shareCopyBtn.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(shareLinkInput.value);
+      showToast('Share link copied.');
+    } catch (_) {
+      // No clipboard permission: leave the link selected for a manual copy.
+      shareLinkInput.select();
+    }
+  });
+}
+
+// A share link only makes sense for a route that is also saved.
+if (shareRouteToggle) {
+  shareRouteToggle.addEventListener('change', () => {
+    if (shareRouteToggle.checked && saveRouteToggle && !saveRouteToggle.checked) {
+      saveRouteToggle.checked = true;
+      saveRouteToggle.dispatchEvent(new Event('change'));
+    }
+  });
+}
+if (saveRouteToggle) {
+  saveRouteToggle.addEventListener('change', () => {
+    if (!saveRouteToggle.checked && shareRouteToggle) shareRouteToggle.checked = false;
+  });
+}
+
+// Privacy trimming for the saved copy. Zones are drawn on the map so the rider
+// can see what they cover; they are not part of any route.
+let privacySettings = loadPrivacySettings();
+const privacyZoneLayer = L.layerGroup().addTo(map);
+
+function updatePrivacySettings(next) {
+  privacySettings = savePrivacySettings(next);
+  renderPrivacySettings();
+}
+
+function renderPrivacySettings() {
+  if (privacyTrimSelect) privacyTrimSelect.value = String(privacySettings.trimMeters);
+  if (privacyZoneAddBtn) privacyZoneAddBtn.disabled = privacySettings.zones.length >= MAX_ZONES;
+  privacyZoneLayer.clearLayers();
+  privacySettings.zones.forEach((zone) => {
+    L.circle([zone.lat, zone.lon], {
+      radius: zone.radiusM, color: '#f472b6', weight: 1, dashArray: '4 4', fillOpacity: 0.08, interactive: false
+    }).addTo(privacyZoneLayer);
+  });
+  if (!privacyZoneList) return;
+  privacyZoneList.replaceChildren(...privacySettings.zones.map((zone, index) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center gap-2';
+    const label = document.createElement('span');
+    label.className = 'flex-1 truncate';
+    label.textContent = `${zone.radiusM >= 1000 ? `${zone.radiusM / 1000} km` : `${zone.radiusM} m`} around ${zone.lat.toFixed(4)}, ${zone.lon.toFixed(4)}`;
+    li.append(label, myRouteButton('Show', () => map.setView([zone.lat, zone.lon], 15)),
+      myRouteButton('Remove', () => updatePrivacySettings(removePrivacyZone(privacySettings, index))));
+    return li;
+  }));
+}
+
+if (privacyTrimSelect) {
+  privacyTrimSelect.addEventListener('change', () => {
+    updatePrivacySettings({ ...privacySettings, trimMeters: Number(privacyTrimSelect.value) });
+  });
+}
+if (privacyZoneAddBtn) {
+  privacyZoneAddBtn.addEventListener('click', () => {
+    const { lat, lng } = map.getCenter();
+    updatePrivacySettings(addPrivacyZone(privacySettings, { lat, lon: lng, radiusM: Number(privacyZoneRadius.value) }));
+    showToast('Privacy zone added. Saved routes will leave it out.');
+  });
+}
+renderPrivacySettings();
+
+function absoluteUrl(path) {
+  return new URL(path, window.location.origin).href;
+}
+
+function myRouteButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'px-2 py-0.5 rounded border border-slate-700 bg-slate-800 hover:bg-slate-700 transition text-xs';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/** One "My routes" row, from the server's view of the route. */
+function renderMyRouteItem(li, entry, route) {
+  const title = document.createElement('div');
+  title.className = 'text-slate-200 truncate';
+  title.textContent = route.filename;
+  const meta = document.createElement('div');
+  meta.className = 'text-xs text-slate-500';
+  const km = Number.isFinite(route.routeKm) ? `${formatKm(route.routeKm)} km · ` : '';
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone marker.
+  const savedOn = new Date(`${String(route.uploadedAt).replace(' ', 'T')}Z`).toLocaleDateString();
+  meta.textContent = `${km}saved ${savedOn}${route.shareUrl ? ' · shared' : ''}`;
+
+  const update = async (changes, done) => {
+    try {
+      const next = await updateMyRoute(entry, changes);
+      if (!next) return dropMyRoute(li, entry);
+      renderMyRouteItem(li, entry, next);
+      showToast(done);
+    } catch (e) {
+      setError(`Could not update ${route.filename}: ${e.message || e}`);
+    }
+  };
+  const actions = document.createElement('div');
+  actions.className = 'flex flex-wrap gap-1 pt-1';
+  if (route.shareUrl) {
+    actions.append(
+      myRouteButton('Copy link', async () => {
+        try {
+          await navigator.clipboard.writeText(absoluteUrl(route.shareUrl));
+          showToast('Share link copied.');
+        } catch (_) {
+          showShareLink(absoluteUrl(route.shareUrl));
+        }
+      }),
+      myRouteButton('Stop sharing', () => update({ share: false }, 'The old link no longer works.'))
+    );
+  } else {
+    actions.append(myRouteButton('Share', () => update({ share: true }, 'Share link created.')));
+  }
+  actions.append(
+    myRouteButton('Rename', () => {
+      const name = window.prompt('New name (must end in .gpx)', route.filename);
+      if (name && name.trim() !== route.filename) update({ filename: name.trim() }, 'Renamed.');
+    }),
+    myRouteButton('Delete', async () => {
+      if (!window.confirm(`Delete ${route.filename} from the server? This cannot be undone.`)) return;
+      try {
+        await deleteMyRoute(entry);
+        dropMyRoute(li, entry);
+        showToast('Route deleted from the server.');
+      } catch (e) {
+        setError(`Could not delete ${route.filename}: ${e.message || e}`);
+      }
+    })
+  );
+  li.replaceChildren(title, meta, actions);
+}
+
+function dropMyRoute(li, entry) {
+  li.remove();
+  forgetRoute(entry.id);
+  if (myRoutesPanel && myRoutesList && !myRoutesList.children.length) myRoutesPanel.hidden = true;
+}
+
+function myRouteListItem(label) {
+  const li = document.createElement('li');
+  li.className = 'rounded border border-slate-800 p-2';
+  li.textContent = label;
+  return li;
+}
+
+/**
+ * The "My routes" panel: the routes this browser remembers, each filled in
+ * from the server (routes it no longer has are forgotten), followed by the
+ * signed-in member's routes from other devices.
+ */
+async function renderMyRoutes() {
+  if (!myRoutesPanel || !myRoutesList) return;
+  const entries = loadMyRoutes();
+  const items = entries.map((entry) => {
+    const li = myRouteListItem(entry.filename || `Route ${entry.id}`);
+    fetchMyRoute(entry)
+      .then((route) => (route ? renderMyRouteItem(li, entry, route) : dropMyRoute(li, entry)))
+      .catch((e) => console.warn('[myRoutes] could not load route', entry.id, e));
+    return li;
+  });
+  if (account.user) {
+    try {
+      const known = new Set(entries.map((entry) => entry.id));
+      for (const route of await fetchAccountRoutes()) {
+        if (known.has(route.id)) continue;
+        const li = myRouteListItem(route.filename);
+        renderMyRouteItem(li, { id: route.id, filename: route.filename, csrfToken: account.csrfToken }, route);
+        items.push(li);
+      }
+    } catch (e) {
+      console.warn('[myRoutes] could not load account routes', e);
+    }
+  }
+  if (myRoutesNote) {
+    myRoutesNote.textContent = account.user
+      ? `Routes saved from this browser or as ${account.user.username}. Only you can rename, share or delete them.`
+      : 'Routes saved from this browser. Only this browser can rename, share or delete them; clearing its site data gives that up.';
+  }
+  myRoutesPanel.hidden = items.length === 0;
+  myRoutesList.replaceChildren(...items);
+}
+
+// Signed-in state. The session cookie is invisible to this script; what it
+// keeps is the CSRF token the server handed back, in memory only.
+let account = SIGNED_OUT;
+
+function renderAccount() {
+  if (!accountPanel) return;
+  const signedIn = !!account.user;
+  accountPanel.hidden = false;
+  accountForm.hidden = signedIn;
+  accountSignedIn.hidden = !signedIn;
+  registerBtn.hidden = !account.registration;
+  if (signedIn) accountName.textContent = `Signed in as ${account.user.username}`;
+  // Viewers, moderators and superadmins all have an admin page.
+  adminLink.hidden = !(signedIn && account.user.role !== 'member');
+}
+
+async function applyAccount(next) {
+  account = next;
+  renderAccount();
+  await renderMyRoutes();
+}
+
+async function submitCredentials(action) {
+  if (!accountForm.reportValidity()) return;
+  try {
+    await applyAccount(await action({ username: accountUsername.value, password: accountPassword.value }));
+    accountPassword.value = '';
+    showToast(`Signed in as ${account.user.username}.`);
+  } catch (e) {
+    setError(e.message || String(e));
+  }
+}
+
+if (accountForm) {
+  accountForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    submitCredentials(signIn);
+  });
+  registerBtn.addEventListener('click', () => submitCredentials(register));
+  signOutBtn.addEventListener('click', async () => {
+    try {
+      await applyAccount(await signOut(account));
+      showToast('Signed out.');
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  });
+}
+
+/** Who is signed in, then the panels that depend on it. */
+async function refreshAccount() {
+  try {
+    account = await fetchSession();
+  } catch (e) {
+    // The app works signed out; a failed check only hides the account's routes.
+    console.warn('[account] could not read session', e);
+  }
+  renderAccount();
+  await renderMyRoutes();
+}
+
 async function renderCoffeeMarkers(points, animate = false) {
   coffeeLayer.clearLayers();
   points.forEach((p, idx) => {
@@ -592,6 +1230,8 @@ async function renderCoffeeMarkers(points, animate = false) {
     };
     addDetail('', fullAddress);
     addDetail('Hours', hours);
+    const arrival = arrivalLine(p);
+    if (arrival) popup.appendChild(arrival);
     if (phone && /^[+0-9().\s-]{3,30}$/.test(phone)) {
       const phoneLine = document.createElement('div');
       phoneLine.append('Phone: ');
@@ -627,7 +1267,7 @@ async function renderCoffeeMarkers(points, animate = false) {
     mapsLink.textContent = 'Open in Google Maps';
     popup.appendChild(mapsLink);
 
-    const marker = L.marker([lat, lon], { title: name, icon: baseCoffeeIcon() })
+    const marker = L.marker([lat, lon], { title: name, icon: baseCoffeeIcon(p) })
       .bindPopup(popup)
       .addTo(coffeeLayer);
     if (animate) {
@@ -644,6 +1284,101 @@ async function renderCoffeeMarkers(points, animate = false) {
   });
 }
 
+function renderKindMarkers(kind, points, animate = false) {
+  const state = optionalKindState[kind];
+  state.layer.clearLayers();
+  points.forEach((p, idx) => {
+    const lat = p.lat || p.center?.lat;
+    const lon = p.lon || p.center?.lon;
+    if (typeof lat !== 'number' || typeof lon !== 'number') return;
+    const name = poiLabel(p, kind);
+    const popup = document.createElement('div');
+    const title = document.createElement('b');
+    title.textContent = name;
+    popup.appendChild(title);
+    const subtypeLine = document.createElement('div');
+    subtypeLine.textContent = POI_KINDS[kind].subtype(p.tags);
+    popup.appendChild(subtypeLine);
+    const positionLine = document.createElement('div');
+    positionLine.textContent = [
+      Number.isFinite(p._alongKm) ? `km ${formatKm(p._alongKm)}` : null,
+      Number.isFinite(p._distanceM) ? `${Math.round(p._distanceM)} m off route` : null
+    ].filter(Boolean).join(' · ');
+    if (positionLine.textContent) popup.appendChild(positionLine);
+    if (p.tags?.opening_hours) {
+      const hoursLine = document.createElement('div');
+      hoursLine.textContent = `Hours: ${p.tags.opening_hours}`;
+      popup.appendChild(hoursLine);
+    }
+    const arrival = arrivalLine(p);
+    if (arrival) popup.appendChild(arrival);
+    const mapsLink = document.createElement('a');
+    mapsLink.href = `https://www.google.com/maps/search/?api=1&query=${lat.toFixed(5)},${lon.toFixed(5)}`;
+    mapsLink.target = '_blank';
+    mapsLink.rel = 'noopener';
+    mapsLink.textContent = `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+    popup.appendChild(mapsLink);
+    const marker = L.marker([lat, lon], { title: name, icon: state.icon(p) })
+      .bindPopup(popup)
+      .addTo(state.layer);
+    if (animate) {
+      marker.on('add', () => {
+        requestAnimationFrame(() => {
+          const el = marker.getElement();
+          if (el) {
+            el.classList.add('drop-anim');
+            el.style.animationDelay = `${Math.min(idx * 15, 600)}ms`;
+          }
+        });
+      });
+    }
+  });
+}
+
+/** Re-filter one optional kind against the route at the current radius. */
+function updateKindNearPoints(kind, routeFC, animate = false) {
+  const state = optionalKindState[kind];
+  if (!state.found) return;
+  state.near = sortPointsAlongRoute(filterPointsNearRoute(routeFC, state.found, selectedRadiusMeters, currentRouteIndex));
+  renderKindMarkers(kind, planPoints(state.near), animate);
+  if (kind === 'resupply') renderResupplyStretch(planPoints(state.near));
+}
+
+/**
+ * Fetch every enabled optional kind that has not been fetched for this route.
+ * Kinds run one after another, like the server's analysis, so enabling all
+ * three does not triple the load on Overpass at once.
+ */
+async function loadEnabledKinds() {
+  if (!routeLayer) return;
+  const routeFC = currentRouteAsFeatureCollection();
+  const routeIndex = currentRouteIndex;
+  const bbox = computeBBoxFromGeoJSON(routeFC);
+  for (const { kind, label } of OPTIONAL_KINDS) {
+    const state = optionalKindState[kind];
+    if (!enabledKinds.has(kind) || state.found) continue;
+    const name = label.toLowerCase();
+    setStatus(`Querying Overpass for ${name} …`);
+    const results = await fetchOSMKindPointsAdaptive(kind, bbox, (done) => {
+      setStatus(`Querying Overpass for ${name} … (${done})`);
+    }, { minSpan: 0.01, initialBackoffMs: 500, maxBackoffMs: 4000 });
+    // A reset or new file while this was in flight makes the answer stale.
+    if (routeIndex !== currentRouteIndex) return;
+    state.found = results || [];
+    updateKindNearPoints(kind, routeFC, true);
+    setStatus(`Found ${state.near.length} near-route ${name} (${state.found.length} total).`);
+  }
+}
+
+function clearOptionalKinds() {
+  for (const state of Object.values(optionalKindState)) {
+    state.layer.clearLayers();
+    state.found = null;
+    state.near = [];
+  }
+  renderResupplyStretch(null);
+}
+
 // Reset app state and UI
 function resetApp() {
   try {
@@ -656,6 +1391,7 @@ function resetApp() {
     }
     if (waterLayer) { waterLayer.clearLayers(); }
     if (coffeeLayer) { coffeeLayer.clearLayers(); }
+    clearOptionalKinds();
     // Reset state
     currentRouteGeoJSON = null;
     originalGpxText = '';
@@ -663,6 +1399,8 @@ function resetApp() {
     foundCoffeePoints = [];
     currentRouteFilename = 'route.gpx';
     savedRouteForFile = false;
+    showShareLink(null);
+    leaveSharedRouteUrl();
     currentRouteIndex = null;
     currentRouteKm = 0;
     downloadBtn.disabled = true;
@@ -734,6 +1472,10 @@ async function parseGpxFile(file) {
   const parser = new DOMParser();
   const xml = parser.parseFromString(text, 'application/xml');
   const geojson = toGeoJSON.gpx(xml);
+  // Dry stretches written into an enriched GPX are notes, not the route.
+  if (geojson?.features) {
+    geojson.features = geojson.features.filter(f => f.properties?.type !== DRY_STRETCH_TYPE);
+  }
   if (!geojson || !geojson.features || geojson.features.length === 0) {
     throw new Error('No features found in GPX.');
   }
@@ -760,28 +1502,37 @@ async function parseRouteFile(file) {
 
 function combineToEnrichedGpx(geojsonRoute, waterPoints, radiusMeters, routeIndex = currentRouteIndex) {
   // Only include water points close to the route per selected radius
-  const nearPoints = filterPointsNearRoute(geojsonRoute, waterPoints, radiusMeters, routeIndex);
-  const waypointFeatures = nearPoints
-    .filter(p => typeof (p.lat ?? p.center?.lat) === 'number' && typeof (p.lon ?? p.center?.lon) === 'number')
-    .map(p => {
-      const lat = p.lat ?? p.center.lat;
-      const lon = p.lon ?? p.center.lon;
-      const label = p.tags?.name || p.tags?.description || waterSubtypeLabel(p.tags) || 'Water';
-      const type = waterSubtypeLabel(p.tags) || p._type || 'water';
-      // Prefix the ride position so the waypoints are useful on a head unit,
-      // where they otherwise arrive as a row of identically named dots.
-      const name = Number.isFinite(p._alongKm) ? `km ${formatKm(p._alongKm)} — ${label}` : label;
-      return {
-        type: 'Feature',
-        properties: { name, type },
-        geometry: { type: 'Point', coordinates: [lon, lat] }
-      };
-    });
+  const nearPoints = planPoints(filterPointsNearRoute(geojsonRoute, waterPoints, radiusMeters, routeIndex));
+  // Waypoint naming lives in enrichedGpx.mjs so the command-line enricher
+  // writes the same names.
+  const waypointFeatures = nearPoints.map(p => waypointFeature(p, 'water')).filter(Boolean);
+  // Optional kinds the rider has switched on travel with the route too.
+  for (const { kind } of OPTIONAL_KINDS) {
+    if (!enabledKinds.has(kind)) continue;
+    for (const p of planPoints(optionalKindState[kind].near)) {
+      const feature = waypointFeature(p, kind);
+      if (feature) waypointFeatures.push(feature);
+    }
+  }
   const combined = {
     type: 'FeatureCollection',
     features: [...geojsonRoute.features, ...waypointFeatures]
   };
-  return requireToGpx()(combined, { creator: 'GPX Water Mapper' });
+  const gpx = requireToGpx()(combined, { creator: 'GPX Water Mapper' });
+  return insertDryStretchRoutes(gpx, dryStretchesForGpx(nearPoints, routeIndex));
+}
+
+// Dry-stretch routes follow the road to within this; a head unit needs the
+// line, not every recorded point of it.
+const DRY_STRETCH_TOLERANCE_M = 25;
+
+/** The planned dry stretches with the stretch of route each covers, for the GPX. */
+function dryStretchesForGpx(points, routeIndex) {
+  if (!routeIndex || routeIndex.isEmpty || !points.length) return [];
+  return plannedDryStretches(points).map(stretch => ({
+    ...stretch,
+    coords: simplifyLine(routeCoordsBetween(routeIndex, stretch.startKm, stretch.endKm), DRY_STRETCH_TOLERANCE_M)
+  }));
 }
 
 function download(filename, text) {
@@ -798,18 +1549,97 @@ function storageFilenameFor(file) {
   return /\.fit$/i.test(name) ? name.replace(/\.fit$/i, '.gpx') : name;
 }
 
-async function handleRouteFile(file) {
-  setError('');
-  setStatus(`Parsing ${file.name} …`);
-  const geojson = await parseRouteFile(file);
+/** Draw a freshly loaded route and reset everything derived from the previous one. */
+function showNewRoute(geojson, filename) {
   renderRoute(geojson);
   currentRouteGeoJSON = geojson;
+  clearOptionalKinds();
   // A new file is a new route: allow exactly one save for it.
-  currentRouteFilename = storageFilenameFor(file);
+  currentRouteFilename = filename;
   savedRouteForFile = false;
+  showShareLink(null);
   // Project the route once; every later radius change and export reuses this.
   currentRouteIndex = buildRouteIndex(geojson);
   currentRouteKm = currentRouteIndex.totalM / 1000;
+  // Not awaited: the route is usable flat, and water should not wait on it.
+  fillElevationFromDem(currentRouteIndex);
+}
+
+/**
+ * Give a route without elevation the server's, then redraw what depends on
+ * it if water for this route is already on screen. Water rendered later
+ * picks it up by itself.
+ */
+async function fillElevationFromDem(routeIndex) {
+  try {
+    if (!(await fillMissingElevation(routeIndex))) return;
+  } catch (e) {
+    console.warn('Elevation lookup failed', e);
+    return;
+  }
+  if (routeIndex !== currentRouteIndex) return;
+  // The index was filled in place, so both caches still match it by identity.
+  timeProfileCache = null;
+  climbsCache = null;
+  if (waterRouteIndex !== routeIndex) return;
+  renderWater(sortPointsAlongRoute(filterPointsNearRoute(currentRouteAsFeatureCollection(), foundWaterPoints, selectedRadiusMeters, routeIndex)));
+}
+
+// Share links look like /r/<22 url-safe characters>; see server/security.js.
+const SHARED_ROUTE_PATH_RE = /^\/r\/([A-Za-z0-9_-]{22})$/;
+
+/** Back to the plain page URL once the shared route is no longer on screen. */
+function leaveSharedRouteUrl() {
+  if (SHARED_ROUTE_PATH_RE.test(window.location.pathname)) history.replaceState(null, '', '/');
+}
+
+/**
+ * Open a route someone shared: its GPX and the water points found when it was
+ * saved come from the server, so there is no upload and no Overpass query for
+ * water. It is never saved again.
+ */
+async function loadSharedRoute(slug) {
+  setError('');
+  setStatus('Opening shared route …');
+  showLoading(true);
+  try {
+    const resp = await fetch(`/api/shared/${encodeURIComponent(slug)}`, { headers: { 'Accept': 'application/json' } });
+    if (resp.status === 404) throw new Error('This shared route does not exist or is no longer shared.');
+    if (!resp.ok) throw new Error(`Could not open the shared route (HTTP ${resp.status}).`);
+    const { route } = await resp.json();
+    const geojson = toGeoJSON.gpx(new DOMParser().parseFromString(route.gpxText || '', 'application/xml'));
+    if (!geojson || !geojson.features || geojson.features.length === 0) {
+      throw new Error('The shared route has no track.');
+    }
+    // Open it at the radius it was shared with, when the select offers it.
+    if (radiusSelect && route.radiusM && [...radiusSelect.options].some(o => Number(o.value) === route.radiusM)) {
+      radiusSelect.value = String(route.radiusM);
+      selectedRadiusMeters = route.radiusM;
+    }
+    originalGpxText = route.gpxText;
+    showNewRoute(geojson, route.filename || 'route.gpx');
+    savedRouteForFile = true;
+    foundWaterPoints = Array.isArray(route.waterPoints) ? route.waterPoints : [];
+    const near = sortPointsAlongRoute(filterPointsNearRoute(geojson, foundWaterPoints, selectedRadiusMeters, currentRouteIndex));
+    renderWater(near, true);
+    setStatus(`Shared route ${route.filename || ''}: ${near.length} near-route water points.`);
+    downloadBtn.disabled = false;
+    await loadEnabledKinds();
+  } catch (e) {
+    console.error(e);
+    setError(e.message || String(e));
+    setStatus('Load a GPX or FIT file to begin.');
+  } finally {
+    showLoading(false);
+  }
+}
+
+async function handleRouteFile(file) {
+  setError('');
+  setStatus(`Parsing ${file.name} …`);
+  const geojson = await parseRouteFile(file);
+  leaveSharedRouteUrl();
+  showNewRoute(geojson, storageFilenameFor(file));
   setStatus('Computing bounding box …');
   const bbox = computeBBoxFromGeoJSON(geojson);
   showLoading(true);
@@ -822,13 +1652,12 @@ async function handleRouteFile(file) {
     foundWaterPoints = results;
     // Ride order, not proximity order: this is the sequence you meet them in.
     const near = sortPointsAlongRoute(filterPointsNearRoute(geojson, results, selectedRadiusMeters, currentRouteIndex));
-    renderWaterMarkers(near, true);
-    renderSummary(near);
-    renderProfile(near);
+    renderWater(near, true);
     setStatus(`Found ${near.length} near-route water points (${results.length} total).`);
     downloadBtn.disabled = false;
     // Save once, after the route is on screen, and never block rendering on it.
     saveRoute(near);
+    await loadEnabledKinds();
   } catch (e) {
     console.error(e);
     setError(e.message || String(e));
@@ -868,6 +1697,50 @@ setStatus('Load a GPX or FIT file to begin.');
 console.log('-- Ensuring loading overlay is hidden on initial load until a file is processed');
 showLoading(false);
 
+refreshAccount();
+
+const sharedRouteMatch = SHARED_ROUTE_PATH_RE.exec(window.location.pathname);
+if (sharedRouteMatch) loadSharedRoute(sharedRouteMatch[1]);
+
+// The route index the water on screen was rendered for.
+let waterRouteIndex = null;
+
+/** Water markers, summary and profile for near-route water under the ride plan. */
+function renderWater(near, animate = false) {
+  waterRouteIndex = currentRouteIndex;
+  const shown = markClimbFootPoints(planPoints(near), currentClimbs());
+  renderWaterMarkers(shown, animate);
+  renderSummary(shown);
+  renderProfile(shown);
+}
+
+/**
+ * Re-filter everything already fetched against the current radius and ride
+ * plan, without going back to Overpass.
+ * @returns {string[]} per-kind "shown/total" notes for the status line
+ */
+function refreshNearPoints(animate = false) {
+  const routeFC = currentRouteAsFeatureCollection();
+  const msgs = [];
+  if (foundWaterPoints.length) {
+    const nearW = sortPointsAlongRoute(filterPointsNearRoute(routeFC, foundWaterPoints, selectedRadiusMeters, currentRouteIndex));
+    renderWater(nearW, animate);
+    msgs.push(`water ${nearW.length}/${foundWaterPoints.length}`);
+  }
+  if (foundCoffeePoints.length) {
+    const nearC = rankCoffeePoints(filterPointsNearRoute(routeFC, foundCoffeePoints, selectedRadiusMeters, currentRouteIndex));
+    renderCoffeeMarkers(planPoints(nearC), animate);
+    msgs.push(`coffee ${nearC.length}/${foundCoffeePoints.length}`);
+  }
+  for (const { kind, label } of OPTIONAL_KINDS) {
+    const state = optionalKindState[kind];
+    if (!state.found) continue;
+    updateKindNearPoints(kind, routeFC, animate);
+    msgs.push(`${label.toLowerCase()} ${state.near.length}/${state.found.length}`);
+  }
+  return msgs;
+}
+
 // React to radius changes: re-filter and animate markers
 if (radiusSelect) {
   radiusSelect.addEventListener('change', () => {
@@ -877,20 +1750,7 @@ if (radiusSelect) {
     setStatus(`Updating results for ${selectedRadiusMeters} m …`);
     showLoading(true);
     try {
-      const routeFC = currentRouteAsFeatureCollection();
-      const msgs = [];
-      if (foundWaterPoints.length) {
-        const nearW = sortPointsAlongRoute(filterPointsNearRoute(routeFC, foundWaterPoints, selectedRadiusMeters, currentRouteIndex));
-        renderWaterMarkers(nearW, true);
-        renderSummary(nearW);
-        renderProfile(nearW);
-        msgs.push(`water ${nearW.length}/${foundWaterPoints.length}`);
-      }
-      if (foundCoffeePoints.length) {
-        const nearC = rankCoffeePoints(filterPointsNearRoute(routeFC, foundCoffeePoints, selectedRadiusMeters, currentRouteIndex));
-        renderCoffeeMarkers(nearC, true);
-        msgs.push(`coffee ${nearC.length}/${foundCoffeePoints.length}`);
-      }
+      const msgs = refreshNearPoints(true);
       if (msgs.length) setStatus(`Updated results for ${selectedRadiusMeters} m — ${msgs.join(', ')}`);
     } catch (e) {
       console.error(e);
@@ -901,6 +1761,55 @@ if (radiusSelect) {
   });
 }
 
+// Ride plan changes re-mark what is already on the map
+readRidePlan();
+for (const input of [planStartInput, planSpeedInput, hideClosedToggle, planActivityInput, planLitresInput, planTempInput, dryThresholdSelect]) {
+  if (!input) continue;
+  input.addEventListener('change', () => {
+    readRidePlan();
+    if (!routeLayer) return;
+    try {
+      refreshNearPoints(false);
+      if (ridePlan.start) setStatus(`Marked open and closed places for ${formatEta(ridePlan.start)} at ${ridePlan.speedKmh} km/h.`);
+    } catch (e) {
+      console.error(e);
+      setError(e.message || String(e));
+    }
+  });
+}
+
+// Optional kind toggles: remembered per device, fetched on first use per route
+for (const { kind, label } of OPTIONAL_KINDS) {
+  const toggle = document.getElementById(`kindToggle-${kind}`);
+  if (!toggle) continue;
+  toggle.checked = enabledKinds.has(kind);
+  toggle.addEventListener('change', async () => {
+    const state = optionalKindState[kind];
+    if (toggle.checked) {
+      enabledKinds.add(kind);
+      state.layer.addTo(map);
+      if (kind === 'resupply' && state.found) renderResupplyStretch(planPoints(state.near));
+    } else {
+      enabledKinds.delete(kind);
+      map.removeLayer(state.layer);
+      if (kind === 'resupply') renderResupplyStretch(null);
+    }
+    try { localStorage.setItem(OPTIONAL_KINDS_PREF_KEY, JSON.stringify([...enabledKinds])); } catch (_) {}
+    if (!toggle.checked || !routeLayer || state.found) return;
+    setError('');
+    showLoading(true);
+    try {
+      await loadEnabledKinds();
+    } catch (err) {
+      console.error(err);
+      setError(`${label}: ${err.message || String(err)}`);
+      setStatus('');
+    } finally {
+      showLoading(false);
+    }
+  });
+}
+
 // Wire top nav and help modal events
 if (navNewBtn) {
   navNewBtn.addEventListener('click', (e) => {
@@ -924,7 +1833,7 @@ if (navCoffeeBtn) {
       }, { minSpan: 0.01, initialBackoffMs: 500, maxBackoffMs: 4000 });
       foundCoffeePoints = results || [];
       const near = rankCoffeePoints(filterPointsNearRoute(routeFC, foundCoffeePoints, selectedRadiusMeters, currentRouteIndex));
-      renderCoffeeMarkers(near, true);
+      renderCoffeeMarkers(planPoints(near), true);
       setStatus(`Found ${near.length} near-route coffee places (${foundCoffeePoints.length} total).`);
     } catch (err) {
       console.error(err);
@@ -0,0 +1,203 @@
+/**
+ * `water-on-route enrich`: batch version of the page's load-and-download.
+ *
+ * For each input it runs the same analysis as POST /api/analyze and writes
+ * two files next to each other in the output directory:
+ *   <name>-enriched.gpx  the original GPX with one waypoint per stop, named
+ *                        exactly as the page names them ("km 47.0 — Fountain")
+ *   <name>.json          the analysis report
+ *
+ * Overpass is queried directly, with the server's own query templates, so the
+ * tool works against a self-hosted instance via OVERPASS_URL. Responses are
+ * cached for the run, which makes overlapping event routes cheap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { QUERY_KINDS, buildQueryForKind } = require('../server/overpassQuery');
+const { OverpassCache, cacheKey } = require('../server/overpassCache');
+const { validateBbox, validateRadiusMeters, positiveInteger } = require('../server/security');
+const { collectRoutePoints, summarizeRoutePoints, parseRouteBuffer, isFitBuffer } = require('../server/analyze');
+const { insertWaypoints, featureCollectionToGpx } = require('../server/gpx');
+
+const DEFAULT_OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+
+const USAGE = `Usage: water-on-route enrich <file.gpx|file.fit>... [options]
+
+Options:
+  --radius <m>     search radius in metres (default 150)
+  --kinds <list>   comma-separated kinds: ${QUERY_KINDS.join(', ')} (default water)
+  --out <dir>      output directory (default: next to each input)
+  --overpass-url   Overpass interpreter URL (default $OVERPASS_URL or the public instance)
+  -h, --help       show this help
+`;
+
+/**
+ * Parse and validate `enrich` arguments.
+ * @param {string[]} argv arguments after the subcommand
+ * @param {object} [env] environment, for OVERPASS_URL
+ * @returns {{ok: true, value: object}|{ok: false, error: string}}
+ */
+function parseEnrichArgs(argv, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        radius: { type: 'string' },
+        kinds: { type: 'string' },
+        out: { type: 'string' },
+        'overpass-url': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { ok: true, value: { help: true } };
+  if (!positionals.length) return { ok: false, error: 'No input files given' };
+
+  const radius = validateRadiusMeters(values.radius);
+  if (!radius.ok) return { ok: false, error: radius.error };
+
+  const kinds = [...new Set((values.kinds || 'water').split(',').map((k) => k.trim()).filter(Boolean))];
+  const unknown = kinds.filter((k) => !QUERY_KINDS.includes(k));
+  if (!kinds.length || unknown.length) {
+    return { ok: false, error: `kinds must be drawn from: ${QUERY_KINDS.join(', ')}` };
+  }
+
+  return {
+    ok: true,
+    value: {
+      files: positionals,
+      radiusM: radius.value,
+      kinds,
+      outDir: values.out || null,
+      overpassUrl: values['overpass-url'] || env.OVERPASS_URL || DEFAULT_OVERPASS_URL
+    }
+  };
+}
+
+/**
+ * queryOverpass against an Overpass interpreter, with a per-run cache.
+ *
+ * Mirrors the server's proxy: the query comes from the fixed templates, the
+ * bbox is validated (an oversized one answers 400 so the caller splits), and
+ * only successful responses are cached.
+ *
+ * @param {object} options
+ * @param {string} options.overpassUrl
+ * @param {number} [options.timeoutMs]
+ * @param {Function} [options.fetchImpl] defaults to the global fetch
+ * @param {OverpassCache} [options.cache]
+ */
+function createOverpassClient({ overpassUrl, timeoutMs = 60000, fetchImpl = fetch, cache = new OverpassCache() }) {
+  return async function queryOverpass(kind, bbox) {
+    const validation = validateBbox(bbox);
+    if (!validation.ok) return { status: 400, body: validation.error };
+    const key = cacheKey(kind, validation.value);
+    const cached = cache.get(key);
+    if (cached) return { status: 200, body: cached.body };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const resp = await fetchImpl(overpassUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+          'User-Agent': 'water-on-route-cli/1.0'
+        },
+        body: 'data=' + encodeURIComponent(buildQueryForKind(kind, validation.value)),
+        signal: controller.signal
+      });
+      const body = Buffer.from(await resp.arrayBuffer());
+      if (resp.ok) cache.set(key, body, resp.headers.get('content-type') || 'text/xml');
+      return { status: resp.status, body };
+    } catch (e) {
+      return { status: e.name === 'AbortError' ? 504 : 502, body: e.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Enrich one route file and write its GPX and JSON report.
+ * @returns {Promise<{gpxPath: string, reportPath: string, report: object}>}
+ */
+async function enrichFile(file, { radiusM, kinds, outDir, queryOverpass }) {
+  const { waypointFeatures } = await import('../enrichedGpx.mjs');
+  const buffer = await fs.promises.readFile(file);
+  const geojson = await parseRouteBuffer(buffer);
+  const collected = await collectRoutePoints(geojson, { radiusM, kinds, queryOverpass });
+  const report = await summarizeRoutePoints(collected, radiusM);
+
+  // FIT files have no GPX to preserve, so they get a plain track instead.
+  const baseGpx = isFitBuffer(buffer)
+    ? featureCollectionToGpx(geojson, { creator: 'GPX Water Mapper (from FIT)' })
+    : buffer.toString('utf8');
+  const enriched = insertWaypoints(baseGpx, waypointFeatures(collected.near));
+
+  const dir = outDir || path.dirname(file);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const base = path.basename(file).replace(/\.(gpx|fit)$/i, '');
+  const gpxPath = path.join(dir, `${base}-enriched.gpx`);
+  const reportPath = path.join(dir, `${base}.json`);
+  await fs.promises.writeFile(gpxPath, enriched);
+  await fs.promises.writeFile(reportPath, JSON.stringify({ file: path.basename(file), kinds, ...report }, null, 2) + '\n');
+  return { gpxPath, reportPath, report };
+}
+
+/**
+ * Entry point for `water-on-route enrich`.
+ * @param {string[]} argv
+ * @param {{env?: object, stdout?: object, stderr?: object, fetchImpl?: Function}} [io] fetchImpl
+ *   goes to createOverpassClient, for tests
+ * @returns {Promise<number>} process exit code
+ */
+async function runEnrich(argv, { env = process.env, stdout = process.stdout, stderr = process.stderr, fetchImpl } = {}) {
+  const args = parseEnrichArgs(argv, env);
+  if (!args.ok) {
+    stderr.write(`${args.error}\n\n${USAGE}`);
+    return 2;
+  }
+  if (args.value.help) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  const { files, radiusM, kinds, outDir, overpassUrl } = args.value;
+  const queryOverpass = createOverpassClient({
+    overpassUrl,
+    timeoutMs: positiveInteger(env.OVERPASS_TIMEOUT_MS, 60000, 1000, 120000),
+    ...(fetchImpl ? { fetchImpl } : {})
+  });
+  let failures = 0;
+  // Sequential on purpose: a batch of routes should not multiply the load on
+  // Overpass, and overlapping routes then hit the cache.
+  for (const file of files) {
+    try {
+      const { gpxPath, report } = await enrichFile(file, { radiusM, kinds, outDir, queryOverpass });
+      const counts = kinds.map((k) => `${k} ${report.pointsByKind[k].length}`).join(', ');
+      const dry = report.dryStretch ? `, longest dry ${report.dryStretch.gapKm.toFixed(1)} km` : '';
+      const hungry = report.resupplyStretch ? `, longest without resupply ${report.resupplyStretch.gapKm.toFixed(1)} km` : '';
+      stdout.write(`${file}: ${report.routeKm.toFixed(1)} km, ${counts}${dry}${hungry} -> ${gpxPath}\n`);
+    } catch (e) {
+      failures++;
+      stderr.write(`${file}: ${e.message || e}\n`);
+    }
+  }
+  return failures ? 1 : 0;
+}
+
+module.exports = {
+  USAGE,
+  parseEnrichArgs,
+  createOverpassClient,
+  enrichFile,
+  runEnrich
+};
@@ -0,0 +1,78 @@
+/**
+ * Elevation for routes that came without it: drawn in a planner, exported
+ * with the heights stripped, or recorded on a device with no barometer or GPS
+ * altitude. POST /api/elevation looks the route up in the elevation model the
+ * server has on disk (see server/dem.js); a server without one answers 503
+ * and the route simply stays flat.
+ */
+
+import { applySampledElevation, elevationSamplePoints, hasElevation } from './geo.mjs';
+
+// server/dem.js's MAX_ELEVATION_POINTS and MAX_ELEVATION_TILES; longer routes
+// go in several requests.
+export const DEM_MAX_POINTS = 5000;
+export const DEM_MAX_TILES = 4;
+
+/**
+ * Consecutive runs of coordinates, each within the server's point and tile
+ * limits. Tiles are one degree square, keyed by their south-west corner.
+ * @param {Array<[number, number]>} coordinates
+ * @returns {Array<Array<[number, number]>>}
+ */
+export function elevationRequestChunks(coordinates) {
+  const chunks = [];
+  let chunk = [];
+  let tiles = new Set();
+  for (const coord of coordinates) {
+    const tile = `${Math.min(Math.floor(coord[1]), 89)},${Math.min(Math.floor(coord[0]), 179)}`;
+    if (chunk.length === DEM_MAX_POINTS || (!tiles.has(tile) && tiles.size === DEM_MAX_TILES)) {
+      chunks.push(chunk);
+      chunk = [];
+      tiles = new Set();
+    }
+    chunk.push(coord);
+    tiles.add(tile);
+  }
+  if (chunk.length) chunks.push(chunk);
+  return chunks;
+}
+
+/**
+ * Elevations for [lon, lat] pairs, null where the model has none.
+ * @param {Array<[number, number]>} coordinates
+ * @param {typeof fetch} [fetchImpl]
+ * @returns {Promise<Array<number|null>|null>} null when the server has no elevation model
+ */
+export async function fetchElevations(coordinates, fetchImpl = fetch) {
+  const elevations = [];
+  for (const chunk of elevationRequestChunks(coordinates)) {
+    const resp = await fetchImpl('/api/elevation', {
+      method: 'POST',
+      headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ coordinates: chunk })
+    });
+    if (resp.status === 503) return null;
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data.error || `HTTP ${resp.status}`);
+    elevations.push(...data.elevations);
+  }
+  return elevations;
+}
+
+/**
+ * Look up elevation for an indexed route that has none and write it into the
+ * index (see applySampledElevation). Routes that already carry elevation are
+ * left alone: a recording's own heights beat a 30 m grid.
+ *
+ * @param {object} index from buildRouteIndex
+ * @param {typeof fetch} [fetchImpl]
+ * @returns {Promise<object|null>} the index, or null when nothing changed
+ */
+export async function fillMissingElevation(index, fetchImpl = fetch) {
+  if (!index || !index.lines.length || hasElevation(index)) return null;
+  const samples = elevationSamplePoints(index, { maxPoints: DEM_MAX_POINTS });
+  if (!samples.length) return null;
+  const elevations = await fetchElevations(samples.map(({ lon, lat }) => [lon, lat]), fetchImpl);
+  if (!elevations || !applySampledElevation(index, samples, elevations)) return null;
+  return index;
+}
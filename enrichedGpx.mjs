@@ -0,0 +1,130 @@
+/**
+ * Enriched-GPX waypoints, and the dry stretches written alongside them.
+ *
+ * Shared by the page's "Download enriched GPX" and the command-line enricher,
+ * so a waypoint reads the same on a head unit whichever produced the file.
+ */
+
+import { POI_KINDS } from './osmApi.mjs';
+
+/** One decimal below 100 km, whole numbers above; nobody plans to 10 metres. */
+export function formatKm(km) {
+  if (!Number.isFinite(km)) return '—';
+  return km >= 100 ? String(Math.round(km)) : km.toFixed(1);
+}
+
+/** Moving time as "45 min" or "1 h 05 min". */
+export function formatDuration(minutes) {
+  if (!Number.isFinite(minutes)) return '—';
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded} min`;
+  return `${Math.floor(rounded / 60)} h ${String(rounded % 60).padStart(2, '0')} min`;
+}
+
+/**
+ * Display name for a POI. Water is named by what it is; businesses are more
+ * often recognised by brand or operator than by a missing name.
+ */
+export function poiLabel(p, kind = 'water') {
+  const tags = (p && p.tags) || {};
+  const named = kind === 'water'
+    ? tags.name || tags.description
+    : tags.name || tags.brand || tags.operator || tags.description;
+  const subtype = POI_KINDS[kind] ? POI_KINDS[kind].subtype(tags) : null;
+  return named || subtype || kind;
+}
+
+/**
+ * GeoJSON Point feature for one POI, or null when it cannot be placed.
+ *
+ * The ride position is prefixed to the name, because on a head unit the
+ * waypoints otherwise arrive as a row of identically named dots.
+ *
+ * @param {object} p Overpass-shaped POI, ideally carrying _alongKm
+ * @param {string} [kind] query kind, e.g. 'water'
+ * @returns {object|null}
+ */
+export function waypointFeature(p, kind = 'water') {
+  const lat = p?.lat ?? p?.center?.lat;
+  const lon = p?.lon ?? p?.center?.lon;
+  if (typeof lat !== 'number' || typeof lon !== 'number') return null;
+  const label = poiLabel(p, kind);
+  const subtype = POI_KINDS[kind] ? POI_KINDS[kind].subtype(p.tags) : null;
+  const type = subtype || p._type || kind;
+  const name = Number.isFinite(p._alongKm) ? `km ${formatKm(p._alongKm)} — ${label}` : label;
+  return {
+    type: 'Feature',
+    properties: { name, type },
+    geometry: { type: 'Point', coordinates: [lon, lat] }
+  };
+}
+
+/**
+ * Waypoint features for several kinds at once, in ride order per kind.
+ * @param {Object<string, Array<object>>} pointsByKind
+ * @returns {Array<object>}
+ */
+export function waypointFeatures(pointsByKind) {
+  const features = [];
+  for (const [kind, points] of Object.entries(pointsByKind || {})) {
+    for (const p of points || []) {
+      const feature = waypointFeature(p, kind);
+      if (feature) features.push(feature);
+    }
+  }
+  return features;
+}
+
+// The <type> of the <rte> written for each dry stretch. Parsers skip routes of
+// this type when the file is loaded again (server/gpx.js keeps a copy), so
+// the stretches never come back as part of the route.
+export const DRY_STRETCH_TYPE = 'dry stretch';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * One dry stretch as a GPX <rte> following the route, with comments a head
+ * unit shows: the route's own, and one at each end.
+ *
+ * @param {{startKm: number, endKm: number, gapKm: number, gapMinutes?: number, litres?: number,
+ *   coords: Array<[number, number]>}} stretch coords from routeCoordsBetween
+ * @returns {string} empty when there is no line to draw
+ */
+export function dryStretchRouteXml(stretch) {
+  const { startKm, endKm, gapKm, gapMinutes, litres, coords } = stretch;
+  if (!coords || coords.length < 2) return '';
+  const extras = [
+    Number.isFinite(gapMinutes) ? `about ${formatDuration(gapMinutes)}` : null,
+    litres > 0 ? `carry ${litres.toFixed(1)} L` : null
+  ].filter(Boolean);
+  const summary = `No water for ${formatKm(gapKm)} km${extras.length ? ` (${extras.join(', ')})` : ''}`;
+  const point = ([lon, lat], cmt) => `    <rtept lat="${lat.toFixed(6)}" lon="${lon.toFixed(6)}">${cmt ? `<cmt>${escapeXml(cmt)}</cmt>` : ''}</rtept>\n`;
+  const last = coords.length - 1;
+  return `  <rte>\n` +
+    `    <name>${escapeXml(`Dry km ${formatKm(startKm)}–${formatKm(endKm)}`)}</name>\n` +
+    `    <cmt>${escapeXml(summary)}</cmt>\n` +
+    `    <type>${DRY_STRETCH_TYPE}</type>\n` +
+    coords.map((c, i) => point(c, i === 0 ? summary : i === last ? `End of the dry stretch, km ${formatKm(endKm)}` : null)).join('') +
+    `  </rte>\n`;
+}
+
+/**
+ * Add a <rte> per dry stretch to a GPX document, after the waypoints and
+ * ahead of the tracks as GPX 1.1 orders them.
+ * @param {string} gpxText
+ * @param {Array<object>} stretches see dryStretchRouteXml
+ * @returns {string}
+ */
+export function insertDryStretchRoutes(gpxText, stretches) {
+  const block = (stretches || []).map(dryStretchRouteXml).join('');
+  if (!block) return gpxText;
+  const anchor = /<trk\b/.exec(gpxText) || /<\/gpx\s*>/.exec(gpxText);
+  if (!anchor) return gpxText;
+  return gpxText.slice(0, anchor.index) + block + gpxText.slice(anchor.index);
+}
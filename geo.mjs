@@ -20,6 +20,14 @@ export function lonLatToWebMercator(lon, lat) {
   return [x, y];
 }
 
+/** Inverse of lonLatToWebMercator. */
+function webMercatorToLonLat(x, y) {
+  return [
+    x / EARTH_RADIUS_M / DEG_TO_RAD,
+    (2 * Math.atan(Math.exp(y / EARTH_RADIUS_M)) - Math.PI / 2) / DEG_TO_RAD
+  ];
+}
+
 /**
  * Local scale factor of the Web Mercator projection at a projected y.
  *
@@ -103,6 +111,43 @@ export function minDistancePointToLineStringMeters(pointLonLat, lineCoordsLonLat
   return min;
 }
 
+/**
+ * Douglas-Peucker simplification: the fewest vertices that keep the line
+ * within toleranceM of the original. Ends are always kept. Works on a stack
+ * rather than recursing, since recorded tracks run to tens of thousands of
+ * points.
+ *
+ * @param {Array<[number, number]>} coords [lon, lat] (extra elements such as elevation are kept)
+ * @param {number} toleranceM
+ * @returns {Array<[number, number]>} a subset of coords, in order
+ */
+export function simplifyLine(coords, toleranceM) {
+  if (coords.length <= 2) return coords.slice();
+  const projected = coords.map(([lon, lat]) => lonLatToWebMercator(lon, lat));
+  const keep = new Uint8Array(coords.length);
+  keep[0] = 1;
+  keep[coords.length - 1] = 1;
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    const [ax, ay] = projected[first];
+    const [bx, by] = projected[last];
+    let farthest = -1;
+    let maxDist = toleranceM;
+    for (let i = first + 1; i < last; i++) {
+      const d = projectedPointToSegmentMeters(projected[i][0], projected[i][1], ax, ay, bx, by);
+      if (d > maxDist) {
+        maxDist = d;
+        farthest = i;
+      }
+    }
+    if (farthest < 0) continue;
+    keep[farthest] = 1;
+    stack.push([first, farthest], [farthest, last]);
+  }
+  return coords.filter((_, i) => keep[i]);
+}
+
 /** Pull every LineString/MultiLineString coordinate array out of a GeoJSON value. */
 export function extractRouteLineStrings(geojson) {
   const lines = [];
@@ -175,7 +220,9 @@ export function buildRouteIndex(geojsonRoute) {
     lines.push({
       xy,
       cum,
-      elevation,
+      // Cleaned once here, so the profile, the timing and the climbs all see
+      // the same elevation rather than the recorder's noise.
+      elevation: cleanElevation(cum, elevation),
       startM: totalM,
       minX: lMinX, minY: lMinY, maxX: lMaxX, maxY: lMaxY
     });
@@ -279,6 +326,45 @@ export function distanceToRouteMeters(index, lonLat, maxMeters = Infinity) {
   return nearest ? nearest.distanceM : Infinity;
 }
 
+/**
+ * The route between two along-route positions, as one [lon, lat] line: the
+ * vertices in between, with the ends interpolated to the exact positions.
+ * Separate segments are joined end to end.
+ *
+ * @param {object} index from buildRouteIndex
+ * @param {number} fromKm
+ * @param {number} toKm
+ * @returns {Array<[number, number]>}
+ */
+export function routeCoordsBetween(index, fromKm, toKm) {
+  const fromM = fromKm * 1000;
+  const toM = toKm * 1000;
+  const coords = [];
+  if (!(toM > fromM)) return coords;
+  for (const { xy, cum, startM } of index?.lines || []) {
+    const last = cum.length - 1;
+    if (startM + cum[last] < fromM || startM > toM) continue;
+    const vertex = (i) => webMercatorToLonLat(xy[i * 2], xy[i * 2 + 1]);
+    const between = (i, t) => webMercatorToLonLat(
+      xy[i * 2] + (xy[i * 2 + 2] - xy[i * 2]) * t,
+      xy[i * 2 + 1] + (xy[i * 2 + 3] - xy[i * 2 + 1]) * t
+    );
+    for (let i = 0; i <= last; i++) {
+      const m = startM + cum[i];
+      if (m >= fromM && m <= toM) coords.push(vertex(i));
+      if (i === last) break;
+      const next = startM + cum[i + 1];
+      // Ends that fall part-way along this segment.
+      if (m < fromM && next > fromM) coords.push(between(i, (fromM - m) / (next - m)));
+      if (m < toM && next > toM) {
+        coords.push(between(i, (toM - m) / (next - m)));
+        break;
+      }
+    }
+  }
+  return coords;
+}
+
 /**
  * Keep the POIs within maxMeters of the route, annotating each with _distanceM.
  * @param {object|null} geojsonRoute
@@ -307,6 +393,43 @@ export function sortPointsAlongRoute(points) {
   return [...points].sort((a, b) => (a._alongKm ?? Infinity) - (b._alongKm ?? Infinity));
 }
 
+/**
+ * The gaps between consecutive stops in ride order, counting the run-in from
+ * the start and the run-out to the finish.
+ * @returns {{gaps: Array<{startKm: number, endKm: number}>, count: number}} no gaps without a length
+ */
+function gapsBetweenStops(routeKm, points) {
+  const total = Number.isFinite(routeKm) && routeKm > 0 ? routeKm : 0;
+  const marks = (points || [])
+    .map((p) => p._alongKm)
+    .filter((km) => Number.isFinite(km))
+    .sort((a, b) => a - b);
+  if (!total) return { gaps: [], count: marks.length };
+  const stops = [0, ...marks, total];
+  const gaps = [];
+  for (let i = 1; i < stops.length; i++) gaps.push({ startKm: stops[i - 1], endKm: stops[i] });
+  return { gaps, count: marks.length };
+}
+
+/**
+ * Longest gap between consecutive stops, counting the run-in from the start
+ * and the run-out to the finish.
+ *
+ * Gaps are compared by `measure(fromKm, toKm)`, distance unless the caller
+ * has a better yardstick (see longestDryStretchByTime).
+ *
+ * @returns {{gap: number, gapKm: number, startKm: number, endKm: number, count: number}}
+ */
+function longestGapBetweenStops(routeKm, points, measure = (fromKm, toKm) => toKm - fromKm) {
+  const { gaps, count } = gapsBetweenStops(routeKm, points);
+  let best = { gap: 0, startKm: 0, endKm: 0 };
+  gaps.forEach(({ startKm, endKm }, i) => {
+    const gap = measure(startKm, endKm);
+    if (i === 0 || gap > best.gap) best = { gap, startKm, endKm };
+  });
+  return { ...best, gapKm: best.endKm - best.startKm, count };
+}
+
 /**
  * The longest stretch of route with no water, including the run-in from the
  * start and the run-out to the finish.
@@ -319,36 +442,360 @@ export function sortPointsAlongRoute(points) {
  * @returns {{gapKm: number, startKm: number, endKm: number, count: number}}
  */
 export function longestDryStretch(routeKm, points) {
-  const total = Number.isFinite(routeKm) && routeKm > 0 ? routeKm : 0;
-  const marks = (points || [])
-    .map((p) => p._alongKm)
-    .filter((km) => Number.isFinite(km))
-    .sort((a, b) => a - b);
+  const { gap, ...stretch } = longestGapBetweenStops(routeKm, points);
+  return stretch;
+}
+
+/**
+ * The longest stretch with nowhere to buy food: the bikepacking counterpart
+ * of longestDryStretch, measured the same way over resupply points.
+ *
+ * @param {number} routeKm total route length
+ * @param {Array<{_alongKm: number}>} points resupply points carrying _alongKm
+ * @returns {{gapKm: number, startKm: number, endKm: number, count: number}}
+ */
+export function longestStretchWithoutResupply(routeKm, points) {
+  const { gap, ...stretch } = longestGapBetweenStops(routeKm, points);
+  return stretch;
+}
+
+/**
+ * Every stretch with no water of at least thresholdKm, in ride order. One
+ * 38 km gap and three of them are different days; longestDryStretch cannot
+ * tell them apart.
+ *
+ * @param {number} routeKm total route length
+ * @param {Array<{_alongKm: number}>} points water points carrying _alongKm
+ * @param {number} thresholdKm
+ * @returns {Array<{gapKm: number, startKm: number, endKm: number}>}
+ */
+export function dryStretches(routeKm, points, thresholdKm) {
+  return gapsBetweenStops(routeKm, points).gaps
+    .map(({ startKm, endKm }) => ({ gapKm: endKm - startKm, startKm, endKm }))
+    .filter(({ gapKm }) => gapKm > 0 && gapKm >= thresholdKm);
+}
+
+/** Flat-ground speeds the time model starts from, in km/h. */
+export const ACTIVITY_SPEEDS_KMH = Object.freeze({ bike: 20, foot: 5 });
+
+// Grades are measured over at least this much track: GPS and barometric
+// elevation jitter by a metre or two, which over a 10 m segment reads as a
+// 20% wall.
+const GRADE_WINDOW_M = 100;
+const MAX_GRADE = 0.3;
+
+/**
+ * Moving speed on a grade, scaled from the flat-ground speed.
+ *
+ * On foot this is Tobler's hiking function, normalised so flat ground gives
+ * flatKmh. On a bike, climbing speed falls off roughly as power over weight
+ * allows (6% about halves it) and descending speed rises until braking caps
+ * it at twice the flat speed.
+ *
+ * @param {number} grade rise over run, e.g. 0.06 for 6%
+ * @param {'bike'|'foot'} [activity]
+ * @param {number} [flatKmh]
+ * @returns {number} km/h
+ */
+export function gradeAdjustedSpeedKmh(grade, activity = 'bike', flatKmh = ACTIVITY_SPEEDS_KMH[activity]) {
+  const g = Math.max(-MAX_GRADE, Math.min(MAX_GRADE, Number.isFinite(grade) ? grade : 0));
+  if (activity === 'foot') return flatKmh * Math.exp(-3.5 * (Math.abs(g + 0.05) - 0.05));
+  if (g >= 0) return flatKmh / (1 + 18 * g);
+  return Math.min(flatKmh * 2, flatKmh * (1 - 6 * g));
+}
+
+/**
+ * Cumulative moving time along the route, for measuring stretches in time
+ * rather than distance: a 25 km climb takes three times as long as the same
+ * 25 km back down.
+ *
+ * Uses the elevation buildRouteIndex keeps. Without any, every grade is flat
+ * and time is plain distance over speed.
+ *
+ * @param {object} index from buildRouteIndex
+ * @param {{activity?: 'bike'|'foot', flatKmh?: number}} [options]
+ * @returns {{km: number[], minutes: number[], totalMinutes: number, hasElevation: boolean}}
+ *   breakpoints in along-route km, for minutesAtKm
+ */
+export function buildTimeProfile(index, { activity = 'bike', flatKmh = ACTIVITY_SPEEDS_KMH[activity] } = {}) {
+  const km = [0];
+  const minutes = [0];
+  let total = 0;
+  let hasElevation = false;
+  for (const line of index?.lines || []) {
+    const { cum, elevation, startM } = line;
+    let from = 0;
+    for (let i = 1; i < cum.length; i++) {
+      const run = cum[i] - cum[from];
+      if (run < GRADE_WINDOW_M && i < cum.length - 1) continue;
+      const rise = elevation[i] - elevation[from];
+      if (Number.isFinite(rise)) hasElevation = true;
+      const grade = Number.isFinite(rise) && run > 0 ? rise / run : 0;
+      total += (run / 1000) / gradeAdjustedSpeedKmh(grade, activity, flatKmh) * 60;
+      km.push((startM + cum[i]) / 1000);
+      minutes.push(total);
+      from = i;
+    }
+  }
+  return { km, minutes, totalMinutes: total, hasElevation };
+}
+
+/**
+ * Moving time from the start to a point along the route, interpolated
+ * between the profile's breakpoints.
+ * @param {{km: number[], minutes: number[]}} profile from buildTimeProfile
+ * @param {number} alongKm
+ */
+export function minutesAtKm(profile, alongKm) {
+  const { km, minutes } = profile;
+  if (alongKm <= km[0]) return minutes[0];
+  if (alongKm >= km[km.length - 1]) return minutes[minutes.length - 1];
+  let lo = 0;
+  let hi = km.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (km[mid] <= alongKm) lo = mid;
+    else hi = mid;
+  }
+  const span = km[hi] - km[lo];
+  return minutes[lo] + (span > 0 ? (alongKm - km[lo]) / span : 0) * (minutes[hi] - minutes[lo]);
+}
+
+/**
+ * longestDryStretch measured in moving time: the stretch that takes longest
+ * to ride, which after a long climb need not be the longest in km.
+ *
+ * @param {object} profile from buildTimeProfile
+ * @param {number} routeKm total route length
+ * @param {Array<{_alongKm: number}>} points water points carrying _alongKm
+ * @returns {{gapMinutes: number, gapKm: number, startKm: number, endKm: number, count: number}}
+ */
+export function longestDryStretchByTime(profile, routeKm, points) {
+  const { gap, ...stretch } = longestGapBetweenStops(
+    routeKm, points, (fromKm, toKm) => minutesAtKm(profile, toKm) - minutesAtKm(profile, fromKm)
+  );
+  return { gapMinutes: Math.max(0, gap), ...stretch };
+}
 
-  if (!total) return { gapKm: 0, startKm: 0, endKm: 0, count: marks.length };
-  if (!marks.length) return { gapKm: total, startKm: 0, endKm: total, count: 0 };
+/**
+ * Water to carry for a stretch: the rider's own hourly rate, raised 5% per
+ * degree above 20 °C and lowered below it (to no less than 70%), rounded up
+ * to the next 0.1 L.
+ *
+ * @param {number} minutes
+ * @param {{litresPerHour: number, temperatureC: number}} options
+ * @returns {number} litres
+ */
+export function waterNeededLitres(minutes, { litresPerHour, temperatureC }) {
+  if (!(minutes > 0) || !(litresPerHour > 0)) return 0;
+  const heat = Number.isFinite(temperatureC) ? Math.max(0.7, 1 + 0.05 * (temperatureC - 20)) : 1;
+  return Math.ceil((minutes / 60) * litresPerHour * heat * 10 - 1e-9) / 10;
+}
 
-  let gapKm = marks[0];
-  let startKm = 0;
-  let endKm = marks[0];
+// A vertex further than this from the median of its neighbours, beyond what
+// MAX_GRADE allows over the distance to them, is a recording glitch (a GPS
+// fix gone astray, a barometer reset) rather than terrain.
+const SPIKE_M = 25;
+// Readings within this distance either side are averaged, weighted towards
+// the vertex itself. Planner exports with vertices further apart than this
+// come through untouched.
+const SMOOTH_HALF_WINDOW_M = 50;
+// Ascent and descent count only once elevation has moved this far from the
+// last turning point, so the jitter left after smoothing adds nothing.
+const ASCENT_HYSTERESIS_M = 5;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
 
-  for (let i = 1; i < marks.length; i++) {
-    const gap = marks[i] - marks[i - 1];
-    if (gap > gapKm) {
-      gapKm = gap;
-      startKm = marks[i - 1];
-      endKm = marks[i];
+/**
+ * Recorded elevation with spikes replaced by the local median and the rest
+ * smoothed over a short distance. Vertices without elevation stay NaN and
+ * are skipped by both steps.
+ *
+ * @param {ArrayLike<number>} cum metres along the line to each vertex
+ * @param {ArrayLike<number>} elevation metres, NaN where missing
+ * @returns {Float64Array}
+ */
+export function cleanElevation(cum, elevation) {
+  const out = Float64Array.from(elevation);
+  const idx = [];
+  for (let i = 0; i < out.length; i++) if (Number.isFinite(out[i])) idx.push(i);
+  if (idx.length < 3) return out;
+
+  const despiked = idx.map((i, k) => {
+    const lo = Math.max(0, k - 2);
+    const hi = Math.min(idx.length - 1, k + 2);
+    const local = median(idx.slice(lo, hi + 1).map((j) => elevation[j]));
+    const near = Math.max(cum[i] - cum[idx[Math.max(0, k - 1)]], cum[idx[Math.min(idx.length - 1, k + 1)]] - cum[i]);
+    return Math.abs(elevation[i] - local) > SPIKE_M + MAX_GRADE * near ? local : elevation[i];
+  });
+
+  // Triangular weights by distance. The window is kept symmetric, shrinking
+  // towards the ends, so an even grade stays exactly as it was.
+  let lo = 0;
+  let hi = 0;
+  for (let k = 0; k < idx.length; k++) {
+    const at = cum[idx[k]];
+    const half = Math.min(SMOOTH_HALF_WINDOW_M, at - cum[idx[0]], cum[idx[idx.length - 1]] - at);
+    while (cum[idx[lo]] < at - half) lo++;
+    while (hi < idx.length - 1 && cum[idx[hi + 1]] <= at + half) hi++;
+    let sum = 0;
+    let weights = 0;
+    for (let j = lo; j <= hi; j++) {
+      const d = Math.abs(cum[idx[j]] - at);
+      if (d > half) continue;
+      const w = half > 0 ? 1 - d / (2 * half) : 1;
+      sum += despiked[j] * w;
+      weights += w;
     }
+    out[idx[k]] = sum / weights;
   }
+  return out;
+}
+
+/**
+ * Total climbing and descending of an elevation series, counted with
+ * hysteresis: a change registers once it reaches thresholdM from the last
+ * point that registered, so noise a few metres high adds nothing.
+ *
+ * @param {ArrayLike<number>} elevation metres; NaN entries are skipped
+ * @param {number} [thresholdM]
+ * @returns {{ascentM: number, descentM: number}}
+ */
+export function ascentDescent(elevation, thresholdM = ASCENT_HYSTERESIS_M) {
+  let ascentM = 0;
+  let descentM = 0;
+  let ref = NaN;
+  for (const ele of elevation) {
+    if (!Number.isFinite(ele)) continue;
+    if (!Number.isFinite(ref)) {
+      ref = ele;
+    } else if (ele - ref >= thresholdM) {
+      ascentM += ele - ref;
+      ref = ele;
+    } else if (ref - ele >= thresholdM) {
+      descentM += ref - ele;
+      ref = ele;
+    }
+  }
+  return { ascentM, descentM };
+}
+
+/**
+ * Climbing, descending and elevation range of an indexed route, from the
+ * cleaned elevation buildRouteIndex keeps. Separate segments are counted
+ * apart: the jump between one's end and the next one's start is not ridden.
+ *
+ * @param {object} index from buildRouteIndex
+ * @returns {{ascentM: number, descentM: number, minEleM: number, maxEleM: number}|null}
+ *   null when the route carries no elevation
+ */
+export function elevationStats(index) {
+  let ascentM = 0;
+  let descentM = 0;
+  let minEleM = Infinity;
+  let maxEleM = -Infinity;
+  for (const line of index?.lines || []) {
+    const totals = ascentDescent(line.elevation);
+    ascentM += totals.ascentM;
+    descentM += totals.descentM;
+    for (const ele of line.elevation) {
+      if (!Number.isFinite(ele)) continue;
+      if (ele < minEleM) minEleM = ele;
+      if (ele > maxEleM) maxEleM = ele;
+    }
+  }
+  if (minEleM > maxEleM) return null;
+  return { ascentM, descentM, minEleM, maxEleM };
+}
+
+/** Whether any vertex of an indexed route carries an elevation. */
+export function hasElevation(index) {
+  return (index?.lines || []).some((line) => line.elevation.some(Number.isFinite));
+}
+
+/**
+ * Where to ask an elevation model along a route without elevation: every
+ * vertex at least spacingM after the last one taken, plus each line's ends.
+ * The spacing widens on long routes to stay near maxPoints.
+ *
+ * @param {object} index from buildRouteIndex
+ * @param {{spacingM?: number, maxPoints?: number}} [options] 30 m is the grid of
+ *   SRTM and Copernicus 1" data; closer samples only repeat the interpolation
+ * @returns {Array<{lon: number, lat: number, line: number, m: number}>} m along its line
+ */
+export function elevationSamplePoints(index, { spacingM = 30, maxPoints = 5000 } = {}) {
+  const spacing = Math.max(spacingM, (index?.totalM || 0) / maxPoints);
+  const samples = [];
+  (index?.lines || []).forEach(({ xy, cum }, line) => {
+    const last = cum.length - 1;
+    let taken = -Infinity;
+    for (let i = 0; i <= last; i++) {
+      if (cum[i] - taken < spacing && i !== last) continue;
+      const [lon, lat] = webMercatorToLonLat(xy[i * 2], xy[i * 2 + 1]);
+      samples.push({ lon, lat, line, m: cum[i] });
+      taken = cum[i];
+    }
+  });
+  return samples;
+}
+
+/**
+ * Give an indexed route the elevation looked up at elevationSamplePoints,
+ * interpolated along each line to every vertex and cleaned as
+ * buildRouteIndex cleans recorded elevation. Samples without a value (off
+ * the model, or a void in it) are skipped; a line with none keeps NaN.
+ *
+ * Changes the index in place, so anything holding it sees the new elevation;
+ * results derived from it earlier are stale.
+ *
+ * @param {object} index from buildRouteIndex
+ * @param {Array<{line: number, m: number}>} samples from elevationSamplePoints
+ * @param {Array<number|null>} elevations one per sample
+ * @returns {number} how many lines gained elevation
+ */
+export function applySampledElevation(index, samples, elevations) {
+  const known = (index?.lines || []).map(() => []);
+  samples.forEach(({ line, m }, k) => {
+    const ele = elevations[k];
+    if (known[line] && typeof ele === 'number' && Number.isFinite(ele)) known[line].push({ m, ele });
+  });
+  let filled = 0;
+  known.forEach((points, lineNo) => {
+    if (!points.length) return;
+    const line = index.lines[lineNo];
+    const elevation = new Float64Array(line.cum.length);
+    let j = 0;
+    for (let i = 0; i < line.cum.length; i++) {
+      const m = line.cum[i];
+      while (j < points.length - 1 && points[j + 1].m <= m) j++;
+      const a = points[j];
+      const b = points[Math.min(j + 1, points.length - 1)];
+      const t = b.m > a.m ? Math.min(1, Math.max(0, (m - a.m) / (b.m - a.m))) : 0;
+      elevation[i] = a.ele + (b.ele - a.ele) * t;
+    }
+    line.elevation = cleanElevation(line.cum, elevation);
+    filled++;
+  });
+  return filled;
+}
 
-  const runOut = total - marks[marks.length - 1];
-  if (runOut > gapKm) {
-    gapKm = runOut;
-    startKm = marks[marks.length - 1];
-    endKm = total;
+/** The vertices of one indexed line that have an elevation, as { km, ele }. */
+function lineElevationPoints(line) {
+  const points = [];
+  for (let i = 0; i < line.cum.length; i++) {
+    const ele = line.elevation[i];
+    if (Number.isFinite(ele)) points.push({ km: (line.startM + line.cum[i]) / 1000, ele });
   }
+  return points;
+}
 
-  return { gapKm, startKm, endKm, count: marks.length };
+/** Every vertex that has an elevation, as { km, ele } in ride order. */
+function elevationPoints(index) {
+  return (index?.lines || []).flatMap(lineElevationPoints);
 }
 
 /**
@@ -358,14 +805,7 @@ export function longestDryStretch(routeKm, points) {
  * @param {number} [samples] target number of points
  */
 export function elevationProfile(index, samples = 240) {
-  if (!index || index.isEmpty) return [];
-  const all = [];
-  for (const line of index.lines) {
-    for (let i = 0; i < line.cum.length; i++) {
-      const ele = line.elevation[i];
-      if (Number.isFinite(ele)) all.push({ km: (line.startM + line.cum[i]) / 1000, ele });
-    }
-  }
+  const all = elevationPoints(index);
   if (all.length < 2) return [];
   if (all.length <= samples) return all;
   // Even stride keeps the shape without shipping thousands of points to the DOM.
@@ -376,6 +816,155 @@ export function elevationProfile(index, samples = 240) {
   return out;
 }
 
+/**
+ * Climb categories by score, hardest first. The score is length in metres
+ * times average grade in percent, the scale Strava uses: 2 km at 4% is a
+ * category 4, 10 km at 8% is HC.
+ */
+export const CLIMB_CATEGORIES = Object.freeze([
+  { category: 'HC', minScore: 80000 },
+  { category: '1', minScore: 64000 },
+  { category: '2', minScore: 32000 },
+  { category: '3', minScore: 16000 },
+  { category: '4', minScore: 8000 }
+]);
+
+// Categories worth planning water around; a category 3 or 4 is over before
+// a bottle runs low.
+const MAJOR_CLIMB_CATEGORIES = new Set(['HC', '1', '2']);
+
+// Climbs are measured on elevation resampled every CLIMB_STEP_M, the same
+// window buildTimeProfile takes grades over.
+const CLIMB_STEP_M = 100;
+const MIN_CLIMB_GRADE = 0.03;
+// Flat run-ins and summit plateaus are trimmed off while the next few hundred
+// metres average less than this; a single 100 m step is too noisy to judge.
+const CLIMB_EDGE_GRADE = 0.02;
+const CLIMB_EDGE_STEPS = 3;
+
+/**
+ * Category of an ascent, or null when it is too small to have one.
+ * @param {number} lengthM
+ * @param {number} avgGrade rise over run
+ * @returns {string|null} 'HC', '1' … '4'
+ */
+export function climbCategory(lengthM, avgGrade) {
+  if (!(avgGrade >= MIN_CLIMB_GRADE)) return null;
+  const score = lengthM * avgGrade * 100;
+  const found = CLIMB_CATEGORIES.find((c) => score >= c.minScore);
+  return found ? found.category : null;
+}
+
+export function isMajorClimb(climb) {
+  return !!climb && MAJOR_CLIMB_CATEGORIES.has(climb.category);
+}
+
+/** Elevation every `step` metres along the route, interpolated between vertices. */
+function resampleElevation(points, stepM) {
+  const out = [];
+  const first = points[0].km * 1000;
+  const last = points[points.length - 1].km * 1000;
+  let j = 0;
+  for (let k = 0; first + k * stepM <= last + 1e-6; k++) {
+    const m = first + k * stepM;
+    while (j < points.length - 2 && points[j + 1].km * 1000 < m) j++;
+    const a = points[j];
+    const b = points[j + 1];
+    const span = (b.km - a.km) * 1000;
+    const t = span > 0 ? Math.min(1, Math.max(0, (m - a.km * 1000) / span)) : 0;
+    out.push({ m, ele: a.ele + (b.ele - a.ele) * t });
+  }
+  if (out[out.length - 1].m < last) out.push({ m: last, ele: points[points.length - 1].ele });
+  return out;
+}
+
+/**
+ * The categorised climbs of a route, in ride order.
+ *
+ * A climb runs from a low point to the highest point reached before the road
+ * drops by more than a tenth of the gain so far (at least 10 m), so a short
+ * dip on the way up does not split it in two. Flat run-ins and summit
+ * plateaus are trimmed so the average grade describes the climbing. Each
+ * line is searched on its own, as elevationStats counts them: the step from
+ * one line's end to the next one's start is not ridden.
+ *
+ * @param {object} index from buildRouteIndex
+ * @returns {Array<{startKm: number, endKm: number, lengthKm: number, gainM: number,
+ *   avgGrade: number, maxGrade: number, startEle: number, topEle: number, category: string}>}
+ *   grades are rise over run; maxGrade is the steepest 100 m
+ */
+export function detectClimbs(index) {
+  return (index?.lines || []).flatMap((line) => {
+    const points = lineElevationPoints(line);
+    return points.length < 2 ? [] : climbsAlong(resampleElevation(points, CLIMB_STEP_M));
+  });
+}
+
+/** detectClimbs on one line's resampled elevation. */
+function climbsAlong(samples) {
+  const climbs = [];
+  const grade = (i, j = i + 1) => (samples[j].ele - samples[i].ele) / (samples[j].m - samples[i].m || 1);
+
+  const finish = (start, top) => {
+    while (start < top && grade(start, Math.min(top, start + CLIMB_EDGE_STEPS)) < CLIMB_EDGE_GRADE) start++;
+    while (top > start && grade(Math.max(start, top - CLIMB_EDGE_STEPS), top) < CLIMB_EDGE_GRADE) top--;
+    const lengthM = samples[top].m - samples[start].m;
+    const gainM = samples[top].ele - samples[start].ele;
+    if (!(lengthM > 0)) return;
+    const category = climbCategory(lengthM, gainM / lengthM);
+    if (!category) return;
+    let maxGrade = 0;
+    for (let i = start; i < top; i++) maxGrade = Math.max(maxGrade, grade(i));
+    climbs.push({
+      startKm: samples[start].m / 1000,
+      endKm: samples[top].m / 1000,
+      lengthKm: lengthM / 1000,
+      gainM,
+      avgGrade: gainM / lengthM,
+      maxGrade,
+      startEle: samples[start].ele,
+      topEle: samples[top].ele,
+      category
+    });
+  };
+
+  let start = 0;
+  let top = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const ele = samples[i].ele;
+    if (ele >= samples[top].ele) {
+      top = i;
+    } else if (samples[top].ele - ele > Math.max(10, 0.1 * (samples[top].ele - samples[start].ele))) {
+      finish(start, top);
+      start = top = i;
+    }
+    // Still going down: the climb, if any, starts lower.
+    if (ele < samples[start].ele) start = top = i;
+  }
+  finish(start, top);
+  return climbs;
+}
+
+/**
+ * Mark the water points that sit at the foot of a major climb, where riders
+ * want to fill up: from footKm before its start to a few hundred metres in.
+ * Returns copies, carrying `_climbAhead` (the climb) where it applies.
+ *
+ * @param {Array<{_alongKm: number}>} points
+ * @param {Array<object>} climbs from detectClimbs
+ * @param {{footKm?: number, intoKm?: number}} [options]
+ */
+export function markClimbFootPoints(points, climbs, { footKm = 2, intoKm = 0.5 } = {}) {
+  const major = (climbs || []).filter(isMajorClimb);
+  return (points || []).map((p) => {
+    const at = p._alongKm;
+    const climb = Number.isFinite(at)
+      ? major.find((c) => at >= c.startKm - footKm && at <= c.startKm + intoKm)
+      : null;
+    return climb ? { ...p, _climbAhead: climb } : { ...p };
+  });
+}
+
 /** Axis-aligned bounds of any GeoJSON value, in Overpass key order. */
 export function computeBBoxFromGeoJSON(geojson) {
   let minLat = 90, maxLat = -90, minLon = 180, maxLon = -180;
@@ -0,0 +1,94 @@
+/**
+ * "My routes": the routes this browser saved, and the owner tokens that let it
+ * manage them.
+ *
+ * Uploads are anonymous, so the owner token POST /api/routes returns is the
+ * only proof of who saved a route. It lives in localStorage next to the route
+ * id; clearing site data gives up control of those routes (the admin can
+ * still delete them).
+ *
+ * Routes saved while signed in can also be managed through the session (see
+ * ./account.mjs). Those entries come from the server rather than from
+ * localStorage, carry the session's csrfToken instead of an owner token, and
+ * are never stored here.
+ */
+
+export const MY_ROUTES_KEY = 'wor.myRoutes';
+
+/**
+ * Saved routes, newest first. Entries that do not look right are dropped.
+ * @param {Storage} [storage]
+ * @returns {Array<{id: number, token: string, filename: string, savedAt: string}>}
+ */
+export function loadMyRoutes(storage = globalThis.localStorage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(MY_ROUTES_KEY) || '[]');
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter((r) => r && Number.isInteger(r.id) && typeof r.token === 'string');
+  } catch (_) {
+    // Private mode or a corrupted value: behave as if nothing was saved.
+    return [];
+  }
+}
+
+function storeMyRoutes(routes, storage) {
+  try {
+    storage.setItem(MY_ROUTES_KEY, JSON.stringify(routes));
+  } catch (_) { /* quota or private mode; the route itself is saved either way */ }
+}
+
+/** Remember a route this browser just saved. */
+export function rememberRoute({ id, token, filename }, storage = globalThis.localStorage) {
+  const routes = loadMyRoutes(storage).filter((r) => r.id !== id);
+  routes.unshift({ id, token, filename, savedAt: new Date().toISOString() });
+  storeMyRoutes(routes, storage);
+  return routes;
+}
+
+/** Stop tracking a route: deleted, or no longer on the server. */
+export function forgetRoute(id, storage = globalThis.localStorage) {
+  const routes = loadMyRoutes(storage).filter((r) => r.id !== id);
+  storeMyRoutes(routes, storage);
+  return routes;
+}
+
+function ownerHeaders(entry) {
+  if (entry.token) return { 'Authorization': `Bearer ${entry.token}` };
+  return entry.csrfToken ? { 'X-CSRF-Token': entry.csrfToken } : {};
+}
+
+async function ownerRequest(entry, method, body, fetchImpl) {
+  const resp = await fetchImpl(`/api/my/routes/${entry.id}`, {
+    method,
+    headers: {
+      'Accept': 'application/json',
+      ...ownerHeaders(entry),
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+  // 404 means gone (or not ours any more): the caller forgets it.
+  if (resp.status === 404) return null;
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return resp.json();
+}
+
+/**
+ * The server's view of one saved route, or null when it no longer exists.
+ * @returns {Promise<{id: number, filename: string, routeKm: number|null, uploadedAt: string, shareUrl: string|null}|null>}
+ */
+export async function fetchMyRoute(entry, fetchImpl = fetch) {
+  const data = await ownerRequest(entry, 'GET', null, fetchImpl);
+  return data && data.route;
+}
+
+/** Rename and/or share or unshare; resolves to the updated route, or null when gone. */
+export async function updateMyRoute(entry, changes, fetchImpl = fetch) {
+  const data = await ownerRequest(entry, 'PATCH', changes, fetchImpl);
+  return data && data.route;
+}
+
+/** Delete from the server; true when deleted, false when it was already gone. */
+export async function deleteMyRoute(entry, fetchImpl = fetch) {
+  return !!(await ownerRequest(entry, 'DELETE', null, fetchImpl));
+}
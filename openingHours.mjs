@@ -0,0 +1,195 @@
+/**
+ * OSM opening_hours evaluation, for "will it be open when I get there".
+ *
+ * Covers the forms that make up nearly all cafe and shop tagging:
+ *   24/7
+ *   Mo-Fr 07:00-18:00; Sa,Su 08:00-14:00
+ *   Mo-Sa 08:00-12:00,14:00-19:00; Su off
+ *   Apr-Oct Mo-Su 09:00-20:00; Nov-Mar Sa,Su 10:00-16:00
+ *   Fr,Sa 18:00-02:00            (past midnight)
+ * Later rules override earlier ones for the days they select, as in the spec.
+ * Anything outside that subset (sunrise, week numbers, comments, "+" open
+ * ends) makes the whole value unknown rather than guessed: a rider told a
+ * shop is open when it is not is worse off than one told "check".
+ *
+ * Public and school holidays (PH, SH) cannot be known here, so rules that
+ * select only holidays are ignored and the regular week applies.
+ */
+
+const DAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const HOLIDAYS = ['PH', 'SH'];
+const DAY_MINUTES = 24 * 60;
+
+const TIME_RE = /^(\d{1,2}):(\d{2})$/;
+
+function parseTime(text) {
+  const m = TIME_RE.exec(text);
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return Number(m[2]) < 60 && minutes <= 2 * DAY_MINUTES ? minutes : null;
+}
+
+/** "Mo-Fr" / "Nov-Feb" into the set of indices it covers, wrapping if needed. */
+function expandRange(text, names) {
+  const [from, to = from] = text.split('-');
+  const start = names.indexOf(from);
+  const end = names.indexOf(to);
+  if (start < 0 || end < 0) return null;
+  const out = [];
+  for (let i = start; ; i = (i + 1) % names.length) {
+    out.push(i);
+    if (i === end) break;
+  }
+  return out;
+}
+
+/** Comma list of ranges, e.g. "Mo-Fr,Su"; null when a part is not a name. */
+function parseSelector(text, names, ignored = []) {
+  const set = new Set();
+  for (const part of text.split(',')) {
+    if (ignored.includes(part)) continue;
+    const range = expandRange(part, names);
+    if (!range) return null;
+    range.forEach((i) => set.add(i));
+  }
+  return set;
+}
+
+function looksLike(token, names, extra = []) {
+  return token.split(/[-,]/).every((t) => names.includes(t) || extra.includes(t));
+}
+
+/**
+ * One rule ("Mo-Fr 08:00-18:00") into { months, days, spans }, where null
+ * months/days select everything and spans are [start, end) minutes from
+ * midnight, end possibly past 24:00. Returns undefined for a holiday-only
+ * rule and null for anything not understood.
+ */
+function parseRule(text) {
+  const tokens = text
+    .replace(/\s*,\s*/g, ',')
+    .replace(/:\s+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const rule = { months: null, days: null, spans: null };
+
+  if (tokens.length && looksLike(tokens[0].replace(/:$/, ''), MONTHS)) {
+    rule.months = parseSelector(tokens.shift().replace(/:$/, ''), MONTHS);
+    if (!rule.months) return null;
+  }
+  if (tokens.length && looksLike(tokens[0], DAYS, HOLIDAYS)) {
+    rule.days = parseSelector(tokens.shift(), DAYS, HOLIDAYS);
+    if (!rule.days) return null;
+    if (!rule.days.size) return undefined;
+  }
+
+  if (!tokens.length) {
+    rule.spans = [[0, DAY_MINUTES]];
+    return rule;
+  }
+  if (tokens.length !== 1) return null;
+  const [what] = tokens;
+  if (what === 'off' || what === 'closed') {
+    rule.spans = [];
+    return rule;
+  }
+  if (what === 'open' || what === '24/7') {
+    rule.spans = [[0, DAY_MINUTES]];
+    return rule;
+  }
+  rule.spans = [];
+  for (const span of what.split(',')) {
+    const [from, to] = span.split('-');
+    const start = parseTime(from);
+    let end = parseTime(to ?? '');
+    if (start == null || end == null || start >= DAY_MINUTES) return null;
+    if (end <= start) end += DAY_MINUTES;
+    rule.spans.push([start, end]);
+  }
+  return rule;
+}
+
+/**
+ * Parse an opening_hours value.
+ * @param {string} text
+ * @returns {Array<object>|null} rules in order, or null when not understood
+ */
+export function parseOpeningHours(text) {
+  if (typeof text !== 'string') return null;
+  const value = text.trim();
+  if (!value || /["|+]|sunrise|sunset|dawn|dusk|week|unknown/.test(value)) return null;
+  const rules = [];
+  for (const part of value.split(';')) {
+    if (!part.trim()) continue;
+    const rule = parseRule(part);
+    if (rule === null) return null;
+    if (rule) rules.push(rule);
+  }
+  return rules.length ? rules : null;
+}
+
+/** The last rule that selects this month and weekday, which is the one in force. */
+function ruleFor(rules, month, day) {
+  let found = null;
+  for (const rule of rules) {
+    if (rule.months && !rule.months.has(month)) continue;
+    if (rule.days && !rule.days.has(day)) continue;
+    found = rule;
+  }
+  return found;
+}
+
+/**
+ * Whether a place is open at a moment, in the local time of that Date.
+ *
+ * @param {string} openingHours OSM opening_hours value
+ * @param {Date} date
+ * @returns {boolean|null} null when the value is missing or not understood
+ */
+export function isOpenAt(openingHours, date) {
+  const rules = parseOpeningHours(openingHours);
+  if (!rules || !(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = (date.getDay() + 6) % 7;
+  const today = ruleFor(rules, date.getMonth(), day);
+  if (today && today.spans.some(([start, end]) => minutes >= start && minutes < end)) return true;
+
+  // Yesterday's late spans run on past midnight into today.
+  const yesterdayDate = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  const yesterday = ruleFor(rules, yesterdayDate.getMonth(), (day + 6) % 7);
+  if (yesterday && yesterday.spans.some(([, end]) => minutes + DAY_MINUTES < end)) return true;
+  return false;
+}
+
+/**
+ * When a rider reaches a point, riding at a steady average speed.
+ *
+ * @param {Date} start departure time
+ * @param {number} alongKm distance from the start
+ * @param {number} speedKmh average moving speed, stops included
+ * @returns {Date|null}
+ */
+export function arrivalTime(start, alongKm, speedKmh) {
+  if (!(start instanceof Date) || Number.isNaN(start.getTime())) return null;
+  if (!Number.isFinite(alongKm) || !Number.isFinite(speedKmh) || speedKmh <= 0) return null;
+  return new Date(start.getTime() + (alongKm / speedKmh) * 3600 * 1000);
+}
+
+/**
+ * 'open', 'closed' or 'unknown' for a POI carrying _alongKm, at the time the
+ * rider gets there.
+ *
+ * @param {object} p Overpass-shaped POI
+ * @param {Date} start departure time
+ * @param {number} speedKmh average speed
+ */
+export function openStateAtArrival(p, start, speedKmh) {
+  const eta = arrivalTime(start, p?._alongKm, speedKmh);
+  if (!eta) return 'unknown';
+  const open = isOpenAt(p?.tags?.opening_hours, eta);
+  if (open === null) return 'unknown';
+  return open ? 'open' : 'closed';
+}
@@ -105,6 +105,88 @@ export function isCoffeeTags(tags) {
   return false;
 }
 
+/** Toilets open to riders. access=private/no/customers-only are left out. */
+export function isToiletsTags(tags) {
+  if (!tags || typeof tags !== 'object') return false;
+  if (tags.amenity !== 'toilets') return false;
+  return !['private', 'no', 'customers'].includes(tags.access);
+}
+
+/** Bicycle shops. */
+export function isBikeShopTags(tags) {
+  if (!tags || typeof tags !== 'object') return false;
+  return tags.shop === 'bicycle';
+}
+
+/** Self-service bicycle repair stations. */
+export function isRepairStationTags(tags) {
+  if (!tags || typeof tags !== 'object') return false;
+  return tags.amenity === 'bicycle_repair_station';
+}
+
+const RESUPPLY_SHOPS = new Set(['convenience', 'supermarket', 'bakery']);
+const RESUPPLY_VENDING_RE = /food|drinks|water|sweets|snacks|bread|sandwiches/;
+
+/**
+ * Somewhere to buy food: convenience stores, supermarkets, bakeries, fuel
+ * stations with a shop, and vending machines that sell food or drink.
+ */
+export function isResupplyTags(tags) {
+  if (!tags || typeof tags !== 'object') return false;
+  if (RESUPPLY_SHOPS.has(tags.shop)) return true;
+  if (tags.amenity === 'fuel') return Boolean(tags.shop) && tags.shop !== 'no';
+  if (tags.amenity === 'vending_machine') return RESUPPLY_VENDING_RE.test(tags.vending || '');
+  return false;
+}
+
+/** Short subtype label for resupply points. */
+export function resupplySubtypeLabel(tags) {
+  if (!tags) return 'resupply';
+  if (tags.amenity === 'fuel') return 'fuel station shop';
+  if (tags.amenity === 'vending_machine') return 'vending machine';
+  if (tags.shop === 'convenience') return 'convenience store';
+  if (tags.shop === 'supermarket') return 'supermarket';
+  if (tags.shop === 'bakery') return 'bakery';
+  return 'resupply';
+}
+
+/** Short subtype label for toilets: the detail that matters is whether it costs. */
+export function toiletsSubtypeLabel(tags) {
+  return tags?.fee === 'yes' ? 'toilets (fee)' : 'toilets';
+}
+
+/** Short subtype label for bike shops, noting when OSM says they repair. */
+export function bikeShopSubtypeLabel(tags) {
+  return tags?.['service:bicycle:repair'] === 'yes' ? 'bike shop (repairs)' : 'bike shop';
+}
+
+/** Short subtype label for repair stations, noting a pump when there is one. */
+export function repairStationSubtypeLabel(tags) {
+  const pump = tags?.['service:bicycle:pump'] === 'yes';
+  return pump ? 'repair station (pump)' : 'repair station';
+}
+
+/** Short subtype label for coffee POIs. */
+export function coffeeSubtypeLabel(tags) {
+  if (tags?.shop === 'coffee') return 'coffee shop';
+  if (tags?.amenity === 'restaurant') return 'restaurant';
+  return 'cafe';
+}
+
+/**
+ * Tag predicate and subtype label for each query kind the proxy serves, so
+ * code that handles several kinds (the command line, the analysis endpoint)
+ * does not need its own copy of the rules.
+ */
+export const POI_KINDS = Object.freeze({
+  water: Object.freeze({ accepts: isPotableWaterTags, subtype: waterSubtypeLabel }),
+  coffee: Object.freeze({ accepts: isCoffeeTags, subtype: coffeeSubtypeLabel }),
+  toilets: Object.freeze({ accepts: isToiletsTags, subtype: toiletsSubtypeLabel }),
+  bike_shop: Object.freeze({ accepts: isBikeShopTags, subtype: bikeShopSubtypeLabel }),
+  repair_station: Object.freeze({ accepts: isRepairStationTags, subtype: repairStationSubtypeLabel }),
+  resupply: Object.freeze({ accepts: isResupplyTags, subtype: resupplySubtypeLabel })
+});
+
 /**
  * Ask the proxy for one bbox worth of POIs.
  *
@@ -112,7 +194,7 @@ export function isCoffeeTags(tags) {
  * server-side so the endpoint cannot be used to run arbitrary queries.
  *
  * @param {object} bbox {minlat, minlon, maxlat, maxlon}
- * @param {'water'|'coffee'} kind
+ * @param {string} kind one of the POI_KINDS keys
  * @returns {Promise<string>} Overpass XML
  */
 export async function fetchOverpassXml(bbox, kind = 'water', timeoutMs = 30000, fetchImpl) {
@@ -288,7 +370,7 @@ function getStatusFromError(err) {
  * @param {object} bbox
  * @param {function|null} onProgress
  * @param {object} options
- * @param {'water'|'coffee'} [options.kind]
+ * @param {string} [options.kind] one of the POI_KINDS keys
  * @param {function} [options.parseXml] - XML → points (default: water parser)
  */
 export async function fetchOverpassPointsAdaptive(bbox, onProgress, options = {}) {
@@ -348,6 +430,24 @@ export async function fetchOSMCoffeePointsAdaptive(bbox, onProgress, options = {
   });
 }
 
+/**
+ * Adaptive fetch for any kind in POI_KINDS, keeping only the elements that
+ * pass that kind's tag predicate.
+ *
+ * options.parseXml, when given, replaces the DOM-based parser (the server has
+ * no DOMParser); the kind's filter is applied to whatever it returns.
+ */
+export async function fetchOSMKindPointsAdaptive(kind, bbox, onProgress, options = {}) {
+  const rules = POI_KINDS[kind];
+  if (!rules) throw new Error(`Unsupported kind: ${kind}`);
+  const parse = options.parseXml || parseOsmXmlGeneric;
+  return fetchOverpassPointsAdaptive(bbox, onProgress, {
+    ...options,
+    kind,
+    parseXml: (xml) => parse(xml).filter((p) => rules.accepts(p.tags)),
+  });
+}
+
 export function coffeeQualityBoost(p) {
   const tags = (p && p.tags) || {};
   let boost = 0;
@@ -0,0 +1,67 @@
+/**
+ * Privacy settings for saved routes, from the browser's side.
+ *
+ * Riders usually start from home. They can hide the first and last stretch of
+ * every saved track and mark zones (home, work) where no point is kept. The
+ * trimming itself happens on the server (server/gpxPrivacy.js) before
+ * anything is stored; this only remembers the choice on this device and puts
+ * it in the upload. The map and the enriched GPX download keep the full route.
+ */
+
+export const PRIVACY_KEY = 'wor.privacy';
+export const TRIM_CHOICES = [0, 200, 500, 1000, 2000];
+export const ZONE_RADII = [250, 500, 1000];
+// The server's limit (MAX_PRIVACY_ZONES in server/gpxPrivacy.js).
+export const MAX_ZONES = 10;
+
+export const NO_PRIVACY = Object.freeze({ trimMeters: 0, zones: Object.freeze([]) });
+
+function isZone(z) {
+  return z && Number.isFinite(z.lat) && Number.isFinite(z.lon) && ZONE_RADII.includes(z.radiusM);
+}
+
+/**
+ * The saved settings; anything unexpected falls back to no trimming.
+ * @param {Storage} [storage]
+ * @returns {{trimMeters: number, zones: Array<{lat: number, lon: number, radiusM: number}>}}
+ */
+export function loadPrivacySettings(storage = globalThis.localStorage) {
+  try {
+    const parsed = JSON.parse(storage.getItem(PRIVACY_KEY) || 'null');
+    if (!parsed || typeof parsed !== 'object') return NO_PRIVACY;
+    return {
+      trimMeters: TRIM_CHOICES.includes(parsed.trimMeters) ? parsed.trimMeters : 0,
+      zones: Array.isArray(parsed.zones) ? parsed.zones.filter(isZone).slice(0, MAX_ZONES) : []
+    };
+  } catch (_) {
+    // Private mode or a corrupted value.
+    return NO_PRIVACY;
+  }
+}
+
+export function savePrivacySettings(settings, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(PRIVACY_KEY, JSON.stringify(settings));
+  } catch (_) { /* quota or private mode; the setting lasts for this visit */ }
+  return settings;
+}
+
+/**
+ * A zone around a point, rounded to about a metre: the exact click position
+ * is no more useful and no less revealing. Unchanged when already at MAX_ZONES.
+ */
+export function addPrivacyZone(settings, { lat, lon, radiusM }) {
+  if (settings.zones.length >= MAX_ZONES) return settings;
+  const round = (x) => Number(x.toFixed(5));
+  return { ...settings, zones: [...settings.zones, { lat: round(lat), lon: round(lon), radiusM }] };
+}
+
+export function removePrivacyZone(settings, index) {
+  return { ...settings, zones: settings.zones.filter((_, i) => i !== index) };
+}
+
+/** The `privacy` field for POST /api/routes, or null when nothing is hidden. */
+export function privacyPayload(settings) {
+  if (!settings || (!settings.trimMeters && !settings.zones.length)) return null;
+  return { trimMeters: settings.trimMeters, zones: settings.zones.map(({ lat, lon, radiusM }) => ({ lat, lon, radiusM })) };
+}
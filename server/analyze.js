@@ -0,0 +1,164 @@
+/**
+ * Server-side route analysis.
+ *
+ * Runs the pipeline handleRouteFile runs in the browser - parse, index,
+ * adaptive Overpass fetch, near-route filter, dry stretch, elevation profile -
+ * without a browser, so routes can be checked from scripts and CI. The
+ * geometry and tag logic is the client's own (geo.mjs, osmApi.mjs), loaded
+ * as ES modules; only the two DOM-bound pieces, GPX and Overpass XML parsing,
+ * have server-side stand-ins.
+ */
+
+const { parseGpxToGeoJSON } = require('./gpx');
+const { parseOverpassXml } = require('./osmXml');
+const { loadClientModules } = require('./clientModules');
+
+/** FIT files carry ".FIT" at bytes 8-11 of their header. */
+function isFitBuffer(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 12 && buffer.toString('latin1', 8, 12) === '.FIT';
+}
+
+/**
+ * Turn an uploaded GPX or FIT body into GeoJSON.
+ * @param {Buffer} buffer
+ * @returns {Promise<object>} GeoJSON FeatureCollection
+ */
+async function parseRouteBuffer(buffer) {
+  if (isFitBuffer(buffer)) {
+    const { fit } = await loadClientModules();
+    // The browser loads the parser from a CDN; here it is a regular dependency.
+    const { default: FitParser } = await import('fit-file-parser');
+    return fit.parseFitToGeoJSON(buffer, { FitParser });
+  }
+  return parseGpxToGeoJSON(buffer.toString('utf8'));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Adapt an Overpass query function to the fetch signature
+ * fetchOverpassPointsAdaptive expects, so the client's splitter and backoff
+ * run unchanged on top of the server's proxy and cache.
+ *
+ * @param {(kind: string, bbox: object) => Promise<{status: number, body: Buffer|string}>} queryOverpass
+ */
+function overpassFetchImpl(queryOverpass) {
+  return async (_url, options) => {
+    const { bbox, kind } = JSON.parse(options.body);
+    const { status, body } = await queryOverpass(kind, bbox);
+    const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body ?? '');
+    return { ok: status >= 200 && status < 300, status, text: async () => text };
+  };
+}
+
+/**
+ * Near-route POIs of each requested kind, as Overpass-shaped objects carrying
+ * _distanceM and _alongKm, in ride order.
+ *
+ * @param {object} geojson route as GeoJSON
+ * @param {object} options
+ * @param {number} options.radiusM search radius in metres
+ * @param {Function} options.queryOverpass (kind, bbox) => { status, body }
+ * @param {string[]} [options.kinds] query kinds, default ['water']
+ * @returns {Promise<{index: object, routeKm: number, bbox: object, near: Object<string, Array>, candidates: Object<string, number>}>}
+ */
+async function collectRoutePoints(geojson, { radiusM, queryOverpass, kinds = ['water'] }) {
+  const { geo, osmApi } = await loadClientModules();
+  const index = geo.buildRouteIndex(geojson);
+  if (index.isEmpty) throw new Error('No track or route found in file.');
+
+  const bbox = geo.computeBBoxFromGeoJSON(geojson);
+  const fetchImpl = overpassFetchImpl(queryOverpass);
+  const near = {};
+  const candidates = {};
+  // One kind at a time: each already runs its own capped fan-out, and
+  // stacking them would double what this process asks of Overpass at once.
+  for (const kind of kinds) {
+    const found = await osmApi.fetchOSMKindPointsAdaptive(kind, bbox, null, {
+      minSpan: 0.01,
+      fetchImpl,
+      parseXml: parseOverpassXml
+    });
+    candidates[kind] = found.length;
+    near[kind] = geo.sortPointsAlongRoute(geo.filterPointsNearRoute(geojson, found, radiusM, index));
+  }
+  return { index, routeKm: index.totalM / 1000, bbox, near, candidates };
+}
+
+/** Rounded copy of a longest-gap result, or null when there is none. */
+function stretchSummary(stretch) {
+  return stretch && {
+    gapKm: round(stretch.gapKm, 3),
+    startKm: round(stretch.startKm, 3),
+    endKm: round(stretch.endKm, 3),
+    count: stretch.count
+  };
+}
+
+/**
+ * JSON-ready summary of collectRoutePoints output.
+ *
+ * The dry stretch is measured against water only, and the resupply stretch
+ * against resupply only; each is null when its kind was not asked for.
+ */
+async function summarizeRoutePoints({ index, routeKm, bbox, near, candidates }, radiusM) {
+  const { geo, osmApi } = await loadClientModules();
+  const pointsByKind = {};
+  for (const [kind, points] of Object.entries(near)) {
+    pointsByKind[kind] = points.map((p) => {
+      const [lon, lat] = geo.pointLonLat(p);
+      return {
+        id: p.id,
+        type: p._type,
+        lat,
+        lon,
+        name: p.tags?.name || p.tags?.description || null,
+        subtype: osmApi.POI_KINDS[kind].subtype(p.tags),
+        alongKm: round(p._alongKm, 3),
+        distanceM: round(p._distanceM, 1),
+        tags: p.tags
+      };
+    });
+  }
+  const dry = near.water ? geo.longestDryStretch(routeKm, near.water) : null;
+  const hungry = near.resupply ? geo.longestStretchWithoutResupply(routeKm, near.resupply) : null;
+
+  return {
+    radiusM,
+    routeKm: round(routeKm, 3),
+    bbox,
+    candidatesCount: Object.values(candidates).reduce((sum, n) => sum + n, 0),
+    candidatesByKind: candidates,
+    waterPoints: pointsByKind.water || [],
+    pointsByKind,
+    dryStretch: stretchSummary(dry),
+    resupplyStretch: stretchSummary(hungry),
+    elevationProfile: geo.elevationProfile(index).map((s) => ({ km: round(s.km, 3), ele: round(s.ele, 1) }))
+  };
+}
+
+/**
+ * Water stops (and any other requested kinds), dry stretch and elevation
+ * profile for a route.
+ *
+ * @param {object} geojson route as GeoJSON
+ * @param {object} options see collectRoutePoints
+ * @returns {Promise<object>} JSON-ready summary
+ */
+async function analyzeRoute(geojson, options) {
+  const collected = await collectRoutePoints(geojson, options);
+  return summarizeRoutePoints(collected, options.radiusM);
+}
+
+module.exports = {
+  analyzeRoute,
+  collectRoutePoints,
+  summarizeRoutePoints,
+  parseRouteBuffer,
+  isFitBuffer,
+  overpassFetchImpl,
+  loadClientModules
+};
@@ -0,0 +1,176 @@
+/**
+ * Member accounts: password hashing, session ids, CSRF tokens and the
+ * session cookie.
+ *
+ * Everything here is pure (no database, no Express) so it can be tested on
+ * its own; the users and sessions tables are in db.js and the middleware that
+ * ties them together is in index.js.
+ *
+ * Passwords are hashed with scrypt from node:crypto, stored self-describing
+ * (`scrypt$N$r$p$salt$hash`) so the cost can be raised later without
+ * invalidating existing hashes. Session ids, like owner tokens, are only ever
+ * stored hashed: a copy of the database does not let anyone sign in.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'wor_session';
+const CSRF_HEADER = 'x-csrf-token';
+const DEFAULT_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Roles, lowest first; each staff role can do everything the ones below it can.
+ *   member      saves routes; no admin access
+ *   viewer      lists and downloads routes on the admin page
+ *   moderator   also deletes and annotates routes
+ *   superadmin  also downloads the database, looks up IPs and assigns roles
+ */
+const ROLES = ['member', 'viewer', 'moderator', 'superadmin'];
+
+// N=2^15 takes ~50 ms and 32 MB here, which is what login can afford.
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_KEY_BYTES = 32;
+const SCRYPT_MAX_MEM = 64 * 1024 * 1024;
+
+const USERNAME_RE = /^[a-z0-9][a-z0-9_.-]{2,31}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 200;
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{43}$/;
+
+function scrypt(password, salt, keyBytes, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyBytes, { ...params, maxmem: SCRYPT_MAX_MEM }, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$N$r$p$salt$hash`, base64url parts
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(password, salt, SCRYPT_KEY_BYTES, SCRYPT_PARAMS);
+  return ['scrypt', N, r, p, salt.toString('base64url'), key.toString('base64url')].join('$');
+}
+
+/**
+ * @param {string} password
+ * @param {string|null} stored hashPassword output; null still costs one hash,
+ *   so a missing user takes as long to reject as a wrong password
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    await scrypt(String(password), 'no-such-user', SCRYPT_KEY_BYTES, SCRYPT_PARAMS);
+    return false;
+  }
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64url');
+  const key = await scrypt(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+    N: Number(N), r: Number(r), p: Number(p)
+  });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Registration and login input. Usernames are case-insensitive and stored
+ * lowercase.
+ * @returns {{ok: true, value: {username: string, password: string}}|{ok: false, error: string}}
+ */
+function validateCredentials(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, error: 'Invalid request body' };
+  }
+  const username = typeof payload.username === 'string' ? payload.username.trim().toLowerCase() : '';
+  if (!USERNAME_RE.test(username)) {
+    return { ok: false, error: 'Username must be 3-32 letters, digits, dots, dashes or underscores' };
+  }
+  const password = payload.password;
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return { ok: false, error: `Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters` };
+  }
+  return { ok: true, value: { username, password } };
+}
+
+/**
+ * @param {string} role
+ * @param {string} minimum one of ROLES
+ * @returns {boolean} false for unknown roles
+ */
+function hasRole(role, minimum) {
+  const rank = ROLES.indexOf(role);
+  return rank >= 0 && rank >= ROLES.indexOf(minimum);
+}
+
+/** 256-bit session id for the cookie; only hashSessionId(id) is stored. */
+function generateSessionId() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/** @returns {string|null} null for anything that is not a session id */
+function hashSessionId(id) {
+  if (typeof id !== 'string' || !SESSION_ID_RE.test(id)) return null;
+  return crypto.createHash('sha256').update(id).digest('hex');
+}
+
+/** Per-session token the page echoes in X-CSRF-Token on state-changing requests. */
+function generateCsrfToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * @param {string|undefined} header Cookie request header
+ * @returns {Record<string, string>}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const name = part.slice(0, idx).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (_) {
+      // A malformed cookie from another app on the same host; ignore it.
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Set-Cookie value for the session. HttpOnly keeps it from page scripts and
+ * SameSite=Lax keeps it off cross-site subrequests; the Origin check and the
+ * CSRF token cover the rest.
+ * @param {string|null} value null clears the cookie
+ * @param {{maxAgeMs?: number, secure?: boolean}} [options]
+ */
+function sessionCookie(value, { maxAgeMs = DEFAULT_SESSION_TTL_MS, secure = false } = {}) {
+  const maxAge = value ? Math.floor(maxAgeMs / 1000) : 0;
+  return [
+    `${SESSION_COOKIE}=${value || ''}`,
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  CSRF_HEADER,
+  DEFAULT_SESSION_TTL_MS,
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  generateSessionId,
+  hashSessionId,
+  generateCsrfToken,
+  parseCookies,
+  sessionCookie
+};
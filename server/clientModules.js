@@ -0,0 +1,30 @@
+/**
+ * The browser's own modules, loaded on the server.
+ *
+ * geo.mjs and friends are ESM and the server is CommonJS, so they come in
+ * through dynamic import. Each is loaded once and the promise shared, so
+ * every caller gets the same module instance.
+ */
+
+let geoPromise = null;
+let clientModulesPromise = null;
+
+/** geo.mjs alone, for code that needs only the geometry. */
+function loadGeo() {
+  if (!geoPromise) geoPromise = import('../geo.mjs');
+  return geoPromise;
+}
+
+/** geo.mjs, osmApi.mjs and fitToGeoJSON.mjs, for the analysis pipeline. */
+function loadClientModules() {
+  if (!clientModulesPromise) {
+    clientModulesPromise = Promise.all([
+      loadGeo(),
+      import('../osmApi.mjs'),
+      import('../fitToGeoJSON.mjs')
+    ]).then(([geo, osmApi, fit]) => ({ geo, osmApi, fit }));
+  }
+  return clientModulesPromise;
+}
+
+module.exports = { loadGeo, loadClientModules };
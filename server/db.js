@@ -5,18 +5,30 @@
  * - Resolve database path based on environment
  * - Initialize database and run lightweight migrations
  * - Provide CRUD helpers for routes table
+ * - Store member accounts and their sessions (users, sessions tables)
  *
  * Environment variables:
  * - ROUTES_DB_PATH: explicit SQLite file path
  * - NODE_ENV: production/development toggle
  * - FLY_APP_NAME / FLY_MACHINE: production detection on Fly.io
  *
- * Exports: DB_PATH, initDatabase, insertRoute, listRoutes, getRouteById
+ * Exports: DB_PATH, initDatabase, insertRoute, listRoutes, getRouteById, getRouteTrack, getSharedRoute,
+ *          getOwnedRoute, updateOwnedRoute, deleteOwnedRoute, listUserRoutes,
+ *          createUser, getUserByUsername, listUsers, setUserRole,
+ *          createSession, getSessionUser, deleteSession, purgeExpiredSessions,
+ *          setRouteNote, recordAudit, listAudit, countAudit,
+ *          deleteRouteById, restoreRouteById, listDeletedRoutes, purgeDeletedRoutes,
+ *          deleteRoutesUploadedBefore, stripRoutesUploadedBefore, vacuumDatabase
+ *
+ * Deleting a route only sets routes.deleted_at; every reader below skips those
+ * rows, and purgeDeletedRoutes removes them for good once the restore window
+ * has passed.
  */
 const fs = require('fs');
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
-const { clampListLimit, clampListOffset } = require('./pagination');
+const { clampListLimit, clampListOffset, formatListCursor } = require('./pagination');
+const { routeFilterSql } = require('./routeFilters');
 
 // Per-operation tracing is useful when a Fly volume misbehaves and pure noise
 // the rest of the time. Errors and warnings always log; this gates the rest.
@@ -120,6 +132,11 @@ function initDatabase() {
   });
 }
 
+// routes.bbox is JSON text, and 'null' for routes saved without one.
+const HAS_BBOX = (row) => `json_valid(${row}.bbox) AND json_extract(${row}.bbox, '$.minlon') IS NOT NULL`;
+const BBOX_VALUES = (row) => ['minlon', 'maxlon', 'minlat', 'maxlat']
+  .reduce((cols, key) => `${cols}, json_extract(${row}.bbox, '$.${key}')`, `${row}.id`);
+
 function migrateSchema() {
   const startTime = Date.now();
   debugLog('[db.migrateSchema] start');
@@ -135,14 +152,79 @@ function migrateSchema() {
       if (!cols.has('client_ip')) migrations.push(`ALTER TABLE routes ADD COLUMN client_ip TEXT`);
       if (!cols.has('water_points_json')) migrations.push(`ALTER TABLE routes ADD COLUMN water_points_json TEXT`);
       if (!cols.has('enriched_gpx_text')) migrations.push(`ALTER TABLE routes ADD COLUMN enriched_gpx_text TEXT`);
+      // Set only for routes the uploader chose to share; see getSharedRoute.
+      if (!cols.has('share_slug')) migrations.push(`ALTER TABLE routes ADD COLUMN share_slug TEXT`);
+      if (!cols.has('radius_m')) migrations.push(`ALTER TABLE routes ADD COLUMN radius_m REAL`);
+      // SHA-256 of the uploader's owner token; see getOwnedRoute.
+      if (!cols.has('owner_token_hash')) migrations.push(`ALTER TABLE routes ADD COLUMN owner_token_hash TEXT`);
+      // Set when a signed-in member saved the route; anonymous uploads stay null.
+      if (!cols.has('user_id')) migrations.push(`ALTER TABLE routes ADD COLUMN user_id INTEGER REFERENCES users(id)`);
+      migrations.push(`CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      // id_hash is the SHA-256 of the cookie value, never the value itself.
+      migrations.push(`CREATE TABLE IF NOT EXISTS sessions (
+        id_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        csrf_token TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )`);
+      migrations.push(`CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at)`);
+      // The single admin role was split into viewer/moderator/superadmin;
+      // existing admins keep every right they had.
+      migrations.push(`UPDATE users SET role = 'superadmin' WHERE role = 'admin'`);
+      // Free-text note a moderator attached to the route.
+      if (!cols.has('admin_note')) migrations.push(`ALTER TABLE routes ADD COLUMN admin_note TEXT`);
+      // One row per admin action. actor is a username (or ADMIN_USER for the
+      // Basic-auth account) rather than a users.id, so the trail survives the
+      // account being renamed or removed.
+      migrations.push(`CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor TEXT NOT NULL,
+        role TEXT NOT NULL,
+        action TEXT NOT NULL,
+        route_id INTEGER,
+        detail TEXT,
+        client_ip TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+      migrations.push(`CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at DESC, id DESC)`);
+      migrations.push(`CREATE INDEX IF NOT EXISTS idx_routes_user_id ON routes (user_id, uploaded_at DESC)`);
       // The listing always sorts by uploaded_at; without this every page is a
       // full scan plus a sort of the whole table.
       migrations.push(`CREATE INDEX IF NOT EXISTS idx_routes_uploaded_at ON routes (uploaded_at DESC, id DESC)`);
-      if (migrations.length === 0) {
-        const elapsedMs = Date.now() - startTime;
-        debugLog('[db.migrateSchema] no migrations needed', { elapsedMs });
-        return resolve();
+      migrations.push(`CREATE UNIQUE INDEX IF NOT EXISTS idx_routes_share_slug ON routes (share_slug)`);
+      // Epoch ms of a soft delete; null while the route is live.
+      if (!cols.has('deleted_at')) migrations.push(`ALTER TABLE routes ADD COLUMN deleted_at INTEGER`);
+      migrations.push(`CREATE INDEX IF NOT EXISTS idx_routes_deleted_at ON routes (deleted_at) WHERE deleted_at IS NOT NULL`);
+      // The page's route summary (validateRouteStats): cleaned elevation
+      // totals, null for files without elevation, and the moving time under
+      // the uploader's ride plan.
+      for (const col of ['ascent_m', 'descent_m', 'min_ele_m', 'max_ele_m', 'moving_minutes']) {
+        if (!cols.has(col)) migrations.push(`ALTER TABLE routes ADD COLUMN ${col} REAL`);
       }
+      // Spatial index over routes.bbox for the admin bbox filter (see
+      // routeFilters.js). Triggers keep it in step with every insert, update
+      // and delete, whichever code path makes them; the INSERT backfills
+      // routes saved before the index existed.
+      migrations.push(`CREATE VIRTUAL TABLE IF NOT EXISTS routes_bbox USING rtree(id, minlon, maxlon, minlat, maxlat)`);
+      migrations.push(`CREATE TRIGGER IF NOT EXISTS routes_bbox_insert AFTER INSERT ON routes
+        WHEN ${HAS_BBOX('NEW')}
+        BEGIN INSERT OR REPLACE INTO routes_bbox VALUES (${BBOX_VALUES('NEW')}); END`);
+      migrations.push(`CREATE TRIGGER IF NOT EXISTS routes_bbox_update AFTER UPDATE OF bbox ON routes
+        BEGIN
+          DELETE FROM routes_bbox WHERE id = OLD.id;
+          INSERT INTO routes_bbox SELECT ${BBOX_VALUES('NEW')} WHERE ${HAS_BBOX('NEW')};
+        END`);
+      migrations.push(`CREATE TRIGGER IF NOT EXISTS routes_bbox_delete AFTER DELETE ON routes
+        BEGIN DELETE FROM routes_bbox WHERE id = OLD.id; END`);
+      migrations.push(`INSERT INTO routes_bbox
+        SELECT ${BBOX_VALUES('routes')} FROM routes
+        WHERE ${HAS_BBOX('routes')} AND id NOT IN (SELECT id FROM routes_bbox)`);
       let idx = 0;
       const runNext = () => {
         if (idx >= migrations.length) return resolve();
@@ -152,19 +234,28 @@ function migrateSchema() {
           runNext();
         });
       };
-      runNext();
+      // audit_log tables created before client_ip was recorded need the column.
+      db.all(`PRAGMA table_info(audit_log)`, [], (auditErr, auditRows) => {
+        if (!auditErr && auditRows.length && !auditRows.some((r) => r.name === 'client_ip')) {
+          migrations.push(`ALTER TABLE audit_log ADD COLUMN client_ip TEXT`);
+        }
+        runNext();
+      });
     });
   });
 }
 
-function insertRoute({ filename, fileSize, bbox, routeKm, waypointsCount, gpxText, clientIp, waterPoints, enrichedGpxText }) {
+function insertRoute({ filename, fileSize, bbox, routeKm, waypointsCount, gpxText, clientIp, waterPoints, enrichedGpxText, shareSlug, radiusM, ownerTokenHash, userId, routeStats }) {
   const startTime = Date.now();
-  debugLog('[db.insertRoute] inserting', { filename, fileSize, routeKm, waypointsCount, hasGpx: !!gpxText });
+  debugLog('[db.insertRoute] inserting', { filename, fileSize, routeKm, waypointsCount, hasGpx: !!gpxText, shared: !!shareSlug });
   return new Promise((resolve, reject) => {
-    const stmt = `INSERT INTO routes (filename, file_size, bbox, route_km, waypoints_count, gpx_text, client_ip, water_points_json, enriched_gpx_text)
-                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const stmt = `INSERT INTO routes (filename, file_size, bbox, route_km, waypoints_count, gpx_text, client_ip, water_points_json, enriched_gpx_text, share_slug, radius_m, owner_token_hash, user_id,
+                                      ascent_m, descent_m, min_ele_m, max_ele_m, moving_minutes)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
     const waterJson = waterPoints ? JSON.stringify(waterPoints) : null;
-    db.run(stmt, [filename || null, fileSize || null, JSON.stringify(bbox || null), routeKm || null, waypointsCount || null, gpxText || null, clientIp || null, waterJson, enrichedGpxText || null], function(err) {
+    const stats = routeStats || {};
+    db.run(stmt, [filename || null, fileSize || null, JSON.stringify(bbox || null), routeKm || null, waypointsCount || null, gpxText || null, clientIp || null, waterJson, enrichedGpxText || null, shareSlug || null, radiusM || null, ownerTokenHash || null, userId || null,
+      stats.ascentM ?? null, stats.descentM ?? null, stats.minEleM ?? null, stats.maxEleM ?? null, stats.movingMinutes ?? null], function(err) {
       if (err) {
         const elapsedMs = Date.now() - startTime;
         console.error('[db.insertRoute] failed', { elapsedMs, error: err });
@@ -177,15 +268,32 @@ function insertRoute({ filename, fileSize, bbox, routeKm, waypointsCount, gpxTex
   });
 }
 
-function countRoutes() {
+/**
+ * @param {object} [filters] parseRouteFilters output; none counts every live route
+ */
+function countRoutes(filters = {}) {
+  const { where, params } = routeFilterSql(filters);
   return new Promise((resolve, reject) => {
-    db.get(`SELECT count(*) AS total FROM routes`, [], (err, row) => {
+    db.get(`SELECT count(*) AS total FROM routes r WHERE ${where}`, params, (err, row) => {
       if (err) return reject(err);
       resolve(row ? row.total : 0);
     });
   });
 }
 
+const ROUTE_STATS_COLUMNS = 'ascent_m, descent_m, min_ele_m, max_ele_m, moving_minutes';
+
+/** The stored route summary as the API returns it; null fields stay null. */
+function routeStatsFromRow(row) {
+  return {
+    ascentM: row.ascent_m ?? null,
+    descentM: row.descent_m ?? null,
+    minEleM: row.min_ele_m ?? null,
+    maxEleM: row.max_ele_m ?? null,
+    movingMinutes: row.moving_minutes ?? null
+  };
+}
+
 /**
  * Page of route metadata, newest first.
  *
@@ -193,25 +301,40 @@ function countRoutes() {
  * needs to know whether an enriched version exists, and pulling the column to
  * compute a boolean read 15.7 MB to produce 1 KB of output on a 20-row table.
  * SQLite answers `IS NOT NULL` from the record header instead.
+ *
+ * `after` (parseListCursor output) continues from the row a previous page's
+ * nextCursor named, walking idx_routes_uploaded_at instead of skipping rows;
+ * offset is ignored with it. One row more than the page is read to tell
+ * whether there is a next page; nextCursor is null on the last one.
+ *
+ * @param {{limit?: unknown, offset?: unknown, after?: {uploadedAt: string, id: number}|null, filters?: object}} [options]
+ *   filters from parseRouteFilters
  */
-function listRoutes({ limit, offset } = {}) {
+function listRoutes({ limit, offset, after = null, filters = {} } = {}) {
   const startTime = Date.now();
   const pageSize = clampListLimit(limit);
-  const skip = clampListOffset(offset);
+  const skip = after ? 0 : clampListOffset(offset);
+  let { where, params } = routeFilterSql(filters);
+  if (after) {
+    where += ' AND (r.uploaded_at, r.id) < (?, ?)';
+    params = [...params, after.uploadedAt, after.id];
+  }
   return new Promise((resolve, reject) => {
     db.all(
-      `SELECT id, filename, file_size, bbox, route_km, waypoints_count, uploaded_at, client_ip,
-              enriched_gpx_text IS NOT NULL AS has_enriched
-       FROM routes
-       ORDER BY uploaded_at DESC, id DESC
+      `SELECT r.id, r.filename, r.file_size, r.bbox, r.route_km, r.waypoints_count, r.uploaded_at, r.client_ip,
+              r.ascent_m, r.descent_m, r.min_ele_m, r.max_ele_m, r.moving_minutes,
+              r.gpx_text IS NOT NULL AS has_gpx, r.enriched_gpx_text IS NOT NULL AS has_enriched, r.admin_note, u.username
+       FROM routes r LEFT JOIN users u ON u.id = r.user_id
+       WHERE ${where}
+       ORDER BY r.uploaded_at DESC, r.id DESC
        LIMIT ? OFFSET ?`,
-      [pageSize, skip],
+      [...params, pageSize + 1, skip],
       (err, rows) => {
         if (err) {
           console.error('[db.listRoutes] failed', { elapsedMs: Date.now() - startTime, error: err });
           return reject(err);
         }
-        const mapped = rows.map(r => ({
+        const mapped = rows.slice(0, pageSize).map(r => ({
           id: r.id,
           filename: r.filename,
           fileSize: r.file_size,
@@ -220,9 +343,14 @@ function listRoutes({ limit, offset } = {}) {
           waypointsCount: r.waypoints_count,
           uploadedAt: r.uploaded_at,
           clientIp: r.client_ip || null,
-          hasEnriched: !!r.has_enriched
+          hasGpx: !!r.has_gpx,
+          hasEnriched: !!r.has_enriched,
+          note: r.admin_note || null,
+          username: r.username || null,
+          ...routeStatsFromRow(r)
         }));
-        resolve({ routes: mapped, limit: pageSize, offset: skip });
+        const nextCursor = rows.length > pageSize ? formatListCursor(mapped[mapped.length - 1]) : null;
+        resolve({ routes: mapped, limit: pageSize, offset: skip, nextCursor });
       }
     );
   });
@@ -231,21 +359,43 @@ function listRoutes({ limit, offset } = {}) {
 /**
  * Ids only, oldest first, for streaming exports that must not hold every
  * route in memory at once.
+ * @param {object} [filters] parseRouteFilters output; none lists every live route
  */
-function listRouteIds() {
+function listRouteIds(filters = {}) {
+  const { where, params } = routeFilterSql(filters);
   return new Promise((resolve, reject) => {
-    db.all(`SELECT id FROM routes ORDER BY id ASC`, [], (err, rows) => {
+    db.all(`SELECT r.id FROM routes r WHERE ${where} ORDER BY r.id ASC`, params, (err, rows) => {
       if (err) return reject(err);
       resolve(rows.map(r => r.id));
     });
   });
 }
 
+/**
+ * A route's original track and what a map needs to label it, without the
+ * enriched copy and water points getRouteById also reads.
+ * @returns {Promise<{id: number, filename: string, routeKm: number|null, uploadedAt: string, gpxText: string|null}|null>}
+ */
+function getRouteTrack(id) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT id, filename, route_km, uploaded_at, gpx_text FROM routes WHERE id = ? AND deleted_at IS NULL`,
+      [id],
+      (err, row) => {
+        if (err) return reject(err);
+        if (!row) return resolve(null);
+        resolve({ id: row.id, filename: row.filename, routeKm: row.route_km, uploadedAt: row.uploaded_at, gpxText: row.gpx_text });
+      }
+    );
+  });
+}
+
 function getRouteById(id) {
   const startTime = Date.now();
   debugLog('[db.getRouteById] start', { id });
   return new Promise((resolve, reject) => {
-    db.get(`SELECT id, filename, file_size, bbox, route_km, waypoints_count, gpx_text, enriched_gpx_text, water_points_json, uploaded_at, client_ip FROM routes WHERE id = ?`, [id], (err, row) => {
+    db.get(`SELECT id, filename, file_size, bbox, route_km, waypoints_count, gpx_text, enriched_gpx_text, water_points_json, uploaded_at, client_ip, ${ROUTE_STATS_COLUMNS}
+            FROM routes WHERE id = ? AND deleted_at IS NULL`, [id], (err, row) => {
       if (err) {
         const elapsedMs = Date.now() - startTime;
         console.error('[db.getRouteById] failed', { id, elapsedMs, error: err });
@@ -267,7 +417,8 @@ function getRouteById(id) {
         enrichedGpxText: row.enriched_gpx_text,
         waterPoints: safeParseJson(row.water_points_json),
         uploadedAt: row.uploaded_at,
-        clientIp: row.client_ip
+        clientIp: row.client_ip,
+        ...routeStatsFromRow(row)
       };
       const elapsedMs = Date.now() - startTime;
       debugLog('[db.getRouteById] success', { id, hasEnriched: !!result.enrichedGpxText, hasWater: !!result.waterPoints, elapsedMs });
@@ -276,6 +427,347 @@ function getRouteById(id) {
   });
 }
 
+/**
+ * The public view of a shared route, by its slug.
+ *
+ * Only what the link's recipient needs to redraw the route: no id, no client
+ * address, no enriched GPX (the page rebuilds that). Routes that were never
+ * shared have no slug and cannot be reached this way.
+ *
+ * @param {string} slug
+ * @returns {Promise<{filename: string, routeKm: number|null, radiusM: number|null, uploadedAt: string, gpxText: string, waterPoints: Array<object>|null}|null>}
+ */
+function getSharedRoute(slug) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT filename, route_km, radius_m, uploaded_at, gpx_text, water_points_json FROM routes WHERE share_slug = ? AND deleted_at IS NULL`,
+      [slug],
+      (err, row) => {
+        if (err) {
+          console.error('[db.getSharedRoute] failed', { error: err });
+          return reject(err);
+        }
+        if (!row) return resolve(null);
+        resolve({
+          filename: row.filename,
+          routeKm: row.route_km,
+          radiusM: row.radius_m,
+          uploadedAt: row.uploaded_at,
+          gpxText: row.gpx_text,
+          waterPoints: safeParseJson(row.water_points_json)
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Who may manage a route: the uploader's owner token, or the signed-in member
+ * who saved it. Either may be absent; NULL never equals anything in SQL, so a
+ * missing credential matches no row.
+ * @typedef {{tokenHash?: string|null, userId?: number|null}} RouteOwner
+ */
+const OWNER_CLAUSE = `(owner_token_hash = ? OR user_id = ?)`;
+
+function ownerParams(owner) {
+  return [owner.tokenHash ?? null, owner.userId ?? null];
+}
+
+/**
+ * An uploader's own route: what the "My routes" panel shows, found only when
+ * the owner matches. A wrong token and a missing route both give null, so a
+ * guessed id reveals nothing.
+ *
+ * @param {number} id
+ * @param {RouteOwner} owner
+ * @returns {Promise<{id: number, filename: string, routeKm: number|null, waypointsCount: number|null, uploadedAt: string, shareSlug: string|null}|null>}
+ *   plus the route summary fields of routeStatsFromRow
+ */
+function getOwnedRoute(id, owner) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT id, filename, route_km, waypoints_count, uploaded_at, share_slug, ${ROUTE_STATS_COLUMNS}
+       FROM routes WHERE id = ? AND ${OWNER_CLAUSE} AND deleted_at IS NULL`,
+      [id, ...ownerParams(owner)],
+      (err, row) => {
+        if (err) {
+          console.error('[db.getOwnedRoute] failed', { id, error: err });
+          return reject(err);
+        }
+        resolve(row ? ownedRouteFromRow(row) : null);
+      }
+    );
+  });
+}
+
+function ownedRouteFromRow(row) {
+  return {
+    id: row.id,
+    filename: row.filename,
+    routeKm: row.route_km,
+    waypointsCount: row.waypoints_count,
+    uploadedAt: row.uploaded_at,
+    shareSlug: row.share_slug,
+    ...routeStatsFromRow(row)
+  };
+}
+
+/**
+ * Rename and/or (un)share an owned route. shareSlug undefined leaves sharing
+ * as it is; null stops it.
+ * @param {number} id
+ * @param {RouteOwner} owner
+ * @returns {Promise<{updatedCount: number}>}
+ */
+function updateOwnedRoute(id, owner, { filename, shareSlug }) {
+  const sets = [];
+  const params = [];
+  if (filename !== undefined) { sets.push('filename = ?'); params.push(filename); }
+  if (shareSlug !== undefined) { sets.push('share_slug = ?'); params.push(shareSlug); }
+  if (!sets.length) return Promise.resolve({ updatedCount: 0 });
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE routes SET ${sets.join(', ')} WHERE id = ? AND ${OWNER_CLAUSE} AND deleted_at IS NULL`,
+      [...params, id, ...ownerParams(owner)],
+      function(err) {
+        if (err) {
+          console.error('[db.updateOwnedRoute] failed', { id, error: err });
+          return reject(err);
+        }
+        resolve({ updatedCount: Number(this && this.changes) || 0 });
+      }
+    );
+  });
+}
+
+/**
+ * Soft delete, like deleteRouteById: a moderator can still restore it.
+ * @param {number} id
+ * @param {RouteOwner} owner
+ * @returns {Promise<{deletedCount: number}>}
+ */
+function deleteOwnedRoute(id, owner, now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE routes SET deleted_at = ? WHERE id = ? AND ${OWNER_CLAUSE} AND deleted_at IS NULL`, [now, id, ...ownerParams(owner)], function(err) {
+      if (err) {
+        console.error('[db.deleteOwnedRoute] failed', { id, error: err });
+        return reject(err);
+      }
+      resolve({ deletedCount: Number(this && this.changes) || 0 });
+    });
+  });
+}
+
+/**
+ * A member's saved routes, newest first: their history across devices, where
+ * owner tokens only cover the browser that uploaded.
+ * @param {number} userId
+ * @returns {Promise<{routes: Array<object>, limit: number, offset: number}>}
+ */
+function listUserRoutes(userId, { limit, offset } = {}) {
+  const pageSize = clampListLimit(limit);
+  const skip = clampListOffset(offset);
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, filename, route_km, waypoints_count, uploaded_at, share_slug, ${ROUTE_STATS_COLUMNS}
+       FROM routes WHERE user_id = ? AND deleted_at IS NULL
+       ORDER BY uploaded_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [userId, pageSize, skip],
+      (err, rows) => {
+        if (err) {
+          console.error('[db.listUserRoutes] failed', { userId, error: err });
+          return reject(err);
+        }
+        resolve({ routes: rows.map(ownedRouteFromRow), limit: pageSize, offset: skip });
+      }
+    );
+  });
+}
+
+/**
+ * @param {{username: string, passwordHash: string, role?: string}} user
+ * @returns {Promise<{id: number}>} rejects with code SQLITE_CONSTRAINT when the name is taken
+ */
+function createUser({ username, passwordHash, role = 'member' }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)`,
+      [username, passwordHash, role],
+      function(err) {
+        if (err) return reject(err);
+        resolve({ id: this.lastID });
+      }
+    );
+  });
+}
+
+/** @returns {Promise<{id: number, username: string, passwordHash: string, role: string}|null>} */
+function getUserByUsername(username) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT id, username, password_hash AS passwordHash, role FROM users WHERE username = ?`,
+      [username],
+      (err, row) => (err ? reject(err) : resolve(row || null))
+    );
+  });
+}
+
+/** Every account with its route count, for the admin page. */
+function listUsers() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT u.id, u.username, u.role, u.created_at AS createdAt,
+              (SELECT count(*) FROM routes r WHERE r.user_id = u.id AND r.deleted_at IS NULL) AS routeCount
+       FROM users u ORDER BY u.username`,
+      [],
+      (err, rows) => (err ? reject(err) : resolve(rows))
+    );
+  });
+}
+
+/**
+ * Changing a role also signs the user out everywhere, so a demotion takes
+ * effect on their next request rather than when their session expires.
+ * @returns {Promise<{updatedCount: number}>}
+ */
+function setUserRole(id, role) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE users SET role = ? WHERE id = ?`, [role, id], function(err) {
+      if (err) return reject(err);
+      const updatedCount = Number(this && this.changes) || 0;
+      if (!updatedCount) return resolve({ updatedCount });
+      db.run(`DELETE FROM sessions WHERE user_id = ?`, [id], (e) => (e ? reject(e) : resolve({ updatedCount })));
+    });
+  });
+}
+
+/** @param {{idHash: string, userId: number, csrfToken: string, expiresAt: number}} session */
+function createSession({ idHash, userId, csrfToken, expiresAt }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO sessions (id_hash, user_id, csrf_token, expires_at) VALUES (?, ?, ?, ?)`,
+      [idHash, userId, csrfToken, expiresAt],
+      (err) => (err ? reject(err) : resolve())
+    );
+  });
+}
+
+/**
+ * The signed-in user behind a session, or null when it is unknown or expired.
+ * @param {string} idHash
+ * @param {number} [now]
+ * @returns {Promise<{userId: number, username: string, role: string, csrfToken: string, expiresAt: number}|null>}
+ */
+function getSessionUser(idHash, now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT s.user_id AS userId, u.username, u.role, s.csrf_token AS csrfToken, s.expires_at AS expiresAt
+       FROM sessions s JOIN users u ON u.id = s.user_id
+       WHERE s.id_hash = ? AND s.expires_at > ?`,
+      [idHash, now],
+      (err, row) => (err ? reject(err) : resolve(row || null))
+    );
+  });
+}
+
+function deleteSession(idHash) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM sessions WHERE id_hash = ?`, [idHash], (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+/** @returns {Promise<number>} sessions removed */
+function purgeExpiredSessions(now = Date.now()) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM sessions WHERE expires_at <= ?`, [now], function(err) {
+      if (err) return reject(err);
+      resolve(Number(this && this.changes) || 0);
+    });
+  });
+}
+
+/**
+ * Set or clear (null) a moderator's note on a route.
+ * @returns {Promise<{updatedCount: number}>}
+ */
+function setRouteNote(id, note) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE routes SET admin_note = ? WHERE id = ? AND deleted_at IS NULL`, [note, id], function(err) {
+      if (err) {
+        console.error('[db.setRouteNote] failed', { id, error: err });
+        return reject(err);
+      }
+      resolve({ updatedCount: Number(this && this.changes) || 0 });
+    });
+  });
+}
+
+/**
+ * Append to the audit trail.
+ * @param {{actor: string, role: string, action: string, routeId?: number|null, detail?: object|null, clientIp?: string|null}} entry
+ *   clientIp must already be anonymised (anonymizeIp), as for routes
+ */
+function recordAudit({ actor, role, action, routeId = null, detail = null, clientIp = null }) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO audit_log (actor, role, action, route_id, detail, client_ip) VALUES (?, ?, ?, ?, ?, ?)`,
+      [actor, role, action, routeId, detail ? JSON.stringify(detail) : null, clientIp],
+      function(err) {
+        if (err) return reject(err);
+        resolve({ id: this.lastID });
+      }
+    );
+  });
+}
+
+/**
+ * Page of the audit trail, newest first.
+ * @returns {Promise<{entries: Array<{id: number, actor: string, role: string, action: string, routeId: number|null, detail: object|null, clientIp: string|null, createdAt: string}>, limit: number, offset: number}>}
+ */
+function listAudit({ limit, offset } = {}) {
+  const pageSize = clampListLimit(limit);
+  const skip = clampListOffset(offset);
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, actor, role, action, route_id, detail, client_ip, created_at
+       FROM audit_log
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [pageSize, skip],
+      (err, rows) => {
+        if (err) {
+          console.error('[db.listAudit] failed', { error: err });
+          return reject(err);
+        }
+        resolve({
+          entries: rows.map((r) => ({
+            id: r.id,
+            actor: r.actor,
+            role: r.role,
+            action: r.action,
+            routeId: r.route_id,
+            detail: safeParseJson(r.detail),
+            clientIp: r.client_ip,
+            createdAt: r.created_at
+          })),
+          limit: pageSize,
+          offset: skip
+        });
+      }
+    );
+  });
+}
+
+function countAudit() {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT count(*) AS total FROM audit_log`, [], (err, row) => {
+      if (err) return reject(err);
+      resolve(row ? row.total : 0);
+    });
+  });
+}
+
 // Called once per row per listing; logging here made a page load emit hundreds
 // of lines and timed JSON.parse of a few hundred bytes.
 function safeParseJson(txt) {
@@ -286,11 +778,16 @@ function safeParseJson(txt) {
   }
 }
 
-function deleteRouteById(id) {
+/**
+ * Soft delete: hidden everywhere at once, restorable with restoreRouteById
+ * until purgeDeletedRoutes catches up with it.
+ * @returns {Promise<{deletedCount: number}>} 0 when missing or already deleted
+ */
+function deleteRouteById(id, now = Date.now()) {
   const startTime = Date.now();
   debugLog('[db.deleteRouteById] start', { id });
   return new Promise((resolve, reject) => {
-    db.run(`DELETE FROM routes WHERE id = ?`, [id], function(err) {
+    db.run(`UPDATE routes SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL`, [now, id], function(err) {
       if (err) {
         const elapsedMs = Date.now() - startTime;
         console.error('[db.deleteRouteById] failed', { id, elapsedMs, error: err });
@@ -304,15 +801,160 @@ function deleteRouteById(id) {
   });
 }
 
+/** @returns {Promise<{restoredCount: number}>} 0 when missing, live or already purged */
+function restoreRouteById(id) {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE routes SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL`, [id], function(err) {
+      if (err) {
+        console.error('[db.restoreRouteById] failed', { id, error: err });
+        return reject(err);
+      }
+      resolve({ restoredCount: Number(this && this.changes) || 0 });
+    });
+  });
+}
+
+/**
+ * Soft-deleted routes still waiting to be purged, most recently deleted first.
+ * @returns {Promise<Array<{id: number, filename: string, routeKm: number|null, uploadedAt: string, username: string|null, deletedAt: number}>>}
+ */
+function listDeletedRoutes() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT r.id, r.filename, r.route_km, r.uploaded_at, r.deleted_at, u.username
+       FROM routes r LEFT JOIN users u ON u.id = r.user_id
+       WHERE r.deleted_at IS NOT NULL
+       ORDER BY r.deleted_at DESC, r.id DESC`,
+      [],
+      (err, rows) => {
+        if (err) {
+          console.error('[db.listDeletedRoutes] failed', { error: err });
+          return reject(err);
+        }
+        resolve(rows.map((r) => ({
+          id: r.id,
+          filename: r.filename,
+          routeKm: r.route_km,
+          uploadedAt: r.uploaded_at,
+          username: r.username || null,
+          deletedAt: r.deleted_at
+        })));
+      }
+    );
+  });
+}
+
+/**
+ * Remove for good the routes soft-deleted at or before the cutoff.
+ * @param {number} cutoff epoch ms
+ * @returns {Promise<{purgedIds: number[]}>}
+ */
+function purgeDeletedRoutes(cutoff) {
+  return new Promise((resolve, reject) => {
+    db.all(`DELETE FROM routes WHERE deleted_at IS NOT NULL AND deleted_at <= ? RETURNING id`, [cutoff], (err, rows) => {
+      if (err) {
+        console.error('[db.purgeDeletedRoutes] failed', { cutoff, error: err });
+        return reject(err);
+      }
+      resolve({ purgedIds: rows.map((r) => r.id).sort((x, y) => x - y) });
+    });
+  });
+}
+
+// uploaded_at is SQLite's CURRENT_TIMESTAMP text (UTC), so compare it with the
+// cutoff converted the same way rather than with epoch ms.
+const UPLOADED_BEFORE = `uploaded_at < datetime(? / 1000, 'unixepoch')`;
+
+/**
+ * Retention, delete mode: remove every route uploaded before the cutoff,
+ * soft-deleted or not.
+ * @param {number} cutoff epoch ms
+ * @returns {Promise<{count: number}>}
+ */
+function deleteRoutesUploadedBefore(cutoff) {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM routes WHERE ${UPLOADED_BEFORE}`, [cutoff], function(err) {
+      if (err) {
+        console.error('[db.deleteRoutesUploadedBefore] failed', { cutoff, error: err });
+        return reject(err);
+      }
+      resolve({ count: Number(this && this.changes) || 0 });
+    });
+  });
+}
+
+/**
+ * Retention, strip mode: keep the summary of routes uploaded before the cutoff
+ * but drop everything that places a person — the tracks, the water points
+ * along them, the client network — and the share link, which would now open
+ * an empty route. Rows already stripped are not counted again.
+ * @param {number} cutoff epoch ms
+ * @returns {Promise<{count: number}>}
+ */
+function stripRoutesUploadedBefore(cutoff) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE routes
+       SET gpx_text = NULL, enriched_gpx_text = NULL, water_points_json = NULL, client_ip = NULL, share_slug = NULL
+       WHERE ${UPLOADED_BEFORE}
+         AND (gpx_text IS NOT NULL OR enriched_gpx_text IS NOT NULL OR water_points_json IS NOT NULL
+              OR client_ip IS NOT NULL OR share_slug IS NOT NULL)`,
+      [cutoff],
+      function(err) {
+        if (err) {
+          console.error('[db.stripRoutesUploadedBefore] failed', { cutoff, error: err });
+          return reject(err);
+        }
+        resolve({ count: Number(this && this.changes) || 0 });
+      }
+    );
+  });
+}
+
+/**
+ * Rewrite the file without its free pages. Deleting rows alone leaves the file
+ * as large as before, and MAX_ROUTE_DB_BYTES is checked against the file.
+ * Needs as much free disk again as the database takes while it runs.
+ */
+function vacuumDatabase() {
+  return new Promise((resolve, reject) => {
+    db.run(`VACUUM`, [], (err) => (err ? reject(err) : resolve()));
+  });
+}
+
 module.exports = {
   DB_PATH,
   initDatabase,
   insertRoute,
   listRoutes,
+  getRouteTrack,
   listRouteIds,
   countRoutes,
   getRouteById,
-  deleteRouteById
+  getSharedRoute,
+  getOwnedRoute,
+  updateOwnedRoute,
+  deleteOwnedRoute,
+  listUserRoutes,
+  deleteRouteById,
+  restoreRouteById,
+  listDeletedRoutes,
+  purgeDeletedRoutes,
+  deleteRoutesUploadedBefore,
+  stripRoutesUploadedBefore,
+  vacuumDatabase,
+  createUser,
+  getUserByUsername,
+  listUsers,
+  setUserRole,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  purgeExpiredSessions,
+  setRouteNote,
+  recordAudit,
+  listAudit,
+  countAudit
 };
 
 
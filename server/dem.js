@@ -0,0 +1,524 @@
+/**
+ * Elevation from a local digital elevation model.
+ *
+ * Many route-planner exports have no <ele> at all, which leaves the page
+ * without a profile, climbs or a timing that knows about hills. This answers
+ * elevations for a polyline from SRTM or Copernicus tiles kept in DEM_DIR:
+ *
+ *   - `.hgt`: SRTM's raw big-endian 16-bit grid, 1201 or 3601 samples square
+ *   - `.tif` / `.tiff`: single-band GeoTIFF, striped or tiled, uncompressed,
+ *     Deflate or LZW, with or without a predictor (Copernicus GLO-30 ships
+ *     Deflate with the floating-point predictor)
+ *
+ * Tiles are one degree square and found by their south-west corner in the
+ * file name, the way both sources name them (N45E007.hgt,
+ * Copernicus_DSM_COG_10_N45_00_E007_00_DEM.tif). Decoded tiles are kept in
+ * memory, least recently used first out, since a route stays within a handful.
+ *
+ * Decoding is synchronous work on the event loop (a 1" tile takes a few
+ * hundred milliseconds) and 52 MB a tile, and the endpoint is public. So one
+ * request may touch only a few tiles, and tiles are decoded one at a time
+ * across all requests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// The most points one request may ask for; the page samples a route every
+// 30 m or more, so this covers 150 km per request (see demElevation.mjs).
+const MAX_ELEVATION_POINTS = 5000;
+// The most distinct one-degree tiles one request may touch: as many as the
+// default cache holds. 150 km of route rarely crosses more than two or three.
+const MAX_ELEVATION_TILES = 4;
+const DEM_EXTENSIONS = new Set(['.hgt', '.tif', '.tiff']);
+const TILE_NAME_RE = /([NS])(\d{1,2})(?:_00)?_?([EW])(\d{1,3})/i;
+const SRTM_VOID = -32768;
+
+/**
+ * The south-west corner a tile file covers, from its name.
+ * @param {string} filename
+ * @returns {{lat: number, lon: number}|null}
+ */
+function tileCornerFromName(filename) {
+  const match = TILE_NAME_RE.exec(path.basename(filename));
+  if (!match) return null;
+  const lat = Number(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+  const lon = Number(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+  if (lat < -90 || lat > 89 || lon < -180 || lon > 179) return null;
+  return { lat, lon };
+}
+
+function tileKey(lat, lon) {
+  return `${lat},${lon}`;
+}
+
+/** The south-west corner of the tile holding a point; the 90°N and 180°E edges belong to the tile below. */
+function tileCornerOf(lon, lat) {
+  return { lat: Math.min(Math.floor(lat), 89), lon: Math.min(Math.floor(lon), 179) };
+}
+
+/**
+ * A decoded tile: a grid of elevations (NaN for voids) and where its first
+ * sample's centre sits, with the spacing between samples in degrees.
+ * @typedef {{width: number, height: number, x0: number, y0: number, dx: number, dy: number, values: Float32Array}} Raster
+ */
+
+/**
+ * Decode an SRTM .hgt tile. Samples sit on the grid lines, so the first and
+ * last rows and columns are the tile's edges, shared with its neighbours.
+ * @param {Buffer} buffer
+ * @param {{lat: number, lon: number}} corner from tileCornerFromName
+ * @returns {Raster}
+ */
+function parseHgt(buffer, corner) {
+  const size = Math.sqrt(buffer.length / 2);
+  if (!Number.isInteger(size) || size < 2) throw new Error('Not an SRTM .hgt tile');
+  const values = new Float32Array(size * size);
+  for (let i = 0; i < values.length; i++) {
+    const v = buffer.readInt16BE(i * 2);
+    values[i] = v === SRTM_VOID ? NaN : v;
+  }
+  const step = 1 / (size - 1);
+  return { width: size, height: size, x0: corner.lon, y0: corner.lat + 1, dx: step, dy: step, values };
+}
+
+// TIFF field types: byte size of one value.
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const TAG = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  pixelScale: 33550,
+  tiepoint: 33922,
+  geoKeys: 34735,
+  gdalNoData: 42113
+};
+const GT_RASTER_TYPE_KEY = 1025;
+const RASTER_PIXEL_IS_POINT = 2;
+
+/** Read every tag of a TIFF's first image. */
+function readTiffTags(buffer) {
+  const order = buffer.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF file');
+  const le = order === 'II';
+  const u16 = (o) => (le ? buffer.readUInt16LE(o) : buffer.readUInt16BE(o));
+  const u32 = (o) => (le ? buffer.readUInt32LE(o) : buffer.readUInt32BE(o));
+  const magic = u16(2);
+  if (magic === 43) throw new Error('BigTIFF is not supported');
+  if (magic !== 42) throw new Error('Not a TIFF file');
+
+  const read = (type, offset) => {
+    switch (type) {
+      case 1: case 2: case 7: return buffer[offset];
+      case 3: return u16(offset);
+      case 4: return u32(offset);
+      case 6: return buffer.readInt8(offset);
+      case 8: return le ? buffer.readInt16LE(offset) : buffer.readInt16BE(offset);
+      case 9: return le ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+      case 11: return le ? buffer.readFloatLE(offset) : buffer.readFloatBE(offset);
+      case 12: return le ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+      default: return NaN;
+    }
+  };
+
+  const ifd = u32(4);
+  const tags = new Map();
+  for (let k = 0, count = u16(ifd); k < count; k++) {
+    const entry = ifd + 2 + k * 12;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const n = u32(entry + 4);
+    const size = (TIFF_TYPE_SIZES[type] || 1) * n;
+    const at = size <= 4 ? entry + 8 : u32(entry + 8);
+    if (at + size > buffer.length) throw new Error('Truncated TIFF');
+    if (type === 2) {
+      tags.set(tag, buffer.toString('latin1', at, at + n).replace(/\0+$/, ''));
+    } else if (type === 5 || type === 10) {
+      // Rationals are not used by anything read here.
+      tags.set(tag, []);
+    } else {
+      const values = [];
+      for (let i = 0; i < n; i++) values.push(read(type, at + i * TIFF_TYPE_SIZES[type]));
+      tags.set(tag, values);
+    }
+  }
+  return { tags, le };
+}
+
+/**
+ * TIFF's LZW: MSB-first codes from 9 to 12 bits, widening one code early.
+ * @param {Uint8Array} input
+ * @param {number} expectedLength decoded bytes
+ * @returns {Uint8Array}
+ */
+function lzwDecode(input, expectedLength) {
+  const out = new Uint8Array(expectedLength);
+  const prefix = new Int16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const first = new Uint8Array(4096);
+  const length = new Uint16Array(4096);
+  for (let i = 0; i < 256; i++) {
+    prefix[i] = -1;
+    suffix[i] = i;
+    first[i] = i;
+    length[i] = 1;
+  }
+  let next = 258;
+  let codeLen = 9;
+  let bitPos = 0;
+  let pos = 0;
+  let old = -1;
+  const totalBits = input.length * 8;
+  const add = (code, byte) => {
+    if (next >= 4096) return;
+    prefix[next] = code;
+    suffix[next] = byte;
+    first[next] = first[code];
+    length[next] = length[code] + 1;
+    next++;
+  };
+  const emit = (code) => {
+    let p = pos + length[code] - 1;
+    for (let c = code; c !== -1; c = prefix[c], p--) {
+      if (p < expectedLength) out[p] = suffix[c];
+    }
+    pos += length[code];
+  };
+
+  while (pos < expectedLength && bitPos + codeLen <= totalBits) {
+    const byte = bitPos >> 3;
+    const window = (input[byte] << 16) | ((input[byte + 1] | 0) << 8) | (input[byte + 2] | 0);
+    const code = (window >> (24 - (bitPos & 7) - codeLen)) & ((1 << codeLen) - 1);
+    bitPos += codeLen;
+    if (code === 257) break;
+    if (code === 256) {
+      next = 258;
+      codeLen = 9;
+      old = -1;
+      continue;
+    }
+    if (old === -1) {
+      if (code > 255) throw new Error('Corrupt LZW data');
+      emit(code);
+    } else if (code < next) {
+      emit(code);
+      add(old, first[code]);
+    } else if (code === next) {
+      add(old, first[old]);
+      emit(code);
+    } else {
+      throw new Error('Corrupt LZW data');
+    }
+    old = code;
+    if (next + 1 >= 1 << codeLen && codeLen < 12) codeLen++;
+  }
+  return out;
+}
+
+function decompress(raw, compression, expectedLength) {
+  switch (compression) {
+    case 1: return raw;
+    case 5: return lzwDecode(raw, expectedLength);
+    case 8:
+    case 32946: return zlib.inflateSync(raw);
+    default: throw new Error(`Unsupported TIFF compression ${compression}`);
+  }
+}
+
+/** Undo horizontal differencing of integer samples, row by row, in place. */
+function undoIntegerPredictor(data, rows, rowSamples, bytes, le) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const mask = 2 ** (bytes * 8);
+  const get = bytes === 1 ? (o) => view.getUint8(o) : bytes === 2 ? (o) => view.getUint16(o, le) : (o) => view.getUint32(o, le);
+  const set = bytes === 1 ? (o, v) => view.setUint8(o, v) : bytes === 2 ? (o, v) => view.setUint16(o, v, le) : (o, v) => view.setUint32(o, v, le);
+  for (let r = 0; r < rows; r++) {
+    const start = r * rowSamples * bytes;
+    for (let c = 1; c < rowSamples; c++) {
+      const at = start + c * bytes;
+      set(at, (get(at) + get(at - bytes)) % mask);
+    }
+  }
+}
+
+/**
+ * Undo the floating-point predictor: each row holds the samples' bytes split
+ * into planes, most significant first, then byte-differenced. Returns the
+ * samples big-endian.
+ */
+function undoFloatPredictor(data, rows, rowSamples, bytes) {
+  const out = new Uint8Array(rows * rowSamples * bytes);
+  const rowBytes = rowSamples * bytes;
+  for (let r = 0; r < rows; r++) {
+    const row = data.subarray(r * rowBytes, (r + 1) * rowBytes);
+    for (let i = 1; i < rowBytes; i++) row[i] = (row[i] + row[i - 1]) & 0xff;
+    for (let c = 0; c < rowSamples; c++) {
+      for (let b = 0; b < bytes; b++) out[r * rowBytes + c * bytes + b] = row[b * rowSamples + c];
+    }
+  }
+  return out;
+}
+
+function sampleReader(view, format, bits, le) {
+  if (format === 3 && bits === 32) return (o) => view.getFloat32(o, le);
+  if (format === 3 && bits === 64) return (o) => view.getFloat64(o, le);
+  if (format === 2 && bits === 16) return (o) => view.getInt16(o, le);
+  if (format === 2 && bits === 32) return (o) => view.getInt32(o, le);
+  if (format === 2 && bits === 8) return (o) => view.getInt8(o);
+  if (format === 1 && bits === 16) return (o) => view.getUint16(o, le);
+  if (format === 1 && bits === 32) return (o) => view.getUint32(o, le);
+  if (format === 1 && bits === 8) return (o) => view.getUint8(o);
+  throw new Error(`Unsupported GeoTIFF sample type (format ${format}, ${bits} bits)`);
+}
+
+/**
+ * Decode a single-band GeoTIFF into a Raster, placed by its tie point and
+ * pixel scale. Pixels are areas unless the GeoKeys say they are points, as
+ * in GDAL.
+ * @param {Buffer} buffer
+ * @returns {Raster}
+ */
+function parseGeoTiff(buffer) {
+  const { tags, le } = readTiffTags(buffer);
+  const one = (tag, fallback) => (tags.has(tag) ? tags.get(tag)[0] : fallback);
+  const width = one(TAG.width);
+  const height = one(TAG.height);
+  const bits = one(TAG.bitsPerSample, 1);
+  const format = one(TAG.sampleFormat, 1);
+  const compression = one(TAG.compression, 1);
+  const predictor = one(TAG.predictor, 1);
+  if (!width || !height) throw new Error('GeoTIFF has no image size');
+  if (one(TAG.samplesPerPixel, 1) !== 1) throw new Error('Only single-band GeoTIFFs are supported');
+  const scale = tags.get(TAG.pixelScale);
+  const tie = tags.get(TAG.tiepoint);
+  if (!scale || !tie || tie.length < 6) throw new Error('GeoTIFF has no georeferencing');
+
+  const geoKeys = tags.get(TAG.geoKeys) || [];
+  let pixelIsPoint = false;
+  for (let k = 4; k + 3 < geoKeys.length; k += 4) {
+    if (geoKeys[k] === GT_RASTER_TYPE_KEY) pixelIsPoint = geoKeys[k + 3] === RASTER_PIXEL_IS_POINT;
+  }
+  const noData = tags.has(TAG.gdalNoData) ? Number(tags.get(TAG.gdalNoData)) : NaN;
+
+  const [dx, dy] = scale;
+  const [i0, j0, , x, y] = tie;
+  // Centre of pixel (0, 0).
+  const half = pixelIsPoint ? 0 : 0.5;
+  const x0 = x + (half - i0) * dx;
+  const y0 = y - (half - j0) * dy;
+
+  const tiled = tags.has(TAG.tileWidth);
+  const blockWidth = tiled ? one(TAG.tileWidth) : width;
+  const blockHeight = tiled ? one(TAG.tileLength) : Math.min(one(TAG.rowsPerStrip, height), height);
+  const offsets = tags.get(tiled ? TAG.tileOffsets : TAG.stripOffsets) || [];
+  const counts = tags.get(tiled ? TAG.tileByteCounts : TAG.stripByteCounts) || [];
+  const bytes = bits / 8;
+  const blocksAcross = Math.ceil(width / blockWidth);
+  const values = new Float32Array(width * height).fill(NaN);
+
+  offsets.forEach((offset, b) => {
+    const bx = (b % blocksAcross) * blockWidth;
+    const by = Math.floor(b / blocksAcross) * blockHeight;
+    if (by >= height) return;
+    // Tiles are always full size, padded past the edge; the last strip is not.
+    const rows = tiled ? blockHeight : Math.min(blockHeight, height - by);
+    const expected = blockWidth * rows * bytes;
+    let data = new Uint8Array(decompress(buffer.subarray(offset, offset + counts[b]), compression, expected));
+    if (data.length < expected) throw new Error('Truncated GeoTIFF block');
+    let dataLe = le;
+    if (predictor === 2) {
+      data = data.slice(0, expected);
+      undoIntegerPredictor(data, rows, blockWidth, bytes, le);
+    } else if (predictor === 3) {
+      data = undoFloatPredictor(data, rows, blockWidth, bytes);
+      dataLe = false;
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const readSample = sampleReader(view, format, bits, dataLe);
+    for (let r = 0; r < rows && by + r < height; r++) {
+      for (let c = 0; c < blockWidth && bx + c < width; c++) {
+        const v = readSample((r * blockWidth + c) * bytes);
+        values[(by + r) * width + bx + c] = v === noData || v === SRTM_VOID ? NaN : v;
+      }
+    }
+  });
+
+  return { width, height, x0, y0, dx, dy, values };
+}
+
+/**
+ * Elevation at a point by bilinear interpolation between the four
+ * surrounding samples. Voids are left out and the rest reweighted, so a
+ * point next to a void still gets a height; null off the raster or when all
+ * four are void.
+ * @param {Raster} raster
+ * @param {number} lon
+ * @param {number} lat
+ * @returns {number|null}
+ */
+function sampleBilinear(raster, lon, lat) {
+  const { width, height, x0, y0, dx, dy, values } = raster;
+  const fc = (lon - x0) / dx;
+  const fr = (y0 - lat) / dy;
+  if (!(fc >= -0.5 && fr >= -0.5 && fc <= width - 0.5 && fr <= height - 0.5)) return null;
+  const c = Math.min(Math.max(Math.floor(fc), 0), width - 2);
+  const r = Math.min(Math.max(Math.floor(fr), 0), height - 2);
+  const tx = Math.min(Math.max(fc - c, 0), 1);
+  const ty = Math.min(Math.max(fr - r, 0), 1);
+  let sum = 0;
+  let weight = 0;
+  const add = (col, row, w) => {
+    const v = values[row * width + col];
+    if (w > 0 && Number.isFinite(v)) {
+      sum += v * w;
+      weight += w;
+    }
+  };
+  add(c, r, (1 - tx) * (1 - ty));
+  add(c + 1, r, tx * (1 - ty));
+  add(c, r + 1, (1 - tx) * ty);
+  add(c + 1, r + 1, tx * ty);
+  return weight > 0 ? sum / weight : null;
+}
+
+/**
+ * The body of POST /api/elevation: `{ coordinates: [[lon, lat], …] }`.
+ * @returns {{ok: true, value: Array<[number, number]>}|{ok: false, error: string}}
+ */
+function parseElevationRequest(body) {
+  const coordinates = body && body.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    return { ok: false, error: 'coordinates must be a list of [lon, lat] pairs' };
+  }
+  if (coordinates.length > MAX_ELEVATION_POINTS) {
+    return { ok: false, error: `at most ${MAX_ELEVATION_POINTS} coordinates per request` };
+  }
+  for (const point of coordinates) {
+    const [lon, lat] = Array.isArray(point) ? point : [];
+    if (typeof lon !== 'number' || typeof lat !== 'number' ||
+        !(lon >= -180 && lon <= 180) || !(lat >= -90 && lat <= 90)) {
+      return { ok: false, error: 'coordinates must be a list of [lon, lat] pairs' };
+    }
+  }
+  const tiles = new Set(coordinates.map(([lon, lat]) => {
+    const corner = tileCornerOf(lon, lat);
+    return tileKey(corner.lat, corner.lon);
+  }));
+  if (tiles.size > MAX_ELEVATION_TILES) {
+    return { ok: false, error: `coordinates may span at most ${MAX_ELEVATION_TILES} one-degree tiles per request` };
+  }
+  return { ok: true, value: coordinates.map(([lon, lat]) => [lon, lat]) };
+}
+
+class DemStore {
+  /**
+   * @param {string} dir directory holding the tiles; read once, on first use
+   * @param {{maxTiles?: number}} [options] decoded tiles kept in memory; a
+   *   3601-square tile is 52 MB decoded
+   */
+  constructor(dir, { maxTiles = 4 } = {}) {
+    this.dir = dir;
+    this.maxTiles = maxTiles;
+    this.filesPromise = null;
+    this.tiles = new Map();
+    // The last decode queued; each waits for the one before.
+    this.decoding = Promise.resolve();
+  }
+
+  /** Tile files by corner. Where both exist, .hgt wins over GeoTIFF. */
+  files() {
+    if (!this.filesPromise) {
+      this.filesPromise = fs.promises.readdir(this.dir).then((names) => {
+        const files = new Map();
+        for (const name of names.sort()) {
+          const ext = path.extname(name).toLowerCase();
+          const corner = DEM_EXTENSIONS.has(ext) && tileCornerFromName(name);
+          if (!corner) continue;
+          const key = tileKey(corner.lat, corner.lon);
+          const existing = files.get(key);
+          if (!existing || (ext === '.hgt' && existing.ext !== '.hgt')) {
+            files.set(key, { file: path.join(this.dir, name), ext, corner });
+          }
+        }
+        return files;
+      });
+    }
+    return this.filesPromise;
+  }
+
+  /** The decoded tile at a corner, or null when there is none or it cannot be read. */
+  async tile(lat, lon) {
+    const key = tileKey(lat, lon);
+    if (this.tiles.has(key)) {
+      const cached = this.tiles.get(key);
+      this.tiles.delete(key);
+      this.tiles.set(key, cached);
+      return cached;
+    }
+    const entry = (await this.files()).get(key);
+    if (this.tiles.has(key)) return this.tile(lat, lon);
+    const loading = entry
+      ? this.decoding.then(() => fs.promises.readFile(entry.file))
+        .then((buffer) => (entry.ext === '.hgt' ? parseHgt(buffer, entry.corner) : parseGeoTiff(buffer)))
+        .catch((e) => {
+          console.warn('[dem] cannot read tile', { file: entry.file, error: e.message });
+          return null;
+        })
+      : Promise.resolve(null);
+    if (entry) this.decoding = loading;
+    this.tiles.set(key, loading);
+    while (this.tiles.size > this.maxTiles) this.tiles.delete(this.tiles.keys().next().value);
+    return loading;
+  }
+
+  /**
+   * Elevation in metres, to a decimetre, for each [lon, lat]; null where no
+   * tile covers the point or the model has a void there. Each tile is sampled
+   * as soon as it is ready, so a request holds at most one that has left the
+   * cache.
+   * @param {Array<[number, number]>} coordinates
+   * @returns {Promise<Array<number|null>>}
+   */
+  async elevations(coordinates) {
+    const byTile = new Map();
+    coordinates.forEach(([lon, lat], i) => {
+      const corner = tileCornerOf(lon, lat);
+      const key = tileKey(corner.lat, corner.lon);
+      if (!byTile.has(key)) byTile.set(key, { ...corner, indices: [] });
+      byTile.get(key).indices.push(i);
+    });
+    const result = new Array(coordinates.length).fill(null);
+    for (const { lat, lon, indices } of byTile.values()) {
+      const raster = await this.tile(lat, lon);
+      if (!raster) continue;
+      for (const i of indices) {
+        const ele = sampleBilinear(raster, coordinates[i][0], coordinates[i][1]);
+        result[i] = ele == null ? null : Math.round(ele * 10) / 10;
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  MAX_ELEVATION_POINTS,
+  MAX_ELEVATION_TILES,
+  tileCornerFromName,
+  parseHgt,
+  parseGeoTiff,
+  lzwDecode,
+  sampleBilinear,
+  parseElevationRequest,
+  DemStore
+};
@@ -0,0 +1,174 @@
+/**
+ * GPX reading and writing for the server.
+ *
+ * The browser converts GPX with @tmcw/togeojson and writes it with togpx, both
+ * of which need a DOM or a bundler. Server-side callers only need the geometry
+ * - every track segment and route as a line of [lon, lat, ele] - and the
+ * ability to add waypoints to a document, so this does exactly that and
+ * leaves the rest of the document alone.
+ */
+
+const { decodeEntities } = require('./osmXml');
+
+const TRKSEG_RE = /<trkseg\b[^>]*>([\s\S]*?)<\/trkseg>/g;
+const RTE_RE = /<rte\b[^>]*>([\s\S]*?)<\/rte>/g;
+const NAME_RE = /<name\b[^>]*>([\s\S]*?)<\/name>/;
+// Routes of DRY_STRETCH_TYPE (enrichedGpx.mjs) are notes an enriched
+// download carries alongside the route, not part of it.
+const DRY_STRETCH_RTE_RE = /^(?:(?!<rtept\b)[\s\S])*<type\b[^>]*>\s*dry stretch\s*<\/type>/;
+const ELE_RE = /<ele\b[^>]*>\s*([-+0-9.eE]+)\s*<\/ele>/;
+const LAT_RE = /\blat\s*=\s*["']([^"']*)["']/;
+const LON_RE = /\blon\s*=\s*["']([^"']*)["']/;
+
+/**
+ * Whether a <rte> (the element or its content) is a dry stretch note rather
+ * than part of the route.
+ */
+function isDryStretchRoute(rteText) {
+  return DRY_STRETCH_RTE_RE.test(rteText);
+}
+
+function pointRegExp(tag) {
+  return new RegExp(`<${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${tag}>)`, 'g');
+}
+
+/**
+ * Every <trkpt>/<rtept>/<wpt> in a fragment with where it sits in the text,
+ * for callers that rewrite the document around them.
+ * @returns {Array<{start: number, end: number, coord: number[]|null}>}
+ *   coord is [lon, lat] or [lon, lat, ele]; null when the point has no usable position
+ */
+function locatePoints(fragment, tag) {
+  const located = [];
+  for (const m of fragment.matchAll(pointRegExp(tag))) {
+    const lat = Number((LAT_RE.exec(m[1]) || [])[1]);
+    const lon = Number((LON_RE.exec(m[1]) || [])[1]);
+    let coord = null;
+    if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+      const ele = Number((ELE_RE.exec(m[2] || '') || [])[1]);
+      coord = Number.isFinite(ele) ? [lon, lat, ele] : [lon, lat];
+    }
+    located.push({ start: m.index, end: m.index + m[0].length, coord });
+  }
+  return located;
+}
+
+/**
+ * Coordinates of every <trkpt>/<rtept> in a fragment.
+ * @returns {number[][]} [lon, lat] or [lon, lat, ele]
+ */
+function readPoints(fragment, tag) {
+  return locatePoints(fragment, tag).map((p) => p.coord).filter(Boolean);
+}
+
+function documentName(text) {
+  const name = NAME_RE.exec(text);
+  return name ? decodeEntities(name[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')).trim() : '';
+}
+
+/**
+ * Parse GPX text into a FeatureCollection with one LineString per track
+ * segment and per route.
+ *
+ * @param {string} gpxText
+ * @returns {object} GeoJSON FeatureCollection
+ * @throws {Error} when the document has no usable track or route
+ */
+function parseGpxToGeoJSON(gpxText) {
+  if (typeof gpxText !== 'string' || !/<gpx(?:\s|>)/i.test(gpxText.slice(0, 2048))) {
+    throw new Error('Not a GPX document.');
+  }
+  const name = documentName(gpxText);
+  const features = [];
+  const addLine = (coords, source) => {
+    if (coords.length < 2) return;
+    features.push({
+      type: 'Feature',
+      properties: { name, source },
+      geometry: { type: 'LineString', coordinates: coords }
+    });
+  };
+
+  for (const seg of gpxText.matchAll(TRKSEG_RE)) addLine(readPoints(seg[1], 'trkpt'), 'gpx:trk');
+  for (const rte of gpxText.matchAll(RTE_RE)) {
+    if (isDryStretchRoute(rte[1])) continue;
+    addLine(readPoints(rte[1], 'rtept'), 'gpx:rte');
+  }
+
+  if (!features.length) throw new Error('No features found in GPX.');
+  return { type: 'FeatureCollection', features };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function waypointXml(feature) {
+  const [lon, lat] = feature.geometry.coordinates;
+  const props = feature.properties || {};
+  const children = [
+    props.name != null ? `<name>${escapeXml(props.name)}</name>` : '',
+    props.type != null ? `<type>${escapeXml(props.type)}</type>` : ''
+  ].join('');
+  return `<wpt lat="${lat}" lon="${lon}">${children}</wpt>`;
+}
+
+/**
+ * Add waypoints to an existing GPX document without re-serialising it, so
+ * everything the original carried (timestamps, extensions, names) survives.
+ *
+ * GPX 1.1 requires <wpt> before <rte> and <trk>, so they go in just ahead of
+ * the first of those, or before </gpx> in a document with neither.
+ *
+ * @param {string} gpxText
+ * @param {Array<object>} features GeoJSON Point features with name/type properties
+ * @returns {string}
+ */
+function insertWaypoints(gpxText, features) {
+  const points = (features || []).filter((f) => f?.geometry?.type === 'Point');
+  if (!points.length) return gpxText;
+  const block = points.map((f) => `  ${waypointXml(f)}\n`).join('');
+  const anchor = /<(?:rte|trk)\b/.exec(gpxText) || /<\/gpx\s*>/.exec(gpxText);
+  if (!anchor) throw new Error('Not a GPX document.');
+  return gpxText.slice(0, anchor.index) + block + gpxText.slice(anchor.index);
+}
+
+/**
+ * Minimal GPX 1.1 document with one track per LineString, for routes that did
+ * not arrive as GPX (FIT files).
+ *
+ * @param {object} geojson FeatureCollection of LineStrings
+ * @param {{creator?: string}} [options]
+ * @returns {string}
+ */
+function featureCollectionToGpx(geojson, options = {}) {
+  const creator = escapeXml(options.creator || 'GPX Water Mapper');
+  const tracks = [];
+  for (const feature of geojson?.features || []) {
+    if (feature?.geometry?.type !== 'LineString') continue;
+    const name = feature.properties?.name ? `<name>${escapeXml(feature.properties.name)}</name>` : '';
+    const points = feature.geometry.coordinates.map(([lon, lat, ele]) => (
+      Number.isFinite(ele)
+        ? `<trkpt lat="${lat}" lon="${lon}"><ele>${ele}</ele></trkpt>`
+        : `<trkpt lat="${lat}" lon="${lon}"/>`
+    ));
+    tracks.push(`  <trk>${name}<trkseg>\n    ${points.join('\n    ')}\n  </trkseg></trk>\n`);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<gpx version="1.1" creator="${creator}" xmlns="http://www.topografix.com/GPX/1/1">\n` +
+    tracks.join('') +
+    `</gpx>\n`;
+}
+
+module.exports = {
+  isDryStretchRoute,
+  parseGpxToGeoJSON,
+  locatePoints,
+  insertWaypoints,
+  featureCollectionToGpx,
+  escapeXml
+};
@@ -0,0 +1,211 @@
+/**
+ * Privacy trimming for saved routes.
+ *
+ * Riders mostly start and finish at home, so a stored track points at where
+ * they live. Before a route is stored, this cuts out the first and last
+ * trimMeters of every track and route, measured along the line, and any point
+ * inside one of the rider's privacy zones. Waypoints and water points near
+ * what was cut go too: a "Home" waypoint or the fountain by the front door
+ * gives away the same place.
+ *
+ * Dry stretch routes in an enriched download are notes along the ride, not
+ * lines of their own: their ends are water stops, not the rider's door. They
+ * are not trimmed at the ends and add no areas of their own; only their points
+ * inside the track's hidden areas go.
+ *
+ * The document is edited in place, like insertWaypoints in gpx.js, so the
+ * points that stay keep their timestamps, extensions and names.
+ */
+
+const { isDryStretchRoute, locatePoints, parseGpxToGeoJSON } = require('./gpx');
+const { loadGeo } = require('./clientModules');
+
+const MAX_TRIM_METERS = 5000;
+const MAX_PRIVACY_ZONES = 10;
+const MIN_ZONE_RADIUS_M = 50;
+const MAX_ZONE_RADIUS_M = 5000;
+
+const LINES = [
+  { re: /<trk\b[^>]*>[\s\S]*?<\/trk>/g, point: 'trkpt' },
+  { re: /<rte\b[^>]*>[\s\S]*?<\/rte>/g, point: 'rtept' }
+];
+
+function isCoordinate(value, limit) {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+/**
+ * The `privacy` field of a route upload. Absent means no trimming.
+ * @returns {{ok: true, value: {trimMeters: number, zones: Array<{lat: number, lon: number, radiusM: number}>}}|{ok: false, error: string}}
+ */
+function validatePrivacyOptions(value) {
+  if (value == null) return { ok: true, value: { trimMeters: 0, zones: [] } };
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, error: 'privacy must be an object' };
+  }
+  const trimMeters = value.trimMeters ?? 0;
+  if (!Number.isInteger(trimMeters) || trimMeters < 0 || trimMeters > MAX_TRIM_METERS) {
+    return { ok: false, error: `privacy.trimMeters must be a whole number of metres from 0 to ${MAX_TRIM_METERS}` };
+  }
+  const zones = value.zones ?? [];
+  if (!Array.isArray(zones) || zones.length > MAX_PRIVACY_ZONES) {
+    return { ok: false, error: `privacy.zones must be a list of at most ${MAX_PRIVACY_ZONES} zones` };
+  }
+  for (const zone of zones) {
+    if (!zone || !isCoordinate(zone.lat, 90) || !isCoordinate(zone.lon, 180) ||
+        !Number.isInteger(zone.radiusM) || zone.radiusM < MIN_ZONE_RADIUS_M || zone.radiusM > MAX_ZONE_RADIUS_M) {
+      return { ok: false, error: `privacy zones need lat, lon and a radiusM of ${MIN_ZONE_RADIUS_M}-${MAX_ZONE_RADIUS_M}` };
+    }
+  }
+  return {
+    ok: true,
+    value: { trimMeters, zones: zones.map(({ lat, lon, radiusM }) => ({ lat, lon, radiusM })) }
+  };
+}
+
+function insideAny(coord, areas, haversineMeters) {
+  return areas.some((area) => haversineMeters(coord, area.center) <= area.radiusM);
+}
+
+/**
+ * Remove text ranges; a point on a line of its own takes the line with it so
+ * the document does not fill up with blank lines.
+ */
+function cutRanges(text, ranges) {
+  let out = '';
+  let pos = 0;
+  for (const { start, end } of [...ranges].sort((a, b) => a.start - b.start)) {
+    let from = start;
+    while (from > pos && (text[from - 1] === ' ' || text[from - 1] === '\t')) from--;
+    const trailing = /^[ \t]*\r?\n/.exec(text.slice(end, end + 256));
+    let to = end;
+    if ((from === 0 || text[from - 1] === '\n') && trailing) to = end + trailing[0].length;
+    else from = start;
+    out += text.slice(pos, from);
+    pos = to;
+  }
+  return out + text.slice(pos);
+}
+
+/**
+ * Trim one GPX document.
+ *
+ * @param {string} gpxText
+ * @param {{trimMeters: number, zones: Array<{lat: number, lon: number, radiusM: number}>}} options
+ * @returns {Promise<{gpxText: string, keptPoints: number, removedPoints: number,
+ *   hiddenAreas: Array<{center: number[], radiusM: number}>}>} hiddenAreas are the zones plus a
+ *   trimMeters circle around each line's original start and end, for filtering anything else
+ *   stored with the route
+ */
+async function trimGpx(gpxText, { trimMeters, zones }) {
+  const { haversineMeters } = await loadGeo();
+  const zoneAreas = zones.map(({ lat, lon, radiusM }) => ({ center: [lon, lat], radiusM }));
+  const endAreas = [];
+  const cuts = [];
+  const dryStretches = [];
+  let keptPoints = 0;
+
+  for (const line of LINES) {
+    for (const m of gpxText.matchAll(line.re)) {
+      if (line.point === 'rtept' && isDryStretchRoute(m[0])) {
+        dryStretches.push(m);
+        continue;
+      }
+      const points = locatePoints(m[0], line.point);
+      const located = points.filter((p) => p.coord);
+      if (!located.length) continue;
+      if (trimMeters) {
+        endAreas.push({ center: located[0].coord, radiusM: trimMeters });
+        endAreas.push({ center: located[located.length - 1].coord, radiusM: trimMeters });
+      }
+      // Distance along the line, across segment gaps too: a pause does not
+      // start a new ride.
+      const along = [];
+      let total = 0;
+      let prev = null;
+      for (const p of points) {
+        if (p.coord && prev) total += haversineMeters(prev, p.coord);
+        if (p.coord) prev = p.coord;
+        along.push(total);
+      }
+      points.forEach((p, i) => {
+        if (!p.coord) return;
+        const trimmed = trimMeters > 0 && (along[i] < trimMeters || along[i] > total - trimMeters);
+        if (trimmed || insideAny(p.coord, zoneAreas, haversineMeters)) {
+          cuts.push({ start: m.index + p.start, end: m.index + p.end });
+        } else {
+          keptPoints++;
+        }
+      });
+    }
+  }
+
+  const hiddenAreas = [...zoneAreas, ...endAreas];
+  for (const m of dryStretches) {
+    const points = locatePoints(m[0], 'rtept').filter((p) => p.coord);
+    const hidden = points.filter((p) => insideAny(p.coord, hiddenAreas, haversineMeters));
+    if (points.length - hidden.length < 2) {
+      // Too little left to draw; the whole note goes.
+      cuts.push({ start: m.index, end: m.index + m[0].length });
+    } else {
+      for (const p of hidden) cuts.push({ start: m.index + p.start, end: m.index + p.end });
+    }
+  }
+  for (const wpt of locatePoints(gpxText, 'wpt')) {
+    if (wpt.coord && insideAny(wpt.coord, hiddenAreas, haversineMeters)) cuts.push(wpt);
+  }
+
+  return { gpxText: cuts.length ? cutRanges(gpxText, cuts) : gpxText, keptPoints, removedPoints: cuts.length, hiddenAreas };
+}
+
+/**
+ * Apply the rider's privacy options to everything stored for a route: both
+ * GPX documents, the water points and the bounding box (which would otherwise
+ * still reach to the front door).
+ *
+ * @param {{gpxText: string, enrichedGpxText: string|null, waterPoints: Array<object>|null, waypointsCount: number|null, bbox: object|null}} route
+ * @param {{trimMeters: number, zones: Array<object>}} options from validatePrivacyOptions
+ * @returns {Promise<{ok: true, value: object}|{ok: false, error: string}>} value has the same shape as route
+ */
+async function applyPrivacy(route, options) {
+  if (!options.trimMeters && !options.zones.length) return { ok: true, value: route };
+  const original = await trimGpx(route.gpxText, options);
+  if (original.keptPoints < 2) {
+    return { ok: false, error: 'Privacy trimming leaves nothing of the route to save' };
+  }
+  const enrichedGpxText = route.enrichedGpxText ? (await trimGpx(route.enrichedGpxText, options)).gpxText : null;
+
+  const { haversineMeters, pointLonLat, computeBBoxFromGeoJSON } = await loadGeo();
+  const waterPoints = Array.isArray(route.waterPoints)
+    ? route.waterPoints.filter((p) => {
+      const coord = pointLonLat(p);
+      return !coord || !insideAny(coord, original.hiddenAreas, haversineMeters);
+    })
+    : route.waterPoints;
+  let bbox = null;
+  try {
+    bbox = computeBBoxFromGeoJSON(parseGpxToGeoJSON(original.gpxText));
+  } catch (_) {
+    // The points left do not form a line (one per segment); store no box
+    // rather than the untrimmed one.
+  }
+  return {
+    ok: true,
+    value: {
+      ...route,
+      gpxText: original.gpxText,
+      enrichedGpxText,
+      waterPoints,
+      waypointsCount: Array.isArray(waterPoints) ? waterPoints.length : route.waypointsCount,
+      bbox
+    }
+  };
+}
+
+module.exports = {
+  MAX_TRIM_METERS,
+  MAX_PRIVACY_ZONES,
+  validatePrivacyOptions,
+  trimGpx,
+  applyPrivacy
+};
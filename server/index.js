@@ -4,20 +4,39 @@
  *
  * Endpoints:
  *   GET  /                   → index.html
+ *   GET  /r/:slug            → index.html, opening a shared route
+ *   GET  /api/shared/:slug   → a shared route's GPX and water points (public, read-only)
+ *   GET|PATCH|DELETE /api/my/routes/:id → the uploader's own route, by owner token or session
+ *   POST /api/auth/register|login|logout, GET /api/auth/session → member accounts
+ *   GET  /api/account/routes → the signed-in member's saved routes
  *   GET  /app.js             → client script
  *   GET  /styles.css         → styles
  *   GET  /favicon.svg        → favicon (also as .ico)
  *   GET  /health             → health check
  *   POST /api/overpass       → Overpass passthrough (form-urlencoded or JSON { query })
- *   GET  /tiles/:z/:x/:y.png → Tile proxy to configured OSM tile server
+ *   POST /api/analyze        → GPX/FIT body in, near-route water and dry stretch out (JSON)
+ *   POST /api/elevation      → { coordinates: [[lon, lat], …] } in, elevations from DEM_DIR out
+ *   GET  /tiles/:provider/:z/:x/:y.png → Tile proxy to a configured tile provider
+ *   GET  /tiles/:z/:x/:y.png → Same, for the default (first) provider
  *
  * Environment variables:
  *   PORT                    → listening port (default 3000)
  *   OVERPASS_URL            → Overpass API base URL
  *   OVERPASS_TIMEOUT_MS     → timeout for Overpass requests
- *   TILE_URL_TEMPLATE       → tile URL template, e.g. https://tile.openstreetmap.org/{z}/{x}/{y}.png
+ *   TILE_PROVIDERS_FILE     → JSON file listing tile providers (see server/tileProviders.js)
+ *   TILE_PROVIDERS          → the same list inline
+ *   TILE_URL_TEMPLATE       → adds a "local" provider ahead of the defaults, e.g. http://localhost:8080/{z}/{x}/{y}.png
  *   TILE_TIMEOUT_MS         → timeout for tile fetches
- *   TILE_USER_AGENT         → UA string for tile requests
+ *   TILE_USER_AGENT         → default UA string for tile requests
+ *   TILE_CACHE_DB_PATH      → disk tile cache file (next to the routes DB by default)
+ *   TILE_CACHE_MAX_BYTES    → disk tile cache budget; 0 disables it
+ *   ALLOW_REGISTRATION      → "false" closes sign-up (default open)
+ *   SESSION_TTL_DAYS        → how long a sign-in lasts (default 30)
+ *   DELETED_ROUTE_RETENTION_DAYS → how long a deleted route can be restored (default 30)
+ *   ROUTE_RETENTION_DAYS    → delete (or strip) routes uploaded longer ago; unset keeps them
+ *   ROUTE_RETENTION_MODE    → "delete" (default) or "strip" (see server/retention.js)
+ *   DEM_DIR                 → directory of SRTM .hgt or GeoTIFF elevation tiles; unset disables /api/elevation
+ *   DEM_CACHE_TILES         → how many decoded tiles to keep in memory (default 4)
  */
 
 // Load environment variables from a local .env if present (no-op if package not installed or on Fly)
@@ -42,7 +61,31 @@ const {
   listRouteIds,
   countRoutes,
   getRouteById,
+  getRouteTrack,
+  getSharedRoute,
+  getOwnedRoute,
+  updateOwnedRoute,
+  deleteOwnedRoute,
+  listUserRoutes,
   deleteRouteById,
+  restoreRouteById,
+  listDeletedRoutes,
+  purgeDeletedRoutes,
+  deleteRoutesUploadedBefore,
+  stripRoutesUploadedBefore,
+  vacuumDatabase,
+  createUser,
+  getUserByUsername,
+  listUsers,
+  setUserRole,
+  setRouteNote,
+  recordAudit,
+  listAudit,
+  countAudit,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  purgeExpiredSessions,
   DB_PATH
 } = require('./db');
 // archiver 8 dropped the callable default export in favour of named classes,
@@ -57,10 +100,43 @@ const {
   isAllowedOrigin,
   positiveInteger,
   anonymizeIp,
-  validateBbox
+  validateBbox,
+  validateRadiusMeters,
+  generateShareSlug,
+  isShareSlug,
+  generateOwnerToken,
+  hashOwnerToken,
+  validateRouteUpdate,
+  validateRouteNote,
+  MAX_GPX_BYTES
 } = require('./security');
 const { QUERY_KINDS, buildQueryForKind } = require('./overpassQuery');
-const { OverpassCache, cacheKey } = require('./overpassCache');
+const { OverpassCache, TieredOverpassCache } = require('./overpassCache');
+const { queryOverpassGrid } = require('./overpassGrid');
+const { SqliteCacheStore } = require('./overpassCacheStore');
+const { SqliteTileStore, TileCache, DEFAULT_TILE_TTL_MS } = require('./tileCache');
+const { loadTileProviders, publicTileProviders, tileUrlFor } = require('./tileProviders');
+const { analyzeRoute, parseRouteBuffer } = require('./analyze');
+const { DAY_MS, loadRetentionPolicy, RetentionJob } = require('./retention');
+const { applyPrivacy } = require('./gpxPrivacy');
+const { parseRouteFilters } = require('./routeFilters');
+const { simplifiedTrack } = require('./routeMap');
+const { parseListCursor } = require('./pagination');
+const { DemStore, parseElevationRequest } = require('./dem');
+const {
+  SESSION_COOKIE,
+  CSRF_HEADER,
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  generateSessionId,
+  hashSessionId,
+  generateCsrfToken,
+  parseCookies,
+  sessionCookie
+} = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -68,7 +144,7 @@ const IS_PRODUCTION = process.env.NODE_ENV === 'production';
 
 // Configurable upstreams
 const OVERPASS_URL = process.env.OVERPASS_URL || 'https://overpass-api.de/api/interpreter';
-const TILE_URL_TEMPLATE = process.env.TILE_URL_TEMPLATE || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_PROVIDERS = loadTileProviders(process.env);
 const OVERPASS_TIMEOUT_MS = positiveInteger(process.env.OVERPASS_TIMEOUT_MS, 60000, 1000, 120000);
 const TILE_TIMEOUT_MS = positiveInteger(process.env.TILE_TIMEOUT_MS, 20000, 1000, 60000);
 const OVERPASS_MAX_RESPONSE_BYTES = positiveInteger(
@@ -105,15 +181,8 @@ app.use(helmet({
         'https://unpkg.com'
       ],
       styleSrc: ["'self'", "'unsafe-inline'", 'https://cdn.jsdelivr.net', 'https://unpkg.com'],
-      imgSrc: [
-        "'self'",
-        'data:',
-        'blob:',
-        'https://unpkg.com',
-        'https://*.tile.openstreetmap.org',
-        'https://*.tile.opentopomap.org',
-        'https://server.arcgisonline.com'
-      ],
+      // Every tile provider is reached through /tiles, so tiles are 'self'.
+      imgSrc: ["'self'", 'data:', 'blob:', 'https://unpkg.com'],
       connectSrc: ["'self'"],
       objectSrc: ["'none'"],
       frameAncestors: ["'none'"],
@@ -141,10 +210,45 @@ const proxyLimiter = rateLimit({
   limit: positiveInteger(process.env.PROXY_RATE_LIMIT, 120, 1, 10000),
   message: 'Proxy rate limit exceeded'
 });
-const tileLimiter = rateLimit({
+// One budget per tile provider, each set by the provider's own terms
+// (TILE_RATE_LIMIT unless the provider says otherwise).
+const tileLimiters = new Map(TILE_PROVIDERS.map((provider) => [provider.id, rateLimit({
   ...limiterDefaults,
-  limit: positiveInteger(process.env.TILE_RATE_LIMIT, 600, 1, 100000),
+  limit: provider.rateLimit,
   message: 'Tile rate limit exceeded'
+})]));
+// Each analysis can fan out into several Overpass requests, so it gets a
+// budget of its own well below the proxy's.
+const analyzeLimiter = rateLimit({
+  ...limiterDefaults,
+  limit: positiveInteger(process.env.ANALYZE_RATE_LIMIT, 30, 1, 10000),
+  message: { error: 'Too many analysis requests; try again later' }
+});
+// Shared links are public and unauthenticated; the budget is generous for a
+// person opening links and tight for anyone trying slugs.
+const shareLimiter = rateLimit({
+  ...limiterDefaults,
+  limit: positiveInteger(process.env.SHARE_RATE_LIMIT, 120, 1, 10000),
+  message: { error: 'Too many shared-route requests; try again later' }
+});
+const myRoutesLimiter = rateLimit({
+  ...limiterDefaults,
+  limit: positiveInteger(process.env.MY_ROUTES_RATE_LIMIT, 120, 1, 10000),
+  message: { error: 'Too many requests; try again later' }
+});
+// Sign-in and sign-up each cost a deliberately slow scrypt hash, and login is
+// what password guessing goes through.
+const authLimiter = rateLimit({
+  ...limiterDefaults,
+  limit: positiveInteger(process.env.AUTH_RATE_LIMIT, 20, 1, 10000),
+  message: { error: 'Too many sign-in attempts; try again later' }
+});
+// Each request can decode a tile or two from disk; generous enough for a
+// person loading routes, not for bulk lookups.
+const elevationLimiter = rateLimit({
+  ...limiterDefaults,
+  limit: positiveInteger(process.env.ELEVATION_RATE_LIMIT, 60, 1, 10000),
+  message: { error: 'Too many elevation requests; try again later' }
 });
 const adminLimiter = rateLimit({
   ...limiterDefaults,
@@ -169,6 +273,49 @@ function requireSameOriginStrict(req, res, next) {
   return next();
 }
 
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION !== 'false';
+const SESSION_TTL_MS = positiveInteger(process.env.SESSION_TTL_DAYS, 30, 1, 365) * 24 * 60 * 60 * 1000;
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Resolve the session cookie, if any, to res.locals.user. Never turns a
+// request away: each route decides whether it needs a signed-in user.
+async function loadSession(req, res, next) {
+  res.locals.user = null;
+  const idHash = hashSessionId(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+  if (idHash) {
+    try {
+      res.locals.user = await getSessionUser(idHash);
+      res.locals.sessionIdHash = idHash;
+    } catch (e) {
+      console.error('[loadSession] error', e);
+      return res.status(500).json({ error: 'Failed to read session' });
+    }
+  }
+  return next();
+}
+
+// The browser attaches the cookie to every request, so a session alone does
+// not show the app's own page sent it. State-changing requests it authorises
+// must also echo the session's CSRF token; this sits behind
+// requireSameOriginStrict, not instead of it.
+function hasCsrfToken(req, res) {
+  return SAFE_METHODS.has(req.method) || safeEqual(req.get(CSRF_HEADER) || '', res.locals.user.csrfToken);
+}
+
+function requireUser(req, res, next) {
+  if (!res.locals.user) return res.status(401).json({ error: 'Sign in required' });
+  if (!hasCsrfToken(req, res)) return res.status(403).json({ error: 'Invalid CSRF token' });
+  return next();
+}
+
+async function startSession(req, res, userId) {
+  const sessionId = generateSessionId();
+  const csrfToken = generateCsrfToken();
+  await createSession({ idHash: hashSessionId(sessionId), userId, csrfToken, expiresAt: Date.now() + SESSION_TTL_MS });
+  res.setHeader('Set-Cookie', sessionCookie(sessionId, { maxAgeMs: SESSION_TTL_MS, secure: IS_PRODUCTION || req.secure }));
+  return csrfToken;
+}
+
 // serve favicon assets
 app.get('/favicon.svg', (req, res) => {
   res.sendFile(path.join(__dirname, '../favicon.svg'));
@@ -187,12 +334,22 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../index.html'));
 });
 
+// Shared route links: the same page, which reads the slug from the path and
+// loads the route from /api/shared/:slug. Kept out of search engines; the
+// link is meant for the people it was sent to.
+app.get('/r/:slug', (req, res) => {
+  if (!isShareSlug(req.params.slug)) return res.status(404).send('Not found');
+  res.setHeader('X-Robots-Tag', 'noindex');
+  res.sendFile(path.join(__dirname, '../index.html'));
+});
+
 app.get('/config.js', (_req, res) => {
   res.type('application/javascript');
   res.setHeader('Cache-Control', 'no-store');
   res.send(`window.WOR_CONFIG = Object.freeze({
     overpassUrl: '/api/overpass',
-    tileUrl: '/tiles/{z}/{x}/{y}.png'
+    tileUrl: '/tiles/{z}/{x}/{y}.png',
+    tileProviders: ${JSON.stringify(publicTileProviders(TILE_PROVIDERS)).replace(/</g, '\\u003c')}
   });`);
 });
 
@@ -202,7 +359,14 @@ const STATIC_ASSETS = {
   '/app.js': { file: '../app.js', type: 'text/javascript' },
   '/geo.mjs': { file: '../geo.mjs', type: 'text/javascript' },
   '/osmApi.mjs': { file: '../osmApi.mjs', type: 'text/javascript' },
+  '/enrichedGpx.mjs': { file: '../enrichedGpx.mjs', type: 'text/javascript' },
+  '/openingHours.mjs': { file: '../openingHours.mjs', type: 'text/javascript' },
+  '/myRoutes.mjs': { file: '../myRoutes.mjs', type: 'text/javascript' },
+  '/account.mjs': { file: '../account.mjs', type: 'text/javascript' },
+  '/privacySettings.mjs': { file: '../privacySettings.mjs', type: 'text/javascript' },
+  '/adminMap.mjs': { file: '../adminMap.mjs', type: 'text/javascript' },
   '/fitToGeoJSON.mjs': { file: '../fitToGeoJSON.mjs', type: 'text/javascript' },
+  '/demElevation.mjs': { file: '../demElevation.mjs', type: 'text/javascript' },
   '/styles.css': { file: '../styles.css', type: 'text/css' },
   // built by `npm run build:css`
   '/tailwind.css': { file: '../tailwind.css', type: 'text/css' },
@@ -241,6 +405,49 @@ function requireBasicAuth(req, res, next) {
   return res.status(401).send('Invalid credentials');
 }
 
+// Admin endpoints need a signed-in member of at least the given role (see
+// ROLES in auth.js), or the ADMIN_USER/ADMIN_PASS pair over Basic auth, which
+// counts as superadmin and stays as the bootstrap account that assigns the
+// first roles. Sets res.locals.actor for the audit trail.
+function requireRole(minimum) {
+  return [loadSession, (req, res, next) => {
+    const user = res.locals.user;
+    if (user && hasRole(user.role, minimum)) {
+      if (!hasCsrfToken(req, res)) return res.status(403).json({ error: 'Invalid CSRF token' });
+      res.locals.actor = { name: user.username, role: user.role };
+      return next();
+    }
+    // Signed-in staff asking for more than their role allows get a plain
+    // refusal, not a Basic-auth prompt.
+    if (user && hasRole(user.role, 'viewer')) {
+      return res.status(403).json({ error: `Requires the ${minimum} role` });
+    }
+    return requireBasicAuth(req, res, () => {
+      res.locals.actor = { name: process.env.ADMIN_USER, role: 'superadmin' };
+      next();
+    });
+  }];
+}
+const requireViewer = requireRole('viewer');
+const requireModerator = requireRole('moderator');
+const requireSuperadmin = requireRole('superadmin');
+
+// Admin actions that change something or hand data out (deletes, restores,
+// notes, role changes, route listings, the route map, downloads, IP lookups)
+// are written to audit_log: who, with which role, what, on which route, and
+// from which network (anonymised, like route uploads). Page loads and other
+// read-only views are left out so those stand out. A failed write is logged
+// and does not undo or block the action.
+async function audit(req, res, action, routeId = null, detail = null) {
+  const { name, role } = res.locals.actor;
+  const clientIp = anonymizeIp(req.ip || req.socket?.remoteAddress || null);
+  try {
+    await recordAudit({ actor: name, role, action, routeId, detail, clientIp });
+  } catch (e) {
+    console.error('[audit] failed to record', { action, routeId, error: e });
+  }
+}
+
 // Uploads are anonymous by design, so the only thing standing between the
 // volume and a filler is the rate limit. Stop accepting new routes before the
 // disk fills, which would take the whole app down rather than just this
@@ -269,8 +476,13 @@ async function isRouteStorageFull() {
 }
 
 // API: Save a route (raw GPX plus summary)
-// body: { filename, gpxText, bbox, routeKm, waypointsCount }
-app.post('/api/routes', uploadLimiter, requireSameOriginStrict, async (req, res) => {
+// body: { filename, gpxText, bbox, routeKm, waypointsCount, routeStats }
+app.post('/api/routes', uploadLimiter, requireSameOriginStrict, loadSession, async (req, res) => {
+  // Signed-in uploads are filed under the account, which is a change the
+  // session authorises, so it needs the CSRF token like any other.
+  if (res.locals.user && !hasCsrfToken(req, res)) {
+    return res.status(403).json({ error: 'Invalid CSRF token' });
+  }
   try {
     if (await isRouteStorageFull()) {
       return res.status(507).json({ error: 'Route storage is full' });
@@ -279,28 +491,247 @@ app.post('/api/routes', uploadLimiter, requireSameOriginStrict, async (req, res)
     if (!validation.ok) {
       return res.status(400).json({ error: validation.error });
     }
-    const { filename, gpxText, bbox, routeKm, waypointsCount, waterPoints, enrichedGpxText } = validation.value;
+    const { filename, routeKm, share, radiusM, privacy, routeStats } = validation.value;
+    // Trim before anything is stored: the untrimmed track must never reach the table.
+    const trimmed = await applyPrivacy(validation.value, privacy);
+    if (!trimmed.ok) {
+      return res.status(400).json({ error: trimmed.error });
+    }
+    const { gpxText, bbox, waypointsCount, waterPoints, enrichedGpxText } = trimmed.value;
     const fileSize = Buffer.byteLength(gpxText, 'utf8');
     // Store only the coarse network, never the full address: a GPX track plus a
     // full IP identifies a person, and this endpoint takes no authentication.
     const clientIp = anonymizeIp(req.ip || req.socket?.remoteAddress || null);
-    const result = await insertRoute({ filename, fileSize, bbox, routeKm, waypointsCount, gpxText, clientIp, waterPoints, enrichedGpxText });
+    const shareSlug = share ? generateShareSlug() : null;
+    // The token is handed back once and only its hash is kept; it is the
+    // uploader's sole way to manage the route later (/api/my/routes/:id).
+    const ownerToken = generateOwnerToken();
+    const result = await insertRoute({
+      filename, fileSize, bbox, routeKm, waypointsCount, gpxText, clientIp, waterPoints, enrichedGpxText,
+      shareSlug, radiusM, ownerTokenHash: hashOwnerToken(ownerToken), userId: res.locals.user?.userId, routeStats
+    });
     // One line per upload rather than three; the details are in the row.
-    console.log('[POST /api/routes] saved', { id: result.id, filename, fileSize, routeKm, waypointsCount });
-    return res.json({ ok: true, id: result.id });
+    console.log('[POST /api/routes] saved', {
+      id: result.id, filename, fileSize, routeKm, waypointsCount, shared: share,
+      trimmed: privacy.trimMeters > 0 || privacy.zones.length > 0
+    });
+    return res.json({ ok: true, id: result.id, ownerToken, ...(shareSlug ? { shareUrl: `/r/${shareSlug}` } : {}) });
   } catch (e) {
     console.error('[POST /api/routes] Error:', e);
     return res.status(500).json({ error: 'Failed to save route' });
   }
 });
 
-// API: List routes (protected). Paged: ?limit= (max 1000) &offset=
-app.get('/api/routes', adminLimiter, requireBasicAuth, async (req, res) => {
+// API: A shared route, read-only and public. Only routes saved with share on
+// have a slug; anything else is indistinguishable from a wrong one.
+app.get('/api/shared/:slug', shareLimiter, async (req, res) => {
+  res.setHeader('X-Robots-Tag', 'noindex');
+  if (!isShareSlug(req.params.slug)) return res.status(404).json({ error: 'Not found' });
+  try {
+    const route = await getSharedRoute(req.params.slug);
+    if (!route) return res.status(404).json({ error: 'Not found' });
+    res.setHeader('Cache-Control', 'private, max-age=60');
+    return res.json({ ok: true, route });
+  } catch (e) {
+    console.error('[GET /api/shared/:slug] error', e);
+    return res.status(500).json({ error: 'Failed to load shared route' });
+  }
+});
+
+// Owner endpoints: authorised by the token POST /api/routes returned, sent as
+// `Authorization: Bearer <token>`, or by the session of the member who saved
+// the route. A wrong owner, a route without one and a missing route all
+// answer 404, so ids cannot be probed.
+function requireRouteOwner(req, res, next) {
+  const header = req.get('authorization');
+  let owner;
+  if (header) {
+    // A bearer token is the whole credential; the session is not consulted,
+    // so a made-up token cannot borrow a signed-in member's cookie.
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    const tokenHash = match ? hashOwnerToken(match[1]) : null;
+    if (!tokenHash) return res.status(401).json({ error: 'Owner token required' });
+    owner = { tokenHash };
+  } else if (res.locals.user) {
+    if (!hasCsrfToken(req, res)) return res.status(403).json({ error: 'Invalid CSRF token' });
+    owner = { userId: res.locals.user.userId };
+  } else {
+    return res.status(401).json({ error: 'Owner token required' });
+  }
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+  res.locals.routeId = id;
+  res.locals.owner = owner;
+  return next();
+}
+
+function ownedRouteView(route) {
+  const { shareSlug, ...rest } = route;
+  return { ...rest, shareUrl: shareSlug ? `/r/${shareSlug}` : null };
+}
+
+app.get('/api/my/routes/:id', myRoutesLimiter, requireSameOrigin, loadSession, requireRouteOwner, async (_req, res) => {
+  try {
+    const route = await getOwnedRoute(res.locals.routeId, res.locals.owner);
+    if (!route) return res.status(404).json({ error: 'Not found' });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ ok: true, route: ownedRouteView(route) });
+  } catch (e) {
+    console.error('[GET /api/my/routes/:id] error', e);
+    return res.status(500).json({ error: 'Failed to load route' });
+  }
+});
+
+// Rename, or turn the share link on or off. Turning it back on issues a new
+// slug, so a link that was withdrawn stays dead.
+app.patch('/api/my/routes/:id', myRoutesLimiter, requireSameOriginStrict, loadSession, requireRouteOwner, async (req, res) => {
+  const validation = validateRouteUpdate(req.body);
+  if (!validation.ok) return res.status(400).json({ error: validation.error });
+  const { routeId, owner } = res.locals;
+  try {
+    const current = await getOwnedRoute(routeId, owner);
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const { filename, share } = validation.value;
+    let shareSlug;
+    if (share === true && !current.shareSlug) shareSlug = generateShareSlug();
+    if (share === false) shareSlug = null;
+    await updateOwnedRoute(routeId, owner, { filename, shareSlug });
+    const route = await getOwnedRoute(routeId, owner);
+    return res.json({ ok: true, route: ownedRouteView(route) });
+  } catch (e) {
+    console.error('[PATCH /api/my/routes/:id] error', e);
+    return res.status(500).json({ error: 'Failed to update route' });
+  }
+});
+
+app.delete('/api/my/routes/:id', myRoutesLimiter, requireSameOriginStrict, loadSession, requireRouteOwner, async (_req, res) => {
+  try {
+    const result = await deleteOwnedRoute(res.locals.routeId, res.locals.owner);
+    if (!result.deletedCount) return res.status(404).json({ error: 'Not found' });
+    console.log('[DELETE /api/my/routes/:id] deleted by owner', { id: res.locals.routeId });
+    return res.json({ ok: true, deleted: result.deletedCount });
+  } catch (e) {
+    console.error('[DELETE /api/my/routes/:id] error', e);
+    return res.status(500).json({ error: 'Failed to delete route' });
+  }
+});
+
+// Accounts. Register and login both end signed in: the session id goes in an
+// HttpOnly cookie and the CSRF token in the body, for the page to keep in
+// memory and send back as X-CSRF-Token.
+function accountView(user, csrfToken) {
+  return { ok: true, user: { username: user.username, role: user.role }, csrfToken };
+}
+
+app.get('/api/auth/session', requireSameOrigin, loadSession, (_req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const { user } = res.locals;
+  if (!user) return res.json({ ok: true, user: null, registration: ALLOW_REGISTRATION });
+  return res.json({ ...accountView(user, user.csrfToken), registration: ALLOW_REGISTRATION });
+});
+
+app.post('/api/auth/register', authLimiter, requireSameOriginStrict, async (req, res) => {
+  if (!ALLOW_REGISTRATION) return res.status(403).json({ error: 'Registration is closed' });
+  const validation = validateCredentials(req.body);
+  if (!validation.ok) return res.status(400).json({ error: validation.error });
+  const { username, password } = validation.value;
+  try {
+    const { id } = await createUser({ username, passwordHash: await hashPassword(password) });
+    const csrfToken = await startSession(req, res, id);
+    console.log('[POST /api/auth/register] new member', { id, username });
+    return res.status(201).json(accountView({ username, role: 'member' }, csrfToken));
+  } catch (e) {
+    if (e && e.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'That username is taken' });
+    console.error('[POST /api/auth/register] error', e);
+    return res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.post('/api/auth/login', authLimiter, requireSameOriginStrict, loadSession, async (req, res) => {
+  const validation = validateCredentials(req.body);
+  try {
+    const user = validation.ok ? await getUserByUsername(validation.value.username) : null;
+    // Hash even for unknown names, so response time does not reveal which exist.
+    const matches = await verifyPassword(validation.ok ? validation.value.password : '', user ? user.passwordHash : null);
+    if (!user || !matches) return res.status(401).json({ error: 'Wrong username or password' });
+    // A fresh id on every sign-in; an id planted before login is worthless after.
+    if (res.locals.sessionIdHash) await deleteSession(res.locals.sessionIdHash);
+    await purgeExpiredSessions();
+    const csrfToken = await startSession(req, res, user.id);
+    return res.json(accountView(user, csrfToken));
+  } catch (e) {
+    console.error('[POST /api/auth/login] error', e);
+    return res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', requireSameOriginStrict, loadSession, requireUser, async (req, res) => {
+  try {
+    await deleteSession(res.locals.sessionIdHash);
+    res.setHeader('Set-Cookie', sessionCookie(null, { secure: IS_PRODUCTION || req.secure }));
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('[POST /api/auth/logout] error', e);
+    return res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// A member's history: every route saved while signed in, on any device.
+app.get('/api/account/routes', myRoutesLimiter, requireSameOrigin, loadSession, requireUser, async (req, res) => {
+  try {
+    const page = await listUserRoutes(res.locals.user.userId, { limit: req.query.limit, offset: req.query.offset });
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ ok: true, ...page, routes: page.routes.map(ownedRouteView) });
+  } catch (e) {
+    console.error('[GET /api/account/routes] error', e);
+    return res.status(500).json({ error: 'Failed to list routes' });
+  }
+});
+
+app.get('/api/admin/users', adminLimiter, requireSuperadmin, async (req, res) => {
+  try {
+    const users = await listUsers();
+    return res.json({ ok: true, users, roles: ROLES });
+  } catch (e) {
+    console.error('[GET /api/admin/users] error', e);
+    return res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// Assign a role. The change signs the member out everywhere.
+app.patch('/api/admin/users/:id', adminLimiter, requireSameOriginStrict, requireSuperadmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+  const role = req.body && req.body.role;
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  try {
+    const result = await setUserRole(id, role);
+    if (!result.updatedCount) return res.status(404).json({ error: 'Not found' });
+    await audit(req, res, 'user.role', null, { userId: id, role });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error('[PATCH /api/admin/users/:id] error', e);
+    return res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// API: List routes (protected). Paged: ?limit= (max 1000) and either
+// ?after= (the previous page's nextCursor) or &offset=
+// Filtered: ?q= (filename) &from= &to= (YYYY-MM-DD) &minKm= &maxKm= &bbox=minlon,minlat,maxlon,maxlat
+app.get('/api/routes', adminLimiter, requireViewer, async (req, res) => {
+  const parsed = parseRouteFilters(req.query);
+  if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+  const cursor = parseListCursor(req.query.after);
+  if (!cursor.ok) return res.status(400).json({ error: cursor.error });
+  const filters = parsed.value;
+  const after = cursor.value;
   try {
     const [page, total] = await Promise.all([
-      listRoutes({ limit: req.query.limit, offset: req.query.offset }),
-      countRoutes()
+      listRoutes({ limit: req.query.limit, offset: req.query.offset, after, filters }),
+      countRoutes(filters)
     ]);
+    const paging = after ? { after: req.query.after } : { offset: page.offset };
+    await audit(req, res, 'routes.list', null, { limit: page.limit, ...paging, ...filters });
     return res.json({ ok: true, total, ...page });
   } catch (e) {
     console.error(e);
@@ -308,8 +739,42 @@ app.get('/api/routes', adminLimiter, requireBasicAuth, async (req, res) => {
   }
 });
 
-// API: Delete route (protected)
-app.delete('/api/routes/:id', adminLimiter, requireSameOriginStrict, requireBasicAuth, async (req, res) => {
+// Deleting a route only hides it. It stays restorable for the policy's
+// deletedRetentionDays, after which the retention job removes it for good,
+// along with uploads past ROUTE_RETENTION_DAYS.
+const RETENTION_POLICY = loadRetentionPolicy(process.env);
+const DELETED_ROUTE_RETENTION_MS = RETENTION_POLICY.deletedRetentionDays * DAY_MS;
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const retentionJob = new RetentionJob({
+  policy: RETENTION_POLICY,
+  store: { purgeDeletedRoutes, deleteRoutesUploadedBefore, stripRoutesUploadedBefore, vacuumDatabase, recordAudit },
+  fileSize: () => fs.promises.stat(DB_PATH).then((stat) => stat.size, () => 0),
+  // Let the next upload see the space the VACUUM freed.
+  onReclaimed: () => { dbSizeCache = { bytes: 0, checkedAt: 0 }; }
+});
+
+// API: Retention policy and what its last run did (protected)
+app.get('/api/admin/retention', adminLimiter, requireViewer, async (req, res) => {
+  return res.json({ ok: true, policy: RETENTION_POLICY, lastRun: retentionJob.lastRun });
+});
+
+// API: Routes deleted but not yet purged (protected)
+app.get('/api/routes/deleted', adminLimiter, requireModerator, async (req, res) => {
+  try {
+    const routes = (await listDeletedRoutes()).map((r) => ({
+      ...r,
+      deletedAt: new Date(r.deletedAt).toISOString(),
+      purgeAt: new Date(r.deletedAt + DELETED_ROUTE_RETENTION_MS).toISOString()
+    }));
+    return res.json({ ok: true, routes });
+  } catch (e) {
+    console.error('[GET /api/routes/deleted] error', e);
+    return res.status(500).json({ error: 'Failed to list deleted routes' });
+  }
+});
+
+// API: Delete route (protected). Soft: see POST /api/routes/:id/restore.
+app.delete('/api/routes/:id', adminLimiter, requireSameOriginStrict, requireModerator, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id' });
@@ -317,6 +782,7 @@ app.delete('/api/routes/:id', adminLimiter, requireSameOriginStrict, requireBasi
     if (!result || !result.deletedCount) {
       return res.status(404).json({ error: 'Not found' });
     }
+    await audit(req, res, 'route.delete', id);
     return res.json({ ok: true, deleted: result.deletedCount });
   } catch (e) {
     console.error('[DELETE /api/routes/:id] error', e);
@@ -324,6 +790,38 @@ app.delete('/api/routes/:id', adminLimiter, requireSameOriginStrict, requireBasi
   }
 });
 
+// API: Undo a delete (protected); 404 once the route has been purged.
+app.post('/api/routes/:id/restore', adminLimiter, requireSameOriginStrict, requireModerator, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+  try {
+    const result = await restoreRouteById(id);
+    if (!result.restoredCount) return res.status(404).json({ error: 'Not found' });
+    await audit(req, res, 'route.restore', id);
+    return res.json({ ok: true, restored: result.restoredCount });
+  } catch (e) {
+    console.error('[POST /api/routes/:id/restore] error', e);
+    return res.status(500).json({ error: 'Failed to restore route' });
+  }
+});
+
+// API: Annotate a route (protected). body: { note }; an empty note clears it.
+app.put('/api/routes/:id/note', adminLimiter, requireSameOriginStrict, requireModerator, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+  const validation = validateRouteNote(req.body && req.body.note);
+  if (!validation.ok) return res.status(400).json({ error: validation.error });
+  try {
+    const result = await setRouteNote(id, validation.value);
+    if (!result.updatedCount) return res.status(404).json({ error: 'Not found' });
+    await audit(req, res, 'route.note', id, { note: validation.value });
+    return res.json({ ok: true, note: validation.value });
+  } catch (e) {
+    console.error('[PUT /api/routes/:id/note] error', e);
+    return res.status(500).json({ error: 'Failed to save note' });
+  }
+});
+
 // Optional GeoIP lookup with caching. Uses ipapi.co (no key) unless GEOIP_URL
 // is provided. Off by default: it forwards visitor addresses to a third party,
 // so switching it on is an explicit choice the operator has to make.
@@ -354,10 +852,12 @@ function cacheSet(ip, value) {
   GEOIP_CACHE.set(ip, { v: value, t: Date.now() });
 }
 
-app.get('/api/geoip/:ip', adminLimiter, requireBasicAuth, async (req, res) => {
+// Superadmin only: with ENABLE_GEOIP on, this sends the address to a third party.
+app.get('/api/geoip/:ip', adminLimiter, requireSuperadmin, async (req, res) => {
   if (!GEOIP_ENABLED) return res.json({ ok: true, location: '' });
   const ip = String(req.params.ip || '').trim();
   if (!net.isIP(ip)) return res.status(400).json({ error: 'valid IP required' });
+  await audit(req, res, 'geoip.lookup', null, { ip });
   if (isPrivateIp(ip)) return res.json({ ok: true, location: '' });
   const cached = cacheGet(ip);
   if (cached !== null && cached !== undefined) {
@@ -390,12 +890,13 @@ app.get('/api/geoip/:ip', adminLimiter, requireBasicAuth, async (req, res) => {
 });
 
 // Download endpoints (protected)
-app.get('/api/routes/:id/original.gpx', adminLimiter, requireBasicAuth, async (req, res) => {
+app.get('/api/routes/:id/original.gpx', adminLimiter, requireViewer, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).send('Invalid id');
     const row = await getRouteById(id);
     if (!row || !row.gpxText) return res.status(404).send('Not found');
+    await audit(req, res, 'route.download', id, { file: 'original' });
     const fname = (row.filename && row.filename.replace(/[^a-zA-Z0-9_.-]+/g, '_')) || `route-${id}.gpx`;
     res.setHeader('Content-Type', 'application/gpx+xml; charset=utf-8');
     res.setHeader('Content-Disposition', `attachment; filename="${fname}"`);
@@ -406,12 +907,13 @@ app.get('/api/routes/:id/original.gpx', adminLimiter, requireBasicAuth, async (r
   }
 });
 
-app.get('/api/routes/:id/enriched.gpx', adminLimiter, requireBasicAuth, async (req, res) => {
+app.get('/api/routes/:id/enriched.gpx', adminLimiter, requireViewer, async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id)) return res.status(400).send('Invalid id');
     const row = await getRouteById(id);
     if (!row || !row.enrichedGpxText) return res.status(404).send('Enriched GPX not found');
+    await audit(req, res, 'route.download', id, { file: 'enriched' });
     const base = (row.filename && row.filename.replace(/[^a-zA-Z0-9_.-]+/g, '_').replace(/\.gpx$/i, '')) || `route-${id}`;
     const fname = `${base}-enriched.gpx`;
     res.setHeader('Content-Type', 'application/gpx+xml; charset=utf-8');
@@ -424,7 +926,7 @@ app.get('/api/routes/:id/enriched.gpx', adminLimiter, requireBasicAuth, async (r
 });
 
 // Admin utilities (protected)
-app.get('/api/admin/db.sqlite3', adminLimiter, requireBasicAuth, async (_req, res) => {
+app.get('/api/admin/db.sqlite3', adminLimiter, requireSuperadmin, async (req, res) => {
   try {
     if (process.env.ENABLE_DB_DOWNLOAD !== 'true') {
       return res.status(404).send('Not found');
@@ -432,6 +934,7 @@ app.get('/api/admin/db.sqlite3', adminLimiter, requireBasicAuth, async (_req, re
     if (!DB_PATH || !fs.existsSync(DB_PATH)) {
       return res.status(404).send('DB file not found');
     }
+    await audit(req, res, 'db.download');
     res.setHeader('Content-Type', 'application/octet-stream');
     res.setHeader('Content-Disposition', 'attachment; filename="routes.sqlite3"');
     const stream = fs.createReadStream(DB_PATH);
@@ -447,9 +950,36 @@ app.get('/api/admin/db.sqlite3', adminLimiter, requireBasicAuth, async (_req, re
   }
 });
 
-app.get('/api/routes/all.zip', adminLimiter, requireBasicAuth, async (_req, res) => {
+// Cache hit rates per tier, to tell whether the disk tier is earning its space
+app.get('/api/admin/cache-stats', adminLimiter, requireViewer, async (req, res) => {
+  try {
+    const [overpass, tiles] = await Promise.all([overpassCache.stats(), tileCache.stats()]);
+    return res.json({ ok: true, overpass, tiles });
+  } catch (e) {
+    console.error('[GET /api/admin/cache-stats] error', e);
+    return res.status(500).json({ error: 'Failed to read cache stats' });
+  }
+});
+
+// The audit trail itself (protected), newest first. Paged: ?limit= (max 1000) &offset=
+app.get('/api/admin/audit', adminLimiter, requireSuperadmin, async (req, res) => {
+  try {
+    const [page, total] = await Promise.all([
+      listAudit({ limit: req.query.limit, offset: req.query.offset }),
+      countAudit()
+    ]);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({ ok: true, total, ...page });
+  } catch (e) {
+    console.error('[GET /api/admin/audit] error', e);
+    return res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
+app.get('/api/routes/all.zip', adminLimiter, requireViewer, async (req, res) => {
   try {
     const ids = await listRouteIds();
+    await audit(req, res, 'routes.download_all', null, { count: ids.length });
     const ts = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '').replace('T', '-');
     const fname = `routes-${ts}.zip`;
     res.setHeader('Content-Type', 'application/zip');
@@ -491,12 +1021,69 @@ app.get('/api/routes/all.zip', adminLimiter, requireBasicAuth, async (_req, res)
   }
 });
 
-// Admin page (protected)
-app.get('/admin', adminLimiter, requireBasicAuth, (req, res) => {
+// API: Simplified geometry of every route for the admin map, as
+// newline-delimited JSON, one route per line, so the map draws while the rest
+// is still coming. Takes the same filters as GET /api/routes. Like the ZIP,
+// only one route's track is in memory at a time.
+app.get('/api/admin/route-map', adminLimiter, requireViewer, async (req, res) => {
+  const parsed = parseRouteFilters(req.query);
+  if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  try {
+    const ids = await listRouteIds(parsed.value);
+    await audit(req, res, 'routes.map', null, { filters: parsed.value });
+    res.type('application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-store');
+    for (const id of ids) {
+      if (closed) break;
+      try {
+        const route = await getRouteTrack(id);
+        // Gone since the id list was read, or stripped by the retention policy.
+        if (!route || !route.gpxText) continue;
+        const lines = await simplifiedTrack(route.gpxText);
+        if (!lines.length) continue;
+        const { filename, routeKm, uploadedAt } = route;
+        if (!res.write(JSON.stringify({ id, filename, routeKm, uploadedAt, lines }) + '\n')) {
+          // Whichever fires first removes the other, or every slow write
+          // would leave a 'close' listener behind.
+          await new Promise((resolve) => {
+            const done = () => {
+              res.off('drain', done);
+              res.off('close', done);
+              resolve();
+            };
+            res.once('drain', done);
+            res.once('close', done);
+          });
+        }
+      } catch (e) {
+        console.warn('[GET /api/admin/route-map] skipping route due to error', { id, error: e && e.message });
+      }
+    }
+    res.end();
+  } catch (e) {
+    console.error('[GET /api/admin/route-map] error', e);
+    if (!res.headersSent) return res.status(500).json({ error: 'Failed to build the route map' });
+    res.end();
+  }
+});
+
+// Admin page (protected). Controls the actor's role cannot use are left out;
+// the endpoints enforce the same rules regardless.
+app.get('/admin', adminLimiter, requireViewer, async (req, res) => {
   const nonce = res.locals.cspNonce;
-  const dbDownloadLink = process.env.ENABLE_DB_DOWNLOAD === 'true'
+  const { role } = res.locals.actor;
+  const dbDownloadLink = process.env.ENABLE_DB_DOWNLOAD === 'true' && hasRole(role, 'superadmin')
     ? '<a href="/api/admin/db.sqlite3" class="px-3 py-2 rounded-lg bg-emerald-400 text-slate-900 font-medium hover:bg-emerald-300 transition text-sm inline-flex items-center gap-2">Download DB</a>'
     : '';
+  // The audit trail is for superadmins, who oversee the other roles.
+  const tabs = hasRole(role, 'superadmin')
+    ? `<nav class="flex gap-2 mb-3 text-sm" role="tablist">
+        <button type="button" role="tab" data-tab="routesTab" aria-selected="true" class="tab px-3 py-1.5 rounded-lg border border-slate-700">Routes</button>
+        <button type="button" role="tab" data-tab="auditTab" aria-selected="false" class="tab px-3 py-1.5 rounded-lg border border-slate-700">Audit log</button>
+      </nav>`
+    : '';
   res.type('html');
   res.send(`<!doctype html>
 <html>
@@ -504,154 +1091,643 @@ app.get('/admin', adminLimiter, requireBasicAuth, (req, res) => {
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
     <title>Routes Admin</title>
-    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/simple-datatables@9.0.3/dist/style.css" integrity="sha384-xnK68E/OAsSGcbvbeWEOyhjix2K7rBxt8Eytj/Ow9zuPG7WwFGGqMPQ8SbexlsL0" crossorigin="anonymous">
     <script nonce="${nonce}" src="https://cdn.tailwindcss.com/3.4.17" integrity="sha384-igm5BeiBt36UU4gqwWS7imYmelpTsZlQ45FZf+XBn9MuJbn4nQr7yx1yFydocC/K" crossorigin="anonymous"></script>
-    <style nonce="${nonce}">body{background:#0f172a;color:#e2e8f0;font-family:system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, Cantarell, Noto Sans, Helvetica, Arial, Apple Color Emoji, Segoe UI Emoji, Segoe UI Symbol} .wrap{max-width:1100px;margin:24px auto;padding:0 16px} .card{background:#0b1220;border:1px solid #1e293b;border-radius:12px;padding:16px} h1{font-size:18px;margin:0 0 12px} .table-wrap{overflow-x:auto;-webkit-overflow-scrolling:touch} #routesTable{width:100%} #routesTable td.route-cell{max-width:340px;white-space:normal;word-break:break-word;overflow-wrap:anywhere} @media (max-width:720px){ #routesTable td.route-cell{max-width:220px} }</style>
+    <link rel="stylesheet" href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css" integrity="sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY=" crossorigin="anonymous">
+    <script nonce="${nonce}" src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js" integrity="sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=" crossorigin="anonymous"></script>
+    <style nonce="${nonce}">body{background:#0f172a;color:#e2e8f0;font-family:system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, Cantarell, Noto Sans, Helvetica, Arial, Apple Color Emoji, Segoe UI Emoji, Segoe UI Symbol} .wrap{max-width:1100px;margin:24px auto;padding:0 16px} .card{background:#0b1220;border:1px solid #1e293b;border-radius:12px;padding:16px} h1{font-size:18px;margin:0 0 12px} .table-wrap{overflow-x:auto;-webkit-overflow-scrolling:touch} #routesTable,#auditTable{width:100%} #routesTable th,#routesTable td,#auditTable th,#auditTable td{text-align:left;padding:4px 8px;border-bottom:1px solid #1e293b;vertical-align:top} .tab[aria-selected="true"]{background:#1e293b} #routeMap{height:440px;border-radius:8px} #routesTable tr.flash td{background:#1e3a5f} #routesTable td.route-cell{max-width:340px;white-space:normal;word-break:break-word;overflow-wrap:anywhere} @media (max-width:720px){ #routesTable td.route-cell{max-width:220px} }</style>
   </head>
   <body class="bg-slate-950 text-slate-100">
     <div class="wrap">
       <h1 class="m-0 text-lg tracking-wide font-semibold">Saved Routes</h1>
+      ${tabs}
+      <section id="auditTab" class="card text-sm" hidden>
+        <div class="table-wrap">
+        <table id="auditTable">
+          <thead>
+            <tr>
+              <th>When (UTC)</th>
+              <th>Who</th>
+              <th>Role</th>
+              <th>Action</th>
+              <th>Route</th>
+              <th>Network</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+        </div>
+        <div class="flex items-center gap-2 mt-3">
+          <button type="button" id="auditPrev" class="px-2 py-1 rounded border border-slate-700 hover:bg-slate-800 disabled:opacity-40">Newer</button>
+          <button type="button" id="auditNext" class="px-2 py-1 rounded border border-slate-700 hover:bg-slate-800 disabled:opacity-40">Older</button>
+          <span id="auditRange" class="text-slate-400"></span>
+        </div>
+      </section>
+      <section id="routesTab">
       <div class="card mb-3 flex gap-2 flex-wrap">
         <a href="/api/routes/all.zip" class="px-3 py-2 rounded-lg bg-sky-400 text-slate-900 font-medium hover:bg-sky-300 transition text-sm inline-flex items-center gap-2">Download all</a>
         ${dbDownloadLink}
       </div>
-      <div class="card">
+      <div id="cacheStats" class="card mb-3 text-sm text-slate-300" hidden></div>
+      <div id="retentionCard" class="card mb-3 text-sm text-slate-300" hidden></div>
+      <div id="deletedCard" class="card mb-3 text-sm" hidden>
+        <h2 class="text-sm font-semibold mb-2">Recently deleted</h2>
+        <ul id="deletedList" class="space-y-1"></ul>
+      </div>
+      <div id="usersCard" class="card mb-3 text-sm" hidden>
+        <h2 class="text-sm font-semibold mb-2">Members</h2>
+        <ul id="usersList" class="space-y-1"></ul>
+      </div>
+      <form id="routeFilters" class="card mb-3 flex flex-wrap gap-2 items-end text-sm">
+        <label class="flex flex-col gap-1">Filename
+          <input name="q" type="search" maxlength="100" class="px-2 py-1 rounded border border-slate-700 bg-slate-900">
+        </label>
+        <label class="flex flex-col gap-1">Uploaded from
+          <input name="from" type="date" class="px-2 py-1 rounded border border-slate-700 bg-slate-900">
+        </label>
+        <label class="flex flex-col gap-1">to
+          <input name="to" type="date" class="px-2 py-1 rounded border border-slate-700 bg-slate-900">
+        </label>
+        <label class="flex flex-col gap-1">Min km
+          <input name="minKm" type="number" min="0" step="any" class="w-20 px-2 py-1 rounded border border-slate-700 bg-slate-900">
+        </label>
+        <label class="flex flex-col gap-1">Max km
+          <input name="maxKm" type="number" min="0" step="any" class="w-20 px-2 py-1 rounded border border-slate-700 bg-slate-900">
+        </label>
+        <label class="flex flex-col gap-1">Passes through
+          <input name="bbox" placeholder="minlon,minlat,maxlon,maxlat" class="px-2 py-1 rounded border border-slate-700 bg-slate-900">
+        </label>
+        <button type="submit" class="px-3 py-1 rounded bg-sky-400 text-slate-900 font-medium hover:bg-sky-300">Filter</button>
+        <button type="reset" class="px-3 py-1 rounded border border-slate-700 hover:bg-slate-800">Clear</button>
+      </form>
+      <div class="card mb-3 text-sm">
+        <div class="flex flex-wrap items-center gap-2">
+          <h2 class="text-sm font-semibold mr-auto">Map</h2>
+          <span id="mapStatus" class="text-slate-400"></span>
+          <div id="mapModes" class="flex gap-1" hidden>
+            <button type="button" data-mode="routes" aria-pressed="true" class="px-2 py-1 rounded border border-slate-700 aria-pressed:bg-slate-800">Routes</button>
+            <button type="button" data-mode="heat" aria-pressed="false" class="px-2 py-1 rounded border border-slate-700 aria-pressed:bg-slate-800">Heatmap</button>
+          </div>
+          <button type="button" id="mapToggle" class="px-2 py-1 rounded border border-slate-700 hover:bg-slate-800">Show map</button>
+        </div>
+        <div id="routeMapWrap" class="mt-3" hidden>
+          <div id="routeMap"></div>
+          <div id="mapLegend" class="flex flex-wrap gap-3 mt-2 text-slate-400"></div>
+        </div>
+      </div>
+      <div class="card text-sm">
         <div class="table-wrap">
-        <table id="routesTable" class="display">
+        <table id="routesTable">
           <thead>
             <tr>
               <th>ID</th>
               <th>Filename</th>
               <th>Size (KB)</th>
               <th>Route (km)</th>
+              <th>Ascent / descent (m)</th>
+              <th>Moving time</th>
               <th>Waypoints</th>
               <th>Uploaded</th>
+              <th>User</th>
               <th>IP</th>
               <th>Location</th>
+              <th>Note</th>
               <th>Downloads</th>
+              ${hasRole(role, 'moderator') ? '<th>Actions</th>' : ''}
             </tr>
           </thead>
           <tbody></tbody>
         </table>
         </div>
+        <div class="flex items-center gap-2 mt-3">
+          <button type="button" id="routesMore" class="px-2 py-1 rounded border border-slate-700 hover:bg-slate-800" hidden>Load more</button>
+          <span id="routesRange" class="text-slate-400"></span>
+        </div>
       </div>
+      </section>
     </div>
-    <script nonce="${nonce}" src="https://cdn.jsdelivr.net/npm/simple-datatables@9.0.3/dist/umd/simple-datatables.js" integrity="sha384-qknKzrIWsL9I5CVZxbBKS2IOVnXBRjl0gucgQ7xGPQLH6yN7agkTKPtOyGg2ujCl" crossorigin="anonymous" defer></script>
     <script nonce="${nonce}">
-      document.addEventListener('DOMContentLoaded', async () => {
+      async function showCacheStats() {
+        const el = document.getElementById('cacheStats');
         try {
-          const resp = await fetch('/api/routes?limit=1000', { headers: { 'Accept': 'application/json' } });
-          const data = await resp.json();
-          const routes = (data && data.routes) || [];
-          const total = (data && data.total) || routes.length;
-          if (total > routes.length) {
-            const note = document.createElement('p');
-            note.className = 'text-slate-400 text-sm mb-2';
-            note.textContent = 'Showing the newest ' + routes.length + ' of ' + total + ' routes.';
-            document.querySelector('.card').before(note);
-          }
-          const tbody = document.querySelector('#routesTable tbody');
-          const ipLocCache = new Map();
-
-          async function resolveLocation(ip) {
-            if (!ip) return '';
-            if (ipLocCache.has(ip)) return ipLocCache.get(ip);
-            try {
-              const r = await fetch('/api/geoip/' + encodeURIComponent(ip), { headers: { 'Accept': 'application/json' } });
-              if (!r.ok) throw new Error('geoip failed');
-              const j = await r.json();
-              const loc = (j && j.location) || '';
-              ipLocCache.set(ip, loc);
-              return loc;
-            } catch (e) {
-              ipLocCache.set(ip, '');
-              return '';
-            }
-          }
+          const r = await fetch('/api/admin/cache-stats', { headers: { 'Accept': 'application/json' } });
+          if (!r.ok) return;
+          const { overpass, tiles } = await r.json();
+          const pct = (x) => Math.round(x * 100) + '%';
+          const mb = (b) => (b / (1024 * 1024)).toFixed(1) + ' MB';
+          const tier = (name, t) => t
+            ? name + ': ' + pct(t.hitRate) + ' hits (' + t.hits + '/' + (t.hits + t.misses) + '), ' + t.size + ' entries, ' + mb(t.bytes)
+            : name + ': off';
+          const overpassLine = 'Overpass cache — ' + [
+            tier('memory', overpass.memory),
+            tier('disk', overpass.disk),
+            'overall ' + pct(overpass.overall.hitRate)
+          ].join(' · ');
+          const tilesLine = 'Tile cache — ' + [
+            pct(tiles.hitRate) + ' served from disk (' + tiles.HIT + ' fresh, ' + tiles.REVALIDATED + ' revalidated, ' + tiles.STALE + ' stale, ' + tiles.MISS + ' fetched)',
+            tiles.disk ? tiles.disk.size + ' tiles, ' + mb(tiles.disk.bytes) : 'disk off'
+          ].join(' · ');
+          el.replaceChildren(document.createTextNode(overpassLine), document.createElement('br'), document.createTextNode(tilesLine));
+          el.hidden = false;
+        } catch (e) {
+          // Stats are a nicety; the routes table matters more.
+        }
+      }
+
+      const CAN_MODERATE = ${hasRole(role, 'moderator')};
+      const IS_SUPERADMIN = ${hasRole(role, 'superadmin')};
+      const RETENTION_DAYS = ${Math.round(DELETED_ROUTE_RETENTION_MS / DAY_MS)};
+      const MAP_TILES = ${JSON.stringify(publicTileProviders(TILE_PROVIDERS)[0]).replace(/</g, '\\u003c')};
+
+      // Signed-in admins must send their session's CSRF token on changes;
+      // over Basic auth there is no session and the header is not needed.
+      let csrfHeaders = {};
+      async function loadCsrfToken() {
+        try {
+          const r = await fetch('/api/auth/session', { headers: { 'Accept': 'application/json' } });
+          const j = await r.json();
+          if (j && j.csrfToken) csrfHeaders = { 'X-CSRF-Token': j.csrfToken };
+        } catch (e) {
+          // Basic auth only.
+        }
+      }
+
+      async function showUsers() {
+        const card = document.getElementById('usersCard');
+        const list = document.getElementById('usersList');
+        try {
+          const r = await fetch('/api/admin/users', { headers: { 'Accept': 'application/json' } });
+          if (!r.ok) return;
+          const { users, roles } = await r.json();
+          if (!users.length) return;
+          list.replaceChildren(...users.map((u) => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center gap-2';
+            const label = document.createElement('span');
+            label.textContent = u.username + ' · ' + u.routeCount + ' routes · since ' + u.createdAt;
+            const select = document.createElement('select');
+            select.className = 'px-1 py-0.5 rounded border border-slate-700 bg-slate-900 text-xs';
+            select.setAttribute('aria-label', 'Role of ' + u.username);
+            roles.forEach((name) => select.add(new Option(name, name, false, name === u.role)));
+            select.addEventListener('change', async () => {
+              if (!confirm('Make ' + u.username + ' a ' + select.value + '? They will be signed out.')) {
+                select.value = u.role;
+                return;
+              }
+              const resp = await fetch('/api/admin/users/' + u.id, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json', ...csrfHeaders },
+                body: JSON.stringify({ role: select.value })
+              });
+              if (!resp.ok) alert('Failed to change role: HTTP ' + resp.status);
+              showUsers();
+            });
+            li.append(label, select);
+            return li;
+          }));
+          card.hidden = false;
+        } catch (e) {
+          // Members are secondary to the routes table, like the cache stats.
+        }
+      }
 
-          function appendTextCell(row, value, className) {
-            const cell = document.createElement('td');
-            if (className) cell.className = className;
-            cell.textContent = value == null ? '' : String(value);
-            row.appendChild(cell);
-            return cell;
+      async function showRetention() {
+        const el = document.getElementById('retentionCard');
+        try {
+          const r = await fetch('/api/admin/retention', { headers: { 'Accept': 'application/json' } });
+          if (!r.ok) return;
+          const { policy, lastRun } = await r.json();
+          const mb = (b) => (b / (1024 * 1024)).toFixed(1) + ' MB';
+          const policyLine = 'Retention — ' + (policy.routeRetentionDays
+            ? (policy.mode === 'strip' ? 'tracks and IPs stripped' : 'routes deleted') + ' after ' + policy.routeRetentionDays + ' days'
+            : 'uploads kept indefinitely') + ' · deleted routes purged after ' + policy.deletedRetentionDays + ' days';
+          let runLine = 'Not run yet.';
+          if (lastRun) {
+            runLine = 'Last run ' + lastRun.ranAt.slice(0, 16).replace('T', ' ') + ' UTC: ' + (lastRun.error
+              ? 'failed (' + lastRun.error + ')'
+              : lastRun.purged + ' purged, ' + lastRun.expired + (lastRun.mode === 'strip' ? ' stripped' : ' expired') +
+                (lastRun.vacuumed ? ', database ' + mb(lastRun.bytesBefore) + ' → ' + mb(lastRun.bytesAfter) : ', nothing to reclaim'));
           }
+          el.replaceChildren(document.createTextNode(policyLine), document.createElement('br'), document.createTextNode(runLine));
+          el.hidden = false;
+        } catch (e) {
+          // A nicety, like the cache stats.
+        }
+      }
 
-          routes.forEach(r => {
-            const tr = document.createElement('tr');
-            const kb = r.fileSize ? Math.round(r.fileSize / 1024) : '';
-            appendTextCell(tr, r.id);
-            appendTextCell(tr, r.filename, 'route-cell');
-            appendTextCell(tr, kb);
-            appendTextCell(tr, r.routeKm);
-            appendTextCell(tr, r.waypointsCount);
-            appendTextCell(tr, r.uploadedAt);
-            appendTextCell(tr, r.clientIp, 'route-cell');
-            const locTd = appendTextCell(tr, r.clientIp ? '…' : '', 'location-cell');
-            const downloads = document.createElement('td');
-            const original = document.createElement('a');
-            original.href = '/api/routes/' + encodeURIComponent(r.id) + '/original.gpx';
-            original.target = '_blank';
-            original.rel = 'noopener';
-            original.textContent = 'Original';
-            downloads.appendChild(original);
-            if (r.hasEnriched) {
-              downloads.appendChild(document.createTextNode(' | '));
-              const enriched = document.createElement('a');
-              enriched.href = '/api/routes/' + encodeURIComponent(r.id) + '/enriched.gpx';
-              enriched.target = '_blank';
-              enriched.rel = 'noopener';
-              enriched.textContent = 'Enriched';
-              downloads.appendChild(enriched);
-            }
-            tr.appendChild(downloads);
-            tbody.appendChild(tr);
+      // Restoring reloads the page: the route goes back into the sorted,
+      // filtered table, which is simpler to rebuild than to patch.
+      async function showDeleted() {
+        const card = document.getElementById('deletedCard');
+        const list = document.getElementById('deletedList');
+        try {
+          const r = await fetch('/api/routes/deleted', { headers: { 'Accept': 'application/json' } });
+          if (!r.ok) return;
+          const { routes } = await r.json();
+          list.replaceChildren(...routes.map((d) => {
+            const li = document.createElement('li');
+            li.className = 'flex items-center gap-2';
+            const label = document.createElement('span');
+            label.textContent = '#' + d.id + ' ' + d.filename + (d.username ? ' · ' + d.username : '') +
+              ' · deleted ' + d.deletedAt.slice(0, 16).replace('T', ' ') + ', purged after ' + d.purgeAt.slice(0, 10);
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.textContent = '↩️ Restore';
+            btn.className = 'px-2 py-0.5 rounded border border-slate-700 hover:bg-slate-800 text-xs';
+            btn.addEventListener('click', async () => {
+              const resp = await fetch('/api/routes/' + d.id + '/restore', { method: 'POST', headers: csrfHeaders });
+              if (!resp.ok) return alert('Failed to restore: HTTP ' + resp.status);
+              location.reload();
+            });
+            li.append(label, btn);
+            return li;
+          }));
+          card.hidden = !routes.length;
+        } catch (e) {
+          // Secondary to the routes table, like the cache stats.
+        }
+      }
 
-            if (r.clientIp && locTd) {
-              resolveLocation(r.clientIp).then(loc => {
-                locTd.textContent = loc || '';
+      const AUDIT_PAGE_SIZE = 50;
+      let auditOffset = 0;
+
+      async function showAudit(offset) {
+        const tbody = document.querySelector('#auditTable tbody');
+        try {
+          const r = await fetch('/api/admin/audit?limit=' + AUDIT_PAGE_SIZE + '&offset=' + offset, { headers: { 'Accept': 'application/json' } });
+          if (!r.ok) throw new Error('HTTP ' + r.status);
+          const { entries, total } = await r.json();
+          auditOffset = offset;
+          tbody.replaceChildren(...entries.map((e) => {
+            const tr = document.createElement('tr');
+            [e.createdAt, e.actor, e.role, e.action, e.routeId, e.clientIp, e.detail ? JSON.stringify(e.detail) : '']
+              .forEach((value) => {
+                const td = document.createElement('td');
+                td.textContent = value == null ? '' : String(value);
+                tr.appendChild(td);
               });
+            return tr;
+          }));
+          document.getElementById('auditRange').textContent = entries.length
+            ? (offset + 1) + '–' + (offset + entries.length) + ' of ' + total
+            : 'No entries';
+          document.getElementById('auditPrev').disabled = offset === 0;
+          document.getElementById('auditNext').disabled = offset + entries.length >= total;
+        } catch (e) {
+          alert('Failed to load the audit log: ' + (e && e.message || e));
+        }
+      }
+
+      document.querySelectorAll('[data-tab]').forEach((tab) => {
+        tab.addEventListener('click', () => {
+          document.querySelectorAll('[data-tab]').forEach((other) => {
+            const selected = other === tab;
+            other.setAttribute('aria-selected', String(selected));
+            document.getElementById(other.dataset.tab).hidden = !selected;
+          });
+          // Reloaded on every visit: the log grows while the page is open.
+          if (tab.dataset.tab === 'auditTab') showAudit(0);
+        });
+      });
+      document.getElementById('auditPrev').addEventListener('click', () => showAudit(Math.max(0, auditOffset - AUDIT_PAGE_SIZE)));
+      document.getElementById('auditNext').addEventListener('click', () => showAudit(auditOffset + AUDIT_PAGE_SIZE));
+
+      // Filtering happens in the database (GET /api/routes), and further pages
+      // load on demand from nextCursor, so the page never has to fetch every
+      // route up front.
+      const ROUTES_PAGE_SIZE = 100;
+      let routesCursor = null;
+      let routesTotal = 0;
+      // The filters the loaded rows match; Load more keeps to them even if
+      // the form has been edited since.
+      let routesQuery = '';
+      const routeFilters = document.getElementById('routeFilters');
+      const ipLocCache = new Map();
+
+      async function resolveLocation(ip) {
+        if (!ip) return '';
+        if (ipLocCache.has(ip)) return ipLocCache.get(ip);
+        try {
+          const r = await fetch('/api/geoip/' + encodeURIComponent(ip), { headers: { 'Accept': 'application/json' } });
+          if (!r.ok) throw new Error('geoip failed');
+          const j = await r.json();
+          const loc = (j && j.location) || '';
+          ipLocCache.set(ip, loc);
+          return loc;
+        } catch (e) {
+          ipLocCache.set(ip, '');
+          return '';
+        }
+      }
+
+      function appendTextCell(row, value, className) {
+        const cell = document.createElement('td');
+        if (className) cell.className = className;
+        cell.textContent = value == null ? '' : String(value);
+        row.appendChild(cell);
+        return cell;
+      }
+
+      function downloadLink(id, file, label) {
+        const a = document.createElement('a');
+        a.href = '/api/routes/' + encodeURIComponent(id) + '/' + file;
+        a.target = '_blank';
+        a.rel = 'noopener';
+        a.textContent = label;
+        return a;
+      }
+
+      // Note and Delete, for moderators and up; viewers only read and download.
+      function routeActions(r, tr, noteCell) {
+        const td = document.createElement('td');
+        const noteBtn = document.createElement('button');
+        noteBtn.textContent = '📝 Note';
+        noteBtn.className = 'px-2 py-1 mr-1 rounded border border-slate-700 hover:bg-slate-800 text-sm';
+        noteBtn.addEventListener('click', async () => {
+          const note = prompt('Note for route #' + r.id + ' (empty clears it)', noteCell.textContent);
+          if (note === null) return;
+          const resp = await fetch('/api/routes/' + r.id + '/note', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...csrfHeaders },
+            body: JSON.stringify({ note })
+          });
+          const j = await resp.json().catch(() => ({}));
+          if (!resp.ok) return alert('Failed to save note: ' + (j.error || ('HTTP ' + resp.status)));
+          noteCell.textContent = j.note || '';
+        });
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '🗑️ Delete';
+        deleteBtn.className = 'px-2 py-1 rounded bg-red-500/90 hover:bg-red-400 text-slate-900 text-sm';
+        deleteBtn.addEventListener('click', async () => {
+          if (!confirm('Delete route #' + r.id + '? It can be restored for ' + RETENTION_DAYS + ' days.')) return;
+          try {
+            const resp = await fetch('/api/routes/' + r.id, { method: 'DELETE', headers: csrfHeaders });
+            if (!resp.ok) {
+              const j = await resp.json().catch(() => ({}));
+              throw new Error(j && j.error || ('HTTP ' + resp.status));
             }
+            tr.remove();
+            routesTotal--;
+            showRoutesRange();
+            showDeleted();
+          } catch (e) {
+            alert('Failed to delete: ' + (e && e.message || e));
+          }
+        });
+        td.append(noteBtn, deleteBtn);
+        return td;
+      }
+
+      // The summary the uploader's page computed; older routes have none.
+      function climbingText(r) {
+        return r.ascentM == null ? '' : '+' + r.ascentM + ' / −' + r.descentM;
+      }
+
+      // The rider's page's own formatter (enrichedGpx.mjs), loaded with the
+      // first page of routes, so a time reads the same in both.
+      let formatDuration = null;
+      function movingTimeText(r) {
+        return r.movingMinutes == null ? '' : formatDuration(r.movingMinutes);
+      }
+
+      function routeRow(r) {
+        const tr = document.createElement('tr');
+        tr.dataset.routeId = r.id;
+        const kb = r.fileSize ? Math.round(r.fileSize / 1024) : '';
+        appendTextCell(tr, r.id);
+        appendTextCell(tr, r.filename, 'route-cell');
+        appendTextCell(tr, kb);
+        appendTextCell(tr, r.routeKm);
+        const climbTd = appendTextCell(tr, climbingText(r));
+        if (r.minEleM != null) climbTd.title = r.minEleM + '–' + r.maxEleM + ' m';
+        appendTextCell(tr, movingTimeText(r));
+        appendTextCell(tr, r.waypointsCount);
+        appendTextCell(tr, r.uploadedAt);
+        appendTextCell(tr, r.username);
+        appendTextCell(tr, r.clientIp, 'route-cell');
+        const locTd = appendTextCell(tr, r.clientIp && IS_SUPERADMIN ? '…' : '', 'location-cell');
+        const noteTd = appendTextCell(tr, r.note, 'route-cell');
+        const downloads = document.createElement('td');
+        if (r.hasGpx) {
+          downloads.appendChild(downloadLink(r.id, 'original.gpx', 'Original'));
+        } else {
+          // Stripped by the retention policy.
+          downloads.textContent = 'Stripped';
+        }
+        if (r.hasEnriched) {
+          downloads.appendChild(document.createTextNode(' | '));
+          downloads.appendChild(downloadLink(r.id, 'enriched.gpx', 'Enriched'));
+        }
+        tr.appendChild(downloads);
+        if (CAN_MODERATE) tr.appendChild(routeActions(r, tr, noteTd));
+
+        if (r.clientIp && IS_SUPERADMIN) {
+          resolveLocation(r.clientIp).then(loc => {
+            locTd.textContent = loc || '';
           });
-          const dt = new simpleDatatables.DataTable('#routesTable', { searchable: true, sortable: true, perPage: 25 });
-
-          // Add Delete column and buttons after table is initialized
-          const table = document.querySelector('#routesTable');
-          const theadRow = table.querySelector('thead tr');
-          const th = document.createElement('th');
-          th.textContent = 'Actions';
-          theadRow.appendChild(th);
-
-          const rows = table.querySelectorAll('tbody tr');
-          rows.forEach((row) => {
-            const idCell = row.children[0];
-            const id = Number(idCell && idCell.textContent);
-            const td = document.createElement('td');
-            const btn = document.createElement('button');
-            btn.textContent = '🗑️ Delete';
-            btn.className = 'px-2 py-1 rounded bg-red-500/90 hover:bg-red-400 text-slate-900 text-sm';
-            btn.addEventListener('click', async () => {
-              if (!confirm('Delete route #' + id + '? This cannot be undone.')) return;
-              try {
-                const resp = await fetch('/api/routes/' + id, { method: 'DELETE' });
-                if (!resp.ok) {
-                  const j = await resp.json().catch(() => ({}));
-                  throw new Error(j && j.error || ('HTTP ' + resp.status));
-                }
-                // remove row from table and redraw
-                row.remove();
-                dt.refresh();
-              } catch (e) {
-                alert('Failed to delete: ' + (e && e.message || e));
-              }
+        }
+        return tr;
+      }
+
+      function showRoutesRange() {
+        const shown = document.querySelectorAll('#routesTable tbody tr').length;
+        document.getElementById('routesRange').textContent = shown
+          ? 'Showing ' + shown + ' of ' + routesTotal
+          : 'No routes match';
+        document.getElementById('routesMore').hidden = !routesCursor;
+      }
+
+      // more=false starts over with the current filters; more=true appends
+      // the page after the last one loaded.
+      async function loadRoutes(more) {
+        if (!more) {
+          const filters = new URLSearchParams();
+          for (const [name, value] of new FormData(routeFilters)) {
+            if (String(value).trim()) filters.set(name, String(value).trim());
+          }
+          routesQuery = filters.toString();
+          if (routeMap) loadRouteMap();
+        }
+        const params = new URLSearchParams(routesQuery);
+        params.set('limit', ROUTES_PAGE_SIZE);
+        if (more && routesCursor) params.set('after', routesCursor);
+        const moreBtn = document.getElementById('routesMore');
+        moreBtn.disabled = true;
+        try {
+          const resp = await fetch('/api/routes?' + params, { headers: { 'Accept': 'application/json' } });
+          const data = await resp.json().catch(() => ({}));
+          if (!resp.ok) throw new Error(data.error || ('HTTP ' + resp.status));
+          if (!formatDuration) ({ formatDuration } = await import('/enrichedGpx.mjs'));
+          const tbody = document.querySelector('#routesTable tbody');
+          if (!more) tbody.replaceChildren();
+          tbody.append(...data.routes.map(routeRow));
+          routesCursor = data.nextCursor;
+          routesTotal = data.total;
+          showRoutesRange();
+        } catch (e) {
+          console.error(e);
+          alert('Failed to load routes: ' + (e && e.message || e));
+        } finally {
+          moreBtn.disabled = false;
+        }
+      }
+
+      // Every stored route on a map, following the table's filters. Loaded
+      // only when asked for: it streams the simplified track of each route.
+      let routeMap = null;
+      let mapMode = 'routes';
+      let mapAbort = null;
+
+      async function initRouteMap() {
+        const helpers = await import('/adminMap.mjs');
+        const map = L.map('routeMap', { preferCanvas: true, worldCopyJump: true }).setView([20, 0], 2);
+        L.tileLayer(MAP_TILES.url, { maxZoom: 19, maxNativeZoom: MAP_TILES.maxZoom, attribution: MAP_TILES.attribution }).addTo(map);
+        routeMap = { map, helpers, routes: [], routesLayer: L.featureGroup().addTo(map), heatLayer: L.layerGroup() };
+        map.on('moveend', () => { if (mapMode === 'heat') drawHeat(); });
+        document.querySelectorAll('#mapModes button').forEach((btn) => {
+          btn.addEventListener('click', () => setMapMode(btn.dataset.mode));
+        });
+        showMapLegend();
+      }
+
+      function showMapLegend() {
+        const legend = document.getElementById('mapLegend');
+        legend.replaceChildren();
+        if (mapMode === 'heat') {
+          legend.textContent = 'Cells coloured by how many routes cross them, from blue (one) to red (the most in view).';
+          return;
+        }
+        for (const bucket of routeMap.helpers.ROUTE_AGE_BUCKETS) {
+          const item = document.createElement('span');
+          const swatch = document.createElement('span');
+          swatch.className = 'inline-block w-3 h-1 mr-1 align-middle';
+          swatch.style.background = bucket.color;
+          item.append(swatch, bucket.label);
+          legend.appendChild(item);
+        }
+      }
+
+      function setMapMode(mode) {
+        mapMode = mode;
+        document.querySelectorAll('#mapModes button').forEach((btn) => {
+          btn.setAttribute('aria-pressed', String(btn.dataset.mode === mode));
+        });
+        const { map, routesLayer, heatLayer } = routeMap;
+        if (mode === 'heat') {
+          map.removeLayer(routesLayer);
+          heatLayer.addTo(map);
+          drawHeat();
+        } else {
+          map.removeLayer(heatLayer);
+          routesLayer.addTo(map);
+        }
+        showMapLegend();
+      }
+
+      function drawHeat() {
+        const { map, helpers, routes, heatLayer } = routeMap;
+        const view = map.getBounds().pad(0.1);
+        const cellDeg = helpers.cellDegreesForZoom(map.getZoom());
+        const cells = helpers.densityCells(routes, cellDeg, {
+          west: view.getWest(), south: view.getSouth(), east: view.getEast(), north: view.getNorth()
+        });
+        let max = 0;
+        for (const cell of cells.values()) max = Math.max(max, cell.count);
+        heatLayer.clearLayers();
+        for (const cell of cells.values()) {
+          const { color, opacity } = helpers.densityColor(cell.count, max);
+          L.rectangle([[cell.south, cell.west], [cell.south + cellDeg, cell.west + cellDeg]], {
+            stroke: false, fillColor: color, fillOpacity: opacity, interactive: false
+          }).addTo(heatLayer);
+        }
+      }
+
+      // Bring the route's row into view if it is loaded; the popup covers
+      // the rest.
+      function openRouteRow(id) {
+        const tr = document.querySelector('#routesTable tr[data-route-id="' + id + '"]');
+        if (!tr) return;
+        tr.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        tr.classList.add('flash');
+        setTimeout(() => tr.classList.remove('flash'), 2000);
+      }
+
+      function routePopup(route) {
+        const box = document.createElement('div');
+        const title = document.createElement('strong');
+        title.textContent = '#' + route.id + ' ' + route.filename;
+        const meta = document.createElement('div');
+        meta.textContent = route.uploadedAt + (route.routeKm != null ? ' · ' + route.routeKm + ' km' : '');
+        box.append(title, meta, downloadLink(route.id, 'original.gpx', 'Original'));
+        return box;
+      }
+
+      async function loadRouteMap() {
+        if (mapAbort) mapAbort.abort();
+        mapAbort = new AbortController();
+        const { signal } = mapAbort;
+        const { map, helpers, routesLayer, heatLayer } = routeMap;
+        routeMap.routes = [];
+        routesLayer.clearLayers();
+        heatLayer.clearLayers();
+        const status = document.getElementById('mapStatus');
+        status.textContent = 'Loading…';
+        const now = Date.now();
+        try {
+          const resp = await fetch('/api/admin/route-map?' + routesQuery, { headers: { 'Accept': 'application/x-ndjson' }, signal });
+          if (!resp.ok) {
+            const j = await resp.json().catch(() => ({}));
+            throw new Error(j.error || ('HTTP ' + resp.status));
+          }
+          const count = await helpers.readNdjson(resp, (route) => {
+            routeMap.routes.push(route);
+            const line = L.polyline(route.lines.map((l) => l.map(([lon, lat]) => [lat, lon])), {
+              color: helpers.routeAgeBucket(route.uploadedAt, now).color, weight: 2, opacity: 0.8
             });
-            td.appendChild(btn);
-            row.appendChild(td);
+            line.bindPopup(() => routePopup(route));
+            line.on('click', () => openRouteRow(route.id));
+            line.addTo(routesLayer);
+            if (routeMap.routes.length % 100 === 0) status.textContent = 'Loading… ' + routeMap.routes.length + ' routes';
           });
+          status.textContent = count + (count === 1 ? ' route' : ' routes');
+          if (count) map.fitBounds(routesLayer.getBounds(), { padding: [16, 16], maxZoom: 13 });
+          if (mapMode === 'heat') drawHeat();
         } catch (e) {
+          if (signal.aborted) return;
           console.error(e);
-          alert('Failed to load routes');
+          status.textContent = 'Failed to load the map: ' + (e && e.message || e);
         }
+      }
+
+      document.getElementById('mapToggle').addEventListener('click', async (event) => {
+        const wrap = document.getElementById('routeMapWrap');
+        wrap.hidden = !wrap.hidden;
+        document.getElementById('mapModes').hidden = wrap.hidden;
+        event.currentTarget.textContent = wrap.hidden ? 'Show map' : 'Hide map';
+        if (wrap.hidden) return;
+        if (!routeMap) {
+          await initRouteMap();
+          loadRouteMap();
+        } else {
+          routeMap.map.invalidateSize();
+        }
+      });
+
+      routeFilters.addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadRoutes(false);
+      });
+      // The reset event fires before the fields are cleared.
+      routeFilters.addEventListener('reset', () => setTimeout(() => loadRoutes(false)));
+      document.getElementById('routesMore').addEventListener('click', () => loadRoutes(true));
+
+      document.addEventListener('DOMContentLoaded', async () => {
+        showCacheStats();
+        showRetention();
+        await loadCsrfToken();
+        if (IS_SUPERADMIN) showUsers();
+        if (CAN_MODERATE) showDeleted();
+        loadRoutes(false);
       });
     </script>
   </body>
@@ -687,12 +1763,73 @@ async function readUpstreamBody(response, maxBytes) {
   return Buffer.concat(chunks, total);
 }
 
-const overpassCache = new OverpassCache({
-  maxEntries: positiveInteger(process.env.OVERPASS_CACHE_MAX_ENTRIES, 200, 1, 100000),
-  maxBytes: positiveInteger(process.env.OVERPASS_CACHE_MAX_BYTES, 64 * 1024 * 1024, 0, 2 * 1024 * 1024 * 1024),
-  ttlMs: positiveInteger(process.env.OVERPASS_CACHE_TTL_MS, 6 * 60 * 60 * 1000, 0, 7 * 24 * 60 * 60 * 1000)
+const OVERPASS_CACHE_TTL_MS = positiveInteger(process.env.OVERPASS_CACHE_TTL_MS, 6 * 60 * 60 * 1000, 0, 7 * 24 * 60 * 60 * 1000);
+const overpassCache = new TieredOverpassCache({
+  memory: new OverpassCache({
+    // Entries are 0.1° grid cells now, so a single route can use dozens.
+    maxEntries: positiveInteger(process.env.OVERPASS_CACHE_MAX_ENTRIES, 2000, 1, 100000),
+    maxBytes: positiveInteger(process.env.OVERPASS_CACHE_MAX_BYTES, 64 * 1024 * 1024, 0, 2 * 1024 * 1024 * 1024),
+    ttlMs: OVERPASS_CACHE_TTL_MS
+  })
 });
 
+// The durable tier lives next to the routes database, in its own file (see
+// server/overpassCacheStore.js). A byte budget of 0 turns it off.
+const OVERPASS_DISK_CACHE_PATH = process.env.OVERPASS_CACHE_DB_PATH || path.join(path.dirname(DB_PATH), 'overpass-cache.sqlite3');
+const OVERPASS_DISK_CACHE_MAX_BYTES = positiveInteger(process.env.OVERPASS_DISK_CACHE_MAX_BYTES, 256 * 1024 * 1024, 0, 16 * 1024 * 1024 * 1024);
+const OVERPASS_DISK_CACHE_MAX_ENTRIES = positiveInteger(process.env.OVERPASS_DISK_CACHE_MAX_ENTRIES, 50000, 1, 1000000);
+
+/** Open the disk tier; on failure keep serving from memory alone. */
+async function openOverpassCacheStore() {
+  if (!OVERPASS_DISK_CACHE_MAX_BYTES) return;
+  const store = new SqliteCacheStore({
+    path: OVERPASS_DISK_CACHE_PATH,
+    maxEntries: OVERPASS_DISK_CACHE_MAX_ENTRIES,
+    maxBytes: OVERPASS_DISK_CACHE_MAX_BYTES,
+    ttlMs: OVERPASS_CACHE_TTL_MS
+  });
+  try {
+    await store.open();
+    overpassCache.store = store;
+  } catch (e) {
+    console.warn('[overpassCache] disk tier unavailable, using memory only', { path: OVERPASS_DISK_CACHE_PATH, error: e.message });
+  }
+}
+
+/** One uncached Overpass round trip. Network failures and timeouts throw. */
+async function fetchOverpassUpstream(kind, bbox) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), OVERPASS_TIMEOUT_MS);
+  try {
+    const body = 'data=' + encodeURIComponent(buildQueryForKind(kind, bbox));
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' };
+    const upstreamResp = await fetch(OVERPASS_URL, { method: 'POST', headers, body, signal: controller.signal });
+    const responseBody = await readUpstreamBody(
+      upstreamResp,
+      OVERPASS_MAX_RESPONSE_BYTES
+    );
+    const ct = upstreamResp.headers.get('content-type') || 'text/xml; charset=utf-8';
+    return { status: upstreamResp.status, body: responseBody, contentType: ct };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Overpass results for a validated kind and bbox, through the grid cache.
+ *
+ * Shared by the proxy and the analysis endpoint so both warm the same cells.
+ * OSM data moves on the order of days, so caching costs nothing in freshness
+ * and keeps repeat loads off the public endpoint. Only successful answers are
+ * cached; upstream error statuses are returned as they came, and network
+ * failures throw.
+ *
+ * @returns {Promise<{status: number, body: Buffer, contentType: string, cache: 'HIT'|'MISS'|'PARTIAL', tier?: 'memory'|'disk'}>}
+ */
+function queryOverpass(kind, bbox) {
+  return queryOverpassGrid(kind, bbox, { cache: overpassCache, fetchUpstream: fetchOverpassUpstream });
+}
+
 // Overpass proxy. Takes { bbox, kind } and builds the query here; it never
 // forwards client-supplied query text (see server/overpassQuery.js).
 app.post('/api/overpass', proxyLimiter, requireSameOriginStrict, async (req, res) => {
@@ -705,38 +1842,13 @@ app.post('/api/overpass', proxyLimiter, requireSameOriginStrict, async (req, res
     return res.status(400).json({ error: validation.error });
   }
 
-  // OSM data for a bbox moves on the order of days, so a short-lived cache
-  // costs nothing in freshness and keeps repeat loads off the public endpoint.
-  const key = cacheKey(kind, validation.value);
-  const cached = overpassCache.get(key);
-  if (cached) {
-    res.setHeader('Content-Type', cached.contentType);
-    res.setHeader('X-Cache', 'HIT');
-    return res.send(cached.body);
-  }
-
   try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), OVERPASS_TIMEOUT_MS);
-    try {
-      const body = 'data=' + encodeURIComponent(buildQueryForKind(kind, validation.value));
-      const headers = { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' };
-      const upstreamResp = await fetch(OVERPASS_URL, { method: 'POST', headers, body, signal: controller.signal });
-      const responseBody = await readUpstreamBody(
-        upstreamResp,
-        OVERPASS_MAX_RESPONSE_BYTES
-      );
-      const ct = upstreamResp.headers.get('content-type') || 'text/xml; charset=utf-8';
-      // Only successful bodies are worth keeping; an error page cached for six
-      // hours would be far worse than re-asking.
-      if (upstreamResp.ok) overpassCache.set(key, responseBody, ct);
-      res.status(upstreamResp.status);
-      res.setHeader('Content-Type', ct);
-      res.setHeader('X-Cache', 'MISS');
-      return res.send(responseBody);
-    } finally {
-      clearTimeout(timer);
-    }
+    const result = await queryOverpass(kind, validation.value);
+    res.status(result.status);
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('X-Cache', result.cache);
+    if (result.tier) res.setHeader('X-Cache-Tier', result.tier);
+    return res.send(result.body);
   } catch (err) {
     const status = err.name === 'AbortError' ? 504 : 502;
     console.error('[POST /api/overpass] error', err);
@@ -744,43 +1856,157 @@ app.post('/api/overpass', proxyLimiter, requireSameOriginStrict, async (req, res
   }
 });
 
-// Simple tile proxy
-app.get('/tiles/:z/:x/:y.png', tileLimiter, async (req, res) => {
-  const coordinates = validateTileCoordinates(req.params.z, req.params.x, req.params.y);
-  if (!coordinates) return res.status(400).send('Invalid tile coordinates');
-  const { z, x, y } = coordinates;
-  const upstream = TILE_URL_TEMPLATE.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+/**
+ * queryOverpass as the analysis pipeline sees it: validation failures and
+ * network errors become statuses, so the adaptive splitter can react to a 400
+ * or 504 exactly as it does against the HTTP proxy.
+ */
+async function queryOverpassForAnalysis(kind, bbox) {
+  if (!QUERY_KINDS.includes(kind)) return { status: 400, body: 'Unsupported kind' };
+  const validation = validateBbox(bbox);
+  if (!validation.ok) return { status: 400, body: validation.error };
   try {
-    const controller = new AbortController();
-    const timer = setTimeout(() => controller.abort(), TILE_TIMEOUT_MS);
+    return await queryOverpass(kind, validation.value);
+  } catch (err) {
+    return { status: err.name === 'AbortError' ? 504 : 502, body: 'Proxy error' };
+  }
+}
+
+// Route analysis without a browser. The body is the raw GPX or FIT file;
+// ?radius= is the search radius in metres and ?kinds= a comma-separated list
+// of query kinds (default water). Reads only, so a missing Origin is fine:
+// this is meant to be called from scripts and CI.
+app.post(
+  '/api/analyze',
+  analyzeLimiter,
+  requireSameOrigin,
+  express.raw({ type: () => true, limit: MAX_GPX_BYTES }),
+  async (req, res) => {
+    const radius = validateRadiusMeters(req.query.radius);
+    if (!radius.ok) return res.status(400).json({ error: radius.error });
+    const kinds = [...new Set(String(req.query.kinds || 'water').split(',').map((k) => k.trim()).filter(Boolean))];
+    if (!kinds.length || !kinds.every((k) => QUERY_KINDS.includes(k))) {
+      return res.status(400).json({ error: `kinds must be drawn from: ${QUERY_KINDS.join(', ')}` });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the GPX or FIT file as the request body' });
+    }
+
+    let geojson;
     try {
-      const upstreamResp = await fetch(upstream, {
-        method: 'GET',
-        signal: controller.signal,
-        headers: {
-          'User-Agent': process.env.TILE_USER_AGENT || 'water-on-route/1.0 (+local-proxy)'
-        }
-      });
-      res.status(upstreamResp.status);
-      res.setHeader('Content-Type', upstreamResp.headers.get('content-type') || 'image/png');
-      res.setHeader('Cache-Control', 'public, max-age=3600');
-      if (!upstreamResp.ok) {
-        return res.send(await readUpstreamBody(upstreamResp, 64 * 1024));
-      }
-      const buf = await readUpstreamBody(
-        upstreamResp,
-        TILE_MAX_RESPONSE_BYTES
-      );
-      res.setHeader('Content-Length', String(buf.length));
-      return res.end(buf);
-    } finally {
-      clearTimeout(timer);
+      geojson = await parseRouteBuffer(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message || 'Could not parse route file' });
+    }
+
+    try {
+      const result = await analyzeRoute(geojson, { radiusM: radius.value, kinds, queryOverpass: queryOverpassForAnalysis });
+      return res.json({ ok: true, ...result });
+    } catch (e) {
+      console.error('[POST /api/analyze] error', e);
+      // A status on the error means Overpass itself gave up, even after splitting.
+      const status = typeof e.status === 'number' ? 502 : 500;
+      return res.status(status).json({ error: e.message || 'Analysis failed' });
     }
+  }
+);
+
+// Elevation for routes recorded or drawn without it (see server/dem.js). The
+// tiles come from DEM_DIR; without one the client simply goes without.
+const demStore = process.env.DEM_DIR
+  ? new DemStore(process.env.DEM_DIR, { maxTiles: positiveInteger(process.env.DEM_CACHE_TILES, 4, 1, 64) })
+  : null;
+
+app.post('/api/elevation', elevationLimiter, requireSameOrigin, async (req, res) => {
+  if (!demStore) return res.status(503).json({ error: 'No elevation data is configured on this server' });
+  const parsed = parseElevationRequest(req.body);
+  if (!parsed.ok) return res.status(400).json({ error: parsed.error });
+  try {
+    return res.json({ ok: true, elevations: await demStore.elevations(parsed.value) });
+  } catch (e) {
+    console.error('[POST /api/elevation] error', e);
+    return res.status(500).json({ error: 'Elevation lookup failed' });
+  }
+});
+
+/**
+ * One tile from upstream. headers carry the provider's User-Agent and, when
+ * revalidating, the conditional headers. Network failures and timeouts throw.
+ */
+async function fetchTileUpstream(url, headers) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TILE_TIMEOUT_MS);
+  try {
+    const upstreamResp = await fetch(url, {
+      method: 'GET',
+      signal: controller.signal,
+      headers: {
+        ...headers
+      }
+    });
+    const body = upstreamResp.status === 304
+      ? Buffer.alloc(0)
+      : await readUpstreamBody(upstreamResp, upstreamResp.ok ? TILE_MAX_RESPONSE_BYTES : 64 * 1024);
+    return { status: upstreamResp.status, headers: upstreamResp.headers, body };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Tiles are kept on disk per the OSM tile usage policy (see server/tileCache.js).
+// A byte budget of 0 turns the disk off and the proxy fetches every time.
+const TILE_CACHE_PATH = process.env.TILE_CACHE_DB_PATH || path.join(path.dirname(DB_PATH), 'tile-cache.sqlite3');
+const TILE_CACHE_MAX_BYTES = positiveInteger(process.env.TILE_CACHE_MAX_BYTES, 512 * 1024 * 1024, 0, 64 * 1024 * 1024 * 1024);
+const tileCache = new TileCache({
+  fetchUpstream: fetchTileUpstream,
+  defaultTtlMs: positiveInteger(process.env.TILE_CACHE_DEFAULT_TTL_MS, DEFAULT_TILE_TTL_MS, 60 * 1000, 365 * 24 * 60 * 60 * 1000)
+});
+
+/** Open the tile store; on failure keep proxying uncached. */
+async function openTileCacheStore() {
+  if (!TILE_CACHE_MAX_BYTES) return;
+  const store = new SqliteTileStore({ path: TILE_CACHE_PATH, maxBytes: TILE_CACHE_MAX_BYTES });
+  try {
+    await store.open();
+    tileCache.store = store;
+  } catch (e) {
+    console.warn('[tileCache] disk cache unavailable, proxying uncached', { path: TILE_CACHE_PATH, error: e.message });
+  }
+}
+
+// Tile proxy, through the disk cache
+const tileProvidersById = new Map(TILE_PROVIDERS.map((provider) => [provider.id, provider]));
+
+function findTileProvider(req, res, next) {
+  const provider = tileProvidersById.get(req.params.provider ?? TILE_PROVIDERS[0].id);
+  if (!provider) return res.status(404).send('Unknown tile provider');
+  res.locals.tileProvider = provider;
+  return tileLimiters.get(provider.id)(req, res, next);
+}
+
+async function serveTile(req, res) {
+  const provider = res.locals.tileProvider;
+  const coordinates = validateTileCoordinates(req.params.z, req.params.x, req.params.y);
+  if (!coordinates) return res.status(400).send('Invalid tile coordinates');
+  // Leaflet overscales past maxZoom itself; a request beyond it is not ours to forward.
+  if (coordinates.z > provider.maxZoom) return res.status(404).send('Zoom level not offered by this provider');
+  try {
+    const tile = await tileCache.get(tileUrlFor(provider, coordinates), { 'User-Agent': provider.userAgent });
+    res.status(tile.status);
+    res.setHeader('Content-Type', tile.contentType);
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('X-Cache', tile.cache);
+    res.setHeader('Content-Length', String(tile.body.length));
+    return res.end(tile.body);
   } catch (err) {
     const status = err.name === 'AbortError' ? 504 : 502;
     return res.status(status).send('Tile proxy error');
   }
-});
+}
+
+app.get('/tiles/:provider/:z/:x/:y.png', findTileProvider, serveTile);
+// The pre-provider URL, kept for existing embeds: the default provider.
+app.get('/tiles/:z/:x/:y.png', findTileProvider, serveTile);
 
 app.use((err, _req, res, next) => {
   if (err && (err.type === 'entity.too.large' || err.status === 413)) {
@@ -810,13 +2036,19 @@ function validateStartupConfiguration() {
 validateStartupConfiguration();
 
 initDatabase()
+  .then(openOverpassCacheStore)
+  .then(openTileCacheStore)
   .then(() => {
     app.listen(PORT, () => {
       console.log(`🍎 Local proxy listening on http://localhost:${PORT}`);
       console.log(`🍯 Overpass upstream: ${OVERPASS_URL}`);
-      console.log(`🍯 Tile upstream: ${TILE_URL_TEMPLATE}`);
+      console.log(`🍯 Tile providers: ${TILE_PROVIDERS.map((p) => p.id).join(', ')}`);
       console.log(`㏈ - Database initialized at ${DB_PATH}`);
+      if (overpassCache.store) console.log(`㏈ - Overpass disk cache at ${OVERPASS_DISK_CACHE_PATH}`);
+      if (tileCache.store) console.log(`㏈ - Tile disk cache at ${TILE_CACHE_PATH}`);
     });
+    retentionJob.run();
+    setInterval(() => retentionJob.run(), RETENTION_INTERVAL_MS).unref();
   })
   .catch((err) => {
     console.error('Failed to init DB', err);
@@ -0,0 +1,111 @@
+/**
+ * Overpass XML reading for the server.
+ *
+ * The browser parses Overpass responses with DOMParser (see osmApi.mjs), which
+ * Node does not have. The documents the query templates produce are flat and
+ * regular - `out body center qt` yields nodes, ways and relations carrying
+ * <tag> and <center> children and nothing deeper - so a small scanner is
+ * enough and avoids pulling in an XML library for one shape of input.
+ */
+
+const ELEMENT_RE = /<(node|way|relation)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+const ATTR_RE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const TAG_RE = /<tag\b([^>]*?)\/?>/g;
+const CENTER_RE = /<center\b([^>]*?)\/?>/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[ref.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(text) {
+  const attrs = {};
+  for (const m of text.matchAll(ATTR_RE)) {
+    attrs[m[1]] = decodeEntities(m[2] ?? m[3] ?? '');
+  }
+  return attrs;
+}
+
+/**
+ * Every node, way and relation in an Overpass XML document, in the same shape
+ * parseOsmXmlGeneric produces in the browser: { id, lat, lon, tags, _type }
+ * for nodes and { id, center, tags, _type } for ways and relations.
+ *
+ * Nodes without usable coordinates are dropped; ways and relations are kept
+ * without a center, matching the browser parser.
+ *
+ * @param {string} xmlText
+ * @returns {Array<object>}
+ */
+function parseOverpassXml(xmlText) {
+  const results = [];
+  if (typeof xmlText !== 'string' || !xmlText) return results;
+
+  for (const m of xmlText.matchAll(ELEMENT_RE)) {
+    const type = m[1];
+    const attrs = parseAttributes(m[2]);
+    const inner = m[3] || '';
+    const tags = {};
+    for (const t of inner.matchAll(TAG_RE)) {
+      const { k, v } = parseAttributes(t[1]);
+      if (k) tags[k] = v;
+    }
+    const id = Number(attrs.id);
+
+    if (type === 'node') {
+      const lat = Number(attrs.lat);
+      const lon = Number(attrs.lon);
+      if (Number.isFinite(lat) && Number.isFinite(lon)) {
+        results.push({ id, lat, lon, tags, _type: 'node' });
+      }
+      continue;
+    }
+
+    const result = { id, tags, _type: type };
+    const center = CENTER_RE.exec(inner);
+    if (center) {
+      const { lat, lon } = parseAttributes(center[1]);
+      if (Number.isFinite(Number(lat)) && Number.isFinite(Number(lon))) {
+        result.center = { lat: Number(lat), lon: Number(lon) };
+      }
+    }
+    results.push(result);
+  }
+  return results;
+}
+
+/**
+ * Every element of an Overpass XML document as its raw markup plus the
+ * position the client will place it at (node coordinates, else its center),
+ * so a response can be partitioned and reassembled without re-serialising.
+ *
+ * @param {string} xmlText
+ * @returns {Array<{type: string, id: number, lat: number|null, lon: number|null, raw: string}>}
+ */
+function listOverpassElements(xmlText) {
+  const elements = [];
+  if (typeof xmlText !== 'string' || !xmlText) return elements;
+  for (const m of xmlText.matchAll(ELEMENT_RE)) {
+    const attrs = parseAttributes(m[2]);
+    let lat = Number(attrs.lat);
+    let lon = Number(attrs.lon);
+    if (m[1] !== 'node') {
+      const center = CENTER_RE.exec(m[3] || '');
+      const c = center ? parseAttributes(center[1]) : {};
+      lat = Number(c.lat);
+      lon = Number(c.lon);
+    }
+    const placed = Number.isFinite(lat) && Number.isFinite(lon);
+    elements.push({ type: m[1], id: Number(attrs.id), lat: placed ? lat : null, lon: placed ? lon : null, raw: m[0] });
+  }
+  return elements;
+}
+
+module.exports = { parseOverpassXml, listOverpassElements, decodeEntities };
@@ -73,15 +73,16 @@ class OverpassCache {
    * @param {string} key
    * @param {Buffer} body
    * @param {string} contentType
+   * @param {number} [storedAt] original store time, so a promoted entry keeps its age
    */
-  set(key, body, contentType) {
+  set(key, body, contentType, storedAt = this.now()) {
     if (!Buffer.isBuffer(body)) return;
     // A single response bigger than the whole budget would evict everything
     // else for no benefit.
     if (body.length > this.maxBytes) return;
 
     if (this.entries.has(key)) this.#remove(key);
-    this.entries.set(key, { body, contentType, storedAt: this.now() });
+    this.entries.set(key, { body, contentType, storedAt });
     this.bytes += body.length;
     this.#evict();
   }
@@ -115,4 +116,77 @@ class OverpassCache {
   }
 }
 
-module.exports = { OverpassCache, cacheKey, KEY_PRECISION };
+function hitRate({ hits, misses }) {
+  const total = hits + misses;
+  return total ? hits / total : 0;
+}
+
+/**
+ * Memory in front of a durable store (see overpassCacheStore.js).
+ *
+ * Reads try memory, then the store; a store hit is promoted into memory with
+ * its original age, so the TTL still counts from when Overpass answered.
+ * Writes go to both. The store is optional and its failures are logged and
+ * swallowed: a broken disk tier must degrade to the memory-only behaviour,
+ * never fail a request.
+ */
+class TieredOverpassCache {
+  /**
+   * @param {{memory: OverpassCache, store?: object|null, logger?: Console}} options
+   *   store implements async get(key), set(key, body, contentType, storedAt) and stats()
+   */
+  constructor({ memory, store = null, logger = console }) {
+    this.memory = memory;
+    this.store = store;
+    this.logger = logger;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{body: Buffer, contentType: string, tier: 'memory'|'disk'}|null>}
+   */
+  async get(key) {
+    const hot = this.memory.get(key);
+    if (hot) return { ...hot, tier: 'memory' };
+    if (!this.store) return null;
+    try {
+      const cold = await this.store.get(key);
+      if (!cold) return null;
+      this.memory.set(key, cold.body, cold.contentType, cold.storedAt);
+      return { body: cold.body, contentType: cold.contentType, tier: 'disk' };
+    } catch (e) {
+      this.logger.warn('[overpassCache] disk read failed', { key, error: e.message });
+      return null;
+    }
+  }
+
+  async set(key, body, contentType) {
+    this.memory.set(key, body, contentType);
+    if (!this.store) return;
+    try {
+      await this.store.set(key, body, contentType);
+    } catch (e) {
+      this.logger.warn('[overpassCache] disk write failed', { key, error: e.message });
+    }
+  }
+
+  /** Per-tier counters with hit rates. A disk lookup only happens on a memory miss. */
+  async stats() {
+    const memory = this.memory.stats();
+    const result = { memory: { ...memory, hitRate: hitRate(memory) }, disk: null };
+    if (this.store) {
+      try {
+        const disk = await this.store.stats();
+        result.disk = { ...disk, hitRate: hitRate(disk) };
+      } catch (e) {
+        this.logger.warn('[overpassCache] disk stats failed', { error: e.message });
+      }
+    }
+    const diskHits = result.disk ? result.disk.hits : 0;
+    const lookups = memory.hits + memory.misses;
+    result.overall = { hits: memory.hits + diskHits, lookups, hitRate: lookups ? (memory.hits + diskHits) / lookups : 0 };
+    return result;
+  }
+}
+
+module.exports = { OverpassCache, TieredOverpassCache, cacheKey, KEY_PRECISION };
@@ -0,0 +1,160 @@
+/**
+ * Durable tier for the Overpass cache, in its own SQLite file.
+ *
+ * The in-memory cache is lost on every deploy and machine restart, which
+ * means re-asking Overpass for everything users had already warmed. This keeps
+ * the same entries on disk, with the same TTL, entry-count and byte budgets,
+ * evicting least-recently-used first.
+ *
+ * It is a sibling of the routes database rather than a table inside it:
+ * route uploads stop at MAX_ROUTE_DB_BYTES, measured on the routes file, and a
+ * busy cache must not be what fills that budget.
+ */
+
+const sqlite3 = require('sqlite3');
+
+/** Rows examined per eviction round; small enough to keep each round cheap. */
+const EVICT_BATCH = 50;
+
+class SqliteCacheStore {
+  /**
+   * @param {object} options
+   * @param {string} options.path SQLite file, or ':memory:'
+   * @param {number} [options.maxEntries]
+   * @param {number} [options.maxBytes]
+   * @param {number} [options.ttlMs]
+   * @param {() => number} [options.now]
+   */
+  constructor(options) {
+    this.path = options.path;
+    this.maxEntries = options.maxEntries ?? 5000;
+    this.maxBytes = options.maxBytes ?? 256 * 1024 * 1024;
+    this.ttlMs = options.ttlMs ?? 6 * 60 * 60 * 1000;
+    this.now = options.now ?? Date.now;
+    this.db = null;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  #run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  #get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  #all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  /** Open the file and create the table. Must resolve before get/set. */
+  async open() {
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.path, (err) => (err ? reject(err) : resolve()));
+    });
+    await this.#run(`CREATE TABLE IF NOT EXISTS overpass_cache (
+      key TEXT PRIMARY KEY,
+      body BLOB NOT NULL,
+      content_type TEXT,
+      bytes INTEGER NOT NULL,
+      stored_at INTEGER NOT NULL,
+      used_at INTEGER NOT NULL
+    )`);
+    await this.#run(`CREATE INDEX IF NOT EXISTS idx_overpass_cache_used_at ON overpass_cache (used_at)`);
+    // Entries that expired while the process was down are dead weight.
+    await this.#run(`DELETE FROM overpass_cache WHERE stored_at < ?`, [this.now() - this.ttlMs]);
+    return this;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<{body: Buffer, contentType: string, storedAt: number}|null>}
+   */
+  async get(key) {
+    const row = await this.#get(
+      `SELECT body, content_type AS contentType, stored_at AS storedAt FROM overpass_cache WHERE key = ?`,
+      [key]
+    );
+    if (!row) {
+      this.misses++;
+      return null;
+    }
+    const now = this.now();
+    if (now - row.storedAt > this.ttlMs) {
+      await this.#run(`DELETE FROM overpass_cache WHERE key = ?`, [key]);
+      this.misses++;
+      return null;
+    }
+    await this.#run(`UPDATE overpass_cache SET used_at = ? WHERE key = ?`, [now, key]);
+    this.hits++;
+    return { body: row.body, contentType: row.contentType, storedAt: row.storedAt };
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer} body
+   * @param {string} contentType
+   * @param {number} [storedAt] keeps the original age when re-storing
+   */
+  async set(key, body, contentType, storedAt = this.now()) {
+    if (!Buffer.isBuffer(body)) return;
+    if (body.length > this.maxBytes) return;
+    await this.#run(
+      `INSERT OR REPLACE INTO overpass_cache (key, body, content_type, bytes, stored_at, used_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [key, body, contentType, body.length, storedAt, this.now()]
+    );
+    await this.#evict();
+  }
+
+  async #totals() {
+    const row = await this.#get(`SELECT count(*) AS size, coalesce(sum(bytes), 0) AS bytes FROM overpass_cache`);
+    return { size: row.size, bytes: row.bytes };
+  }
+
+  async #evict() {
+    let { size, bytes } = await this.#totals();
+    while (size > this.maxEntries || bytes > this.maxBytes) {
+      const oldest = await this.#all(
+        `SELECT key, bytes FROM overpass_cache ORDER BY used_at ASC LIMIT ?`,
+        [EVICT_BATCH]
+      );
+      if (!oldest.length) break;
+      for (const row of oldest) {
+        if (size <= this.maxEntries && bytes <= this.maxBytes) break;
+        await this.#run(`DELETE FROM overpass_cache WHERE key = ?`, [row.key]);
+        size--;
+        bytes -= row.bytes;
+      }
+    }
+  }
+
+  async stats() {
+    const { size, bytes } = await this.#totals();
+    return { size, bytes, hits: this.hits, misses: this.misses };
+  }
+
+  async clear() {
+    await this.#run(`DELETE FROM overpass_cache`);
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) return resolve();
+      this.db.close((err) => (err ? reject(err) : resolve()));
+      this.db = null;
+    });
+  }
+}
+
+module.exports = { SqliteCacheStore };
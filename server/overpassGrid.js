@@ -0,0 +1,285 @@
+/**
+ * Grid-aligned Overpass caching.
+ *
+ * Keying the cache on the requested bbox meant two routes that overlap by 90%
+ * never shared an entry, and neither did the quads the adaptive splitter asks
+ * for. Requests are instead decomposed into a fixed 0.1° grid: each cell is
+ * cached on its own, the cells not yet cached are fetched in one upstream
+ * query covering them, the answer is partitioned back into cells by element
+ * position, and the response is stitched from the cells. A popular area stays
+ * warm whichever route, or whichever split of a route, asks for it.
+ *
+ * An element belongs to the cell holding its position - node coordinates, or
+ * the center of a way or relation - which is also where the client places it.
+ *
+ * Widening only pays while whole cells come back. A bbox smaller than a cell,
+ * or one touching a cell whose query recently failed (a dense city answering
+ * 504), is asked for exactly as given and cached under its own key: the
+ * adaptive splitter's quads then really are smaller queries, instead of the
+ * same failing cell again. Concurrent requests for a cell, or for the same
+ * exact bbox, share one upstream fetch.
+ */
+
+const { cacheKey } = require('./overpassCache');
+const { listOverpassElements } = require('./osmXml');
+
+/** Cell size in degrees, about 11 km north-south. */
+const GRID_DEG = 0.1;
+/** 2° x 2° of cells; past that the caller is told to split (400). */
+const MAX_GRID_CELLS = 400;
+const CELL_CONTENT_TYPE = 'text/xml; charset=utf-8';
+// Float division puts exact multiples of 0.1 on either side of an integer.
+const EPSILON = 1e-9;
+// How long a cell whose query failed is left out of widened queries.
+const FAILED_CELL_TTL_MS = 15 * 60 * 1000;
+
+function cellIndex(value) {
+  return Math.floor(value / GRID_DEG + EPSILON);
+}
+
+function lastCellIndex(value, first) {
+  return Math.max(first, Math.ceil(value / GRID_DEG - EPSILON) - 1);
+}
+
+function edge(index, limit) {
+  return Math.max(-limit, Math.min(limit, Number((index * GRID_DEG).toFixed(7))));
+}
+
+function cellBbox(row, col) {
+  return { minlat: edge(row, 90), minlon: edge(col, 180), maxlat: edge(row + 1, 90), maxlon: edge(col + 1, 180) };
+}
+
+/**
+ * Grid cells covering a bbox, or null when there would be more than maxCells.
+ * @param {{minlat:number,minlon:number,maxlat:number,maxlon:number}} bbox
+ * @param {number} [maxCells]
+ * @returns {Array<{row: number, col: number, bbox: object}>|null}
+ */
+function gridCellsForBbox(bbox, maxCells = MAX_GRID_CELLS) {
+  const row0 = cellIndex(bbox.minlat);
+  const col0 = cellIndex(bbox.minlon);
+  const row1 = lastCellIndex(bbox.maxlat, row0);
+  const col1 = lastCellIndex(bbox.maxlon, col0);
+  if ((row1 - row0 + 1) * (col1 - col0 + 1) > maxCells) return null;
+  const cells = [];
+  for (let row = row0; row <= row1; row++) {
+    for (let col = col0; col <= col1; col++) {
+      cells.push({ row, col, bbox: cellBbox(row, col) });
+    }
+  }
+  return cells;
+}
+
+/** Smallest bbox holding every cell. */
+function unionBbox(cells) {
+  return {
+    minlat: Math.min(...cells.map((c) => c.bbox.minlat)),
+    minlon: Math.min(...cells.map((c) => c.bbox.minlon)),
+    maxlat: Math.max(...cells.map((c) => c.bbox.maxlat)),
+    maxlon: Math.max(...cells.map((c) => c.bbox.maxlon))
+  };
+}
+
+function osmDocument(rawElements) {
+  const body = rawElements.length ? `\n${rawElements.join('\n')}\n` : '\n';
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<osm version="0.6" generator="water-on-route grid">${body}</osm>\n`;
+}
+
+/**
+ * Split an Overpass answer for several cells into one document per cell.
+ *
+ * The query covered the union of the cells, so it can return elements from
+ * cells already cached (dropped: the cached copy stands) and ways whose
+ * center falls just outside the union (kept in the nearest cell, since
+ * Overpass returned them for touching it). Elements with no position cannot
+ * be placed by the client either, and are dropped.
+ *
+ * @param {string} xmlText
+ * @param {Array<{row: number, col: number}>} cells
+ * @returns {Map<string, string>} "row:col" to an XML document
+ */
+function partitionByCell(xmlText, cells) {
+  const wanted = new Map(cells.map((c) => [`${c.row}:${c.col}`, []]));
+  const rows = cells.map((c) => c.row);
+  const cols = cells.map((c) => c.col);
+  const clamp = (v, list) => Math.max(Math.min(...list), Math.min(Math.max(...list), v));
+  for (const el of listOverpassElements(xmlText)) {
+    if (el.lat == null) continue;
+    const id = `${clamp(cellIndex(el.lat), rows)}:${clamp(cellIndex(el.lon), cols)}`;
+    if (wanted.has(id)) wanted.get(id).push(el.raw);
+  }
+  return new Map([...wanted].map(([id, raws]) => [id, osmDocument(raws)]));
+}
+
+/** One document from several cell documents, each element once. */
+function stitchCells(documents) {
+  const seen = new Set();
+  const raws = [];
+  for (const doc of documents) {
+    for (const el of listOverpassElements(doc)) {
+      const key = `${el.type}/${el.id}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      raws.push(el.raw);
+    }
+  }
+  return osmDocument(raws);
+}
+
+function isSmallerThanCell(bbox) {
+  return bbox.maxlat - bbox.minlat < GRID_DEG - EPSILON && bbox.maxlon - bbox.minlon < GRID_DEG - EPSILON;
+}
+
+function isOk(upstream) {
+  return upstream.status >= 200 && upstream.status < 300;
+}
+
+/** A fetch that cannot reject, so a shared promise nobody awaits is harmless. */
+function settle(promise) {
+  return promise.then((upstream) => ({ upstream }), (error) => ({ error }));
+}
+
+const gridStates = new WeakMap();
+
+/**
+ * Fetches in flight and recently failed cells. They belong with the cache
+ * they feed, so every caller sharing a cache shares them too.
+ */
+function gridState(cache) {
+  let state = gridStates.get(cache);
+  if (!state) {
+    state = { inflight: new Map(), failedUntil: new Map() };
+    gridStates.set(cache, state);
+  }
+  return state;
+}
+
+function recentlyFailed(state, key) {
+  const until = state.failedUntil.get(key);
+  if (until == null) return false;
+  if (until > Date.now()) return true;
+  state.failedUntil.delete(key);
+  return false;
+}
+
+/** One promise per key for as long as its fetch runs. */
+function shareInflight(state, key, promise) {
+  state.inflight.set(key, promise);
+  promise.finally(() => state.inflight.delete(key));
+  return promise;
+}
+
+/** The bbox as asked, cached under a key of its own; see the module comment. */
+async function queryExactBbox(kind, bbox, { cache, fetchUpstream, state }) {
+  const key = `${cacheKey(kind, bbox)}:exact`;
+  const hit = await cache.get(key);
+  if (hit) {
+    return { status: 200, body: hit.body, contentType: hit.contentType || CELL_CONTENT_TYPE, cache: 'HIT', tier: hit.tier || 'memory' };
+  }
+  const pending = state.inflight.get(key) || shareInflight(state, key, settle(fetchUpstream(kind, bbox)).then((result) => {
+    if (result.upstream && isOk(result.upstream)) {
+      cache.set(key, result.upstream.body, result.upstream.contentType || CELL_CONTENT_TYPE);
+    }
+    return result;
+  }));
+  const { upstream, error } = await pending;
+  if (error) throw error;
+  return { ...upstream, cache: 'MISS' };
+}
+
+/**
+ * Answer a kind and validated bbox from grid cells, fetching the missing ones.
+ *
+ * @param {string} kind
+ * @param {object} bbox validated bbox
+ * @param {object} options
+ * @param {{get: Function, set: Function}} options.cache async or sync get/set, e.g. TieredOverpassCache
+ * @param {(kind: string, bbox: object) => Promise<{status: number, body: Buffer, contentType: string}>} options.fetchUpstream
+ * @param {number} [options.maxCells]
+ * @returns {Promise<{status: number, body: Buffer, contentType: string, cache: 'HIT'|'MISS'|'PARTIAL', tier?: string, cells?: {total: number, hit: number}}>}
+ */
+async function queryOverpassGrid(kind, bbox, { cache, fetchUpstream, maxCells = MAX_GRID_CELLS }) {
+  const cells = gridCellsForBbox(bbox, maxCells);
+  if (!cells) {
+    return {
+      status: 400,
+      body: Buffer.from('bbox covers too many grid cells; split it into smaller tiles'),
+      contentType: 'text/plain; charset=utf-8',
+      cache: 'MISS'
+    };
+  }
+
+  const state = gridState(cache);
+  const documents = new Map();
+  const tiers = new Set();
+  const missing = [];
+  for (const cell of cells) {
+    const hit = await cache.get(cacheKey(kind, cell.bbox));
+    if (hit) {
+      documents.set(`${cell.row}:${cell.col}`, hit.body.toString('utf8'));
+      tiers.add(hit.tier || 'memory');
+    } else {
+      missing.push(cell);
+    }
+  }
+
+  if (missing.length && (isSmallerThanCell(bbox) || missing.some((cell) => recentlyFailed(state, cacheKey(kind, cell.bbox))))) {
+    return queryExactBbox(kind, bbox, { cache, fetchUpstream, state });
+  }
+
+  if (missing.length) {
+    // Cells another request is already fetching are waited for, not asked again.
+    const fresh = missing.filter((cell) => !state.inflight.has(cacheKey(kind, cell.bbox)));
+    let own = null;
+    if (fresh.length) {
+      own = settle(fetchUpstream(kind, unionBbox(fresh))).then((result) => {
+        if (result.upstream && isOk(result.upstream)) {
+          result.parts = partitionByCell(result.upstream.body.toString('utf8'), fresh);
+          for (const cell of fresh) {
+            // Empty cells are cached too; they are most of them. Not awaited: a
+            // disk write should not hold up the response.
+            cache.set(cacheKey(kind, cell.bbox), Buffer.from(result.parts.get(`${cell.row}:${cell.col}`)), CELL_CONTENT_TYPE);
+          }
+        } else {
+          const until = Date.now() + FAILED_CELL_TTL_MS;
+          for (const cell of fresh) state.failedUntil.set(cacheKey(kind, cell.bbox), until);
+        }
+        return result;
+      });
+      for (const cell of fresh) {
+        shareInflight(state, cacheKey(kind, cell.bbox), own.then((result) => result.parts?.get(`${cell.row}:${cell.col}`) ?? null));
+      }
+    }
+    const waits = missing.map((cell) => state.inflight.get(cacheKey(kind, cell.bbox)));
+
+    if (own) {
+      const { upstream, error } = await own;
+      if (error) throw error;
+      if (!isOk(upstream)) return { ...upstream, cache: 'MISS' };
+    }
+    const parts = await Promise.all(waits);
+    // A cell someone else was fetching failed: it is marked now, so go exact.
+    if (parts.includes(null)) return queryExactBbox(kind, bbox, { cache, fetchUpstream, state });
+    missing.forEach((cell, i) => documents.set(`${cell.row}:${cell.col}`, parts[i]));
+  }
+
+  const hits = cells.length - missing.length;
+  return {
+    status: 200,
+    body: Buffer.from(stitchCells(documents.values())),
+    contentType: CELL_CONTENT_TYPE,
+    cache: missing.length === 0 ? 'HIT' : hits === 0 ? 'MISS' : 'PARTIAL',
+    tier: missing.length === 0 ? (tiers.has('disk') ? 'disk' : 'memory') : undefined,
+    cells: { total: cells.length, hit: hits }
+  };
+}
+
+module.exports = {
+  GRID_DEG,
+  MAX_GRID_CELLS,
+  gridCellsForBbox,
+  unionBbox,
+  partitionByCell,
+  stitchCells,
+  queryOverpassGrid
+};
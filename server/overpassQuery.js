@@ -9,9 +9,11 @@
  */
 
 /** Kinds a client may ask for. Anything else is rejected. */
-const QUERY_KINDS = Object.freeze(['water', 'coffee']);
+const QUERY_KINDS = Object.freeze(['water', 'coffee', 'toilets', 'bike_shop', 'repair_station', 'resupply']);
 
 const COFFEE_CUISINE_RE = 'coffee|cafe|coffee_shop|espresso';
+// Vending machines worth stopping for; parking tickets and cigarettes are not.
+const RESUPPLY_VENDING_RE = 'food|drinks|water|sweets|snacks|bread|sandwiches';
 
 /**
  * Expand a tag selector across node/way/relation for one bbox.
@@ -34,19 +36,12 @@ function bboxPart(b) {
 }
 
 /**
- * Potable water: classic OSM tags plus park fountains, taps and wells.
- * drinking_water=no is filtered client-side by isPotableWaterTags.
+ * The query for any kind: each selector on nodes, ways and relations in the
+ * bbox, with centers so ways and relations can be placed on the map.
+ * @param {object} b validated bbox
+ * @param {string[]} selectors
  */
-function buildOverpassWaterQuery(b) {
-  const selectors = [
-    '["amenity"="drinking_water"]',
-    '["natural"="spring"]',
-    '["man_made"="water_tap"]',
-    '["amenity"="water_point"]',
-    '["amenity"="fountain"]["drinking_water"~"^(yes|compatible)$"]',
-    '["man_made"="water_well"]["drinking_water"~"^(yes|compatible)$"]',
-    '["drinking_water"~"^(yes|compatible)$"]'
-  ];
+function buildSimpleQuery(b, selectors) {
   return `
     [out:xml][timeout:25];
     (
@@ -56,40 +51,69 @@ ${forEachElementType(selectors, bboxPart(b))}
   `;
 }
 
-/** Cafes, coffee shops, and restaurants tagged with a coffee cuisine. */
-function buildOverpassCoffeeQuery(b) {
-  const selectors = [
+/** Tag selectors per query kind. */
+const SELECTORS = Object.freeze({
+  // Potable water: classic OSM tags plus park fountains, taps and wells.
+  // drinking_water=no is filtered client-side by isPotableWaterTags.
+  water: [
+    '["amenity"="drinking_water"]',
+    '["natural"="spring"]',
+    '["man_made"="water_tap"]',
+    '["amenity"="water_point"]',
+    '["amenity"="fountain"]["drinking_water"~"^(yes|compatible)$"]',
+    '["man_made"="water_well"]["drinking_water"~"^(yes|compatible)$"]',
+    '["drinking_water"~"^(yes|compatible)$"]'
+  ],
+  // Cafes, coffee shops, and restaurants tagged with a coffee cuisine.
+  coffee: [
     '["amenity"="cafe"]',
     '["shop"="coffee"]',
     `["amenity"="restaurant"]["cuisine"~"${COFFEE_CUISINE_RE}", i]`
-  ];
-  return `
-    [out:xml][timeout:25];
-    (
-${forEachElementType(selectors, bboxPart(b))}
-    );
-    out body center qt;
-  `;
+  ],
+  // Public toilets. access=private/no is filtered client-side by
+  // isToiletsTags; doing it here would need a negated selector per element type.
+  toilets: ['["amenity"="toilets"]'],
+  // Bicycle shops, which on a long ride mostly means repairs and spares.
+  bike_shop: ['["shop"="bicycle"]'],
+  // Self-service repair stands: tools and usually a pump.
+  repair_station: ['["amenity"="bicycle_repair_station"]'],
+  // Food resupply for ultra-distance routes: shops that sell it, fuel
+  // stations that have a shop, and vending machines with food or drink.
+  resupply: [
+    '["shop"~"^(convenience|supermarket|bakery)$"]',
+    '["amenity"="fuel"]["shop"]',
+    `["amenity"="vending_machine"]["vending"~"${RESUPPLY_VENDING_RE}"]`
+  ]
+});
+
+/** Potable water stops. */
+function buildOverpassWaterQuery(b) {
+  return buildSimpleQuery(b, SELECTORS.water);
 }
 
-const BUILDERS = Object.freeze({
-  water: buildOverpassWaterQuery,
-  coffee: buildOverpassCoffeeQuery
-});
+/** Coffee stops. */
+function buildOverpassCoffeeQuery(b) {
+  return buildSimpleQuery(b, SELECTORS.coffee);
+}
+
+/** Food resupply. */
+function buildOverpassResupplyQuery(b) {
+  return buildSimpleQuery(b, SELECTORS.resupply);
+}
 
 /**
  * Build the query for a validated bbox and kind.
  * @throws {Error} when the kind is not one of QUERY_KINDS
  */
 function buildQueryForKind(kind, bbox) {
-  const build = Object.prototype.hasOwnProperty.call(BUILDERS, kind) ? BUILDERS[kind] : null;
-  if (!build) throw new Error(`Unsupported query kind: ${kind}`);
-  return build(bbox);
+  if (!Object.prototype.hasOwnProperty.call(SELECTORS, kind)) throw new Error(`Unsupported query kind: ${kind}`);
+  return buildSimpleQuery(bbox, SELECTORS[kind]);
 }
 
 module.exports = {
   QUERY_KINDS,
   buildOverpassWaterQuery,
   buildOverpassCoffeeQuery,
+  buildOverpassResupplyQuery,
   buildQueryForKind
 };
@@ -30,9 +30,42 @@ function clampListOffset(value) {
   return parsed;
 }
 
+// uploaded_at as SQLite's CURRENT_TIMESTAMP stores it.
+const UPLOADED_AT_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+/**
+ * The cursor for the page after `row`: its `uploaded_at,id`, the listing's
+ * sort key. Deep pages then cost the same as the first, where OFFSET has to
+ * walk past every skipped row.
+ * @param {{uploadedAt: string, id: number}} row
+ * @returns {string}
+ */
+function formatListCursor({ uploadedAt, id }) {
+  return `${uploadedAt},${id}`;
+}
+
+/**
+ * Read an `after` cursor. Absent or empty means the first page.
+ * @param {unknown} value
+ * @returns {{ok: true, value: {uploadedAt: string, id: number}|null}|{ok: false, error: string}}
+ */
+function parseListCursor(value) {
+  if (value == null || value === '') return { ok: true, value: null };
+  const text = String(value);
+  const comma = text.lastIndexOf(',');
+  const uploadedAt = text.slice(0, comma);
+  const id = Number(text.slice(comma + 1));
+  if (comma < 0 || !UPLOADED_AT_RE.test(uploadedAt) || !Number.isInteger(id) || id < 1) {
+    return { ok: false, error: 'after must be a cursor from nextCursor' };
+  }
+  return { ok: true, value: { uploadedAt, id } };
+}
+
 module.exports = {
   clampListLimit,
   clampListOffset,
+  formatListCursor,
+  parseListCursor,
   LIST_ROUTES_DEFAULT_LIMIT,
   LIST_ROUTES_MAX_LIMIT
 };
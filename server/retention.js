@@ -0,0 +1,118 @@
+/**
+ * Data retention: how long saved routes are kept.
+ *
+ * Uploads carry a GPS track and a coarse client network, so they must not be
+ * kept for ever. With ROUTE_RETENTION_DAYS set, routes uploaded longer ago than
+ * that are deleted outright or, with ROUTE_RETENTION_MODE=strip, reduced to
+ * their summary (name, distance, bounding box) without the track or the IP.
+ *
+ * The same job purges soft-deleted routes whose restore window
+ * (DELETED_ROUTE_RETENTION_DAYS) has passed, then VACUUMs whenever anything was
+ * removed: SQLite keeps freed pages in the file otherwise, and the upload
+ * guard (MAX_ROUTE_DB_BYTES) looks at the file size.
+ *
+ * The database calls are injected, as for the caches, so the job can be tested
+ * without sqlite3.
+ */
+
+const { positiveInteger } = require('./security');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MODES = ['delete', 'strip'];
+
+/**
+ * The configured policy. Throws on a bad value, like the other startup
+ * settings: a typo must not quietly keep (or remove) everything.
+ *
+ * @param {object} [env]
+ * @returns {{routeRetentionDays: number|null, mode: 'delete'|'strip', deletedRetentionDays: number}}
+ *   routeRetentionDays null keeps uploads indefinitely
+ */
+function loadRetentionPolicy(env = process.env) {
+  const routeRetentionDays = positiveInteger(env.ROUTE_RETENTION_DAYS, 0, 0, 36500) || null;
+  const mode = String(env.ROUTE_RETENTION_MODE || 'delete').trim().toLowerCase();
+  if (!RETENTION_MODES.includes(mode)) {
+    throw new Error(`ROUTE_RETENTION_MODE must be one of: ${RETENTION_MODES.join(', ')}`);
+  }
+  const deletedRetentionDays = positiveInteger(env.DELETED_ROUTE_RETENTION_DAYS, 30, 0, 3650);
+  return { routeRetentionDays, mode, deletedRetentionDays };
+}
+
+class RetentionJob {
+  /**
+   * @param {object} options
+   * @param {{routeRetentionDays: number|null, mode: string, deletedRetentionDays: number}} options.policy
+   * @param {object} options.store
+   * @param {(cutoff: number) => Promise<{purgedIds: number[]}>} options.store.purgeDeletedRoutes
+   * @param {(cutoff: number) => Promise<{count: number}>} options.store.deleteRoutesUploadedBefore
+   * @param {(cutoff: number) => Promise<{count: number}>} options.store.stripRoutesUploadedBefore
+   * @param {() => Promise<void>} options.store.vacuumDatabase
+   * @param {(entry: object) => Promise<unknown>} options.store.recordAudit
+   * @param {() => Promise<number>} options.fileSize database file size in bytes
+   * @param {() => void} [options.onReclaimed] called after a VACUUM, e.g. to drop a cached file size
+   * @param {() => number} [options.now]
+   * @param {Console} [options.logger]
+   */
+  constructor({ policy, store, fileSize, onReclaimed = () => {}, now = Date.now, logger = console }) {
+    this.policy = policy;
+    this.store = store;
+    this.fileSize = fileSize;
+    this.onReclaimed = onReclaimed;
+    this.now = now;
+    this.logger = logger;
+    /** What the most recent run did, for the admin page; null until one finishes. */
+    this.lastRun = null;
+    this.running = null;
+  }
+
+  /**
+   * Apply the policy once. Never rejects: failures are logged and reported in
+   * the result, since this runs from a timer with nobody to catch them.
+   * Overlapping calls share the run in progress.
+   *
+   * @returns {Promise<{ranAt: string, purged: number, expired: number, mode: string, vacuumed: boolean,
+   *   bytesBefore: number, bytesAfter: number, error?: string}>}
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.#apply().finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  async #apply() {
+    const startedAt = this.now();
+    const { routeRetentionDays, mode, deletedRetentionDays } = this.policy;
+    const report = { ranAt: new Date(startedAt).toISOString(), purged: 0, expired: 0, mode, vacuumed: false, bytesBefore: 0, bytesAfter: 0 };
+    try {
+      report.bytesBefore = await this.fileSize();
+      const { purgedIds } = await this.store.purgeDeletedRoutes(startedAt - deletedRetentionDays * DAY_MS);
+      report.purged = purgedIds.length;
+      if (routeRetentionDays) {
+        const cutoff = startedAt - routeRetentionDays * DAY_MS;
+        const expire = mode === 'strip' ? this.store.stripRoutesUploadedBefore : this.store.deleteRoutesUploadedBefore;
+        report.expired = (await expire(cutoff)).count;
+      }
+      if (report.purged || report.expired) {
+        await this.store.vacuumDatabase();
+        report.vacuumed = true;
+        this.onReclaimed();
+        await this.store.recordAudit({
+          actor: 'system',
+          role: 'system',
+          action: 'routes.retention',
+          detail: { purgedIds, expired: report.expired, mode }
+        });
+        this.logger.log('[retention] applied', { purged: report.purged, expired: report.expired, mode });
+      }
+      report.bytesAfter = await this.fileSize();
+    } catch (e) {
+      this.logger.error('[retention] failed', e);
+      report.error = e.message;
+    }
+    this.lastRun = report;
+    return report;
+  }
+}
+
+module.exports = { DAY_MS, RETENTION_MODES, loadRetentionPolicy, RetentionJob };
@@ -0,0 +1,133 @@
+/**
+ * Filters for the admin route listing: filename substring, upload date range,
+ * route length range and a bounding box.
+ *
+ * Kept apart from db.js, like pagination.js, so parsing and SQL building can
+ * be tested without the sqlite3 native binding. The SQL assumes the listing's
+ * aliases: `r` for routes, with the routes_bbox R*Tree alongside it.
+ */
+
+const MAX_QUERY_LENGTH = 100;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isRealDate(text) {
+  if (!DATE_RE.test(text)) return false;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text);
+}
+
+function parseKm(value, name) {
+  const km = Number(value);
+  if (!Number.isFinite(km) || km < 0 || km > 50000) {
+    return { ok: false, error: `${name} must be a distance in km from 0 to 50000` };
+  }
+  return { ok: true, value: km };
+}
+
+/** `minlon,minlat,maxlon,maxlat`, the order GeoJSON and OSM use. */
+function parseBboxParam(value) {
+  const parts = String(value).split(',').map((p) => Number(p.trim()));
+  const [minlon, minlat, maxlon, maxlat] = parts;
+  if (parts.length !== 4 || !parts.every(Number.isFinite) ||
+      minlon < -180 || maxlon > 180 || minlat < -90 || maxlat > 90 ||
+      minlon > maxlon || minlat > maxlat) {
+    return { ok: false, error: 'bbox must be minlon,minlat,maxlon,maxlat' };
+  }
+  return { ok: true, value: { minlon, minlat, maxlon, maxlat } };
+}
+
+/**
+ * Read the filters from a query string object. Absent and empty parameters
+ * are no filter.
+ *
+ * @param {Record<string, unknown>} query e.g. req.query
+ * @returns {{ok: true, value: {q?: string, from?: string, to?: string, minKm?: number, maxKm?: number,
+ *   bbox?: {minlon: number, minlat: number, maxlon: number, maxlat: number}}}|{ok: false, error: string}}
+ */
+function parseRouteFilters(query = {}) {
+  const given = (name) => {
+    const value = query[name];
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+  };
+  const filters = {};
+
+  const q = given('q');
+  if (q) {
+    if (q.length > MAX_QUERY_LENGTH) return { ok: false, error: `q must be at most ${MAX_QUERY_LENGTH} characters` };
+    filters.q = q;
+  }
+  for (const name of ['from', 'to']) {
+    const date = given(name);
+    if (!date) continue;
+    if (!isRealDate(date)) return { ok: false, error: `${name} must be a date (YYYY-MM-DD)` };
+    filters[name] = date;
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { ok: false, error: 'from must not be after to' };
+  }
+  for (const name of ['minKm', 'maxKm']) {
+    const raw = given(name);
+    if (!raw) continue;
+    const km = parseKm(raw, name);
+    if (!km.ok) return km;
+    filters[name] = km.value;
+  }
+  if (filters.minKm != null && filters.maxKm != null && filters.minKm > filters.maxKm) {
+    return { ok: false, error: 'minKm must not exceed maxKm' };
+  }
+  const bbox = given('bbox');
+  if (bbox) {
+    const box = parseBboxParam(bbox);
+    if (!box.ok) return box;
+    filters.bbox = box.value;
+  }
+  return { ok: true, value: filters };
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/**
+ * WHERE clause for parseRouteFilters output. Always leaves out soft-deleted
+ * routes.
+ *
+ * Dates are whole UTC days, both ends included; uploaded_at is stored as
+ * `YYYY-MM-DD HH:MM:SS` text, so they compare as text. The bounding box
+ * matches routes whose stored bbox intersects it, answered by the R*Tree
+ * rather than by parsing every row's JSON.
+ *
+ * @returns {{where: string, params: Array<string|number>}}
+ */
+function routeFilterSql(filters = {}) {
+  const clauses = ['r.deleted_at IS NULL'];
+  const params = [];
+  if (filters.q) {
+    clauses.push(`r.filename LIKE ? ESCAPE '\\'`);
+    params.push(`%${escapeLike(filters.q)}%`);
+  }
+  if (filters.from) {
+    clauses.push('r.uploaded_at >= ?');
+    params.push(`${filters.from} 00:00:00`);
+  }
+  if (filters.to) {
+    clauses.push(`r.uploaded_at < date(?, '+1 day')`);
+    params.push(filters.to);
+  }
+  if (filters.minKm != null) {
+    clauses.push('r.route_km >= ?');
+    params.push(filters.minKm);
+  }
+  if (filters.maxKm != null) {
+    clauses.push('r.route_km <= ?');
+    params.push(filters.maxKm);
+  }
+  if (filters.bbox) {
+    const { minlon, minlat, maxlon, maxlat } = filters.bbox;
+    clauses.push(`r.id IN (SELECT id FROM routes_bbox WHERE minlon <= ? AND maxlon >= ? AND minlat <= ? AND maxlat >= ?)`);
+    params.push(maxlon, minlon, maxlat, minlat);
+  }
+  return { where: clauses.join(' AND '), params };
+}
+
+module.exports = { parseRouteFilters, routeFilterSql };
@@ -0,0 +1,39 @@
+/**
+ * Geometry for the admin map of every saved route.
+ *
+ * Full tracks are far too heavy to send by the thousand: a day's recording is
+ * tens of thousands of points. Each is cut down with Douglas-Peucker to what
+ * still draws the same at regional zoom, and coordinates are rounded to about
+ * a metre.
+ */
+
+const { parseGpxToGeoJSON } = require('./gpx');
+const { loadGeo } = require('./clientModules');
+
+// Below a pixel at zoom 11 or so; lower zooms hide the difference anyway.
+const MAP_TOLERANCE_M = 50;
+
+const round = (x) => Math.round(x * 1e5) / 1e5;
+
+/**
+ * The simplified lines of a stored GPX document.
+ *
+ * @param {string|null} gpxText
+ * @param {number} [toleranceM]
+ * @returns {Promise<Array<Array<[number, number]>>>} [lon, lat] lines; empty when
+ *   the track was stripped or does not parse
+ */
+async function simplifiedTrack(gpxText, toleranceM = MAP_TOLERANCE_M) {
+  if (!gpxText) return [];
+  let geojson;
+  try {
+    geojson = parseGpxToGeoJSON(gpxText);
+  } catch (_) {
+    return [];
+  }
+  const { extractRouteLineStrings, simplifyLine } = await loadGeo();
+  return extractRouteLineStrings(geojson)
+    .map((line) => simplifyLine(line, toleranceM).map(([lon, lat]) => [round(lon), round(lat)]));
+}
+
+module.exports = { MAP_TOLERANCE_M, simplifiedTrack };
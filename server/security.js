@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { validatePrivacyOptions } = require('./gpxPrivacy');
 
 const MAX_GPX_BYTES = 8 * 1024 * 1024;
 const MAX_ENRICHED_GPX_BYTES = 12 * 1024 * 1024;
@@ -20,18 +21,48 @@ function isFiniteNumber(value) {
   return typeof value === 'number' && Number.isFinite(value);
 }
 
+// Bounds for the route summary numbers: below the Dead Sea to above Everest,
+// and climbing or riding time well past any single route.
+const ROUTE_STAT_LIMITS = {
+  ascentM: [0, 1e6],
+  descentM: [0, 1e6],
+  minEleM: [-500, 9000],
+  maxEleM: [-500, 9000],
+  movingMinutes: [0, 1e6]
+};
+
+/**
+ * The summary the page computed for a route (see currentRouteStats in
+ * app.js). Every field may be null: a file without elevation has no ascent.
+ */
+function validateRouteStats(value) {
+  if (value == null) return { ok: true, value: null };
+  if (typeof value !== 'object' || Array.isArray(value)) return { ok: false, error: 'routeStats is invalid' };
+  const stats = {};
+  for (const [key, [min, max]] of Object.entries(ROUTE_STAT_LIMITS)) {
+    const stat = value[key];
+    if (stat != null && (!isFiniteNumber(stat) || stat < min || stat > max)) {
+      return { ok: false, error: `routeStats.${key} is invalid` };
+    }
+    stats[key] = stat ?? null;
+  }
+  if (stats.minEleM != null && stats.maxEleM != null && stats.minEleM > stats.maxEleM) {
+    return { ok: false, error: 'routeStats.minEleM must not exceed maxEleM' };
+  }
+  return { ok: true, value: stats };
+}
+
 function validateRoutePayload(payload) {
   if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
     return { ok: false, error: 'Invalid request body' };
   }
 
-  const filename = typeof payload.filename === 'string' ? payload.filename.trim() : 'route.gpx';
+  const filenameCheck = validateRouteFilename(typeof payload.filename === 'string' ? payload.filename : 'route.gpx');
   const gpxText = payload.gpxText;
   const enrichedGpxText = payload.enrichedGpxText;
 
-  if (!filename || filename.length > 255 || !/\.gpx$/i.test(filename)) {
-    return { ok: false, error: 'filename must be a .gpx name up to 255 characters' };
-  }
+  if (!filenameCheck.ok) return filenameCheck;
+  const filename = filenameCheck.value;
   if (typeof gpxText !== 'string' || !/<gpx(?:\s|>)/i.test(gpxText.slice(0, 2048))) {
     return { ok: false, error: 'gpxText must contain a GPX document' };
   }
@@ -78,6 +109,20 @@ function validateRoutePayload(payload) {
     }
   }
 
+  if (payload.share != null && typeof payload.share !== 'boolean') {
+    return { ok: false, error: 'share must be true or false' };
+  }
+  let radiusM = null;
+  if (payload.radiusM != null) {
+    const radius = validateRadiusMeters(payload.radiusM);
+    if (!radius.ok || typeof payload.radiusM !== 'number') return { ok: false, error: 'radiusM is invalid' };
+    radiusM = radius.value;
+  }
+  const privacy = validatePrivacyOptions(payload.privacy);
+  if (!privacy.ok) return privacy;
+  const routeStats = validateRouteStats(payload.routeStats);
+  if (!routeStats.ok) return routeStats;
+
   return {
     ok: true,
     value: {
@@ -87,11 +132,90 @@ function validateRoutePayload(payload) {
       routeKm: routeKm ?? null,
       waypointsCount: waypointsCount ?? null,
       waterPoints: waterPoints || null,
-      enrichedGpxText: enrichedGpxText || null
+      enrichedGpxText: enrichedGpxText || null,
+      share: payload.share === true,
+      radiusM,
+      privacy: privacy.value,
+      routeStats: routeStats.value
     }
   };
 }
 
+// 128 random bits, base64url: unguessable, and short enough for a chat message.
+const SHARE_SLUG_RE = /^[A-Za-z0-9_-]{22}$/;
+
+/** A fresh slug for a public /r/<slug> link. */
+function generateShareSlug() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+/** Whether a path segment can be a share slug, checked before touching the DB. */
+function isShareSlug(value) {
+  return typeof value === 'string' && SHARE_SLUG_RE.test(value);
+}
+
+// 256 random bits, base64url. Only its SHA-256 is stored, so a leaked database
+// does not let anyone delete or re-share other people's routes.
+const OWNER_TOKEN_RE = /^[A-Za-z0-9_-]{43}$/;
+
+/** A fresh owner token, returned once to the uploader. */
+function generateOwnerToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/** What is stored for an owner token, or null when it is not one. */
+function hashOwnerToken(token) {
+  if (typeof token !== 'string' || !OWNER_TOKEN_RE.test(token)) return null;
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** Route filename rule, shared by uploads and renames. */
+function validateRouteFilename(value) {
+  const filename = typeof value === 'string' ? value.trim() : '';
+  if (!filename || filename.length > 255 || !/\.gpx$/i.test(filename)) {
+    return { ok: false, error: 'filename must be a .gpx name up to 255 characters' };
+  }
+  return { ok: true, value: filename };
+}
+
+/**
+ * Validate an owner's PATCH: a new filename, the share flag, or both.
+ * @returns {{ok: true, value: {filename?: string, share?: boolean}}|{ok: false, error: string}}
+ */
+function validateRouteUpdate(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { ok: false, error: 'Invalid request body' };
+  }
+  const value = {};
+  if (payload.filename !== undefined) {
+    const filename = validateRouteFilename(payload.filename);
+    if (!filename.ok) return filename;
+    value.filename = filename.value;
+  }
+  if (payload.share !== undefined) {
+    if (typeof payload.share !== 'boolean') return { ok: false, error: 'share must be true or false' };
+    value.share = payload.share;
+  }
+  if (!Object.keys(value).length) return { ok: false, error: 'Nothing to update; send filename and/or share' };
+  return { ok: true, value };
+}
+
+const MAX_ROUTE_NOTE_LENGTH = 500;
+
+/**
+ * A moderator's note on a route. Blank clears it.
+ * @returns {{ok: true, value: string|null}|{ok: false, error: string}}
+ */
+function validateRouteNote(value) {
+  if (value === null || value === undefined) return { ok: true, value: null };
+  if (typeof value !== 'string') return { ok: false, error: 'note must be a string' };
+  const note = value.trim();
+  if (note.length > MAX_ROUTE_NOTE_LENGTH) {
+    return { ok: false, error: `note must be at most ${MAX_ROUTE_NOTE_LENGTH} characters` };
+  }
+  return { ok: true, value: note || null };
+}
+
 function validateTileCoordinates(zValue, xValue, yValue) {
   if (![zValue, xValue, yValue].every((value) => /^\d+$/.test(String(value)))) return null;
   const z = Number(zValue);
@@ -196,6 +320,24 @@ function validateBbox(bbox) {
   return { ok: true, value: { minlat, minlon, maxlat, maxlon } };
 }
 
+// Matches the widest option in the sidebar's radius select, with headroom for
+// scripted callers; anything wider stops meaning "on the route".
+const MIN_RADIUS_METERS = 10;
+const MAX_RADIUS_METERS = 5000;
+
+/**
+ * Validate a search radius in metres. Absent means the UI default of 150 m.
+ * @returns {{ok: true, value: number}|{ok: false, error: string}}
+ */
+function validateRadiusMeters(value) {
+  if (value == null || value === '') return { ok: true, value: 150 };
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < MIN_RADIUS_METERS || parsed > MAX_RADIUS_METERS) {
+    return { ok: false, error: `radius must be between ${MIN_RADIUS_METERS} and ${MAX_RADIUS_METERS} metres` };
+  }
+  return { ok: true, value: parsed };
+}
+
 function normalizeHttpUrl(value) {
   if (typeof value !== 'string' || !value.trim()) return null;
   const candidate = /^[a-z][a-z0-9+.-]*:/i.test(value.trim())
@@ -228,5 +370,12 @@ module.exports = {
   positiveInteger,
   anonymizeIp,
   validateBbox,
+  validateRadiusMeters,
+  generateShareSlug,
+  isShareSlug,
+  generateOwnerToken,
+  hashOwnerToken,
+  validateRouteUpdate,
+  validateRouteNote,
   MAX_BBOX_SPAN_DEGREES
 };
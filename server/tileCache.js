@@ -0,0 +1,278 @@
+/**
+ * Disk cache for the tile proxy.
+ *
+ * Without it every pan re-fetched every tile from the upstream, which the OSM
+ * tile usage policy asks clients not to do: tiles are to be kept according to
+ * their HTTP expiry headers (seven days when there are none) and revalidated,
+ * not re-downloaded, once stale. This keeps each tile with its ETag and
+ * Last-Modified, serves it while fresh, and afterwards asks upstream with
+ * If-None-Match / If-Modified-Since so an unchanged tile costs a 304.
+ *
+ * Storage is a SQLite file next to the routes database, like the Overpass
+ * cache and for the same reason: it must not count against MAX_ROUTE_DB_BYTES.
+ * It is bounded by bytes and evicts least-recently-used first.
+ */
+
+const sqlite3 = require('sqlite3');
+
+/** The policy's fallback when upstream sends no expiry. */
+const DEFAULT_TILE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+/** Stale tiles are kept this long for revalidation, then dropped on open. */
+const STALE_GRACE_MS = 30 * 24 * 60 * 60 * 1000;
+const EVICT_BATCH = 50;
+
+/**
+ * When an upstream tile response stops being fresh.
+ *
+ * Cache-Control max-age wins over Expires, as in HTTP. no-store and no-cache
+ * make the tile uncacheable (null); a response with neither header gets the
+ * default TTL.
+ *
+ * @param {{get: (name: string) => string|null}} headers
+ * @param {number} now
+ * @param {number} [defaultTtlMs]
+ * @returns {number|null} expiry as epoch ms, or null when not to be stored
+ */
+function tileExpiry(headers, now, defaultTtlMs = DEFAULT_TILE_TTL_MS) {
+  const cacheControl = String(headers.get('cache-control') || '').toLowerCase();
+  if (/\bno-(store|cache)\b/.test(cacheControl)) return null;
+  const maxAge = /\bmax-age=(\d+)/.exec(cacheControl);
+  if (maxAge) return now + Number(maxAge[1]) * 1000;
+  const expires = Date.parse(headers.get('expires') || '');
+  if (Number.isFinite(expires)) return Math.max(now, expires);
+  return now + defaultTtlMs;
+}
+
+class SqliteTileStore {
+  /**
+   * @param {object} options
+   * @param {string} options.path SQLite file, or ':memory:'
+   * @param {number} [options.maxBytes]
+   * @param {() => number} [options.now]
+   */
+  constructor(options) {
+    this.path = options.path;
+    this.maxBytes = options.maxBytes ?? 512 * 1024 * 1024;
+    this.now = options.now ?? Date.now;
+    this.db = null;
+  }
+
+  #run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ changes: this.changes });
+      });
+    });
+  }
+
+  #get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  #all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  /** Open the file and create the table. Must resolve before anything else. */
+  async open() {
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.path, (err) => (err ? reject(err) : resolve()));
+    });
+    await this.#run(`CREATE TABLE IF NOT EXISTS tile_cache (
+      key TEXT PRIMARY KEY,
+      body BLOB NOT NULL,
+      content_type TEXT,
+      etag TEXT,
+      last_modified TEXT,
+      bytes INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used_at INTEGER NOT NULL
+    )`);
+    await this.#run(`CREATE INDEX IF NOT EXISTS idx_tile_cache_used_at ON tile_cache (used_at)`);
+    await this.#run(`DELETE FROM tile_cache WHERE expires_at < ?`, [this.now() - STALE_GRACE_MS]);
+    return this;
+  }
+
+  /**
+   * A stored tile, fresh or not; the caller decides whether to revalidate.
+   * @param {string} key
+   * @returns {Promise<{body: Buffer, contentType: string, etag: string|null, lastModified: string|null, expiresAt: number}|null>}
+   */
+  async get(key) {
+    const row = await this.#get(
+      `SELECT body, content_type AS contentType, etag, last_modified AS lastModified, expires_at AS expiresAt
+       FROM tile_cache WHERE key = ?`,
+      [key]
+    );
+    if (!row) return null;
+    await this.#run(`UPDATE tile_cache SET used_at = ? WHERE key = ?`, [this.now(), key]);
+    return row;
+  }
+
+  /**
+   * @param {string} key
+   * @param {{body: Buffer, contentType: string, etag?: string|null, lastModified?: string|null, expiresAt: number}} tile
+   */
+  async set(key, { body, contentType, etag = null, lastModified = null, expiresAt }) {
+    if (!Buffer.isBuffer(body) || body.length > this.maxBytes) return;
+    await this.#run(
+      `INSERT OR REPLACE INTO tile_cache (key, body, content_type, etag, last_modified, bytes, expires_at, used_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [key, body, contentType, etag, lastModified, body.length, expiresAt, this.now()]
+    );
+    await this.#evict();
+  }
+
+  /** A 304 confirmed the stored tile; give it a new expiry. */
+  async refresh(key, expiresAt) {
+    await this.#run(`UPDATE tile_cache SET expires_at = ?, used_at = ? WHERE key = ?`, [expiresAt, this.now(), key]);
+  }
+
+  async #totals() {
+    const row = await this.#get(`SELECT count(*) AS size, coalesce(sum(bytes), 0) AS bytes FROM tile_cache`);
+    return { size: row.size, bytes: row.bytes };
+  }
+
+  async #evict() {
+    let { bytes } = await this.#totals();
+    while (bytes > this.maxBytes) {
+      const oldest = await this.#all(`SELECT key, bytes FROM tile_cache ORDER BY used_at ASC LIMIT ?`, [EVICT_BATCH]);
+      if (!oldest.length) break;
+      for (const row of oldest) {
+        if (bytes <= this.maxBytes) break;
+        await this.#run(`DELETE FROM tile_cache WHERE key = ?`, [row.key]);
+        bytes -= row.bytes;
+      }
+    }
+  }
+
+  stats() {
+    return this.#totals();
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) return resolve();
+      this.db.close((err) => (err ? reject(err) : resolve()));
+      this.db = null;
+    });
+  }
+}
+
+/**
+ * Tile lookups through the store, revalidating stale tiles upstream.
+ *
+ * Results carry `cache`:
+ *   HIT          fresh from disk, upstream not asked
+ *   REVALIDATED  stale on disk, upstream answered 304
+ *   MISS         fetched in full (and stored when cacheable and 200)
+ *   STALE        upstream failed, so the stale copy was served instead
+ * Concurrent requests for the same tile share one upstream fetch. The store is
+ * optional and its failures are logged and swallowed, as for the Overpass
+ * cache: a broken disk must degrade to plain proxying.
+ */
+class TileCache {
+  /**
+   * @param {object} options
+   * @param {SqliteTileStore|null} [options.store]
+   * @param {(url: string, headers: object) => Promise<{status: number, headers: {get: Function}, body: Buffer}>} options.fetchUpstream
+   *   throws on network failure or timeout
+   * @param {number} [options.defaultTtlMs]
+   * @param {() => number} [options.now]
+   * @param {Console} [options.logger]
+   */
+  constructor({ store = null, fetchUpstream, defaultTtlMs = DEFAULT_TILE_TTL_MS, now = Date.now, logger = console }) {
+    this.store = store;
+    this.fetchUpstream = fetchUpstream;
+    this.defaultTtlMs = defaultTtlMs;
+    this.now = now;
+    this.logger = logger;
+    this.inFlight = new Map();
+    this.counts = { HIT: 0, REVALIDATED: 0, MISS: 0, STALE: 0 };
+  }
+
+  /**
+   * @param {string} url upstream tile URL, which is also the cache key
+   * @param {object} [requestHeaders] sent upstream, e.g. the provider's User-Agent
+   * @returns {Promise<{status: number, body: Buffer, contentType: string, cache: 'HIT'|'REVALIDATED'|'MISS'|'STALE'}>}
+   */
+  get(url, requestHeaders = {}) {
+    let pending = this.inFlight.get(url);
+    if (!pending) {
+      pending = this.#lookup(url, requestHeaders).finally(() => this.inFlight.delete(url));
+      this.inFlight.set(url, pending);
+    }
+    return pending.then((result) => {
+      this.counts[result.cache]++;
+      return result;
+    });
+  }
+
+  async #storeCall(what, fn) {
+    if (!this.store) return null;
+    try {
+      return await fn(this.store);
+    } catch (e) {
+      this.logger.warn(`[tileCache] disk ${what} failed`, { error: e.message });
+      return null;
+    }
+  }
+
+  async #lookup(url, requestHeaders) {
+    const stored = await this.#storeCall('read', (s) => s.get(url));
+    if (stored && stored.expiresAt > this.now()) {
+      return { status: 200, body: stored.body, contentType: stored.contentType, cache: 'HIT' };
+    }
+
+    const headers = { ...requestHeaders };
+    if (stored?.etag) headers['If-None-Match'] = stored.etag;
+    if (stored?.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+    let upstream;
+    try {
+      upstream = await this.fetchUpstream(url, headers);
+    } catch (e) {
+      if (stored) return { status: 200, body: stored.body, contentType: stored.contentType, cache: 'STALE' };
+      throw e;
+    }
+
+    const expiresAt = tileExpiry(upstream.headers, this.now(), this.defaultTtlMs);
+    if (upstream.status === 304 && stored) {
+      if (expiresAt) await this.#storeCall('write', (s) => s.refresh(url, expiresAt));
+      return { status: 200, body: stored.body, contentType: stored.contentType, cache: 'REVALIDATED' };
+    }
+    const contentType = upstream.headers.get('content-type') || 'image/png';
+    if (upstream.status !== 200) {
+      // A 5xx or 429 from the tile server is better answered with the old tile.
+      if (stored && upstream.status >= 429) {
+        return { status: 200, body: stored.body, contentType: stored.contentType, cache: 'STALE' };
+      }
+      return { status: upstream.status, body: upstream.body, contentType, cache: 'MISS' };
+    }
+    if (expiresAt) {
+      await this.#storeCall('write', (s) => s.set(url, {
+        body: upstream.body,
+        contentType,
+        etag: upstream.headers.get('etag'),
+        lastModified: upstream.headers.get('last-modified'),
+        expiresAt
+      }));
+    }
+    return { status: 200, body: upstream.body, contentType, cache: 'MISS' };
+  }
+
+  /** Disk usage and how requests were answered since start. */
+  async stats() {
+    const disk = await this.#storeCall('stats', (s) => s.stats());
+    const total = Object.values(this.counts).reduce((a, b) => a + b, 0);
+    const fromDisk = this.counts.HIT + this.counts.REVALIDATED + this.counts.STALE;
+    return { disk, ...this.counts, hitRate: total ? fromDisk / total : 0 };
+  }
+}
+
+module.exports = { DEFAULT_TILE_TTL_MS, tileExpiry, SqliteTileStore, TileCache };
@@ -0,0 +1,161 @@
+/**
+ * Named tile sources behind the tile proxy.
+ *
+ * Each provider is served at /tiles/<id>/{z}/{x}/{y}.png and carries what the
+ * proxy needs to be a polite client of it (user agent, rate limit, max zoom)
+ * and what the map needs to show it (name, attribution). /config.js publishes
+ * the public half so the layer switcher in app.js is built from this list
+ * rather than from URLs hard-coded in the browser.
+ *
+ * Configured from, in order of precedence:
+ *   TILE_PROVIDERS_FILE  path to a JSON array of providers
+ *   TILE_PROVIDERS       the same JSON array inline
+ *   DEFAULT_TILE_PROVIDERS, preceded by a "local" provider when
+ *   TILE_URL_TEMPLATE is set (the single-source setting this replaces)
+ * The first provider is the default layer.
+ */
+
+const fs = require('fs');
+const { normalizeHttpUrl, positiveInteger } = require('./security');
+
+const DEFAULT_TILE_USER_AGENT = 'water-on-route/1.0 (+local-proxy)';
+const DEFAULT_TILE_RATE_LIMIT = 600;
+
+const DEFAULT_TILE_PROVIDERS = [
+  {
+    id: 'osm',
+    name: 'OSM Standard',
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    maxZoom: 19,
+    attribution: '© OpenStreetMap contributors'
+  },
+  {
+    id: 'opentopomap',
+    name: 'OpenTopoMap (Terrain)',
+    url: 'https://a.tile.opentopomap.org/{z}/{x}/{y}.png',
+    maxZoom: 17,
+    attribution: 'Map data: © OpenStreetMap contributors, SRTM | Map style: © OpenTopoMap (CC-BY-SA)'
+  },
+  {
+    id: 'esri-imagery',
+    name: 'Esri WorldImagery (Satellite)',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    maxZoom: 19,
+    attribution: 'Tiles © Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community'
+  }
+];
+
+const PROVIDER_ID_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * Validate one provider entry and fill in defaults.
+ * @param {object} entry
+ * @param {{userAgent: string, rateLimit: number}} defaults
+ * @returns {{ok: true, value: object}|{ok: false, error: string}}
+ */
+function validateTileProvider(entry, defaults) {
+  if (!entry || typeof entry !== 'object') return { ok: false, error: 'provider must be an object' };
+  const id = String(entry.id ?? '');
+  if (!PROVIDER_ID_RE.test(id)) {
+    return { ok: false, error: `provider id "${id}" must be lowercase letters, digits and dashes` };
+  }
+  const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+  // {z}/{x}/{y} must survive URL normalisation, so check the raw template.
+  if (!normalizeHttpUrl(url) || !/^https?:\/\//i.test(url) || !['{z}', '{x}', '{y}'].every((p) => url.includes(p))) {
+    return { ok: false, error: `provider "${id}" needs an http(s) url containing {z}, {x} and {y}` };
+  }
+  let maxZoom;
+  let rateLimit;
+  try {
+    maxZoom = positiveInteger(entry.maxZoom, 19, 0, 22);
+    rateLimit = positiveInteger(entry.rateLimit, defaults.rateLimit, 1, 100000);
+  } catch (e) {
+    return { ok: false, error: `provider "${id}": maxZoom must be 0-22 and rateLimit 1-100000` };
+  }
+  return {
+    ok: true,
+    value: {
+      id,
+      name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : id,
+      url,
+      maxZoom,
+      attribution: typeof entry.attribution === 'string' ? entry.attribution : '',
+      userAgent: typeof entry.userAgent === 'string' && entry.userAgent.trim() ? entry.userAgent.trim() : defaults.userAgent,
+      rateLimit
+    }
+  };
+}
+
+function readProviderList(env) {
+  if (env.TILE_PROVIDERS_FILE) {
+    return { source: env.TILE_PROVIDERS_FILE, text: fs.readFileSync(env.TILE_PROVIDERS_FILE, 'utf8') };
+  }
+  if (env.TILE_PROVIDERS) return { source: 'TILE_PROVIDERS', text: env.TILE_PROVIDERS };
+  return null;
+}
+
+/**
+ * The configured providers, validated. Throws on a bad configuration, like
+ * the other startup settings: a typo should stop the server, not drop a layer.
+ *
+ * @param {object} [env]
+ * @returns {Array<{id: string, name: string, url: string, maxZoom: number, attribution: string, userAgent: string, rateLimit: number}>}
+ */
+function loadTileProviders(env = process.env) {
+  const defaults = {
+    userAgent: env.TILE_USER_AGENT || DEFAULT_TILE_USER_AGENT,
+    rateLimit: positiveInteger(env.TILE_RATE_LIMIT, DEFAULT_TILE_RATE_LIMIT, 1, 100000)
+  };
+
+  let entries;
+  const configured = readProviderList(env);
+  if (configured) {
+    try {
+      entries = JSON.parse(configured.text);
+    } catch (e) {
+      throw new Error(`Tile providers in ${configured.source} are not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(entries) || !entries.length) {
+      throw new Error(`Tile providers in ${configured.source} must be a non-empty JSON array`);
+    }
+  } else {
+    entries = env.TILE_URL_TEMPLATE
+      ? [{ id: 'local', name: 'Local tiles', url: env.TILE_URL_TEMPLATE, attribution: '© OpenStreetMap contributors' }, ...DEFAULT_TILE_PROVIDERS]
+      : DEFAULT_TILE_PROVIDERS;
+  }
+
+  const providers = [];
+  for (const entry of entries) {
+    const result = validateTileProvider(entry, defaults);
+    if (!result.ok) throw new Error(`Invalid tile provider: ${result.error}`);
+    if (providers.some((p) => p.id === result.value.id)) {
+      throw new Error(`Duplicate tile provider id "${result.value.id}"`);
+    }
+    providers.push(result.value);
+  }
+  return providers;
+}
+
+/** What the browser gets: the proxy URL instead of the upstream, no user agent or limits. */
+function publicTileProviders(providers) {
+  return providers.map(({ id, name, maxZoom, attribution }) => ({
+    id,
+    name,
+    url: `/tiles/${id}/{z}/{x}/{y}.png`,
+    maxZoom,
+    attribution
+  }));
+}
+
+/** Upstream URL of one tile. */
+function tileUrlFor(provider, { z, x, y }) {
+  return provider.url.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+module.exports = {
+  DEFAULT_TILE_PROVIDERS,
+  validateTileProvider,
+  loadTileProviders,
+  publicTileProviders,
+  tileUrlFor
+};
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SIGNED_OUT, csrfHeaders, fetchSession, signIn, signOut, fetchAccountRoutes } from '../account.mjs';
+
+function fakeFetch(status, body) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    return { status, ok: status >= 200 && status < 300, json: async () => body };
+  };
+  return { calls, fetchImpl };
+}
+
+const MEMBER = { user: { username: 'alice', role: 'member' }, csrfToken: 'tok', registration: true };
+
+test('csrfHeaders is empty when signed out', () => {
+  assert.deepEqual(csrfHeaders(SIGNED_OUT), {});
+  assert.deepEqual(csrfHeaders(MEMBER), { 'X-CSRF-Token': 'tok' });
+});
+
+test('fetchSession reports a signed-out visitor and whether sign-up is open', async () => {
+  const { fetchImpl } = fakeFetch(200, { ok: true, user: null, registration: false });
+  assert.deepEqual(await fetchSession(fetchImpl), { user: null, csrfToken: null, registration: false });
+});
+
+test('signIn posts the credentials and keeps the CSRF token', async () => {
+  const { calls, fetchImpl } = fakeFetch(200, { ok: true, user: MEMBER.user, csrfToken: 'tok' });
+  const account = await signIn({ username: 'alice', password: 'long enough pw' }, fetchImpl);
+  assert.deepEqual(account, MEMBER);
+  assert.equal(calls[0].url, '/api/auth/login');
+  assert.equal(calls[0].init.method, 'POST');
+  assert.deepEqual(JSON.parse(calls[0].init.body), { username: 'alice', password: 'long enough pw' });
+});
+
+test('a refused sign-in rejects with the server message', async () => {
+  const { fetchImpl } = fakeFetch(401, { error: 'Wrong username or password' });
+  await assert.rejects(signIn({ username: 'alice', password: 'nope nope nope' }, fetchImpl), /Wrong username or password/);
+});
+
+test('signOut sends the CSRF token', async () => {
+  const { calls, fetchImpl } = fakeFetch(200, { ok: true });
+  assert.deepEqual(await signOut(MEMBER, fetchImpl), SIGNED_OUT);
+  assert.equal(calls[0].init.headers['X-CSRF-Token'], 'tok');
+});
+
+test('fetchAccountRoutes returns the list', async () => {
+  const { fetchImpl } = fakeFetch(200, { ok: true, routes: [{ id: 3, filename: 'a.gpx' }] });
+  assert.deepEqual(await fetchAccountRoutes(fetchImpl), [{ id: 3, filename: 'a.gpx' }]);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ROUTE_AGE_BUCKETS,
+  routeAgeBucket,
+  readNdjson,
+  cellDegreesForZoom,
+  densityCells,
+  densityColor
+} from '../adminMap.mjs';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('routeAgeBucket reads SQLite timestamps as UTC', () => {
+  assert.equal(routeAgeBucket('2026-10-19 11:00:00', NOW).label, 'Past week');
+  assert.equal(routeAgeBucket('2026-10-01 12:00:00', NOW).label, 'Past month');
+  assert.equal(routeAgeBucket('2026-01-01 00:00:00', NOW).label, 'Past year');
+  assert.equal(routeAgeBucket('2020-01-01 00:00:00', NOW).label, 'Older');
+  assert.equal(routeAgeBucket(null, NOW), ROUTE_AGE_BUCKETS[ROUTE_AGE_BUCKETS.length - 1]);
+});
+
+test('readNdjson yields each line, however the chunks fall', async () => {
+  const text = '{"id":1}\n{"id":2,"name":"a\\nb"}\n\n{"id":3}';
+  const encoded = new TextEncoder().encode(text);
+  const stream = new ReadableStream({
+    start(controller) {
+      // Split mid-line and mid-character boundary alike.
+      for (let i = 0; i < encoded.length; i += 5) controller.enqueue(encoded.slice(i, i + 5));
+      controller.close();
+    }
+  });
+  const items = [];
+  const count = await readNdjson(new Response(stream), (item) => items.push(item));
+  assert.equal(count, 3);
+  assert.deepEqual(items, [{ id: 1 }, { id: 2, name: 'a\nb' }, { id: 3 }]);
+});
+
+test('cellDegreesForZoom halves with every zoom level', () => {
+  assert.equal(cellDegreesForZoom(0), 22.5);
+  assert.equal(cellDegreesForZoom(4) / 2, cellDegreesForZoom(5));
+});
+
+test('densityCells counts each route once per cell it crosses', () => {
+  const east = { lines: [[[0.05, 0.05], [2.95, 0.05]]] };
+  const loop = { lines: [[[0.05, 0.05], [0.5, 0.5], [0.05, 0.05], [0.5, 0.5]]] };
+  const cells = densityCells([east, loop], 1);
+  assert.deepEqual([...cells.keys()].sort(), ['0,0', '1,0', '2,0']);
+  assert.deepEqual(cells.get('0,0'), { west: 0, south: 0, count: 2 });
+  assert.equal(cells.get('2,0').count, 1);
+});
+
+test('densityCells marks cells between far-apart vertices and keeps to the bounds', () => {
+  const diagonal = { lines: [[[-4.5, -4.5], [4.5, 4.5]]] };
+  assert.equal(densityCells([diagonal], 1).size, 10);
+  const inView = densityCells([diagonal], 1, { west: 0, south: 0, east: 2, north: 2 });
+  assert.deepEqual([...inView.keys()].sort(), ['0,0', '1,1', '2,2']);
+});
+
+test('densityColor runs from blue to red on a log scale', () => {
+  assert.deepEqual(densityColor(1, 100), { color: 'hsl(220, 90%, 55%)', opacity: 0.25 });
+  assert.deepEqual(densityColor(100, 100), { color: 'hsl(0, 90%, 55%)', opacity: 0.75 });
+  // Ten of a hundred sits halfway, not a tenth of the way.
+  assert.ok(Math.abs(densityColor(10, 100).opacity - 0.5) < 0.01);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeRoute, parseRouteBuffer, isFitBuffer } = require('../server/analyze');
+
+// Due north along lon -122 for about 11 km.
+const ROUTE = {
+  type: 'FeatureCollection',
+  features: [{
+    type: 'Feature',
+    properties: {},
+    geometry: { type: 'LineString', coordinates: [[-122, 37, 100], [-122, 37.05, 150], [-122, 37.1, 120]] }
+  }]
+};
+
+const OVERPASS_XML = `<osm>
+  <node id="1" lat="37.08" lon="-122.0005"><tag k="amenity" v="drinking_water"/></node>
+  <node id="2" lat="37.02" lon="-122.0005"><tag k="amenity" v="fountain"/><tag k="drinking_water" v="yes"/><tag k="name" v="Plaza"/></node>
+  <node id="3" lat="37.05" lon="-122.05"><tag k="amenity" v="drinking_water"/></node>
+  <node id="4" lat="37.04" lon="-122"><tag k="amenity" v="drinking_water"/><tag k="drinking_water" v="no"/></node>
+</osm>`;
+
+test('analyzeRoute returns near-route water in ride order with its position', async () => {
+  const asked = [];
+  const result = await analyzeRoute(ROUTE, {
+    radiusM: 150,
+    queryOverpass: async (kind, bbox) => {
+      asked.push({ kind, bbox });
+      return { status: 200, body: Buffer.from(OVERPASS_XML) };
+    }
+  });
+
+  assert.equal(asked.length, 1);
+  assert.equal(asked[0].kind, 'water');
+  assert.deepEqual(asked[0].bbox, { minlat: 37, minlon: -122, maxlat: 37.1, maxlon: -122 });
+
+  // Node 3 is ~4 km off the route and node 4 is not potable.
+  assert.deepEqual(result.waterPoints.map(p => p.id), [2, 1]);
+  assert.equal(result.candidatesCount, 3);
+  assert.deepEqual(result.candidatesByKind, { water: 3 });
+  assert.equal(result.waterPoints[0].name, 'Plaza');
+  assert.equal(result.waterPoints[0].subtype, 'fountain');
+  assert.ok(Math.abs(result.waterPoints[0].alongKm - 2.22) < 0.05);
+  assert.ok(result.waterPoints[0].distanceM < 50);
+  assert.ok(Math.abs(result.routeKm - 11.12) < 0.05);
+  assert.equal(result.dryStretch.count, 2);
+  assert.ok(Math.abs(result.dryStretch.startKm - result.waterPoints[0].alongKm) < 1e-9);
+  assert.equal(result.elevationProfile.length, 3);
+  assert.deepEqual(result.elevationProfile[0], { km: 0, ele: 100 });
+});
+
+test('analyzeRoute fetches each requested kind with its own tag rules', async () => {
+  const xml = `<osm>
+    <node id="1" lat="37.08" lon="-122.0005"><tag k="amenity" v="drinking_water"/></node>
+    <node id="5" lat="37.06" lon="-122.0005"><tag k="amenity" v="cafe"/><tag k="name" v="Bean"/></node>
+  </osm>`;
+  const kindsAsked = [];
+  const result = await analyzeRoute(ROUTE, {
+    radiusM: 150,
+    kinds: ['water', 'coffee'],
+    queryOverpass: async (kind) => { kindsAsked.push(kind); return { status: 200, body: xml }; }
+  });
+  assert.deepEqual(kindsAsked, ['water', 'coffee']);
+  assert.deepEqual(result.pointsByKind.water.map(p => p.id), [1]);
+  assert.deepEqual(result.pointsByKind.coffee.map(p => p.id), [5]);
+  assert.equal(result.pointsByKind.coffee[0].subtype, 'cafe');
+  assert.equal(result.dryStretch.count, 1, 'coffee does not count as water');
+});
+
+test('analyzeRoute measures the longest stretch without resupply', async () => {
+  const xml = `<osm>
+    <node id="6" lat="37.03" lon="-122.0005"><tag k="shop" v="convenience"/></node>
+    <node id="7" lat="37.05" lon="-122.0005"><tag k="amenity" v="fuel"/></node>
+  </osm>`;
+  const result = await analyzeRoute(ROUTE, {
+    radiusM: 150,
+    kinds: ['resupply'],
+    queryOverpass: async () => ({ status: 200, body: xml })
+  });
+  assert.deepEqual(result.pointsByKind.resupply.map(p => p.id), [6], 'a fuel station without a shop is skipped');
+  assert.equal(result.pointsByKind.resupply[0].subtype, 'convenience store');
+  assert.equal(result.resupplyStretch.count, 1);
+  assert.equal(result.resupplyStretch.endKm, result.routeKm, 'the run-out to the finish is the longest gap');
+});
+
+test('analyzeRoute leaves the dry stretch out when water was not asked for', async () => {
+  const result = await analyzeRoute(ROUTE, {
+    radiusM: 150,
+    kinds: ['coffee'],
+    queryOverpass: async () => ({ status: 200, body: '<osm></osm>' })
+  });
+  assert.equal(result.dryStretch, null);
+  assert.equal(result.resupplyStretch, null);
+  assert.deepEqual(result.waterPoints, []);
+  await assert.rejects(
+    analyzeRoute(ROUTE, { radiusM: 150, kinds: ['planet'], queryOverpass: async () => ({ status: 200, body: '' }) }),
+    /Unsupported kind: planet/
+  );
+});
+
+test('analyzeRoute splits on a 504 like the browser does', async () => {
+  let calls = 0;
+  const result = await analyzeRoute(ROUTE, {
+    radiusM: 150,
+    queryOverpass: async () => {
+      calls++;
+      return calls === 1 ? { status: 504, body: 'timeout' } : { status: 200, body: OVERPASS_XML };
+    }
+  });
+  assert.equal(calls, 5, 'one failed parent plus four quads');
+  assert.deepEqual(result.waterPoints.map(p => p.id), [2, 1], 'duplicates across quads are merged');
+});
+
+test('analyzeRoute surfaces an Overpass failure it cannot split away', async () => {
+  await assert.rejects(
+    analyzeRoute(ROUTE, { radiusM: 150, queryOverpass: async () => ({ status: 500, body: 'boom' }) }),
+    (err) => err.status === 500
+  );
+});
+
+test('parseRouteBuffer reads GPX and recognises the FIT signature', async () => {
+  const gpx = Buffer.from('<gpx><trk><trkseg><trkpt lat="37" lon="-122"/><trkpt lat="37.1" lon="-122"/></trkseg></trk></gpx>');
+  const fc = await parseRouteBuffer(gpx);
+  assert.equal(fc.features.length, 1);
+  assert.equal(isFitBuffer(gpx), false);
+
+  const fitHeader = Buffer.alloc(14);
+  fitHeader.write('.FIT', 8, 'latin1');
+  assert.equal(isFitBuffer(fitHeader), true);
+  await assert.rejects(parseRouteBuffer(Buffer.from('not a route')), /Not a GPX document/);
+});
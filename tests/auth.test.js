@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SESSION_COOKIE,
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  validateCredentials,
+  generateSessionId,
+  hashSessionId,
+  generateCsrfToken,
+  parseCookies,
+  sessionCookie
+} = require('../server/auth');
+
+test('hashPassword salts every hash and verifyPassword checks against it', async () => {
+  const first = await hashPassword('correct horse battery');
+  const second = await hashPassword('correct horse battery');
+  assert.match(first, /^scrypt\$32768\$8\$1\$[A-Za-z0-9_-]+\$[A-Za-z0-9_-]+$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifyPassword('correct horse battery', first), true);
+  assert.equal(await verifyPassword('correct horse battery!', first), false);
+});
+
+test('verifyPassword refuses missing and foreign hashes', async () => {
+  assert.equal(await verifyPassword('anything at all', null), false);
+  assert.equal(await verifyPassword('anything at all', 'md5$abc'), false);
+});
+
+test('validateCredentials lowercases usernames and enforces the rules', () => {
+  assert.deepEqual(
+    validateCredentials({ username: ' Alice.B ', password: 'long enough pw' }),
+    { ok: true, value: { username: 'alice.b', password: 'long enough pw' } }
+  );
+  assert.equal(validateCredentials({ username: 'al', password: 'long enough pw' }).ok, false);
+  assert.equal(validateCredentials({ username: 'alice b', password: 'long enough pw' }).ok, false);
+  assert.equal(validateCredentials({ username: '-alice', password: 'long enough pw' }).ok, false);
+  assert.equal(validateCredentials({ username: 'alice', password: 'short' }).ok, false);
+  assert.equal(validateCredentials({ username: 'alice', password: 'x'.repeat(201) }).ok, false);
+  assert.equal(validateCredentials(null).ok, false);
+});
+
+test('session ids are random and stored only as a hash', () => {
+  const id = generateSessionId();
+  assert.match(id, /^[A-Za-z0-9_-]{43}$/);
+  assert.notEqual(id, generateSessionId());
+  assert.match(hashSessionId(id), /^[0-9a-f]{64}$/);
+  assert.equal(hashSessionId('not-a-session'), null);
+  assert.equal(hashSessionId(undefined), null);
+  assert.notEqual(generateCsrfToken(), generateCsrfToken());
+});
+
+test('parseCookies reads the first value of each cookie and skips junk', () => {
+  assert.deepEqual(parseCookies('a=1; wor_session=abc%2Ddef; a=2; junk; bad=%E0'), { a: '1', wor_session: 'abc-def' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('sessionCookie is HttpOnly and SameSite=Lax, and clears with Max-Age=0', () => {
+  const set = sessionCookie('abc', { maxAgeMs: 60000, secure: true });
+  assert.equal(set, `${SESSION_COOKIE}=abc; Path=/; Max-Age=60; HttpOnly; SameSite=Lax; Secure`);
+  assert.equal(sessionCookie(null), `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`);
+});
+
+test('hasRole ranks staff roles, each including the ones below it', () => {
+  assert.deepEqual(ROLES, ['member', 'viewer', 'moderator', 'superadmin']);
+  assert.equal(hasRole('superadmin', 'viewer'), true);
+  assert.equal(hasRole('moderator', 'moderator'), true);
+  assert.equal(hasRole('moderator', 'superadmin'), false);
+  assert.equal(hasRole('viewer', 'moderator'), false);
+  assert.equal(hasRole('member', 'viewer'), false);
+  // Retired or unknown roles grant nothing.
+  assert.equal(hasRole('admin', 'viewer'), false);
+  assert.equal(hasRole(undefined, 'viewer'), false);
+});
@@ -4,6 +4,8 @@ const assert = require('node:assert/strict');
 const {
   clampListLimit,
   clampListOffset,
+  formatListCursor,
+  parseListCursor,
   LIST_ROUTES_DEFAULT_LIMIT,
   LIST_ROUTES_MAX_LIMIT
 } = require('../server/pagination');
@@ -45,3 +47,17 @@ test('clampListOffset passes through a valid offset', () => {
   assert.equal(clampListOffset(200), 200);
   assert.equal(clampListOffset('400'), 400);
 });
+
+test('a list cursor round-trips through formatListCursor and parseListCursor', () => {
+  const cursor = formatListCursor({ uploadedAt: '2026-10-19 08:30:00', id: 42, filename: 'a,b.gpx' });
+  assert.equal(cursor, '2026-10-19 08:30:00,42');
+  assert.deepEqual(parseListCursor(cursor), { ok: true, value: { uploadedAt: '2026-10-19 08:30:00', id: 42 } });
+});
+
+test('parseListCursor treats an absent cursor as the first page and rejects junk', () => {
+  assert.deepEqual(parseListCursor(undefined), { ok: true, value: null });
+  assert.deepEqual(parseListCursor(''), { ok: true, value: null });
+  for (const bad of ['42', '2026-10-19 08:30:00', '2026-10-19 08:30:00,0', '2026-10-19,42', "x' OR 1=1,42", '2026-10-19 08:30:00,4.2']) {
+    assert.equal(parseListCursor(bad).ok, false, bad);
+  }
+});
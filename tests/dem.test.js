@@ -0,0 +1,317 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const {
+  MAX_ELEVATION_TILES,
+  tileCornerFromName,
+  parseHgt,
+  parseGeoTiff,
+  lzwDecode,
+  sampleBilinear,
+  parseElevationRequest,
+  DemStore
+} = require('../server/dem');
+
+/** An .hgt tile: big-endian int16, row by row from the north-west corner. */
+function hgt(rows) {
+  const buffer = Buffer.alloc(rows.length * rows.length * 2);
+  rows.flat().forEach((v, i) => buffer.writeInt16BE(v, i * 2));
+  return buffer;
+}
+
+/** TIFF's LZW, for building test files; codes widen one early, as decoders expect. */
+function lzwEncode(bytes) {
+  const out = [];
+  let acc = 0;
+  let accBits = 0;
+  let codeLen = 9;
+  const write = (code) => {
+    acc = (acc << codeLen) | code;
+    accBits += codeLen;
+    while (accBits >= 8) {
+      out.push((acc >> (accBits - 8)) & 0xff);
+      accBits -= 8;
+      acc &= (1 << accBits) - 1;
+    }
+  };
+  let dict = new Map();
+  let next = 258;
+  write(256);
+  let w = String.fromCharCode(bytes[0]);
+  const codeOf = (s) => (s.length === 1 ? s.charCodeAt(0) : dict.get(s));
+  for (let i = 1; i < bytes.length; i++) {
+    const wk = w + String.fromCharCode(bytes[i]);
+    if (dict.has(wk)) {
+      w = wk;
+      continue;
+    }
+    write(codeOf(w));
+    dict.set(wk, next++);
+    if (next >= 1 << codeLen) codeLen++;
+    if (next >= 4093) {
+      write(256);
+      dict = new Map();
+      next = 258;
+      codeLen = 9;
+    }
+    w = String.fromCharCode(bytes[i]);
+  }
+  write(codeOf(w));
+  write(257);
+  if (accBits) out.push((acc << (8 - accBits)) & 0xff);
+  return Buffer.from(out);
+}
+
+/**
+ * A single-band GeoTIFF of `values` (row-major), in the layout asked for.
+ * Enough of the format to exercise each path the reader takes.
+ */
+function geoTiff({
+  width, height, values, le = true, bits = 16, format = 2, compression = 1, predictor = 1,
+  tile = null, rowsPerStrip = height, origin = [7, 46], pixel = 0.5, pixelIsPoint = false, noData = null
+}) {
+  const bytes = bits / 8;
+  const writeSample = (buf, offset, v, littleEndian) => {
+    const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+    if (format === 3 && bits === 32) view.setFloat32(offset, v, littleEndian);
+    else if (format === 2 && bits === 16) view.setInt16(offset, v, littleEndian);
+    else if (format === 1 && bits === 16) view.setUint16(offset, v, littleEndian);
+    else throw new Error('test writer: unsupported sample type');
+  };
+  const blockW = tile || width;
+  const blockH = tile || rowsPerStrip;
+  const blocks = [];
+  for (let by = 0; by < height; by += blockH) {
+    for (let bx = 0; bx < width; bx += blockW) {
+      const rows = tile ? blockH : Math.min(blockH, height - by);
+      let raw = Buffer.alloc(blockW * rows * bytes);
+      for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < blockW; c++) {
+          const x = bx + c;
+          const y = by + r;
+          const v = x < width && y < height ? values[y * width + x] : 0;
+          writeSample(raw, (r * blockW + c) * bytes, v, predictor === 3 ? false : le);
+        }
+      }
+      if (predictor === 2) {
+        const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+        for (let r = 0; r < rows; r++) {
+          for (let c = blockW - 1; c > 0; c--) {
+            const at = (r * blockW + c) * bytes;
+            view.setUint16(at, (view.getUint16(at, le) - view.getUint16(at - bytes, le) + 0x10000) % 0x10000, le);
+          }
+        }
+      } else if (predictor === 3) {
+        const shuffled = Buffer.alloc(raw.length);
+        const rowBytes = blockW * bytes;
+        for (let r = 0; r < rows; r++) {
+          for (let c = 0; c < blockW; c++) {
+            for (let b = 0; b < bytes; b++) shuffled[r * rowBytes + b * blockW + c] = raw[r * rowBytes + c * bytes + b];
+          }
+          for (let i = rowBytes - 1; i > 0; i--) {
+            shuffled[r * rowBytes + i] = (shuffled[r * rowBytes + i] - shuffled[r * rowBytes + i - 1]) & 0xff;
+          }
+        }
+        raw = shuffled;
+      }
+      blocks.push(compression === 8 ? zlib.deflateSync(raw) : compression === 5 ? lzwEncode(raw) : raw);
+    }
+  }
+
+  const tags = [
+    [256, 3, [width]],
+    [257, 3, [height]],
+    [258, 3, [bits]],
+    [259, 3, [compression]],
+    [277, 3, [1]],
+    [317, 3, [predictor]],
+    [339, 3, [format]],
+    [33550, 12, [pixel, pixel, 0]],
+    [33922, 12, [0, 0, 0, origin[0], origin[1], 0]],
+    [34735, 3, [1, 1, 0, 1, 1025, 0, 1, pixelIsPoint ? 2 : 1]]
+  ];
+  if (tile) tags.push([322, 3, [tile]], [323, 3, [tile]], [324, 4, []], [325, 4, blocks.map((b) => b.length)]);
+  else tags.push([273, 4, []], [278, 3, [rowsPerStrip]], [279, 4, blocks.map((b) => b.length)]);
+  if (noData != null) tags.push([42113, 2, `${noData}\0`]);
+  tags.sort((a, b) => a[0] - b[0]);
+
+  const sizes = { 2: 1, 3: 2, 4: 4, 12: 8 };
+  let offset = 8;
+  const blockOffsets = blocks.map((b) => {
+    const at = offset;
+    offset += b.length;
+    return at;
+  });
+  for (const t of tags) if (t[0] === 273 || t[0] === 324) t[2] = blockOffsets;
+  const ifdOffset = offset;
+  const ifdSize = 2 + tags.length * 12 + 4;
+  let extra = ifdOffset + ifdSize;
+  const file = Buffer.alloc(extra + 4096);
+  const u16 = (v, o) => (le ? file.writeUInt16LE(v, o) : file.writeUInt16BE(v, o));
+  const u32 = (v, o) => (le ? file.writeUInt32LE(v, o) : file.writeUInt32BE(v, o));
+  file.write(le ? 'II' : 'MM', 0, 'latin1');
+  u16(42, 2);
+  u32(ifdOffset, 4);
+  blocks.forEach((b, i) => b.copy(file, blockOffsets[i]));
+  u16(tags.length, ifdOffset);
+  tags.forEach(([tag, type, value], k) => {
+    const entry = ifdOffset + 2 + k * 12;
+    const count = value.length;
+    u16(tag, entry);
+    u16(type, entry + 2);
+    u32(count, entry + 4);
+    const size = sizes[type] * count;
+    const at = size <= 4 ? entry + 8 : extra;
+    if (size > 4) {
+      u32(extra, entry + 8);
+      extra += size;
+    }
+    if (type === 2) file.write(value, at, 'latin1');
+    else value.forEach((v, i) => {
+      const o = at + i * sizes[type];
+      if (type === 3) u16(v, o);
+      else if (type === 4) u32(v, o);
+      else if (le) file.writeDoubleLE(v, o);
+      else file.writeDoubleBE(v, o);
+    });
+  });
+  return file.subarray(0, extra);
+}
+
+test('tile corners are read from SRTM and Copernicus names', () => {
+  assert.deepEqual(tileCornerFromName('N45E007.hgt'), { lat: 45, lon: 7 });
+  assert.deepEqual(tileCornerFromName('S33W071.hgt'), { lat: -33, lon: -71 });
+  assert.deepEqual(tileCornerFromName('Copernicus_DSM_COG_10_N46_00_E007_00_DEM.tif'), { lat: 46, lon: 7 });
+  assert.deepEqual(tileCornerFromName('n45_w122_1arc_v3.tif'), { lat: 45, lon: -122 });
+  assert.equal(tileCornerFromName('readme.txt'), null);
+});
+
+test('an .hgt tile interpolates between its grid lines and skips voids', () => {
+  const raster = parseHgt(hgt([
+    [300, 200, 100],
+    [200, 100, 0],
+    [100, 0, -32768]
+  ]), { lat: 45, lon: 7 });
+  // Grid lines every half degree; the first row is the north edge.
+  assert.equal(sampleBilinear(raster, 7, 46), 300);
+  assert.equal(sampleBilinear(raster, 7.25, 45.75), 200);
+  assert.equal(sampleBilinear(raster, 7.5, 45.5), 100);
+  // Next to the void, the three good neighbours share the weight.
+  assert.ok(Math.abs(sampleBilinear(raster, 7.75, 45.25) - 100 / 3) < 1e-9);
+  assert.equal(sampleBilinear(raster, 8, 45), null);
+  assert.equal(sampleBilinear(raster, 9, 45.5), null);
+  assert.throws(() => parseHgt(Buffer.alloc(10), { lat: 0, lon: 0 }), /Not an SRTM/);
+});
+
+const GRID = Array.from({ length: 36 }, (_, i) => 100 + i * 10);
+
+test('GeoTIFF strips are placed by tie point and pixel scale', () => {
+  const raster = parseGeoTiff(geoTiff({ width: 6, height: 6, values: GRID, rowsPerStrip: 4 }));
+  // Pixels are areas: pixel (0, 0) is centred a quarter degree in.
+  assert.equal(raster.x0, 7.25);
+  assert.equal(raster.y0, 45.75);
+  assert.equal(sampleBilinear(raster, 7.25, 45.75), 100);
+  assert.equal(sampleBilinear(raster, 7.5, 45.75), 105);
+  assert.equal(sampleBilinear(raster, 9.75, 43.25), 450);
+  const point = parseGeoTiff(geoTiff({ width: 6, height: 6, values: GRID, pixelIsPoint: true }));
+  assert.equal(point.x0, 7);
+  assert.equal(sampleBilinear(point, 7, 46), 100);
+});
+
+test('Deflate tiles with the floating-point predictor decode, big-endian too', () => {
+  const values = GRID.map((v) => v + 0.25);
+  values[7] = -9999;
+  for (const le of [true, false]) {
+    const raster = parseGeoTiff(geoTiff({
+      width: 6, height: 6, values, le, bits: 32, format: 3, compression: 8, predictor: 3, tile: 4, noData: -9999
+    }));
+    assert.deepEqual([...raster.values.slice(0, 3)], [100.25, 110.25, 120.25]);
+    assert.ok(Number.isNaN(raster.values[7]));
+    assert.equal(raster.values[35], 450.25);
+  }
+});
+
+test('LZW with the integer predictor decodes past the first code-width change', () => {
+  const width = 40;
+  const height = 40;
+  const values = Array.from({ length: width * height }, (_, i) => (i * 7919) % 3000);
+  const raster = parseGeoTiff(geoTiff({ width, height, values, bits: 16, format: 1, compression: 5, predictor: 2 }));
+  assert.deepEqual([...raster.values], values);
+  const text = Buffer.from('TOBEORNOTTOBEORTOBEORNOT'.repeat(40));
+  assert.deepEqual(Buffer.from(lzwDecode(lzwEncode(text), text.length)), text);
+});
+
+test('parseElevationRequest wants a bounded list of lon/lat pairs', () => {
+  assert.deepEqual(parseElevationRequest({ coordinates: [[7.1, 45.2, 300]] }), { ok: true, value: [[7.1, 45.2]] });
+  assert.equal(parseElevationRequest({}).ok, false);
+  assert.equal(parseElevationRequest({ coordinates: [[7.1]] }).ok, false);
+  assert.equal(parseElevationRequest({ coordinates: [[200, 45]] }).ok, false);
+  assert.equal(parseElevationRequest({ coordinates: Array(5001).fill([7, 45]) }).ok, false);
+});
+
+test('parseElevationRequest turns away requests spanning more than a few tiles', () => {
+  const across = (n) => Array.from({ length: n }, (_, i) => [7.5 + i, 45.5]);
+  assert.equal(parseElevationRequest({ coordinates: across(MAX_ELEVATION_TILES) }).ok, true);
+  const wide = parseElevationRequest({ coordinates: across(MAX_ELEVATION_TILES + 1) });
+  assert.equal(wide.ok, false);
+  assert.match(wide.error, /at most 4 one-degree tiles/);
+  // Points on the same tile count once, however many there are.
+  assert.equal(parseElevationRequest({ coordinates: Array(5000).fill([7.5, 45.5]) }).ok, true);
+});
+
+test('DemStore answers from whichever tile covers each point', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wor-dem-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'N45E007.hgt'), hgt([[300, 200, 100], [200, 100, 0], [100, 0, -32768]]));
+    fs.writeFileSync(
+      path.join(dir, 'Copernicus_DSM_COG_10_N46_00_E007_00_DEM.tif'),
+      geoTiff({ width: 4, height: 4, values: Array(16).fill(1234.56), bits: 32, format: 3, compression: 8, origin: [7, 47], pixel: 0.25 })
+    );
+    fs.writeFileSync(path.join(dir, 'N47E007.hgt'), Buffer.from('not a tile'));
+    const store = new DemStore(dir, { maxTiles: 1 });
+    assert.deepEqual(
+      await store.elevations([[7.25, 45.75], [7.5, 46.5], [7.5, 47.5], [10, 10], [7.25, 45.75]]),
+      [200, 1234.6, null, null, 200]
+    );
+    assert.equal(store.tiles.size, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('DemStore reads and decodes one tile at a time, across requests', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wor-dem-'));
+  const readFile = fs.promises.readFile;
+  let reading = 0;
+  let mostAtOnce = 0;
+  fs.promises.readFile = async (...args) => {
+    reading++;
+    mostAtOnce = Math.max(mostAtOnce, reading);
+    try {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      return await readFile(...args);
+    } finally {
+      reading--;
+    }
+  };
+  try {
+    for (const name of ['N45E007.hgt', 'N45E008.hgt', 'N46E007.hgt']) {
+      fs.writeFileSync(path.join(dir, name), hgt([[100, 100, 100], [100, 100, 100], [100, 100, 100]]));
+    }
+    const store = new DemStore(dir);
+    const results = await Promise.all([
+      store.elevations([[7.5, 45.5], [8.5, 45.5]]),
+      store.elevations([[7.5, 46.5]]),
+      store.elevations([[8.5, 45.5], [7.5, 45.5]])
+    ]);
+    assert.deepEqual(results, [[100, 100], [100], [100, 100]]);
+    assert.equal(mostAtOnce, 1);
+  } finally {
+    fs.promises.readFile = readFile;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEM_MAX_POINTS, DEM_MAX_TILES, elevationRequestChunks, fetchElevations, fillMissingElevation } from '../demElevation.mjs';
+import { buildRouteIndex, hasElevation } from '../geo.mjs';
+
+/** Answers each request with a height per coordinate, from its latitude. */
+function fakeDem(status = 200) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    const { coordinates } = JSON.parse(init.body);
+    calls.push({ url, count: coordinates.length });
+    const body = status === 200
+      ? { ok: true, elevations: coordinates.map(([, lat]) => Math.round((lat - 45) * 1e5) / 10) }
+      : { error: 'nope' };
+    return { status, ok: status === 200, json: async () => body };
+  };
+  return { calls, fetchImpl };
+}
+
+const route = (coords) => ({
+  type: 'FeatureCollection',
+  features: [{ type: 'Feature', geometry: { type: 'LineString', coordinates: coords } }]
+});
+
+test('fetchElevations splits long lists across requests', async () => {
+  const { calls, fetchImpl } = fakeDem();
+  const coordinates = Array.from({ length: DEM_MAX_POINTS + 2 }, () => [7, 45.001]);
+  const elevations = await fetchElevations(coordinates, fetchImpl);
+  assert.equal(elevations.length, coordinates.length);
+  assert.deepEqual(calls.map((c) => [c.url, c.count]), [['/api/elevation', DEM_MAX_POINTS], ['/api/elevation', 2]]);
+});
+
+test('elevationRequestChunks starts a new request before a fifth tile', () => {
+  const coordinates = Array.from({ length: 12 }, (_, i) => [7.5 + i * 0.5, 45.5]);
+  const chunks = elevationRequestChunks(coordinates);
+  assert.deepEqual(chunks.map((c) => c.length), [7, 5]);
+  for (const chunk of chunks) {
+    assert.ok(new Set(chunk.map(([lon]) => Math.floor(lon))).size <= DEM_MAX_TILES);
+  }
+  assert.deepEqual(chunks.flat(), coordinates);
+});
+
+test('fetchElevations is null without an elevation model and throws on errors', async () => {
+  assert.equal(await fetchElevations([[7, 45]], fakeDem(503).fetchImpl), null);
+  await assert.rejects(fetchElevations([[7, 45]], fakeDem(400).fetchImpl), /nope/);
+});
+
+test('fillMissingElevation only asks for routes without elevation', async () => {
+  const { calls, fetchImpl } = fakeDem();
+  const flat = buildRouteIndex(route([[7, 45], [7, 45.005], [7, 45.01]]));
+  assert.equal(await fillMissingElevation(flat, fetchImpl), flat);
+  assert.equal(hasElevation(flat), true);
+  assert.equal(calls.length, 1);
+
+  const recorded = buildRouteIndex(route([[7, 45, 300], [7, 45.01, 320]]));
+  assert.equal(await fillMissingElevation(recorded, fetchImpl), null);
+  assert.equal(calls.length, 1);
+
+  const unconfigured = buildRouteIndex(route([[7, 45], [7, 45.01]]));
+  assert.equal(await fillMissingElevation(unconfigured, fakeDem(503).fetchImpl), null);
+  assert.equal(hasElevation(unconfigured), false);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const { after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseEnrichArgs, createOverpassClient, enrichFile, runEnrich } = require('../bin/enrich');
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test">
+  <metadata><time>2025-01-01T00:00:00Z</time></metadata>
+  <trk><name>Loop</name><trkseg>
+    <trkpt lat="37" lon="-122"><ele>100</ele><time>2025-01-01T00:00:00Z</time></trkpt>
+    <trkpt lat="37.1" lon="-122"><ele>120</ele></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+const XML = `<osm>
+  <node id="1" lat="37.05" lon="-122.0005"><tag k="amenity" v="drinking_water"/><tag k="name" v="Park &amp; Ride"/></node>
+  <node id="2" lat="37.02" lon="-122.0005"><tag k="amenity" v="cafe"/></node>
+</osm>`;
+
+const tmpDirs = [];
+function tmpDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wor-enrich-'));
+  tmpDirs.push(dir);
+  return dir;
+}
+after(() => {
+  for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('parseEnrichArgs reads files, radius, kinds and output directory', () => {
+  const result = parseEnrichArgs(['a.gpx', 'b.fit', '--radius', '300', '--kinds', 'water,coffee', '--out', 'dist'], {});
+  assert.deepEqual(result, {
+    ok: true,
+    value: {
+      files: ['a.gpx', 'b.fit'],
+      radiusM: 300,
+      kinds: ['water', 'coffee'],
+      outDir: 'dist',
+      overpassUrl: 'https://overpass-api.de/api/interpreter'
+    }
+  });
+});
+
+test('parseEnrichArgs takes the Overpass URL from the flag, then OVERPASS_URL', () => {
+  const env = { OVERPASS_URL: 'http://localhost:12345/api/interpreter' };
+  assert.equal(parseEnrichArgs(['a.gpx'], env).value.overpassUrl, env.OVERPASS_URL);
+  assert.equal(parseEnrichArgs(['a.gpx', '--overpass-url', 'http://o/api'], env).value.overpassUrl, 'http://o/api');
+});
+
+test('parseEnrichArgs rejects missing files, bad radii, unknown kinds and flags', () => {
+  assert.match(parseEnrichArgs([], {}).error, /No input files/);
+  assert.match(parseEnrichArgs(['a.gpx', '--radius', '0'], {}).error, /radius/);
+  assert.match(parseEnrichArgs(['a.gpx', '--kinds', 'water,beer'], {}).error, /kinds must be drawn from/);
+  assert.equal(parseEnrichArgs(['a.gpx', '--bogus'], {}).ok, false);
+  assert.deepEqual(parseEnrichArgs(['--help'], {}).value, { help: true });
+});
+
+test('createOverpassClient posts a templated query and caches successes', async () => {
+  const sent = [];
+  const fetchImpl = async (url, options) => {
+    sent.push({ url, body: decodeURIComponent(options.body.slice(5)) });
+    return new Response(XML, { status: 200, headers: { 'Content-Type': 'text/xml' } });
+  };
+  const query = createOverpassClient({ overpassUrl: 'http://overpass.local/api/interpreter', fetchImpl });
+  const bbox = { minlat: 37, minlon: -122.1, maxlat: 37.1, maxlon: -122 };
+
+  const first = await query('water', bbox);
+  const second = await query('water', bbox);
+  assert.equal(first.status, 200);
+  assert.equal(second.body.toString(), XML);
+  assert.equal(sent.length, 1, 'the repeat is served from the cache');
+  assert.equal(sent[0].url, 'http://overpass.local/api/interpreter');
+  assert.match(sent[0].body, /node\["amenity"="drinking_water"\]\(37,-122\.1,37\.1,-122\);/);
+});
+
+test('createOverpassClient answers an oversized box with 400 so the caller splits', async () => {
+  let called = false;
+  const query = createOverpassClient({ overpassUrl: 'http://o', fetchImpl: async () => { called = true; } });
+  const result = await query('water', { minlat: 0, minlon: 0, maxlat: 20, maxlon: 20 });
+  assert.equal(result.status, 400);
+  assert.equal(called, false);
+});
+
+test('createOverpassClient does not cache upstream errors', async () => {
+  let calls = 0;
+  const fetchImpl = async () => { calls++; return new Response('busy', { status: 429 }); };
+  const query = createOverpassClient({ overpassUrl: 'http://o', fetchImpl });
+  const bbox = { minlat: 37, minlon: -122.1, maxlat: 37.1, maxlon: -122 };
+  assert.equal((await query('water', bbox)).status, 429);
+  await query('water', bbox);
+  assert.equal(calls, 2);
+});
+
+test('enrichFile keeps the original GPX and adds named waypoints ahead of the track', async () => {
+  const dir = tmpDir();
+  const input = path.join(dir, 'loop.gpx');
+  fs.writeFileSync(input, GPX);
+  const out = path.join(dir, 'out');
+
+  const { gpxPath, reportPath, report } = await enrichFile(input, {
+    radiusM: 150,
+    kinds: ['water', 'coffee'],
+    outDir: out,
+    queryOverpass: async () => ({ status: 200, body: XML })
+  });
+
+  assert.equal(gpxPath, path.join(out, 'loop-enriched.gpx'));
+  const gpx = fs.readFileSync(gpxPath, 'utf8');
+  assert.ok(gpx.includes('<time>2025-01-01T00:00:00Z</time>'), 'original content survives');
+  assert.ok(gpx.includes('<wpt lat="37.05" lon="-122.0005"><name>km 5.6 — Park &amp; Ride</name><type>drinking water</type></wpt>'));
+  assert.ok(gpx.includes('<name>km 2.2 — cafe</name><type>cafe</type>'));
+  assert.ok(gpx.indexOf('<wpt') < gpx.indexOf('<trk>'), 'waypoints precede the track');
+
+  const saved = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  assert.equal(saved.file, 'loop.gpx');
+  assert.deepEqual(saved.kinds, ['water', 'coffee']);
+  assert.deepEqual(saved.waterPoints.map(p => p.id), [1]);
+  assert.equal(report.dryStretch.count, 1);
+});
+
+test('runEnrich reports each file and fails the run when any input fails', async () => {
+  const dir = tmpDir();
+  const good = path.join(dir, 'good.gpx');
+  const bad = path.join(dir, 'bad.gpx');
+  fs.writeFileSync(good, GPX);
+  fs.writeFileSync(bad, 'not a route');
+  let out = '';
+  let err = '';
+  const code = await runEnrich([good, bad, '--out', dir], {
+    env: { OVERPASS_URL: 'http://overpass.local/api/interpreter' },
+    stdout: { write: (s) => { out += s; } },
+    stderr: { write: (s) => { err += s; } },
+    fetchImpl: async () => { throw new Error('connect ECONNREFUSED'); }
+  });
+  assert.equal(code, 1);
+  assert.match(err, /bad\.gpx: Not a GPX document/);
+  // Overpass is unreachable, so the good file fails on Overpass rather than
+  // on parsing, and neither is reported as a success.
+  assert.match(err, /good\.gpx: Overpass error: 502/);
+  assert.equal(out, '');
+});
+
+test('runEnrich prints usage and exits 2 on bad arguments', async () => {
+  let err = '';
+  const code = await runEnrich([], { env: {}, stdout: { write() {} }, stderr: { write: (s) => { err += s; } } });
+  assert.equal(code, 2);
+  assert.match(err, /Usage: water-on-route enrich/);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  formatKm,
+  formatDuration,
+  poiLabel,
+  waypointFeature,
+  waypointFeatures,
+  DRY_STRETCH_TYPE,
+  dryStretchRouteXml,
+  insertDryStretchRoutes
+} from '../enrichedGpx.mjs';
+
+test('formatKm keeps one decimal below 100 km', () => {
+  assert.equal(formatKm(47.04), '47.0');
+  assert.equal(formatKm(123.6), '124');
+  assert.equal(formatKm(NaN), '—');
+});
+
+test('poiLabel falls back from name to brand to the subtype', () => {
+  assert.equal(poiLabel({ tags: { amenity: 'drinking_water' } }, 'water'), 'drinking water');
+  assert.equal(poiLabel({ tags: { shop: 'bicycle', brand: 'Trek' } }, 'bike_shop'), 'Trek');
+  assert.equal(poiLabel({ tags: { amenity: 'toilets', fee: 'yes' } }, 'toilets'), 'toilets (fee)');
+});
+
+test('waypointFeature prefixes the ride position and types by subtype', () => {
+  const feature = waypointFeature(
+    { lat: 37.1, lon: -122.1, _alongKm: 12.34, tags: { amenity: 'bicycle_repair_station', 'service:bicycle:pump': 'yes' } },
+    'repair_station'
+  );
+  assert.deepEqual(feature.properties, { name: 'km 12.3 — repair station (pump)', type: 'repair station (pump)' });
+  assert.deepEqual(feature.geometry.coordinates, [-122.1, 37.1]);
+  assert.equal(waypointFeature({ tags: {} }, 'toilets'), null);
+});
+
+test('waypointFeatures emits one waypoint per placeable point across kinds', () => {
+  const features = waypointFeatures({
+    water: [{ lat: 1, lon: 2, tags: { amenity: 'drinking_water' } }],
+    toilets: [{ center: { lat: 3, lon: 4 }, tags: { amenity: 'toilets' } }, { tags: {} }]
+  });
+  assert.deepEqual(features.map((f) => f.properties.type), ['drinking water', 'toilets']);
+});
+
+test('formatDuration switches to hours past an hour', () => {
+  assert.equal(formatDuration(44.6), '45 min');
+  assert.equal(formatDuration(125), '2 h 05 min');
+  assert.equal(formatDuration(NaN), '—');
+});
+
+const STRETCH = {
+  startKm: 20, endKm: 65, gapKm: 45, gapMinutes: 150, litres: 2.3,
+  coords: [[7.1, 45.1], [7.2, 45.2], [7.3, 45.3]]
+};
+
+test('dryStretchRouteXml comments the stretch and both of its ends', () => {
+  const xml = dryStretchRouteXml(STRETCH);
+  assert.match(xml, /<name>Dry km 20\.0–65\.0<\/name>/);
+  assert.match(xml, /<cmt>No water for 45\.0 km \(about 2 h 30 min, carry 2\.3 L\)<\/cmt>/);
+  assert.match(xml, new RegExp(`<type>${DRY_STRETCH_TYPE}</type>`));
+  const points = [...xml.matchAll(/<rtept lat="([^"]+)" lon="([^"]+)">(.*?)<\/rtept>/g)];
+  assert.deepEqual(points.map(m => [m[1], m[2]]), [['45.100000', '7.100000'], ['45.200000', '7.200000'], ['45.300000', '7.300000']]);
+  assert.match(points[0][3], /No water for 45\.0 km/);
+  assert.equal(points[1][3], '');
+  assert.equal(points[2][3], '<cmt>End of the dry stretch, km 65.0</cmt>');
+  assert.equal(dryStretchRouteXml({ ...STRETCH, coords: [[7.1, 45.1]] }), '');
+});
+
+test('insertDryStretchRoutes puts the routes ahead of the tracks', () => {
+  const gpx = '<gpx><wpt lat="1" lon="2"/><trk><trkseg/></trk></gpx>';
+  const out = insertDryStretchRoutes(gpx, [STRETCH]);
+  assert.ok(out.indexOf('<wpt') < out.indexOf('<rte>'));
+  assert.ok(out.indexOf('</rte>') < out.indexOf('<trk>'));
+  assert.ok(insertDryStretchRoutes('<gpx></gpx>', [STRETCH]).startsWith('<gpx>  <rte>'));
+  assert.equal(insertDryStretchRoutes(gpx, []), gpx);
+});
@@ -14,10 +14,30 @@ import {
   nearestOnRoute,
   sortPointsAlongRoute,
   longestDryStretch,
+  longestStretchWithoutResupply,
   elevationProfile,
   computeBBoxFromGeoJSON,
   computeRouteLengthKm,
-  pointLonLat
+  pointLonLat,
+  simplifyLine,
+  ACTIVITY_SPEEDS_KMH,
+  gradeAdjustedSpeedKmh,
+  buildTimeProfile,
+  minutesAtKm,
+  longestDryStretchByTime,
+  waterNeededLitres,
+  dryStretches,
+  routeCoordsBetween,
+  climbCategory,
+  detectClimbs,
+  isMajorClimb,
+  markClimbFootPoints,
+  cleanElevation,
+  ascentDescent,
+  elevationStats,
+  hasElevation,
+  elevationSamplePoints,
+  applySampledElevation
 } from '../geo.mjs';
 
 /** A due-east segment at the given latitude, long enough to project onto. */
@@ -403,6 +423,12 @@ test('longestDryStretch degrades safely on a zero-length route', () => {
   assert.equal(longestDryStretch(NaN, []).gapKm, 0);
 });
 
+test('longestStretchWithoutResupply measures food gaps like the dry stretch', () => {
+  const shops = [{ _alongKm: 60 }, { _alongKm: 190 }, { _alongKm: 230 }];
+  assert.deepEqual(longestStretchWithoutResupply(300, shops), { gapKm: 130, startKm: 60, endKm: 190, count: 3 });
+  assert.deepEqual(longestStretchWithoutResupply(300, []), { gapKm: 300, startKm: 0, endKm: 300, count: 0 });
+});
+
 test('elevationProfile pairs elevation with distance along the route', () => {
   const profile = elevationProfile(buildRouteIndex(northRoute(5, -122, 37, true)));
   assert.ok(profile.length >= 2);
@@ -424,3 +450,247 @@ test('elevationProfile downsamples long routes but keeps the endpoints', () => {
   assert.equal(profile[0].km, 0);
   assert.ok(profile[profile.length - 1].km > 199);
 });
+
+test('simplifyLine drops vertices within the tolerance and keeps the corners', () => {
+  // East along 45°N, then north: a right angle with a near-straight leg
+  // (one vertex 5 m off the line) on each side.
+  const line = [[7, 45], [7.005, 45.00004], [7.01, 45], [7.01, 45.005], [7.01, 45.01, 300]];
+  assert.deepEqual(simplifyLine(line, 20), [[7, 45], [7.01, 45], [7.01, 45.01, 300]]);
+  assert.deepEqual(simplifyLine(line, 1), [[7, 45], [7.005, 45.00004], [7.01, 45], [7.01, 45.01, 300]]);
+});
+
+test('simplifyLine keeps short lines whole and handles long ones without recursing', () => {
+  assert.deepEqual(simplifyLine([[7, 45], [7.1, 45]], 1000), [[7, 45], [7.1, 45]]);
+  const zigzag = Array.from({ length: 50001 }, (_, i) => [7 + i * 1e-4, 45 + (i % 2) * 1e-3]);
+  assert.equal(simplifyLine(zigzag, 10).length, zigzag.length);
+  assert.equal(simplifyLine(zigzag, 200).length, 2);
+});
+
+/** 10 km up at 6%, then 10 km back down, a vertex every 100 m. */
+function climbThenDescent() {
+  const metresPerDeg = haversineMeters([7, 45], [7, 46]);
+  const coords = [];
+  for (let i = 0; i <= 200; i++) {
+    coords.push([7, 45 + (i * 100) / metresPerDeg, i <= 100 ? i * 6 : (200 - i) * 6]);
+  }
+  return { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: { type: 'LineString', coordinates: coords } }] };
+}
+
+test('gradeAdjustedSpeedKmh slows climbs and speeds descents, within limits', () => {
+  assert.equal(gradeAdjustedSpeedKmh(0, 'bike'), ACTIVITY_SPEEDS_KMH.bike);
+  assert.equal(gradeAdjustedSpeedKmh(0, 'foot'), ACTIVITY_SPEEDS_KMH.foot);
+  assert.ok(Math.abs(gradeAdjustedSpeedKmh(0.06, 'bike') - 20 / 2.08) < 1e-9, 'about half the speed at 6%');
+  assert.equal(gradeAdjustedSpeedKmh(-0.5, 'bike'), 40, 'descents cap at twice the flat speed');
+  assert.equal(gradeAdjustedSpeedKmh(0.06, 'bike', 30), 30 / 2.08);
+  assert.ok(gradeAdjustedSpeedKmh(-0.05, 'foot') > gradeAdjustedSpeedKmh(0, 'foot'), 'a gentle descent is fastest on foot');
+  assert.ok(gradeAdjustedSpeedKmh(-0.2, 'foot') < gradeAdjustedSpeedKmh(0, 'foot'));
+  assert.equal(gradeAdjustedSpeedKmh(NaN, 'bike'), 20);
+});
+
+test('buildTimeProfile spends longer on the climb than on the descent', () => {
+  const profile = buildTimeProfile(buildRouteIndex(climbThenDescent()));
+  assert.equal(profile.hasElevation, true);
+  const up = minutesAtKm(profile, 10);
+  const down = profile.totalMinutes - up;
+  assert.ok(Math.abs(up - 10 / (20 / 2.08) * 60) < 0.5, `climb took ${up} min`);
+  assert.ok(Math.abs(down - 10 / (20 * 1.36) * 60) < 0.5, `descent took ${down} min`);
+  assert.ok(up > down * 2.5);
+});
+
+test('buildTimeProfile without elevation is distance over flat speed', () => {
+  const profile = buildTimeProfile(buildRouteIndex(northRoute(10)), { activity: 'foot' });
+  assert.equal(profile.hasElevation, false);
+  assert.ok(Math.abs(profile.totalMinutes - 120) < 0.5);
+  assert.ok(Math.abs(minutesAtKm(profile, 5) - 60) < 0.5);
+  assert.equal(minutesAtKm(profile, -1), 0);
+  assert.equal(minutesAtKm(profile, 99), profile.totalMinutes);
+  assert.deepEqual(buildTimeProfile(null), { km: [0], minutes: [0], totalMinutes: 0, hasElevation: false });
+});
+
+test('longestDryStretchByTime picks the slowest stretch, not the longest', () => {
+  const profile = buildTimeProfile(buildRouteIndex(climbThenDescent()));
+  // 8 km of climbing against 12 km of mostly descent.
+  const dry = longestDryStretchByTime(profile, 20, [{ _alongKm: 8 }]);
+  assert.equal(dry.startKm, 0);
+  assert.equal(dry.endKm, 8);
+  assert.equal(dry.gapKm, 8);
+  assert.equal(dry.count, 1);
+  assert.ok(Math.abs(dry.gapMinutes - minutesAtKm(profile, 8)) < 1e-9);
+  assert.equal(longestDryStretch(20, [{ _alongKm: 8 }]).startKm, 8, 'by distance it is the other one');
+});
+
+test('waterNeededLitres scales the hourly rate with time and heat', () => {
+  assert.equal(waterNeededLitres(60, { litresPerHour: 0.75, temperatureC: 20 }), 0.8);
+  assert.equal(waterNeededLitres(120, { litresPerHour: 0.5, temperatureC: 30 }), 1.5);
+  assert.equal(waterNeededLitres(120, { litresPerHour: 0.5, temperatureC: -10 }), 0.7);
+  assert.equal(waterNeededLitres(0, { litresPerHour: 0.5, temperatureC: 30 }), 0);
+  assert.equal(waterNeededLitres(60, { litresPerHour: 0, temperatureC: 30 }), 0);
+});
+
+test('dryStretches lists every gap at or over the threshold in ride order', () => {
+  const points = [{ _alongKm: 30 }, { _alongKm: 40 }, { _alongKm: 70 }];
+  assert.deepEqual(dryStretches(100, points, 25), [
+    { gapKm: 30, startKm: 0, endKm: 30 },
+    { gapKm: 30, startKm: 40, endKm: 70 },
+    { gapKm: 30, startKm: 70, endKm: 100 }
+  ]);
+  assert.deepEqual(dryStretches(100, points, 31), []);
+  assert.deepEqual(dryStretches(80, [], 25), [{ gapKm: 80, startKm: 0, endKm: 80 }]);
+  // Stops at the same spot leave no zero-length stretch behind.
+  assert.equal(dryStretches(50, [{ _alongKm: 10 }, { _alongKm: 10 }], 0).length, 2);
+});
+
+test('routeCoordsBetween follows the route and interpolates the ends', () => {
+  const index = buildRouteIndex(northRoute(10));
+  const coords = routeCoordsBetween(index, 2.05, 2.45);
+  // The two ends plus the vertices every 100 m in between.
+  assert.equal(coords.length, 6);
+  assert.ok(Math.abs(haversineMeters(coords[0], [-122, 37]) - 2050) < 2);
+  assert.ok(Math.abs(haversineMeters(coords.at(-1), [-122, 37]) - 2450) < 2);
+  for (const [lon] of coords) assert.ok(Math.abs(lon + 122) < 1e-9);
+  assert.deepEqual(routeCoordsBetween(index, 5, 5), []);
+  assert.equal(routeCoordsBetween(index, 9.5, 50).length, 6);
+});
+
+/** A route north every 100 m whose elevation comes from grade(m) for each step. */
+function gradedRoute(km, grade, noise = 0) {
+  const metresPerDeg = haversineMeters([-122, 37], [-122, 38]);
+  const coords = [];
+  let ele = 100;
+  for (let i = 0; i <= km * 10; i++) {
+    const m = i * 100;
+    if (i) ele += grade(m) * 100;
+    coords.push([-122, 37 + m / metresPerDeg, ele + (i % 2 ? noise : -noise)]);
+  }
+  return buildRouteIndex({ type: 'LineString', coordinates: coords });
+}
+
+test('climbCategory scores length times grade', () => {
+  assert.equal(climbCategory(10000, 0.08), 'HC');
+  assert.equal(climbCategory(6000, 0.04), '3');
+  assert.equal(climbCategory(2000, 0.04), '4');
+  assert.equal(climbCategory(1000, 0.05), null);
+  // Long drags under 3% are not climbs however far they go.
+  assert.equal(climbCategory(40000, 0.025), null);
+});
+
+test('detectClimbs finds each ascent, trimming flat run-ins through GPS noise', () => {
+  const index = gradedRoute(25, (m) => {
+    if (m > 5000 && m <= 15000) return 0.06;
+    if (m > 15000 && m <= 20000) return -0.08;
+    if (m > 23000) return 0.05;
+    return 0;
+  }, 1.5);
+  const climbs = detectClimbs(index);
+  assert.equal(climbs.length, 2);
+  const [big, small] = climbs;
+  assert.ok(big.startKm >= 4.7 && big.startKm <= 5, `starts at ${big.startKm}`);
+  assert.equal(big.endKm, 15);
+  assert.ok(Math.abs(big.gainM - 600) < 4);
+  assert.ok(big.avgGrade > 0.055 && big.avgGrade < 0.062);
+  assert.ok(big.maxGrade >= big.avgGrade);
+  assert.equal(big.category, '2');
+  assert.equal(small.category, '4');
+  assert.equal(detectClimbs(buildRouteIndex(northRoute(5))).length, 0);
+});
+
+test('detectClimbs rides through a short dip instead of splitting the climb', () => {
+  const index = gradedRoute(12, (m) => (m > 5000 && m <= 5300 ? -0.03 : 0.06));
+  const climbs = detectClimbs(index);
+  assert.equal(climbs.length, 1);
+  assert.equal(climbs[0].startKm, 0);
+  assert.ok(Math.abs(climbs[0].endKm - 12) < 1e-9);
+});
+
+test('detectClimbs does not ride the step between two track segments', () => {
+  const metresPerDeg = haversineMeters([-122, 37], [-122, 38]);
+  // Two flat 5 km segments, the second one 600 m higher, plus a climb on it.
+  const segment = (fromM, ele) => Array.from({ length: 51 }, (_, i) => {
+    const m = i * 100;
+    return [-122, 37 + (fromM + m) / metresPerDeg, ele(m)];
+  });
+  const index = buildRouteIndex({
+    type: 'MultiLineString',
+    coordinates: [
+      segment(0, () => 100),
+      segment(5000, (m) => 700 + Math.max(0, m - 2000) * 0.06)
+    ]
+  });
+  assert.equal(elevationStats(index).ascentM, 180);
+  const climbs = detectClimbs(index);
+  assert.equal(climbs.length, 1);
+  assert.ok(climbs[0].startKm >= 6.7 && climbs[0].startKm <= 7, `starts at ${climbs[0].startKm}`);
+  assert.ok(Math.abs(climbs[0].gainM - 180) < 1e-6);
+});
+
+test('markClimbFootPoints flags water just before a major climb only', () => {
+  const climbs = [
+    { startKm: 10, endKm: 20, category: '2' },
+    { startKm: 40, endKm: 42, category: '4' }
+  ];
+  assert.ok(isMajorClimb(climbs[0]));
+  assert.ok(!isMajorClimb(climbs[1]));
+  const marked = markClimbFootPoints(
+    [{ _alongKm: 7 }, { _alongKm: 8.5 }, { _alongKm: 10.3 }, { _alongKm: 11 }, { _alongKm: 39 }, {}],
+    climbs
+  );
+  assert.deepEqual(marked.map((p) => p._climbAhead?.startKm ?? null), [null, 10, 10, null, null, null]);
+});
+
+test('cleanElevation drops spikes and leaves an even grade as it was', () => {
+  const cum = Array.from({ length: 41 }, (_, i) => i * 10);
+  const even = cum.map((m) => 100 + m * 0.05);
+  const spiked = [...even];
+  spiked[20] += 120;
+  spiked[30] = NaN;
+  const cleaned = cleanElevation(cum, spiked);
+  assert.ok(Math.abs(cleaned[20] - even[20]) < 1, `spike left at ${cleaned[20]}`);
+  assert.ok(Number.isNaN(cleaned[30]));
+  const unchanged = cleanElevation(cum, even);
+  for (let i = 0; i < cum.length; i++) assert.ok(Math.abs(unchanged[i] - even[i]) < 1e-9);
+  // Vertices further apart than the window pass through.
+  assert.deepEqual([...cleanElevation([0, 500, 1000], [10, 40, 20])], [10, 40, 20]);
+});
+
+test('ascentDescent ignores jitter below the hysteresis', () => {
+  assert.deepEqual(ascentDescent([100, 102, 99, 101, 100, 103]), { ascentM: 0, descentM: 0 });
+  assert.deepEqual(ascentDescent([100, 110, 120, 115, NaN, 100, 130]), { ascentM: 50, descentM: 20 });
+});
+
+test('elevationStats totals the cleaned climbing and the range', () => {
+  const stats = elevationStats(buildRouteIndex(northRoute(5, -122, 37, true)));
+  assert.equal(stats.minEleM, 100);
+  assert.equal(stats.maxEleM, 150);
+  assert.equal(stats.ascentM, 50);
+  assert.equal(stats.descentM, 0);
+  assert.equal(elevationStats(buildRouteIndex(northRoute(5))), null);
+});
+
+test('elevationSamplePoints spaces samples along a route and keeps its ends', () => {
+  const index = buildRouteIndex(northRoute(1));
+  assert.equal(hasElevation(index), false);
+  assert.equal(hasElevation(buildRouteIndex(northRoute(1, -122, 37, true))), true);
+  const samples = elevationSamplePoints(index, { spacingM: 250 });
+  assert.deepEqual(samples.map((s) => Math.round(s.m)), [0, 300, 600, 900, 1000]);
+  assert.ok(Math.abs(samples[0].lon + 122) < 1e-9 && Math.abs(samples[0].lat - 37) < 1e-9);
+  // A long route widens the spacing rather than exceeding maxPoints.
+  assert.ok(elevationSamplePoints(buildRouteIndex(northRoute(20)), { maxPoints: 50 }).length <= 51);
+});
+
+test('applySampledElevation interpolates looked-up heights onto every vertex', () => {
+  const index = buildRouteIndex(northRoute(1));
+  const samples = elevationSamplePoints(index, { spacingM: 250 });
+  const elevations = samples.map((s) => 100 + s.m * 0.05);
+  elevations[2] = null;
+  assert.equal(applySampledElevation(index, samples, elevations), 1);
+  assert.equal(hasElevation(index), true);
+  const { elevation, cum } = index.lines[0];
+  for (let i = 0; i < cum.length; i++) assert.ok(Math.abs(elevation[i] - (100 + cum[i] * 0.05)) < 1e-6);
+  const stats = elevationStats(index);
+  assert.equal(stats.minEleM, 100);
+  assert.ok(Math.abs(stats.maxEleM - 150) < 1e-6);
+  // Nothing usable leaves the route as it was.
+  const flat = buildRouteIndex(northRoute(1));
+  assert.equal(applySampledElevation(flat, samples, samples.map(() => null)), 0);
+  assert.equal(hasElevation(flat), false);
+});
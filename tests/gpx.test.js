@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseGpxToGeoJSON } = require('../server/gpx');
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Loop &amp; back</name></metadata>
+  <wpt lat="1" lon="1"><name>Not part of the line</name></wpt>
+  <trk>
+    <trkseg>
+      <trkpt lat="37.0" lon="-122.0"><ele>10.5</ele></trkpt>
+      <trkpt lat='37.01' lon='-122.0'><ele>12</ele></trkpt>
+      <trkpt lon="-121.99" lat="37.01"/>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="38" lon="-121"></trkpt>
+    </trkseg>
+  </trk>
+  <rte>
+    <rtept lat="36" lon="-120"/>
+    <rtept lat="36.1" lon="-120"/>
+  </rte>
+</gpx>`;
+
+test('parseGpxToGeoJSON emits one LineString per track segment and route', () => {
+  const fc = parseGpxToGeoJSON(GPX);
+  assert.equal(fc.type, 'FeatureCollection');
+  // The one-point segment cannot form a line and is dropped.
+  assert.equal(fc.features.length, 2);
+  assert.deepEqual(fc.features[0].geometry.coordinates, [[-122, 37, 10.5], [-122, 37.01, 12], [-121.99, 37.01]]);
+  assert.deepEqual(fc.features[1].geometry.coordinates, [[-120, 36], [-120, 36.1]]);
+  assert.equal(fc.features[0].properties.name, 'Loop & back');
+  assert.equal(fc.features[1].properties.source, 'gpx:rte');
+});
+
+test('parseGpxToGeoJSON leaves out the dry-stretch routes of an enriched download', () => {
+  const fc = parseGpxToGeoJSON(`<gpx>
+    <rte><name>Dry km 1.0–2.0</name><type>dry stretch</type><rtept lat="37" lon="-122"/><rtept lat="37.1" lon="-122"/></rte>
+    <trk><trkseg><trkpt lat="37" lon="-122"/><trkpt lat="37.2" lon="-122"/></trkseg></trk>
+  </gpx>`);
+  assert.equal(fc.features.length, 1);
+  assert.equal(fc.features[0].properties.source, 'gpx:trk');
+});
+
+test('parseGpxToGeoJSON skips points with missing or out-of-range coordinates', () => {
+  const fc = parseGpxToGeoJSON(`<gpx><trk><trkseg>
+    <trkpt lat="37" lon="-122"/><trkpt lat="97" lon="-122"/><trkpt lon="-122"/><trkpt lat="37.1" lon="-122"/>
+  </trkseg></trk></gpx>`);
+  assert.deepEqual(fc.features[0].geometry.coordinates, [[-122, 37], [-122, 37.1]]);
+});
+
+test('parseGpxToGeoJSON refuses documents that are not GPX or have no line', () => {
+  assert.throws(() => parseGpxToGeoJSON('<kml></kml>'), /Not a GPX document/);
+  assert.throws(() => parseGpxToGeoJSON(null), /Not a GPX document/);
+  assert.throws(() => parseGpxToGeoJSON('<gpx><wpt lat="1" lon="1"/></gpx>'), /No features found/);
+});
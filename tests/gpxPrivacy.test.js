@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validatePrivacyOptions, trimGpx, applyPrivacy } = require('../server/gpxPrivacy');
+const { parseGpxToGeoJSON } = require('../server/gpx');
+
+// Eleven points due north, 0.001° (about 111 m) apart: roughly 1.1 km in all.
+const LATS = Array.from({ length: 11 }, (_, i) => Number((45 + i * 0.001).toFixed(3)));
+
+function gpx({ wpts = '' } = {}) {
+  const pts = LATS.map((lat, i) => `      <trkpt lat="${lat}" lon="7"><time>2026-05-01T08:${String(i).padStart(2, '0')}:00Z</time></trkpt>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+${wpts}  <trk>
+    <name>Commute</name>
+    <trkseg>
+${pts.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function keptLats(text) {
+  return parseGpxToGeoJSON(text).features[0].geometry.coordinates.map(([, lat]) => lat);
+}
+
+test('validatePrivacyOptions treats a missing field as no trimming', () => {
+  assert.deepEqual(validatePrivacyOptions(undefined), { ok: true, value: { trimMeters: 0, zones: [] } });
+  assert.deepEqual(
+    validatePrivacyOptions({ trimMeters: 500, zones: [{ lat: 45, lon: 7, radiusM: 300, label: 'home' }] }).value,
+    { trimMeters: 500, zones: [{ lat: 45, lon: 7, radiusM: 300 }] }
+  );
+});
+
+test('validatePrivacyOptions rejects out-of-range distances and malformed zones', () => {
+  assert.equal(validatePrivacyOptions([]).ok, false);
+  assert.equal(validatePrivacyOptions({ trimMeters: -1 }).ok, false);
+  assert.equal(validatePrivacyOptions({ trimMeters: 1e6 }).ok, false);
+  assert.equal(validatePrivacyOptions({ trimMeters: 12.5 }).ok, false);
+  assert.equal(validatePrivacyOptions({ zones: [{ lat: 95, lon: 7, radiusM: 300 }] }).ok, false);
+  assert.equal(validatePrivacyOptions({ zones: [{ lat: 45, lon: 7, radiusM: 10 }] }).ok, false);
+  assert.equal(validatePrivacyOptions({ zones: [{ lat: '45', lon: 7, radiusM: 300 }] }).ok, false);
+  assert.equal(validatePrivacyOptions({ zones: Array(11).fill({ lat: 45, lon: 7, radiusM: 300 }) }).ok, false);
+});
+
+test('trimGpx cuts the first and last metres along the track', async () => {
+  const result = await trimGpx(gpx(), { trimMeters: 200, zones: [] });
+  assert.deepEqual(keptLats(result.gpxText), LATS.slice(2, 9));
+  assert.equal(result.keptPoints, 7);
+  assert.equal(result.removedPoints, 4);
+});
+
+test('trimGpx leaves the rest of the document as it was', async () => {
+  const { gpxText } = await trimGpx(gpx(), { trimMeters: 200, zones: [] });
+  assert.match(gpxText, /<name>Commute<\/name>/);
+  assert.match(gpxText, /<trkpt lat="45.002" lon="7"><time>2026-05-01T08:02:00Z<\/time><\/trkpt>/);
+  assert.doesNotMatch(gpxText, /45\.001|45\.01"/);
+  assert.doesNotMatch(gpxText, /\n[ \t]*\n/, 'no blank lines where points were');
+});
+
+test('trimGpx drops points inside a privacy zone, wherever they are on the track', async () => {
+  const { gpxText, removedPoints } = await trimGpx(gpx(), { trimMeters: 0, zones: [{ lat: 45.005, lon: 7, radiusM: 60 }] });
+  assert.deepEqual(keptLats(gpxText), LATS.filter((lat) => lat !== 45.005));
+  assert.equal(removedPoints, 1);
+});
+
+test('trimGpx removes waypoints near the trimmed ends or in a zone', async () => {
+  const wpts = [
+    '  <wpt lat="45.0001" lon="7.0001"><name>Home</name></wpt>\n',
+    '  <wpt lat="45.005" lon="7.001"><name>Fountain</name></wpt>\n',
+    '  <wpt lat="46" lon="8"><name>Office</name></wpt>\n'
+  ].join('');
+  const { gpxText } = await trimGpx(gpx({ wpts }), { trimMeters: 200, zones: [{ lat: 46, lon: 8, radiusM: 100 }] });
+  assert.doesNotMatch(gpxText, /Home|Office/);
+  assert.match(gpxText, /Fountain/);
+});
+
+test('trimGpx leaves dry stretch routes whole and clips them only by the track\'s hidden areas', async () => {
+  const { insertDryStretchRoutes } = await import('../enrichedGpx.mjs');
+  const coords = (from, to) => LATS.filter((lat) => lat >= from && lat <= to).map((lat) => [7, lat]);
+  const wpts = [
+    '  <wpt lat="45.003" lon="7.0001"><name>Fountain</name><type>drinking water</type></wpt>\n',
+    '  <wpt lat="45.007" lon="7.0001"><name>Tap</name><type>drinking water</type></wpt>\n'
+  ].join('');
+  const enriched = insertDryStretchRoutes(gpx({ wpts }), [
+    { startKm: 0.33, endKm: 0.78, gapKm: 0.45, coords: coords(45.003, 45.007) },
+    { startKm: 0, endKm: 0.33, gapKm: 0.33, coords: coords(45, 45.003) }
+  ]);
+  const { gpxText, keptPoints } = await trimGpx(enriched, { trimMeters: 200, zones: [] });
+
+  // The water at either end of a stretch is not taken for the rider's door.
+  assert.match(gpxText, /Fountain/);
+  assert.match(gpxText, /Tap/);
+  assert.equal(keptPoints, 7, 'only the track counts as the route');
+  const rtepts = [...gpxText.matchAll(/<rte>[\s\S]*?<\/rte>/g)]
+    .map((m) => [...m[0].matchAll(/<rtept lat="([\d.]+)"/g)].map((p) => Number(p[1])));
+  assert.deepEqual(rtepts, [[45.003, 45.004, 45.005, 45.006, 45.007], [45.002, 45.003]]);
+  assert.deepEqual(keptLats(gpxText), LATS.slice(2, 9));
+});
+
+test('applyPrivacy trims both documents and everything stored with them', async () => {
+  const route = {
+    gpxText: gpx(),
+    enrichedGpxText: gpx({ wpts: '  <wpt lat="45" lon="7"><name>Tap by the door</name></wpt>\n' }),
+    waterPoints: [{ lat: 45.0002, lon: 7 }, { lat: 45.005, lon: 7.0005 }, { center: { lat: 45.0098, lon: 7 } }],
+    waypointsCount: 3,
+    bbox: { minlat: 45, minlon: 7, maxlat: 45.01, maxlon: 7 },
+    filename: 'commute.gpx'
+  };
+  const { ok, value } = await applyPrivacy(route, { trimMeters: 200, zones: [] });
+  assert.equal(ok, true);
+  assert.deepEqual(keptLats(value.gpxText), LATS.slice(2, 9));
+  assert.deepEqual(keptLats(value.enrichedGpxText), LATS.slice(2, 9));
+  assert.doesNotMatch(value.enrichedGpxText, /Tap by the door/);
+  assert.deepEqual(value.waterPoints, [{ lat: 45.005, lon: 7.0005 }]);
+  assert.equal(value.waypointsCount, 1);
+  assert.deepEqual(value.bbox, { minlat: 45.002, minlon: 7, maxlat: 45.008, maxlon: 7 });
+  assert.equal(value.filename, 'commute.gpx');
+});
+
+test('applyPrivacy without options stores the route untouched', async () => {
+  const route = { gpxText: gpx(), enrichedGpxText: null, waterPoints: null, waypointsCount: null, bbox: null };
+  assert.deepEqual(await applyPrivacy(route, { trimMeters: 0, zones: [] }), { ok: true, value: route });
+});
+
+test('applyPrivacy refuses to store a route trimmed away entirely', async () => {
+  const route = { gpxText: gpx(), enrichedGpxText: null, waterPoints: null, waypointsCount: null, bbox: null };
+  const result = await applyPrivacy(route, { trimMeters: 600, zones: [] });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /nothing of the route/);
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MY_ROUTES_KEY,
+  loadMyRoutes,
+  rememberRoute,
+  forgetRoute,
+  fetchMyRoute,
+  updateMyRoute,
+  deleteMyRoute
+} from '../myRoutes.mjs';
+
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); },
+    data
+  };
+}
+
+function fakeFetch(status, body) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    return { status, ok: status >= 200 && status < 300, json: async () => body };
+  };
+  return { calls, fetchImpl };
+}
+
+const ENTRY = { id: 7, token: 't'.repeat(43), filename: 'loop.gpx' };
+
+test('rememberRoute keeps the newest first and replaces a re-saved id', () => {
+  const storage = memoryStorage();
+  rememberRoute({ id: 1, token: 'a', filename: 'one.gpx' }, storage);
+  rememberRoute({ id: 2, token: 'b', filename: 'two.gpx' }, storage);
+  rememberRoute({ id: 1, token: 'c', filename: 'one again.gpx' }, storage);
+  const routes = loadMyRoutes(storage);
+  assert.deepEqual(routes.map((r) => [r.id, r.token]), [[1, 'c'], [2, 'b']]);
+  assert.ok(routes[0].savedAt);
+});
+
+test('forgetRoute drops one route and returns the rest', () => {
+  const storage = memoryStorage();
+  rememberRoute({ id: 1, token: 'a', filename: 'one.gpx' }, storage);
+  rememberRoute({ id: 2, token: 'b', filename: 'two.gpx' }, storage);
+  assert.deepEqual(forgetRoute(1, storage).map((r) => r.id), [2]);
+  assert.deepEqual(loadMyRoutes(storage).map((r) => r.id), [2]);
+});
+
+test('loadMyRoutes survives corrupted or foreign values', () => {
+  assert.deepEqual(loadMyRoutes(memoryStorage({ [MY_ROUTES_KEY]: '{oops' })), []);
+  assert.deepEqual(loadMyRoutes(memoryStorage({ [MY_ROUTES_KEY]: '{"id":1}' })), []);
+  assert.deepEqual(loadMyRoutes(memoryStorage({ [MY_ROUTES_KEY]: '[{"id":"1","token":"x"},{"id":2,"token":"y"}]' })).map((r) => r.id), [2]);
+  const throwing = { getItem() { throw new Error('denied'); } };
+  assert.deepEqual(loadMyRoutes(throwing), []);
+});
+
+test('owner requests carry the token as a bearer credential', async () => {
+  const { calls, fetchImpl } = fakeFetch(200, { ok: true, route: { id: 7, filename: 'renamed.gpx', shareUrl: null } });
+  const route = await updateMyRoute(ENTRY, { filename: 'renamed.gpx' }, fetchImpl);
+  assert.equal(route.filename, 'renamed.gpx');
+  assert.equal(calls[0].url, '/api/my/routes/7');
+  assert.equal(calls[0].init.method, 'PATCH');
+  assert.equal(calls[0].init.headers.Authorization, `Bearer ${ENTRY.token}`);
+  assert.deepEqual(JSON.parse(calls[0].init.body), { filename: 'renamed.gpx' });
+});
+
+test('a route the server no longer has reads as null, other failures throw', async () => {
+  assert.equal(await fetchMyRoute(ENTRY, fakeFetch(404, { error: 'Not found' }).fetchImpl), null);
+  assert.equal(await deleteMyRoute(ENTRY, fakeFetch(404, { error: 'Not found' }).fetchImpl), false);
+  assert.equal(await deleteMyRoute(ENTRY, fakeFetch(200, { ok: true, deleted: 1 }).fetchImpl), true);
+  await assert.rejects(fetchMyRoute(ENTRY, fakeFetch(500, {}).fetchImpl), /HTTP 500/);
+});
+
+test('account routes without an owner token fall back to the session and its CSRF token', async () => {
+  const { calls, fetchImpl } = fakeFetch(200, { ok: true, deleted: 1 });
+  await deleteMyRoute({ id: 9, filename: 'club.gpx', csrfToken: 'tok' }, fetchImpl);
+  assert.equal(calls[0].init.headers.Authorization, undefined);
+  assert.equal(calls[0].init.headers['X-CSRF-Token'], 'tok');
+});
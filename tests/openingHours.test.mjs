@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseOpeningHours, isOpenAt, arrivalTime, openStateAtArrival } from '../openingHours.mjs';
+
+// 2025-06-02 is a Monday. Months are zero-based in the Date constructor.
+const at = (day, hh, mm = 0, month = 5) => new Date(2025, month, day, hh, mm);
+const MONDAY = 2;
+const SATURDAY = 7;
+const SUNDAY = 8;
+
+test('24/7 is always open', () => {
+  assert.equal(isOpenAt('24/7', at(MONDAY, 3)), true);
+  assert.equal(isOpenAt('24/7', at(SUNDAY, 23, 59)), true);
+});
+
+test('weekday ranges and time spans select the right hours', () => {
+  const hours = 'Mo-Fr 07:00-18:00; Sa,Su 08:00-14:00';
+  assert.equal(isOpenAt(hours, at(MONDAY, 7)), true);
+  assert.equal(isOpenAt(hours, at(MONDAY, 18)), false, 'the end time is exclusive');
+  assert.equal(isOpenAt(hours, at(MONDAY, 6, 59)), false);
+  assert.equal(isOpenAt(hours, at(SATURDAY, 13, 30)), true);
+  assert.equal(isOpenAt(hours, at(SUNDAY, 15)), false);
+});
+
+test('split days, off and later overrides follow the spec', () => {
+  const hours = 'Mo-Sa 08:00-12:00, 14:00-19:00; Su off';
+  assert.equal(isOpenAt(hours, at(MONDAY, 13)), false, 'closed over lunch');
+  assert.equal(isOpenAt(hours, at(MONDAY, 15)), true);
+  assert.equal(isOpenAt(hours, at(SUNDAY, 10)), false);
+  assert.equal(isOpenAt('Mo-Su 08:00-20:00; We off', at(4, 10)), false, 'a later rule replaces the day');
+  assert.equal(isOpenAt('Mo-Fr', at(MONDAY, 2)), true, 'days without times mean all day');
+  assert.equal(isOpenAt('Mo-Fr 08:00-18:00', at(SATURDAY, 10)), false, 'unlisted days are closed');
+});
+
+test('spans past midnight carry into the next morning', () => {
+  const hours = 'Fr,Sa 18:00-02:00';
+  assert.equal(isOpenAt(hours, at(SATURDAY, 1, 30)), true, 'Friday night runs into Saturday');
+  assert.equal(isOpenAt(hours, at(SUNDAY, 1, 30)), true, 'and Saturday night into Sunday');
+  assert.equal(isOpenAt(hours, at(SUNDAY, 2)), false);
+  assert.equal(isOpenAt(hours, at(MONDAY, 1)), false);
+});
+
+test('month ranges restrict a rule to part of the year', () => {
+  const hours = 'Apr-Oct Mo-Su 09:00-20:00; Nov-Mar Sa,Su 10:00-16:00';
+  assert.equal(isOpenAt(hours, at(MONDAY, 19)), true);
+  // 2025-01-06 is a Monday in winter, 2025-01-11 a Saturday.
+  assert.equal(isOpenAt(hours, at(6, 12, 0, 0)), false);
+  assert.equal(isOpenAt(hours, at(11, 12, 0, 0)), true);
+});
+
+test('holiday-only rules are ignored and the regular week applies', () => {
+  assert.equal(isOpenAt('Mo-Fr 08:00-18:00; PH off', at(MONDAY, 9)), true);
+  assert.equal(isOpenAt('Sa,Su,PH 09:00-12:00', at(SATURDAY, 10)), true);
+});
+
+test('anything outside the supported subset is unknown, not guessed', () => {
+  for (const value of ['sunrise-sunset', 'Mo-Fr 08:00+', 'Mo-Fr 08:00-18:00 "call ahead"', 'week 1-20 Mo 08:00-12:00', 'by appointment', '', undefined]) {
+    assert.equal(isOpenAt(value, at(MONDAY, 10)), null, String(value));
+  }
+  assert.equal(parseOpeningHours('Mo-Fr 25:00-26:00'), null);
+  assert.equal(isOpenAt('24/7', new Date(NaN)), null);
+});
+
+test('arrivalTime rides the distance at the average speed', () => {
+  const start = at(MONDAY, 6);
+  assert.deepEqual(arrivalTime(start, 50, 20), at(MONDAY, 8, 30));
+  assert.equal(arrivalTime(start, 50, 0), null);
+  assert.equal(arrivalTime(start, undefined, 20), null);
+  assert.equal(arrivalTime(null, 50, 20), null);
+});
+
+test('openStateAtArrival reports open, closed or unknown at the ETA', () => {
+  const start = at(MONDAY, 6);
+  const cafe = (km, hours) => ({ _alongKm: km, tags: hours ? { opening_hours: hours } : {} });
+  assert.equal(openStateAtArrival(cafe(40, 'Mo-Fr 07:00-18:00'), start, 20), 'open');
+  assert.equal(openStateAtArrival(cafe(300, 'Mo-Fr 07:00-18:00'), start, 20), 'closed', 'arrives at 21:00');
+  assert.equal(openStateAtArrival(cafe(40), start, 20), 'unknown');
+  assert.equal(openStateAtArrival(cafe(40, 'Mo-Fr 07:00-18:00'), null, 20), 'unknown');
+});
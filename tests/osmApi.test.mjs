@@ -5,6 +5,15 @@ import {
   isPotableWaterTags,
   waterSubtypeLabel,
   isCoffeeTags,
+  isToiletsTags,
+  isBikeShopTags,
+  isRepairStationTags,
+  toiletsSubtypeLabel,
+  bikeShopSubtypeLabel,
+  repairStationSubtypeLabel,
+  isResupplyTags,
+  resupplySubtypeLabel,
+  POI_KINDS,
   bboxSpan,
   splitBboxIntoQuads,
   dedupePointsByTypeId,
@@ -12,6 +21,7 @@ import {
   rankCoffeePoints,
   sortPointsByDistance,
   fetchOverpassPointsAdaptive,
+  fetchOSMKindPointsAdaptive,
   createLimiter
 } from '../osmApi.mjs';
 
@@ -60,6 +70,58 @@ test('isCoffeeTags covers cafes, coffee shops and coffee-cuisine restaurants', (
   assert.equal(isCoffeeTags(null), false);
 });
 
+test('isToiletsTags keeps public toilets and drops private ones', () => {
+  assert.ok(isToiletsTags({ amenity: 'toilets' }));
+  assert.ok(isToiletsTags({ amenity: 'toilets', access: 'yes', fee: 'yes' }));
+  assert.equal(isToiletsTags({ amenity: 'toilets', access: 'private' }), false);
+  assert.equal(isToiletsTags({ amenity: 'toilets', access: 'no' }), false);
+  assert.equal(isToiletsTags({ amenity: 'toilets', access: 'customers' }), false);
+  assert.equal(isToiletsTags({ toilets: 'yes', amenity: 'cafe' }), false);
+  assert.equal(isToiletsTags(null), false);
+});
+
+test('bike shop and repair station predicates match their tags only', () => {
+  assert.ok(isBikeShopTags({ shop: 'bicycle' }));
+  assert.equal(isBikeShopTags({ shop: 'sports' }), false);
+  assert.equal(isBikeShopTags(undefined), false);
+  assert.ok(isRepairStationTags({ amenity: 'bicycle_repair_station' }));
+  assert.equal(isRepairStationTags({ amenity: 'bicycle_parking' }), false);
+  assert.equal(isRepairStationTags(null), false);
+});
+
+test('new kinds label the detail that changes the plan', () => {
+  assert.equal(toiletsSubtypeLabel({ amenity: 'toilets' }), 'toilets');
+  assert.equal(toiletsSubtypeLabel({ amenity: 'toilets', fee: 'yes' }), 'toilets (fee)');
+  assert.equal(bikeShopSubtypeLabel({ shop: 'bicycle' }), 'bike shop');
+  assert.equal(bikeShopSubtypeLabel({ shop: 'bicycle', 'service:bicycle:repair': 'yes' }), 'bike shop (repairs)');
+  assert.equal(repairStationSubtypeLabel({}), 'repair station');
+  assert.equal(repairStationSubtypeLabel({ 'service:bicycle:pump': 'yes' }), 'repair station (pump)');
+});
+
+test('isResupplyTags takes food shops, fuel shops and food vending only', () => {
+  for (const shop of ['convenience', 'supermarket', 'bakery']) assert.ok(isResupplyTags({ shop }));
+  assert.ok(isResupplyTags({ amenity: 'fuel', shop: 'convenience' }));
+  assert.equal(isResupplyTags({ amenity: 'fuel' }), false);
+  assert.equal(isResupplyTags({ amenity: 'fuel', shop: 'no' }), false);
+  assert.ok(isResupplyTags({ amenity: 'vending_machine', vending: 'drinks;sweets' }));
+  assert.equal(isResupplyTags({ amenity: 'vending_machine', vending: 'parking_tickets' }), false);
+  assert.equal(isResupplyTags({ shop: 'clothes' }), false);
+  assert.equal(isResupplyTags(null), false);
+});
+
+test('resupplySubtypeLabel names each kind of stop', () => {
+  assert.equal(resupplySubtypeLabel({ amenity: 'fuel', shop: 'convenience' }), 'fuel station shop');
+  assert.equal(resupplySubtypeLabel({ amenity: 'vending_machine', vending: 'food' }), 'vending machine');
+  assert.equal(resupplySubtypeLabel({ shop: 'convenience' }), 'convenience store');
+  assert.equal(resupplySubtypeLabel({ shop: 'supermarket' }), 'supermarket');
+  assert.equal(resupplySubtypeLabel({ shop: 'bakery' }), 'bakery');
+});
+
+test('POI_KINDS covers every query kind the server knows', async () => {
+  const { QUERY_KINDS } = (await import('../server/overpassQuery.js')).default;
+  assert.deepEqual(Object.keys(POI_KINDS).sort(), [...QUERY_KINDS].sort());
+});
+
 test('bboxSpan reports non-negative extents', () => {
   const span = bboxSpan(BBOX);
   assert.ok(Math.abs(span.lat - 0.4) < 1e-9);
@@ -324,3 +386,22 @@ test('deep recursive splitting does not deadlock under a small cap', async () =>
   assert.ok(calls > 20, `expected deep splitting, got ${calls} calls`);
   assert.ok(points.length > 0);
 });
+
+test('fetchOSMKindPointsAdaptive asks for the kind and keeps only matching elements', async () => {
+  let sentKind = null;
+  const fetchImpl = async (_url, options) => {
+    sentKind = JSON.parse(options.body).kind;
+    return reply(200, 'xml');
+  };
+  const points = await fetchOSMKindPointsAdaptive('toilets', BBOX, null, {
+    fetchImpl,
+    parseXml: () => [
+      { _type: 'node', id: 1, tags: { amenity: 'toilets' } },
+      { _type: 'node', id: 2, tags: { amenity: 'toilets', access: 'private' } },
+      { _type: 'node', id: 3, tags: { shop: 'bicycle' } }
+    ]
+  });
+  assert.equal(sentKind, 'toilets');
+  assert.deepEqual(points.map((p) => p.id), [1]);
+  await assert.rejects(fetchOSMKindPointsAdaptive('pubs', BBOX, null, { fetchImpl }), /Unsupported kind/);
+});
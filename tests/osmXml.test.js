@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseOverpassXml, listOverpassElements, decodeEntities } = require('../server/osmXml');
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="Overpass API">
+  <node id="1" lat="37.1" lon="-122.1">
+    <tag k="amenity" v="drinking_water"/>
+    <tag k="name" v="Tom &amp; Jerry&#39;s tap"/>
+  </node>
+  <node id="2" lat="37.2" lon="-122.2"/>
+  <way id="3">
+    <center lat="37.3" lon="-122.3"/>
+    <nd ref="10"/>
+    <nd ref="11"/>
+    <tag k="amenity" v="cafe"/>
+  </way>
+  <relation id="4">
+    <member type="way" ref="3" role="outer"/>
+    <tag k="amenity" v="water_point"/>
+  </relation>
+</osm>`;
+
+test('parseOverpassXml reads nodes, ways and relations in the browser parser shape', () => {
+  const points = parseOverpassXml(XML);
+  assert.deepEqual(points.map(p => `${p._type}:${p.id}`), ['node:1', 'node:2', 'way:3', 'relation:4']);
+  assert.deepEqual(points[0], {
+    id: 1,
+    lat: 37.1,
+    lon: -122.1,
+    tags: { amenity: 'drinking_water', name: "Tom & Jerry's tap" },
+    _type: 'node'
+  });
+  assert.deepEqual(points[1].tags, {}, 'self-closing nodes have no tags');
+  assert.deepEqual(points[2].center, { lat: 37.3, lon: -122.3 });
+  assert.equal(points[2].tags.amenity, 'cafe');
+});
+
+test('parseOverpassXml keeps centerless ways but drops unplaceable nodes', () => {
+  const points = parseOverpassXml(XML);
+  assert.equal(points[3].center, undefined);
+  assert.equal(points[3].tags.amenity, 'water_point');
+  assert.deepEqual(parseOverpassXml('<osm><node id="9" lat="x" lon="1"/></osm>'), []);
+});
+
+test('parseOverpassXml tolerates empty and non-string input', () => {
+  assert.deepEqual(parseOverpassXml(''), []);
+  assert.deepEqual(parseOverpassXml(null), []);
+  assert.deepEqual(parseOverpassXml('<osm></osm>'), []);
+});
+
+test('listOverpassElements keeps the raw markup and a position for each element', () => {
+  const elements = listOverpassElements(XML);
+  assert.deepEqual(
+    elements.map(e => [e.type, e.id, e.lat, e.lon]),
+    [['node', 1, 37.1, -122.1], ['node', 2, 37.2, -122.2], ['way', 3, 37.3, -122.3], ['relation', 4, null, null]]
+  );
+  assert.match(elements[0].raw, /^<node id="1"[\s\S]*<\/node>$/);
+  assert.equal(elements[1].raw, '<node id="2" lat="37.2" lon="-122.2"/>');
+  assert.deepEqual(listOverpassElements(''), []);
+});
+
+test('decodeEntities handles named, decimal and hex references', () => {
+  assert.equal(decodeEntities('a &lt;b&gt; &quot;c&quot; &#233; &#x263A;'), 'a <b> "c" é ☺');
+  assert.equal(decodeEntities('&unknown; stays'), '&unknown; stays');
+});
@@ -1,7 +1,8 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-const { OverpassCache, cacheKey } = require('../server/overpassCache');
+const { OverpassCache, TieredOverpassCache, cacheKey } = require('../server/overpassCache');
+const { SqliteCacheStore } = require('../server/overpassCacheStore');
 
 const BBOX = { minlat: 37.7694, minlon: -122.4862, maxlat: 37.7714, maxlon: -122.4502 };
 const XML = Buffer.from('<osm></osm>');
@@ -107,3 +108,49 @@ test('clear empties the cache and resets the byte count', () => {
   assert.equal(cache.size, 0);
   assert.equal(cache.stats().bytes, 0);
 });
+
+test('the tiered cache promotes a disk hit into memory with its original age', async () => {
+  let now = 1000;
+  const store = await new SqliteCacheStore({ path: ':memory:', now: () => now }).open();
+  await store.set('k', XML, 'text/xml');
+  const memory = new OverpassCache({ ttlMs: 500, now: () => now });
+  const cache = new TieredOverpassCache({ memory, store });
+
+  now = 1400;
+  const cold = await cache.get('k');
+  assert.equal(cold.tier, 'disk');
+  assert.equal((await cache.get('k')).tier, 'memory');
+  now = 1501;
+  assert.equal(memory.get('k'), null, 'the promoted entry expires on the disk entry\'s clock');
+  await store.close();
+});
+
+test('the tiered cache writes through and reports hit rates per tier', async () => {
+  const store = await new SqliteCacheStore({ path: ':memory:' }).open();
+  const cache = new TieredOverpassCache({ memory: new OverpassCache(), store });
+  await cache.set('k', XML, 'text/xml');
+  assert.equal((await store.stats()).size, 1, 'written through to disk');
+  await cache.get('k');
+  await cache.get('missing');
+
+  const stats = await cache.stats();
+  assert.equal(stats.memory.hits, 1);
+  assert.equal(stats.memory.hitRate, 0.5);
+  assert.deepEqual(stats.disk, { size: 1, bytes: XML.length, hits: 0, misses: 1, hitRate: 0 });
+  assert.deepEqual(stats.overall, { hits: 1, lookups: 2, hitRate: 0.5 });
+  await store.close();
+});
+
+test('a failing disk tier degrades to memory only', async () => {
+  const broken = {
+    get: async () => { throw new Error('disk gone'); },
+    set: async () => { throw new Error('disk gone'); },
+    stats: async () => { throw new Error('disk gone'); }
+  };
+  const logger = { warn: () => {} };
+  const cache = new TieredOverpassCache({ memory: new OverpassCache(), store: broken, logger });
+  await cache.set('k', XML, 'text/xml');
+  assert.equal((await cache.get('k')).tier, 'memory');
+  assert.equal(await cache.get('other'), null);
+  assert.equal((await cache.stats()).disk, null);
+});
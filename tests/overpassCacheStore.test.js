@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SqliteCacheStore } = require('../server/overpassCacheStore');
+
+async function openStore(options = {}) {
+  return new SqliteCacheStore({ path: ':memory:', ...options }).open();
+}
+
+test('a stored response comes back with its content type and age', async () => {
+  const store = await openStore({ now: () => 1000 });
+  assert.equal(await store.get('water:a'), null);
+  await store.set('water:a', Buffer.from('<osm/>'), 'text/xml');
+  const hit = await store.get('water:a');
+  assert.equal(hit.body.toString(), '<osm/>');
+  assert.equal(hit.contentType, 'text/xml');
+  assert.equal(hit.storedAt, 1000);
+  assert.deepEqual(await store.stats(), { size: 1, bytes: 6, hits: 1, misses: 1 });
+  await store.close();
+});
+
+test('entries expire once past the TTL', async () => {
+  let now = 0;
+  const store = await openStore({ ttlMs: 100, now: () => now });
+  await store.set('k', Buffer.from('x'), 'text/xml');
+  now = 101;
+  assert.equal(await store.get('k'), null);
+  assert.equal((await store.stats()).size, 0, 'the expired row is deleted');
+  await store.close();
+});
+
+test('eviction is least-recently-used, bounded by entries and bytes', async () => {
+  let now = 0;
+  const store = await openStore({ maxEntries: 2, maxBytes: 10, now: () => ++now });
+  await store.set('a', Buffer.from('aaa'), 'text/xml');
+  await store.set('b', Buffer.from('bbb'), 'text/xml');
+  await store.get('a');
+  await store.set('c', Buffer.from('ccc'), 'text/xml');
+  assert.ok(await store.get('a'), 'a was used more recently than b');
+  assert.equal(await store.get('b'), null);
+
+  await store.set('d', Buffer.from('dddddddd'), 'text/xml');
+  const { size, bytes } = await store.stats();
+  assert.ok(bytes <= 10, `bytes ${bytes} over budget`);
+  assert.equal(size, 1);
+  await store.set('huge', Buffer.alloc(11), 'text/xml');
+  assert.equal(await store.get('huge'), null, 'larger than the whole budget is not stored');
+  await store.close();
+});
+
+test('entries survive reopening the file, and expired ones are dropped on open', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wor-cache-'));
+  const file = path.join(dir, 'overpass-cache.sqlite3');
+  try {
+    let now = 0;
+    const first = await new SqliteCacheStore({ path: file, ttlMs: 100, now: () => now }).open();
+    await first.set('old', Buffer.from('o'), 'text/xml');
+    now = 50;
+    await first.set('fresh', Buffer.from('f'), 'text/xml');
+    await first.close();
+
+    now = 120;
+    const second = await new SqliteCacheStore({ path: file, ttlMs: 100, now: () => now }).open();
+    assert.equal((await second.stats()).size, 1);
+    assert.equal((await second.get('fresh')).body.toString(), 'f');
+    await second.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
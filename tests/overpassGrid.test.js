@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OverpassCache } = require('../server/overpassCache');
+const { parseOverpassXml } = require('../server/osmXml');
+const {
+  gridCellsForBbox,
+  unionBbox,
+  partitionByCell,
+  stitchCells,
+  queryOverpassGrid
+} = require('../server/overpassGrid');
+
+function osm(...elements) {
+  return `<?xml version="1.0"?>\n<osm version="0.6">\n${elements.join('\n')}\n</osm>`;
+}
+
+function node(id, lat, lon) {
+  return `<node id="${id}" lat="${lat}" lon="${lon}"><tag k="amenity" v="drinking_water"/></node>`;
+}
+
+/** Fake upstream holding a fixed set of nodes, answering any bbox like Overpass would. */
+function fakeUpstream(nodes) {
+  const calls = [];
+  const fetchUpstream = async (kind, bbox) => {
+    calls.push(bbox);
+    const inside = nodes.filter(([, lat, lon]) =>
+      lat >= bbox.minlat && lat <= bbox.maxlat && lon >= bbox.minlon && lon <= bbox.maxlon);
+    return { status: 200, body: Buffer.from(osm(...inside.map(n => node(...n)))), contentType: 'text/xml' };
+  };
+  return { calls, fetchUpstream };
+}
+
+const ids = (body) => parseOverpassXml(body.toString('utf8')).map(p => p.id).sort((a, b) => a - b);
+
+test('gridCellsForBbox snaps to the 0.1° grid', () => {
+  const cells = gridCellsForBbox({ minlat: 45.05, minlon: 7.15, maxlat: 45.15, maxlon: 7.25 });
+  assert.deepEqual(cells.map(c => [c.row, c.col]), [[450, 71], [450, 72], [451, 71], [451, 72]]);
+  assert.deepEqual(cells[0].bbox, { minlat: 45, minlon: 7.1, maxlat: 45.1, maxlon: 7.2 });
+});
+
+test('gridCellsForBbox does not spill into the next cell on an exact edge', () => {
+  const cells = gridCellsForBbox({ minlat: 45.1, minlon: 7.1, maxlat: 45.3, maxlon: 7.2 });
+  assert.deepEqual(cells.map(c => [c.row, c.col]), [[451, 71], [452, 71]]);
+  // A degenerate box still gets the cell it sits in.
+  assert.equal(gridCellsForBbox({ minlat: 45.12, minlon: 7.12, maxlat: 45.12, maxlon: 7.12 }).length, 1);
+});
+
+test('gridCellsForBbox handles negative coordinates', () => {
+  const cells = gridCellsForBbox({ minlat: -33.95, minlon: -70.65, maxlat: -33.91, maxlon: -70.61 });
+  assert.deepEqual(cells.map(c => c.bbox), [{ minlat: -34, minlon: -70.7, maxlat: -33.9, maxlon: -70.6 }]);
+});
+
+test('gridCellsForBbox gives up past the cell budget', () => {
+  assert.equal(gridCellsForBbox({ minlat: 40, minlon: 0, maxlat: 43, maxlon: 3 }), null);
+  assert.equal(gridCellsForBbox({ minlat: 40, minlon: 0, maxlat: 40.3, maxlon: 0.3 }, 8), null);
+  assert.equal(gridCellsForBbox({ minlat: 40, minlon: 0, maxlat: 42, maxlon: 2 }).length, 400);
+});
+
+test('unionBbox spans every cell', () => {
+  const cells = gridCellsForBbox({ minlat: 45.05, minlon: 7.15, maxlat: 45.15, maxlon: 7.25 });
+  assert.deepEqual(unionBbox(cells), { minlat: 45, minlon: 7.1, maxlat: 45.2, maxlon: 7.3 });
+});
+
+test('partitionByCell places elements by position and drops unplaceable ones', () => {
+  const cells = gridCellsForBbox({ minlat: 45.0, minlon: 7.0, maxlat: 45.2, maxlon: 7.1 });
+  const xml = osm(
+    node(1, 45.05, 7.05),
+    node(2, 45.15, 7.05),
+    // Just past the union: kept in the nearest cell.
+    node(3, 45.2001, 7.05),
+    '<way id="4"><center lat="45.01" lon="7.01"/></way>',
+    '<relation id="5"><tag k="amenity" v="water_point"/></relation>'
+  );
+  const parts = partitionByCell(xml, cells);
+  assert.deepEqual([...parts.keys()], ['450:70', '451:70']);
+  assert.deepEqual(parseOverpassXml(parts.get('450:70')).map(p => p.id), [1, 4]);
+  assert.deepEqual(parseOverpassXml(parts.get('451:70')).map(p => p.id), [2, 3]);
+});
+
+test('stitchCells keeps each element once', () => {
+  const body = stitchCells([osm(node(1, 45, 7), node(2, 45, 7)), osm(node(2, 45, 7)), osm()]);
+  assert.deepEqual(ids(body), [1, 2]);
+});
+
+test('queryOverpassGrid fetches the missing cells in one upstream query', async () => {
+  const cache = new OverpassCache();
+  const { calls, fetchUpstream } = fakeUpstream([[1, 45.05, 7.05], [2, 45.15, 7.15], [3, 46, 8]]);
+  const result = await queryOverpassGrid('water', { minlat: 45.0, minlon: 7.0, maxlat: 45.2, maxlon: 7.2 }, { cache, fetchUpstream });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.cache, 'MISS');
+  assert.deepEqual(result.cells, { total: 4, hit: 0 });
+  assert.deepEqual(ids(result.body), [1, 2]);
+  assert.equal(calls.length, 1);
+  // Empty cells are cached as well.
+  assert.equal(cache.stats().size, 4);
+});
+
+test('an overlapping request reuses the cached cells', async () => {
+  const cache = new OverpassCache();
+  const { calls, fetchUpstream } = fakeUpstream([[1, 45.05, 7.05], [2, 45.15, 7.15], [3, 45.15, 7.25]]);
+  await queryOverpassGrid('water', { minlat: 45.0, minlon: 7.0, maxlat: 45.2, maxlon: 7.2 }, { cache, fetchUpstream });
+
+  const inside = await queryOverpassGrid('water', { minlat: 45.11, minlon: 7.11, maxlat: 45.19, maxlon: 7.19 }, { cache, fetchUpstream });
+  assert.equal(inside.cache, 'HIT');
+  assert.equal(inside.tier, 'memory');
+  assert.deepEqual(ids(inside.body), [2]);
+  assert.equal(calls.length, 1);
+
+  const shifted = await queryOverpassGrid('water', { minlat: 45.1, minlon: 7.1, maxlat: 45.2, maxlon: 7.3 }, { cache, fetchUpstream });
+  assert.equal(shifted.cache, 'PARTIAL');
+  assert.deepEqual(shifted.cells, { total: 2, hit: 1 });
+  assert.deepEqual(ids(shifted.body), [2, 3]);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[1], { minlat: 45.1, minlon: 7.2, maxlat: 45.2, maxlon: 7.3 });
+});
+
+test('queryOverpassGrid keeps kinds apart', async () => {
+  const cache = new OverpassCache();
+  const { calls, fetchUpstream } = fakeUpstream([]);
+  const bbox = { minlat: 45.0, minlon: 7.0, maxlat: 45.1, maxlon: 7.1 };
+  await queryOverpassGrid('water', bbox, { cache, fetchUpstream });
+  await queryOverpassGrid('coffee', bbox, { cache, fetchUpstream });
+  assert.equal(calls.length, 2);
+});
+
+test('upstream errors pass through and are not cached', async () => {
+  const cache = new OverpassCache();
+  const fetchUpstream = async () => ({ status: 429, body: Buffer.from('slow down'), contentType: 'text/plain' });
+  const result = await queryOverpassGrid('water', { minlat: 45.0, minlon: 7.0, maxlat: 45.1, maxlon: 7.1 }, { cache, fetchUpstream });
+  assert.equal(result.status, 429);
+  assert.equal(result.body.toString(), 'slow down');
+  assert.equal(result.cache, 'MISS');
+  assert.equal(cache.stats().size, 0);
+});
+
+test('a bbox over the cell budget answers 400 without asking upstream', async () => {
+  const { calls, fetchUpstream } = fakeUpstream([]);
+  const result = await queryOverpassGrid('water', { minlat: 40, minlon: 0, maxlat: 43, maxlon: 3 }, { cache: new OverpassCache(), fetchUpstream });
+  assert.equal(result.status, 400);
+  assert.equal(calls.length, 0);
+});
+
+test('a bbox smaller than a cell is asked for exactly and cached on its own', async () => {
+  const cache = new OverpassCache();
+  const { calls, fetchUpstream } = fakeUpstream([[1, 45.02, 7.02], [2, 45.08, 7.08]]);
+  const bbox = { minlat: 45.0, minlon: 7.0, maxlat: 45.05, maxlon: 7.05 };
+  const first = await queryOverpassGrid('water', bbox, { cache, fetchUpstream });
+  assert.equal(first.cache, 'MISS');
+  assert.deepEqual(ids(first.body), [1]);
+  assert.deepEqual(calls, [bbox]);
+
+  const again = await queryOverpassGrid('water', bbox, { cache, fetchUpstream });
+  assert.equal(again.cache, 'HIT');
+  assert.deepEqual(ids(again.body), [1]);
+  assert.equal(calls.length, 1);
+
+  // Once the whole cell is cached, a small bbox inside it is answered from it.
+  await queryOverpassGrid('water', { minlat: 45.0, minlon: 7.0, maxlat: 45.1, maxlon: 7.1 }, { cache, fetchUpstream });
+  const inside = await queryOverpassGrid('water', { minlat: 45.06, minlon: 7.06, maxlat: 45.09, maxlon: 7.09 }, { cache, fetchUpstream });
+  assert.equal(inside.cache, 'HIT');
+  assert.deepEqual(ids(inside.body), [1, 2]);
+  assert.equal(calls.length, 2);
+});
+
+test('after a cell fails upstream, requests touching it are not widened again', async () => {
+  const cache = new OverpassCache();
+  const calls = [];
+  const fetchUpstream = async (kind, bbox) => {
+    calls.push(bbox);
+    return calls.length === 1
+      ? { status: 504, body: Buffer.from('timeout'), contentType: 'text/plain' }
+      : { status: 200, body: Buffer.from(osm()), contentType: 'text/xml' };
+  };
+  const failed = await queryOverpassGrid('water', { minlat: 45.0, minlon: 7.0, maxlat: 45.2, maxlon: 7.2 }, { cache, fetchUpstream });
+  assert.equal(failed.status, 504);
+
+  // The splitter's next quad covers two of the failed cells: it goes as asked.
+  const half = { minlat: 45.0, minlon: 7.0, maxlat: 45.1, maxlon: 7.2 };
+  const retry = await queryOverpassGrid('water', half, { cache, fetchUpstream });
+  assert.equal(retry.status, 200);
+  assert.deepEqual(calls[1], half);
+});
+
+test('concurrent requests share the upstream fetch of a cell', async () => {
+  const cache = new OverpassCache();
+  const { calls, fetchUpstream: answer } = fakeUpstream([[1, 45.05, 7.05], [2, 45.05, 7.25]]);
+  let release;
+  const gate = new Promise((resolve) => { release = resolve; });
+  const fetchUpstream = async (kind, bbox) => {
+    await gate;
+    return answer(kind, bbox);
+  };
+  const a = queryOverpassGrid('water', { minlat: 45.0, minlon: 7.0, maxlat: 45.1, maxlon: 7.2 }, { cache, fetchUpstream });
+  const b = queryOverpassGrid('water', { minlat: 45.0, minlon: 7.0, maxlat: 45.1, maxlon: 7.2 }, { cache, fetchUpstream });
+  const c = queryOverpassGrid('water', { minlat: 45.0, minlon: 7.1, maxlat: 45.1, maxlon: 7.3 }, { cache, fetchUpstream });
+  release();
+  const [ra, rb, rc] = await Promise.all([a, b, c]);
+  assert.deepEqual(ids(ra.body), [1]);
+  assert.deepEqual(ids(rb.body), [1]);
+  assert.deepEqual(ids(rc.body), [2]);
+  // b waited on a's cells; c fetched only the cell nobody had asked for.
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[1], { minlat: 45.0, minlon: 7.2, maxlat: 45.1, maxlon: 7.3 });
+});
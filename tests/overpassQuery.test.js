@@ -5,6 +5,7 @@ const {
   QUERY_KINDS,
   buildOverpassWaterQuery,
   buildOverpassCoffeeQuery,
+  buildOverpassResupplyQuery,
   buildQueryForKind
 } = require('../server/overpassQuery');
 
@@ -50,15 +51,40 @@ test('coffee query covers cafes, coffee shops and coffee-cuisine restaurants', (
   }
 });
 
+test('ride-support queries cover toilets, bike shops and repair stations', () => {
+  const cases = [
+    ['toilets', '["amenity"="toilets"]'],
+    ['bike_shop', '["shop"="bicycle"]'],
+    ['repair_station', '["amenity"="bicycle_repair_station"]']
+  ];
+  for (const [kind, selector] of cases) {
+    const query = buildQueryForKind(kind, BBOX);
+    for (const type of ['node', 'way', 'relation']) {
+      assert.ok(query.includes(`${type}${selector}(37,-122.4,37.4,-122);`), `missing ${type}${selector}`);
+    }
+    assert.equal(query.match(/\(37,-122\.4,37\.4,-122\)/g).length, 3);
+  }
+});
+
+test('resupply query covers food shops, fuel station shops and food vending', () => {
+  const query = buildOverpassResupplyQuery(BBOX);
+  assert.ok(query.includes('node["shop"~"^(convenience|supermarket|bakery)$"](37,-122.4,37.4,-122);'));
+  assert.ok(query.includes('way["amenity"="fuel"]["shop"](37,-122.4,37.4,-122);'));
+  assert.ok(/node\["amenity"="vending_machine"\]\["vending"~"[^"]*food[^"]*"\]/.test(query));
+  assert.equal(query.includes('["amenity"="fuel"](37'), false, 'fuel without a shop is not resupply');
+});
+
 test('every query asks for centers so ways and relations are placeable', () => {
-  assert.ok(buildOverpassWaterQuery(BBOX).includes('out body center qt;'));
-  assert.ok(buildOverpassCoffeeQuery(BBOX).includes('out body center qt;'));
+  for (const kind of QUERY_KINDS) {
+    assert.ok(buildQueryForKind(kind, BBOX).includes('out body center qt;'), kind);
+  }
 });
 
 test('buildQueryForKind dispatches on the declared kinds', () => {
-  assert.deepEqual([...QUERY_KINDS].sort(), ['coffee', 'water']);
+  assert.deepEqual([...QUERY_KINDS].sort(), ['bike_shop', 'coffee', 'repair_station', 'resupply', 'toilets', 'water']);
   assert.equal(buildQueryForKind('water', BBOX), buildOverpassWaterQuery(BBOX));
   assert.equal(buildQueryForKind('coffee', BBOX), buildOverpassCoffeeQuery(BBOX));
+  assert.equal(buildQueryForKind('resupply', BBOX), buildOverpassResupplyQuery(BBOX));
 });
 
 test('buildQueryForKind refuses unknown kinds and prototype keys', () => {
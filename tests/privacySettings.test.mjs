@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PRIVACY_KEY,
+  MAX_ZONES,
+  NO_PRIVACY,
+  loadPrivacySettings,
+  savePrivacySettings,
+  addPrivacyZone,
+  removePrivacyZone,
+  privacyPayload
+} from '../privacySettings.mjs';
+
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); },
+    data
+  };
+}
+
+test('settings round-trip through storage', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadPrivacySettings(storage), NO_PRIVACY);
+  const settings = addPrivacyZone({ trimMeters: 500, zones: [] }, { lat: 45.123456789, lon: 7.987654321, radiusM: 250 });
+  savePrivacySettings(settings, storage);
+  assert.deepEqual(loadPrivacySettings(storage), { trimMeters: 500, zones: [{ lat: 45.12346, lon: 7.98765, radiusM: 250 }] });
+});
+
+test('unexpected stored values fall back to no trimming', () => {
+  assert.deepEqual(loadPrivacySettings(memoryStorage({ [PRIVACY_KEY]: '{not json' })), NO_PRIVACY);
+  const odd = JSON.stringify({ trimMeters: 123, zones: [{ lat: 45, lon: 7, radiusM: 999 }, { lat: 'x', lon: 7, radiusM: 250 }] });
+  assert.deepEqual(loadPrivacySettings(memoryStorage({ [PRIVACY_KEY]: odd })), { trimMeters: 0, zones: [] });
+  const throwing = { getItem() { throw new Error('denied'); } };
+  assert.deepEqual(loadPrivacySettings(throwing), NO_PRIVACY);
+});
+
+test('zones are capped at the server limit and removed by position', () => {
+  let settings = NO_PRIVACY;
+  for (let i = 0; i < MAX_ZONES + 2; i++) settings = addPrivacyZone(settings, { lat: 45 + i, lon: 7, radiusM: 500 });
+  assert.equal(settings.zones.length, MAX_ZONES);
+  settings = removePrivacyZone(settings, 0);
+  assert.equal(settings.zones.length, MAX_ZONES - 1);
+  assert.equal(settings.zones[0].lat, 46);
+});
+
+test('privacyPayload is null when nothing is hidden', () => {
+  assert.equal(privacyPayload(NO_PRIVACY), null);
+  assert.deepEqual(privacyPayload({ trimMeters: 200, zones: [] }), { trimMeters: 200, zones: [] });
+  assert.deepEqual(
+    privacyPayload({ trimMeters: 0, zones: [{ lat: 45, lon: 7, radiusM: 250 }] }),
+    { trimMeters: 0, zones: [{ lat: 45, lon: 7, radiusM: 250 }] }
+  );
+});
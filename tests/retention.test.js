@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DAY_MS, loadRetentionPolicy, RetentionJob } = require('../server/retention');
+
+const NOW = Date.UTC(2026, 0, 31);
+
+/** A store that records every call and answers from the given counts. */
+function fakeStore({ purgedIds = [], expired = 0, failOn = null } = {}) {
+  const calls = [];
+  const record = (name, value) => async (arg) => {
+    calls.push([name, arg]);
+    if (failOn === name) throw new Error(`${name} broke`);
+    return value;
+  };
+  return {
+    calls,
+    store: {
+      purgeDeletedRoutes: record('purge', { purgedIds }),
+      deleteRoutesUploadedBefore: record('delete', { count: expired }),
+      stripRoutesUploadedBefore: record('strip', { count: expired }),
+      vacuumDatabase: record('vacuum'),
+      recordAudit: record('audit')
+    }
+  };
+}
+
+function job(policy, store, extra = {}) {
+  let bytes = 1000;
+  return new RetentionJob({
+    policy,
+    store,
+    fileSize: async () => (bytes -= 100) + 100,
+    now: () => NOW,
+    logger: { log() {}, error() {} },
+    ...extra
+  });
+}
+
+test('loadRetentionPolicy keeps uploads indefinitely unless told otherwise', () => {
+  assert.deepEqual(loadRetentionPolicy({}), { routeRetentionDays: null, mode: 'delete', deletedRetentionDays: 30 });
+  assert.deepEqual(
+    loadRetentionPolicy({ ROUTE_RETENTION_DAYS: '365', ROUTE_RETENTION_MODE: 'Strip', DELETED_ROUTE_RETENTION_DAYS: '7' }),
+    { routeRetentionDays: 365, mode: 'strip', deletedRetentionDays: 7 }
+  );
+  assert.equal(loadRetentionPolicy({ ROUTE_RETENTION_DAYS: '0' }).routeRetentionDays, null);
+});
+
+test('loadRetentionPolicy refuses values it does not understand', () => {
+  assert.throws(() => loadRetentionPolicy({ ROUTE_RETENTION_MODE: 'archive' }), /ROUTE_RETENTION_MODE/);
+  assert.throws(() => loadRetentionPolicy({ ROUTE_RETENTION_DAYS: 'a year' }), /between/);
+});
+
+test('without a route retention only expired deletions are purged', async () => {
+  const { calls, store } = fakeStore({ purgedIds: [4, 9] });
+  const report = await job({ routeRetentionDays: null, mode: 'delete', deletedRetentionDays: 30 }, store).run();
+  assert.deepEqual(calls.map(([name]) => name), ['purge', 'vacuum', 'audit']);
+  assert.equal(calls[0][1], NOW - 30 * DAY_MS);
+  assert.deepEqual(calls[2][1].detail, { purgedIds: [4, 9], expired: 0, mode: 'delete' });
+  assert.equal(report.purged, 2);
+  assert.equal(report.expired, 0);
+});
+
+test('old uploads are deleted or stripped as configured, then the file is vacuumed', async () => {
+  let reclaimed = 0;
+  const deleting = fakeStore({ expired: 3 });
+  const report = await job({ routeRetentionDays: 90, mode: 'delete', deletedRetentionDays: 30 }, deleting.store, {
+    onReclaimed: () => reclaimed++
+  }).run();
+  assert.deepEqual(deleting.calls.map(([name]) => name), ['purge', 'delete', 'vacuum', 'audit']);
+  assert.equal(deleting.calls[1][1], NOW - 90 * DAY_MS);
+  assert.equal(reclaimed, 1);
+  assert.deepEqual(
+    { ...report, ranAt: undefined },
+    { ranAt: undefined, purged: 0, expired: 3, mode: 'delete', vacuumed: true, bytesBefore: 1000, bytesAfter: 900 }
+  );
+
+  const stripping = fakeStore({ expired: 1 });
+  await job({ routeRetentionDays: 90, mode: 'strip', deletedRetentionDays: 30 }, stripping.store).run();
+  assert.deepEqual(stripping.calls.map(([name]) => name), ['purge', 'strip', 'vacuum', 'audit']);
+});
+
+test('a run with nothing to remove neither vacuums nor writes to the audit log', async () => {
+  const { calls, store } = fakeStore();
+  const retention = job({ routeRetentionDays: 90, mode: 'delete', deletedRetentionDays: 30 }, store);
+  const report = await retention.run();
+  assert.deepEqual(calls.map(([name]) => name), ['purge', 'delete']);
+  assert.equal(report.vacuumed, false);
+  assert.equal(retention.lastRun, report);
+});
+
+test('a failing run is reported rather than thrown', async () => {
+  const { store } = fakeStore({ expired: 2, failOn: 'vacuum' });
+  const retention = job({ routeRetentionDays: 90, mode: 'delete', deletedRetentionDays: 30 }, store);
+  const report = await retention.run();
+  assert.equal(report.error, 'vacuum broke');
+  assert.equal(report.vacuumed, false);
+  assert.equal(retention.lastRun.error, 'vacuum broke');
+});
+
+test('overlapping runs share one pass', async () => {
+  const { calls, store } = fakeStore();
+  const retention = job({ routeRetentionDays: null, mode: 'delete', deletedRetentionDays: 30 }, store);
+  const [a, b] = await Promise.all([retention.run(), retention.run()]);
+  assert.equal(a, b);
+  assert.equal(calls.length, 1);
+});
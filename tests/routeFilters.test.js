@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseRouteFilters, routeFilterSql } = require('../server/routeFilters');
+
+test('parseRouteFilters treats absent and empty parameters as no filter', () => {
+  assert.deepEqual(parseRouteFilters({}), { ok: true, value: {} });
+  assert.deepEqual(parseRouteFilters({ q: '  ', from: '', bbox: '' }), { ok: true, value: {} });
+});
+
+test('parseRouteFilters reads every filter', () => {
+  const { ok, value } = parseRouteFilters({
+    q: ' alps ', from: '2026-01-01', to: '2026-02-28', minKm: '10', maxKm: '120.5', bbox: '6.5, 45, 7.5, 46'
+  });
+  assert.equal(ok, true);
+  assert.deepEqual(value, {
+    q: 'alps', from: '2026-01-01', to: '2026-02-28', minKm: 10, maxKm: 120.5,
+    bbox: { minlon: 6.5, minlat: 45, maxlon: 7.5, maxlat: 46 }
+  });
+});
+
+test('parseRouteFilters rejects malformed and contradictory values', () => {
+  for (const query of [
+    { q: 'x'.repeat(101) },
+    { from: '2026-02-30' },
+    { to: '01/02/2026' },
+    { from: '2026-03-01', to: '2026-02-01' },
+    { minKm: '-1' },
+    { maxKm: 'far' },
+    { minKm: '50', maxKm: '10' },
+    { bbox: '7,45,6,46' },
+    { bbox: '1,2,3' },
+    { bbox: '-200,45,7,46' }
+  ]) {
+    assert.equal(parseRouteFilters(query).ok, false, JSON.stringify(query));
+  }
+});
+
+test('routeFilterSql always leaves out deleted routes', () => {
+  assert.deepEqual(routeFilterSql({}), { where: 'r.deleted_at IS NULL', params: [] });
+});
+
+test('routeFilterSql escapes LIKE wildcards in the filename search', () => {
+  const { where, params } = routeFilterSql({ q: '100%_a\\b' });
+  assert.match(where, /r\.filename LIKE \? ESCAPE '\\'/);
+  assert.deepEqual(params, ['%100\\%\\_a\\\\b%']);
+});
+
+test('routeFilterSql binds dates as whole days and the box as an intersection', () => {
+  const { params } = routeFilterSql({
+    from: '2026-01-01', to: '2026-01-31', minKm: 5, maxKm: 50,
+    bbox: { minlon: 6, minlat: 45, maxlon: 7, maxlat: 46 }
+  });
+  assert.deepEqual(params, ['2026-01-01 00:00:00', '2026-01-31', 5, 50, 7, 6, 46, 45]);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { simplifiedTrack } = require('../server/routeMap');
+
+// Due north along 7°E, a point every ~11 m, with one 1 km dog-leg east.
+function gpx() {
+  const pts = [];
+  for (let i = 0; i <= 200; i++) {
+    const lon = i === 100 ? 7.013 : 7;
+    pts.push(`<trkpt lat="${(45 + i * 0.0001).toFixed(4)}" lon="${lon}"><ele>${i}</ele></trkpt>`);
+  }
+  return `<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"><trk><trkseg>${pts.join('')}</trkseg></trk></gpx>`;
+}
+
+test('simplifiedTrack keeps only the vertices that change the shape', async () => {
+  const lines = await simplifiedTrack(gpx());
+  assert.deepEqual(lines, [[[7, 45], [7, 45.0099], [7.013, 45.01], [7, 45.0101], [7, 45.02]]]);
+});
+
+test('simplifiedTrack is empty for stripped or unreadable tracks', async () => {
+  assert.deepEqual(await simplifiedTrack(null), []);
+  assert.deepEqual(await simplifiedTrack('<html></html>'), []);
+});
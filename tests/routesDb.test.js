@@ -0,0 +1,266 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// db.js resolves its file at require time, so point it at a scratch directory
+// first. Each test file runs in its own process, so this stays local.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wor-db-'));
+process.env.ROUTES_DB_PATH = path.join(dir, 'routes.sqlite3');
+const db = require('../server/db');
+const { parseListCursor } = require('../server/pagination');
+
+const GPX = '<gpx><trk><trkseg><trkpt lat="45" lon="7"/></trkseg></trk></gpx>';
+
+test.before(() => db.initDatabase());
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a shared route is readable by its slug, without private fields', async () => {
+  const slug = 'abcdefghijklmnopqrstuv';
+  await db.insertRoute({
+    filename: 'loop.gpx',
+    gpxText: GPX,
+    routeKm: 42,
+    clientIp: '192.0.2.0',
+    waterPoints: [{ id: 1, lat: 45, lon: 7 }],
+    enrichedGpxText: '<gpx/>',
+    shareSlug: slug,
+    radiusM: 300
+  });
+  const shared = await db.getSharedRoute(slug);
+  assert.equal(shared.filename, 'loop.gpx');
+  assert.equal(shared.gpxText, GPX);
+  assert.equal(shared.radiusM, 300);
+  assert.deepEqual(shared.waterPoints, [{ id: 1, lat: 45, lon: 7 }]);
+  assert.deepEqual(Object.keys(shared).sort(), ['filename', 'gpxText', 'radiusM', 'routeKm', 'uploadedAt', 'waterPoints']);
+});
+
+test('a route saved without sharing has no slug to find it by', async () => {
+  await db.insertRoute({ filename: 'private.gpx', gpxText: GPX });
+  assert.equal(await db.getSharedRoute('zzzzzzzzzzzzzzzzzzzzzz'), null);
+  assert.equal(await db.getSharedRoute(null), null);
+});
+
+test('owned routes need the matching token hash to be read, changed or deleted', async () => {
+  const { id } = await db.insertRoute({ filename: 'mine.gpx', gpxText: GPX, routeKm: 12.5, ownerTokenHash: 'a'.repeat(64) });
+  assert.equal(await db.getOwnedRoute(id, { tokenHash: 'b'.repeat(64) }), null);
+  assert.deepEqual(await db.updateOwnedRoute(id, { tokenHash: 'b'.repeat(64) }, { filename: 'theirs.gpx' }), { updatedCount: 0 });
+  assert.deepEqual(await db.deleteOwnedRoute(id, { tokenHash: 'b'.repeat(64) }), { deletedCount: 0 });
+
+  const mine = await db.getOwnedRoute(id, { tokenHash: 'a'.repeat(64) });
+  assert.equal(mine.filename, 'mine.gpx');
+  assert.equal(mine.shareSlug, null);
+
+  await db.updateOwnedRoute(id, { tokenHash: 'a'.repeat(64) }, { filename: 'renamed.gpx', shareSlug: 'ownedslug_ownedslug_00' });
+  assert.equal((await db.getOwnedRoute(id, { tokenHash: 'a'.repeat(64) })).filename, 'renamed.gpx');
+  assert.equal((await db.getSharedRoute('ownedslug_ownedslug_00')).filename, 'renamed.gpx');
+  await db.updateOwnedRoute(id, { tokenHash: 'a'.repeat(64) }, { shareSlug: null });
+  assert.equal(await db.getSharedRoute('ownedslug_ownedslug_00'), null);
+
+  assert.deepEqual(await db.deleteOwnedRoute(id, { tokenHash: 'a'.repeat(64) }), { deletedCount: 1 });
+  assert.equal(await db.getOwnedRoute(id, { tokenHash: 'a'.repeat(64) }), null);
+});
+
+test('routes saved before owner tokens cannot be claimed', async () => {
+  const { id } = await db.insertRoute({ filename: 'old.gpx', gpxText: GPX });
+  assert.equal(await db.getOwnedRoute(id, {}), null);
+});
+
+test('a member manages the routes saved under their account, and only those', async () => {
+  const alice = await db.createUser({ username: 'alice', passwordHash: 'scrypt$x' });
+  const bob = await db.createUser({ username: 'bob', passwordHash: 'scrypt$y' });
+  const { id } = await db.insertRoute({ filename: 'club.gpx', gpxText: GPX, ownerTokenHash: 'c'.repeat(64), userId: alice.id });
+
+  assert.equal(await db.getOwnedRoute(id, { userId: bob.id }), null);
+  assert.equal((await db.getOwnedRoute(id, { userId: alice.id })).filename, 'club.gpx');
+  // Either credential is enough on its own.
+  assert.equal((await db.getOwnedRoute(id, { tokenHash: 'c'.repeat(64) })).id, id);
+
+  const { routes } = await db.listUserRoutes(alice.id);
+  assert.deepEqual(routes.map((r) => r.filename), ['club.gpx']);
+  assert.deepEqual((await db.listUserRoutes(bob.id)).routes, []);
+
+  const listed = (await db.listRoutes()).routes.find((r) => r.id === id);
+  assert.equal(listed.username, 'alice');
+  const users = await db.listUsers();
+  assert.deepEqual(users.map((u) => [u.username, u.role, u.routeCount]), [['alice', 'member', 1], ['bob', 'member', 0]]);
+});
+
+test('usernames are unique', async () => {
+  await db.createUser({ username: 'carol', passwordHash: 'scrypt$x' });
+  await assert.rejects(db.createUser({ username: 'carol', passwordHash: 'scrypt$z' }), { code: 'SQLITE_CONSTRAINT' });
+  assert.equal((await db.getUserByUsername('carol')).passwordHash, 'scrypt$x');
+  assert.equal(await db.getUserByUsername('nobody'), null);
+});
+
+test('sessions resolve to their user until they expire or the role changes', async () => {
+  const { id } = await db.createUser({ username: 'dave', passwordHash: 'scrypt$x' });
+  await db.createSession({ idHash: 'd'.repeat(64), userId: id, csrfToken: 'csrf', expiresAt: 2000 });
+  assert.deepEqual(await db.getSessionUser('d'.repeat(64), 1000), { userId: id, username: 'dave', role: 'member', csrfToken: 'csrf', expiresAt: 2000 });
+  assert.equal(await db.getSessionUser('d'.repeat(64), 2000), null);
+  assert.equal(await db.purgeExpiredSessions(2000), 1);
+
+  await db.createSession({ idHash: 'e'.repeat(64), userId: id, csrfToken: 'csrf', expiresAt: Date.now() + 60000 });
+  assert.deepEqual(await db.setUserRole(id, 'moderator'), { updatedCount: 1 });
+  assert.equal(await db.getSessionUser('e'.repeat(64)), null);
+  assert.equal((await db.getUserByUsername('dave')).role, 'moderator');
+  assert.deepEqual(await db.setUserRole(999999, 'moderator'), { updatedCount: 0 });
+});
+
+test('moderator notes show in the admin listing and can be cleared', async () => {
+  const { id } = await db.insertRoute({ filename: 'noted.gpx', gpxText: GPX });
+  assert.deepEqual(await db.setRouteNote(id, 'duplicate of #3'), { updatedCount: 1 });
+  assert.equal((await db.listRoutes()).routes.find((r) => r.id === id).note, 'duplicate of #3');
+  await db.setRouteNote(id, null);
+  assert.equal((await db.listRoutes()).routes.find((r) => r.id === id).note, null);
+  assert.deepEqual(await db.setRouteNote(999999, 'x'), { updatedCount: 0 });
+});
+
+test('the route summary is kept with the row, and left empty when not sent', async () => {
+  const routeStats = { ascentM: 1240, descentM: 1180, minEleM: 210, maxEleM: 1650, movingMinutes: 335 };
+  const { id } = await db.insertRoute({ filename: 'stats.gpx', gpxText: GPX, routeStats, ownerTokenHash: 'f'.repeat(64) });
+  const listed = (await db.listRoutes()).routes.find((r) => r.id === id);
+  assert.deepEqual(
+    { ascentM: listed.ascentM, descentM: listed.descentM, minEleM: listed.minEleM, maxEleM: listed.maxEleM, movingMinutes: listed.movingMinutes },
+    routeStats
+  );
+  assert.equal((await db.getRouteById(id)).ascentM, 1240);
+  assert.equal((await db.getOwnedRoute(id, { tokenHash: 'f'.repeat(64) })).movingMinutes, 335);
+  const { id: bare } = await db.insertRoute({ filename: 'bare.gpx', gpxText: GPX });
+  assert.equal((await db.getRouteById(bare)).ascentM, null);
+});
+
+test('recordAudit appends a row per action', async () => {
+  const first = await db.recordAudit({ actor: 'erin', role: 'moderator', action: 'route.delete', routeId: 7 });
+  const second = await db.recordAudit({ actor: 'boss', role: 'superadmin', action: 'db.download', detail: { reason: 'backup' } });
+  assert.ok(second.id > first.id);
+});
+
+test('the audit log pages newest first and keeps the anonymised network', async () => {
+  const before = await db.countAudit();
+  for (let i = 0; i < 3; i++) {
+    await db.recordAudit({ actor: 'boss', role: 'superadmin', action: `page.${i}`, clientIp: '203.0.113.0', detail: { i } });
+  }
+  assert.equal(await db.countAudit(), before + 3);
+
+  const page = await db.listAudit({ limit: 2, offset: 0 });
+  assert.equal(page.limit, 2);
+  assert.deepEqual(page.entries.map((e) => e.action), ['page.2', 'page.1']);
+  assert.equal(page.entries[0].clientIp, '203.0.113.0');
+  assert.deepEqual(page.entries[0].detail, { i: 2 });
+  assert.equal((await db.listAudit({ limit: 2, offset: 2 })).entries[0].action, 'page.0');
+});
+
+test('a deleted route is hidden everywhere until it is restored', async () => {
+  const { id } = await db.insertRoute({ filename: 'oops.gpx', gpxText: GPX, shareSlug: 'oopsSlugOops', ownerTokenHash: 'c'.repeat(64) });
+  const liveTotal = await db.countRoutes();
+  assert.deepEqual(await db.deleteRouteById(id), { deletedCount: 1 });
+  assert.deepEqual(await db.deleteRouteById(id), { deletedCount: 0 }, 'already deleted');
+
+  assert.equal(await db.countRoutes(), liveTotal - 1);
+  assert.ok(!(await db.listRoutes()).routes.some((r) => r.id === id));
+  assert.ok(!(await db.listRouteIds()).includes(id), 'left out of the ZIP export');
+  assert.equal(await db.getRouteById(id), null);
+  assert.equal(await db.getSharedRoute('oopsSlugOops'), null);
+  assert.equal(await db.getOwnedRoute(id, { tokenHash: 'c'.repeat(64) }), null);
+  assert.deepEqual((await db.listDeletedRoutes()).find((r) => r.id === id).filename, 'oops.gpx');
+
+  assert.deepEqual(await db.restoreRouteById(id), { restoredCount: 1 });
+  assert.deepEqual(await db.restoreRouteById(id), { restoredCount: 0 }, 'already live');
+  assert.equal(await db.countRoutes(), liveTotal);
+  assert.equal((await db.getSharedRoute('oopsSlugOops')).filename, 'oops.gpx', 'the share link works again');
+  assert.ok(!(await db.listDeletedRoutes()).some((r) => r.id === id));
+});
+
+test('an owner delete is soft too', async () => {
+  const { id } = await db.insertRoute({ filename: 'mine.gpx', gpxText: GPX, ownerTokenHash: 'd'.repeat(64) });
+  assert.deepEqual(await db.deleteOwnedRoute(id, { tokenHash: 'd'.repeat(64) }), { deletedCount: 1 });
+  assert.ok((await db.listDeletedRoutes()).some((r) => r.id === id));
+  assert.deepEqual(await db.restoreRouteById(id), { restoredCount: 1 });
+  assert.equal((await db.getOwnedRoute(id, { tokenHash: 'd'.repeat(64) })).filename, 'mine.gpx');
+});
+
+test('the purge removes only routes deleted before the cutoff', async () => {
+  const old = await db.insertRoute({ filename: 'old.gpx', gpxText: GPX });
+  const recent = await db.insertRoute({ filename: 'recent.gpx', gpxText: GPX });
+  await db.deleteRouteById(old.id, 1000);
+  await db.deleteRouteById(recent.id, 5000);
+
+  assert.deepEqual(await db.purgeDeletedRoutes(2000), { purgedIds: [old.id] });
+  assert.deepEqual(await db.restoreRouteById(old.id), { restoredCount: 0 }, 'purged for good');
+  assert.deepEqual(await db.restoreRouteById(recent.id), { restoredCount: 1 });
+  const { purgedIds } = await db.purgeDeletedRoutes(Date.now());
+  assert.ok(!purgedIds.includes(recent.id), 'live routes are never purged');
+});
+
+// These two sweep the whole table, so they stay last.
+test('the admin listing filters by name, length, upload date and area', async () => {
+  const alps = await db.insertRoute({
+    filename: 'Filter_Alps 100%.gpx', gpxText: GPX, routeKm: 140,
+    bbox: { minlat: 45.8, minlon: 6.8, maxlat: 46.2, maxlon: 7.4 }
+  });
+  const coast = await db.insertRoute({
+    filename: 'filter-coast.gpx', gpxText: GPX, routeKm: 35,
+    bbox: { minlat: 43.5, minlon: 7.2, maxlat: 43.8, maxlon: 7.6 }
+  });
+  const ids = async (filters) => (await db.listRoutes({ filters })).routes.map((r) => r.id);
+
+  assert.deepEqual(await ids({ q: 'filter' }), [coast.id, alps.id]);
+  assert.deepEqual(await ids({ q: '100%' }), [alps.id]);
+  assert.deepEqual(await ids({ q: 'filter_coast' }), [], 'an underscore matches only itself');
+  assert.deepEqual(await ids({ q: 'filter', minKm: 100 }), [alps.id]);
+  assert.deepEqual(await ids({ q: 'filter', maxKm: 35 }), [coast.id]);
+  assert.deepEqual(await ids({ bbox: { minlon: 7, minlat: 46, maxlon: 8, maxlat: 47 } }), [alps.id]);
+  assert.deepEqual(await ids({ bbox: { minlon: 7.3, minlat: 43, maxlon: 7.5, maxlat: 46 } }), [coast.id, alps.id]);
+  assert.deepEqual(await ids({ bbox: { minlon: 0, minlat: 0, maxlon: 1, maxlat: 1 } }), []);
+  assert.equal(await db.countRoutes({ q: 'filter', minKm: 100 }), 1);
+
+  const today = new Date().toISOString().slice(0, 10);
+  assert.deepEqual(await ids({ q: 'filter', from: today, to: today }), [coast.id, alps.id]);
+  assert.deepEqual(await ids({ q: 'filter', to: '2000-01-01' }), []);
+
+  await db.deleteRouteById(coast.id);
+  assert.deepEqual(await ids({ q: 'filter' }), [alps.id]);
+});
+
+test('cursor paging walks the listing without gaps or repeats', async () => {
+  for (let i = 0; i < 5; i++) await db.insertRoute({ filename: `page-${i}.gpx`, gpxText: GPX });
+  const filters = { q: 'page-' };
+  const seen = [];
+  let after = null;
+  do {
+    const page = await db.listRoutes({ limit: 2, after, filters });
+    assert.ok(page.routes.length <= 2);
+    seen.push(...page.routes.map((r) => r.filename));
+    after = parseListCursor(page.nextCursor).value;
+  } while (after);
+  assert.deepEqual(seen, ['page-4.gpx', 'page-3.gpx', 'page-2.gpx', 'page-1.gpx', 'page-0.gpx']);
+
+  const last = await db.listRoutes({ limit: 5, filters });
+  assert.equal(last.nextCursor, null, 'an exactly full last page has no next page');
+});
+
+test('retention strip mode keeps the summary and drops the track, IP and share link', async () => {
+  const { id } = await db.insertRoute({ filename: 'aging.gpx', gpxText: GPX, enrichedGpxText: GPX, clientIp: '203.0.113.0', shareSlug: 'agingSlug123', routeKm: 12 });
+  assert.deepEqual(await db.stripRoutesUploadedBefore(Date.now() - 60 * 1000), { count: 0 }, 'too recent');
+
+  const { count } = await db.stripRoutesUploadedBefore(Date.now() + 60 * 1000);
+  assert.ok(count >= 1);
+  assert.deepEqual(await db.stripRoutesUploadedBefore(Date.now() + 60 * 1000), { count: 0 }, 'already stripped');
+  const row = (await db.listRoutes()).routes.find((r) => r.id === id);
+  assert.equal(row.routeKm, 12);
+  assert.equal(row.clientIp, null);
+  assert.equal(row.hasGpx, false);
+  assert.equal(row.hasEnriched, false);
+  assert.equal(await db.getSharedRoute('agingSlug123'), null);
+});
+
+test('retention delete mode removes old routes, and the file can be vacuumed', async () => {
+  await db.insertRoute({ filename: 'ancient.gpx', gpxText: GPX });
+  const { count } = await db.deleteRoutesUploadedBefore(Date.now() + 60 * 1000);
+  assert.ok(count >= 1);
+  assert.equal(await db.countRoutes(), 0);
+  assert.deepEqual(await db.listDeletedRoutes(), [], 'soft-deleted rows go too');
+  await db.vacuumDatabase();
+});
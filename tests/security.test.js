@@ -10,6 +10,13 @@ const {
   positiveInteger,
   anonymizeIp,
   validateBbox,
+  validateRadiusMeters,
+  generateShareSlug,
+  isShareSlug,
+  generateOwnerToken,
+  hashOwnerToken,
+  validateRouteUpdate,
+  validateRouteNote,
   MAX_BBOX_SPAN_DEGREES
 } = require('../server/security');
 
@@ -34,6 +41,72 @@ test('validateRoutePayload accepts a bounded GPX payload', () => {
   assert.equal(result.value.filename, 'route.gpx');
 });
 
+test('validateRoutePayload reads the share flag and radius', () => {
+  const base = { filename: 'route.gpx', gpxText: '<gpx></gpx>' };
+  assert.equal(validateRoutePayload(base).value.share, false);
+  assert.equal(validateRoutePayload(base).value.radiusM, null);
+  const shared = validateRoutePayload({ ...base, share: true, radiusM: 300 });
+  assert.equal(shared.value.share, true);
+  assert.equal(shared.value.radiusM, 300);
+  assert.equal(validateRoutePayload({ ...base, share: 'yes' }).ok, false);
+  assert.equal(validateRoutePayload({ ...base, radiusM: '300' }).ok, false);
+  assert.equal(validateRoutePayload({ ...base, radiusM: 1e6 }).ok, false);
+});
+
+test('validateRoutePayload bounds the route summary numbers', () => {
+  const base = { filename: 'route.gpx', gpxText: '<gpx></gpx>' };
+  assert.equal(validateRoutePayload(base).value.routeStats, null);
+  const stats = { ascentM: 1200, descentM: 1150, minEleM: -20, maxEleM: 2100, movingMinutes: 310 };
+  assert.deepEqual(validateRoutePayload({ ...base, routeStats: stats }).value.routeStats, stats);
+  // A file without elevation still has a moving time.
+  assert.deepEqual(
+    validateRoutePayload({ ...base, routeStats: { movingMinutes: 90, ascentM: null } }).value.routeStats,
+    { ascentM: null, descentM: null, minEleM: null, maxEleM: null, movingMinutes: 90 }
+  );
+  assert.equal(validateRoutePayload({ ...base, routeStats: { ascentM: -1 } }).ok, false);
+  assert.equal(validateRoutePayload({ ...base, routeStats: { maxEleM: '2100' } }).ok, false);
+  assert.equal(validateRoutePayload({ ...base, routeStats: { minEleM: 500, maxEleM: 100 } }).ok, false);
+  assert.equal(validateRoutePayload({ ...base, routeStats: [1] }).ok, false);
+});
+
+test('share slugs are 22 url-safe characters and fresh each time', () => {
+  const a = generateShareSlug();
+  const b = generateShareSlug();
+  assert.match(a, /^[A-Za-z0-9_-]{22}$/);
+  assert.notEqual(a, b);
+  assert.equal(isShareSlug(a), true);
+  assert.equal(isShareSlug('short'), false);
+  assert.equal(isShareSlug(`${a.slice(0, 21)}/`), false);
+  assert.equal(isShareSlug(undefined), false);
+});
+
+test('owner tokens are hashed for storage and malformed ones are refused', () => {
+  const token = generateOwnerToken();
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.match(hashOwnerToken(token), /^[0-9a-f]{64}$/);
+  assert.equal(hashOwnerToken(token), hashOwnerToken(token));
+  assert.notEqual(hashOwnerToken(token), hashOwnerToken(generateOwnerToken()));
+  assert.equal(hashOwnerToken('short'), null);
+  assert.equal(hashOwnerToken(undefined), null);
+});
+
+test('validateRouteUpdate takes a filename, the share flag, or both', () => {
+  assert.deepEqual(validateRouteUpdate({ filename: ' new.gpx ' }), { ok: true, value: { filename: 'new.gpx' } });
+  assert.deepEqual(validateRouteUpdate({ share: false }), { ok: true, value: { share: false } });
+  assert.equal(validateRouteUpdate({}).ok, false);
+  assert.equal(validateRouteUpdate({ filename: 'new.txt' }).ok, false);
+  assert.equal(validateRouteUpdate({ share: 'no' }).ok, false);
+  assert.equal(validateRouteUpdate(null).ok, false);
+});
+
+test('validateRouteNote trims, clears on blank and caps the length', () => {
+  assert.deepEqual(validateRouteNote('  spam  '), { ok: true, value: 'spam' });
+  assert.deepEqual(validateRouteNote('   '), { ok: true, value: null });
+  assert.deepEqual(validateRouteNote(null), { ok: true, value: null });
+  assert.equal(validateRouteNote('x'.repeat(501)).ok, false);
+  assert.equal(validateRouteNote(42).ok, false);
+});
+
 test('validateRoutePayload accepts GPX content up to 8 MB', () => {
   const gpxText = `<gpx>${'a'.repeat(8 * 1024 * 1024 - 16)}</gpx>`;
   const result = validateRoutePayload({
@@ -111,6 +184,16 @@ test('validateBbox caps the span so one request cannot ask for a continent', ()
   assert.equal(validateBbox({ minlat: 0, minlon: 0, maxlat: MAX_BBOX_SPAN_DEGREES, maxlon: 1 }).ok, true);
 });
 
+test('validateRadiusMeters defaults to the sidebar radius and bounds the rest', () => {
+  assert.deepEqual(validateRadiusMeters(undefined), { ok: true, value: 150 });
+  assert.deepEqual(validateRadiusMeters(''), { ok: true, value: 150 });
+  assert.deepEqual(validateRadiusMeters('300'), { ok: true, value: 300 });
+  assert.equal(validateRadiusMeters(5000).ok, true);
+  assert.match(validateRadiusMeters(5001).error, /between 10 and 5000/);
+  assert.match(validateRadiusMeters(0).error, /between 10 and 5000/);
+  assert.match(validateRadiusMeters('wide').error, /between 10 and 5000/);
+});
+
 test('normalizeHttpUrl accepts HTTP URLs and rejects script schemes', () => {
   assert.equal(normalizeHttpUrl('https://example.com/path'), 'https://example.com/path');
   assert.equal(normalizeHttpUrl('example.com'), 'https://example.com/');
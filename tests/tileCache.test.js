@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tileExpiry, SqliteTileStore, TileCache, DEFAULT_TILE_TTL_MS } = require('../server/tileCache');
+
+const URL = 'https://tile.example/5/16/10.png';
+const PNG = Buffer.from('png-bytes');
+
+function headers(values = {}) {
+  const lower = Object.fromEntries(Object.entries(values).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: (name) => lower[name.toLowerCase()] ?? null };
+}
+
+/** Upstream that answers from a script of responses and records the conditional headers. */
+function scriptedUpstream(...responses) {
+  const calls = [];
+  const fetchUpstream = async (url, conditional) => {
+    calls.push({ url, conditional });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return { body: Buffer.alloc(0), ...next, headers: headers(next.headers) };
+  };
+  return { calls, fetchUpstream };
+}
+
+async function openCache({ responses, now, maxBytes }) {
+  const store = await new SqliteTileStore({ path: ':memory:', maxBytes, now }).open();
+  const upstream = scriptedUpstream(...responses);
+  const cache = new TileCache({ store, fetchUpstream: upstream.fetchUpstream, now, logger: { warn() {} } });
+  return { cache, store, calls: upstream.calls };
+}
+
+test('tileExpiry prefers max-age, then Expires, then the default', () => {
+  assert.equal(tileExpiry(headers({ 'Cache-Control': 'public, max-age=600', Expires: 'Thu, 01 Jan 2099 00:00:00 GMT' }), 1000), 601000);
+  assert.equal(tileExpiry(headers({ Expires: 'Thu, 01 Jan 1970 00:00:10 GMT' }), 1000), 10000);
+  assert.equal(tileExpiry(headers({ Expires: 'Thu, 01 Jan 1970 00:00:00 GMT' }), 1000), 1000, 'a past Expires is already stale');
+  assert.equal(tileExpiry(headers(), 1000), 1000 + DEFAULT_TILE_TTL_MS);
+  assert.equal(tileExpiry(headers({ 'Cache-Control': 'no-store' }), 1000), null);
+});
+
+test('a fresh tile is served from disk without asking upstream', async () => {
+  const { cache, store, calls } = await openCache({
+    now: () => 0,
+    responses: [{ status: 200, body: PNG, headers: { 'Content-Type': 'image/png', 'Cache-Control': 'max-age=60' } }]
+  });
+  assert.equal((await cache.get(URL)).cache, 'MISS');
+  const hit = await cache.get(URL);
+  assert.equal(hit.cache, 'HIT');
+  assert.equal(hit.body.toString(), 'png-bytes');
+  assert.equal(hit.contentType, 'image/png');
+  assert.equal(calls.length, 1);
+  await store.close();
+});
+
+test('a stale tile is revalidated with its ETag and Last-Modified', async () => {
+  let now = 0;
+  const { cache, store, calls } = await openCache({
+    now: () => now,
+    responses: [
+      { status: 200, body: PNG, headers: { 'Cache-Control': 'max-age=60', ETag: '"v1"', 'Last-Modified': 'Mon, 01 Jan 2024 00:00:00 GMT' } },
+      { status: 304, headers: { 'Cache-Control': 'max-age=60' } }
+    ]
+  });
+  await cache.get(URL);
+  now = 61 * 1000;
+  const revalidated = await cache.get(URL);
+  assert.equal(revalidated.cache, 'REVALIDATED');
+  assert.equal(revalidated.body.toString(), 'png-bytes');
+  assert.deepEqual(calls[1].conditional, { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+  // The 304 renewed the expiry.
+  assert.equal((await cache.get(URL)).cache, 'HIT');
+  assert.equal(calls.length, 2);
+  await store.close();
+});
+
+test('a changed tile replaces the stored one', async () => {
+  let now = 0;
+  const { cache, store } = await openCache({
+    now: () => now,
+    responses: [
+      { status: 200, body: PNG, headers: { 'Cache-Control': 'max-age=60', ETag: '"v1"' } },
+      { status: 200, body: Buffer.from('new'), headers: { 'Cache-Control': 'max-age=60', ETag: '"v2"' } }
+    ]
+  });
+  await cache.get(URL);
+  now = 61 * 1000;
+  assert.equal((await cache.get(URL)).cache, 'MISS');
+  const stored = await store.get(URL);
+  assert.equal(stored.body.toString(), 'new');
+  assert.equal(stored.etag, '"v2"');
+  await store.close();
+});
+
+test('the stale copy stands in when upstream fails', async () => {
+  let now = 0;
+  const { cache, store } = await openCache({
+    now: () => now,
+    responses: [
+      { status: 200, body: PNG, headers: { 'Cache-Control': 'max-age=60' } },
+      { status: 503, body: Buffer.from('busy') },
+      new Error('socket hang up')
+    ]
+  });
+  await cache.get(URL);
+  now = 61 * 1000;
+  assert.equal((await cache.get(URL)).cache, 'STALE');
+  const stale = await cache.get(URL);
+  assert.equal(stale.cache, 'STALE');
+  assert.equal(stale.body.toString(), 'png-bytes');
+  await store.close();
+});
+
+test('errors and uncacheable tiles are passed through, not stored', async () => {
+  const { cache, store, calls } = await openCache({
+    now: () => 0,
+    responses: [
+      { status: 404, body: Buffer.from('nope') },
+      { status: 200, body: PNG, headers: { 'Cache-Control': 'no-store' } },
+      { status: 200, body: PNG }
+    ]
+  });
+  const missing = await cache.get(URL);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.toString(), 'nope');
+  assert.equal((await cache.get(URL)).cache, 'MISS');
+  assert.equal((await cache.get(URL)).cache, 'MISS');
+  assert.equal(calls.length, 3);
+  assert.equal((await store.stats()).size, 1);
+  await store.close();
+});
+
+test('network failures with nothing stored are thrown', async () => {
+  const cache = new TileCache({ fetchUpstream: scriptedUpstream(new Error('down')).fetchUpstream });
+  await assert.rejects(cache.get(URL), /down/);
+});
+
+test('concurrent requests for one tile share a single upstream fetch', async () => {
+  const { cache, store, calls } = await openCache({
+    now: () => 0,
+    responses: [{ status: 200, body: PNG, headers: { 'Cache-Control': 'max-age=60' } }]
+  });
+  const results = await Promise.all([cache.get(URL), cache.get(URL), cache.get(URL)]);
+  assert.deepEqual(results.map((r) => r.body.toString()), ['png-bytes', 'png-bytes', 'png-bytes']);
+  assert.equal(calls.length, 1);
+  await store.close();
+});
+
+test('the store evicts least-recently-used tiles past its byte budget', async () => {
+  let now = 0;
+  const store = await new SqliteTileStore({ path: ':memory:', maxBytes: 10, now: () => ++now }).open();
+  const tile = (text) => ({ body: Buffer.from(text), contentType: 'image/png', expiresAt: 1e12 });
+  await store.set('a', tile('aaaa'));
+  await store.set('b', tile('bbbb'));
+  await store.get('a');
+  await store.set('c', tile('cccc'));
+  assert.ok(await store.get('a'), 'a was used more recently than b');
+  assert.equal(await store.get('b'), null);
+  assert.deepEqual(await store.stats(), { size: 2, bytes: 8 });
+  await store.close();
+});
+
+test('stats count how each request was answered', async () => {
+  const { cache, store } = await openCache({
+    now: () => 0,
+    responses: [{ status: 200, body: PNG, headers: { 'Cache-Control': 'max-age=60' } }]
+  });
+  await cache.get(URL);
+  await cache.get(URL);
+  const stats = await cache.stats();
+  assert.equal(stats.HIT, 1);
+  assert.equal(stats.MISS, 1);
+  assert.equal(stats.hitRate, 0.5);
+  assert.deepEqual(stats.disk, { size: 1, bytes: PNG.length });
+  await store.close();
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  DEFAULT_TILE_PROVIDERS,
+  validateTileProvider,
+  loadTileProviders,
+  publicTileProviders,
+  tileUrlFor
+} = require('../server/tileProviders');
+
+const DEFAULTS = { userAgent: 'ua/1.0', rateLimit: 600 };
+
+test('validateTileProvider fills in zoom, user agent, rate limit and name', () => {
+  const result = validateTileProvider({ id: 'cycle', url: 'https://tiles.example/{z}/{x}/{y}.png' }, DEFAULTS);
+  assert.deepEqual(result, {
+    ok: true,
+    value: {
+      id: 'cycle',
+      name: 'cycle',
+      url: 'https://tiles.example/{z}/{x}/{y}.png',
+      maxZoom: 19,
+      attribution: '',
+      userAgent: 'ua/1.0',
+      rateLimit: 600
+    }
+  });
+});
+
+test('validateTileProvider rejects bad ids, urls and limits', () => {
+  const url = 'https://tiles.example/{z}/{x}/{y}.png';
+  assert.equal(validateTileProvider({ id: 'Has Space', url }, DEFAULTS).ok, false);
+  assert.equal(validateTileProvider({ id: 'x', url: 'https://tiles.example/{z}/{x}.png' }, DEFAULTS).ok, false);
+  assert.equal(validateTileProvider({ id: 'x', url: 'file:///{z}/{x}/{y}.png' }, DEFAULTS).ok, false);
+  assert.equal(validateTileProvider({ id: 'x', url, maxZoom: 30 }, DEFAULTS).ok, false);
+  assert.equal(validateTileProvider({ id: 'x', url, rateLimit: 0 }, DEFAULTS).ok, false);
+  assert.equal(validateTileProvider(null, DEFAULTS).ok, false);
+});
+
+test('loadTileProviders defaults to the built-in list', () => {
+  const providers = loadTileProviders({});
+  assert.deepEqual(providers.map((p) => p.id), DEFAULT_TILE_PROVIDERS.map((p) => p.id));
+  assert.ok(providers.every((p) => p.rateLimit === 600 && p.userAgent.startsWith('water-on-route/')));
+});
+
+test('TILE_URL_TEMPLATE becomes the first, default provider', () => {
+  const providers = loadTileProviders({ TILE_URL_TEMPLATE: 'http://localhost:8080/{z}/{x}/{y}.png', TILE_RATE_LIMIT: '50' });
+  assert.equal(providers[0].id, 'local');
+  assert.equal(providers[0].url, 'http://localhost:8080/{z}/{x}/{y}.png');
+  assert.equal(providers[0].rateLimit, 50);
+  assert.equal(providers.length, DEFAULT_TILE_PROVIDERS.length + 1);
+});
+
+test('loadTileProviders reads a JSON file ahead of inline JSON', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wor-tiles-'));
+  const file = path.join(dir, 'providers.json');
+  fs.writeFileSync(file, JSON.stringify([{ id: 'club', url: 'https://club.example/{z}/{x}/{y}.png', userAgent: 'club/2', rateLimit: 100 }]));
+  try {
+    const providers = loadTileProviders({
+      TILE_PROVIDERS_FILE: file,
+      TILE_PROVIDERS: JSON.stringify([{ id: 'inline', url: 'https://inline.example/{z}/{x}/{y}.png' }])
+    });
+    assert.deepEqual(providers.map((p) => [p.id, p.userAgent, p.rateLimit]), [['club', 'club/2', 100]]);
+    assert.equal(loadTileProviders({ TILE_PROVIDERS: JSON.stringify([{ id: 'inline', url: 'https://inline.example/{z}/{x}/{y}.png' }]) })[0].id, 'inline');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('loadTileProviders refuses a bad configuration at startup', () => {
+  assert.throws(() => loadTileProviders({ TILE_PROVIDERS: '{not json' }), /not valid JSON/);
+  assert.throws(() => loadTileProviders({ TILE_PROVIDERS: '[]' }), /non-empty JSON array/);
+  assert.throws(() => loadTileProviders({ TILE_PROVIDERS: '[{"id":"x"}]' }), /Invalid tile provider/);
+  const twice = JSON.stringify([
+    { id: 'a', url: 'https://a.example/{z}/{x}/{y}.png' },
+    { id: 'a', url: 'https://b.example/{z}/{x}/{y}.png' }
+  ]);
+  assert.throws(() => loadTileProviders({ TILE_PROVIDERS: twice }), /Duplicate tile provider id "a"/);
+});
+
+test('publicTileProviders exposes proxy URLs and hides upstream details', () => {
+  const [osm] = publicTileProviders(loadTileProviders({}));
+  assert.deepEqual(osm, {
+    id: 'osm',
+    name: 'OSM Standard',
+    url: '/tiles/osm/{z}/{x}/{y}.png',
+    maxZoom: 19,
+    attribution: '© OpenStreetMap contributors'
+  });
+});
+
+test('tileUrlFor fills the template, whatever the placeholder order', () => {
+  const esri = loadTileProviders({}).find((p) => p.id === 'esri-imagery');
+  assert.match(tileUrlFor(esri, { z: 5, x: 16, y: 10 }), /\/tile\/5\/10\/16$/);
+});